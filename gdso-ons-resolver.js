@@ -3,18 +3,27 @@
  * Environnement: Testing (*.testing.gdso.org)
  *
  * Ce script convertit un SGTIN-96 en FQDN et résout l'URL de l'API fabricant
- * via une requête DNS NAPTR.
+ * via une requête DNS NAPTR (résolveurs de ENVIRONMENTS.testing.ons, avec failover).
  */
 
+import { Resolver } from 'node:dns/promises';
+import { ENVIRONMENTS } from './lib/config.js';
+import { createResolverChain } from './lib/dns-resolver.js';
+import { processNaptrRecords, sortNaptrRecords, selectNaptrService } from './lib/naptr.js';
+
 // UII de test (peut être passé en argument: node gdso-ons-resolver.js "urn:epc:id:sgtin:...")
 const TEST_UII = process.argv[2] || 'urn:epc:id:sgtin:086699.0762575.63647563790';
 
 // Configuration de l'environnement
 const CONFIG = {
-    dnsResolver: 'https://dns.google/resolve',
-    onsSuffix: 'gtin.gs1.id.testing.gdso.org'
+    resolvers: ENVIRONMENTS.testing.ons.resolvers,
+    onsSuffix: ENVIRONMENTS.testing.ons.suffix
 };
 
+const resolver = createResolverChain(CONFIG.resolvers, {
+    onFailover: (name, error) => console.log(`  ⚠️ Résolveur ${name} en échec: ${error.message}`)
+});
+
 /**
  * Étape 1: Parser le SGTIN URN
  * Format: urn:epc:id:sgtin:<company_prefix>.<indicator_item_ref>.<serial>
@@ -110,30 +119,19 @@ function gtinToFqdn(gtin14) {
 }
 
 /**
- * Étape 4: Requête DNS NAPTR via l'API Google DNS
+ * Étape 4: Requête DNS NAPTR via la chaîne de résolveurs configurée
  */
 async function resolveNaptr(fqdn) {
     console.log('\n📋 ÉTAPE 4: Résolution DNS NAPTR');
     console.log('─'.repeat(50));
-
-    const url = `${CONFIG.dnsResolver}?name=${encodeURIComponent(fqdn)}&type=NAPTR`;
-    console.log(`  • URL de requête: ${url}`);
+    console.log(`  • Résolveurs: ${resolver.name}`);
 
     try {
-        const response = await fetch(url, {
-            headers: {
-                'Accept': 'application/dns-json'
-            }
-        });
-
-        if (!response.ok) {
-            throw new Error(`Erreur HTTP: ${response.status}`);
-        }
-
-        const data = await response.json();
-        console.log(`  • Statut DNS: ${data.Status === 0 ? 'OK' : `Erreur (${data.Status})`}`);
+        const answer = await resolver.resolveNaptr(fqdn);
+        console.log(`  • Résolu par: ${answer.resolver}`);
+        console.log(`  • Statut DNS: ${answer.status === 'NOERROR' ? 'OK' : answer.status}`);
 
-        return data;
+        return answer;
     } catch (error) {
         console.error(`  ❌ Erreur lors de la requête DNS: ${error.message}`);
         throw error;
@@ -141,80 +139,47 @@ async function resolveNaptr(fqdn) {
 }
 
 /**
- * Étape 5: Parser les enregistrements NAPTR pour extraire les URLs des services
+ * Étape 5: Traiter les enregistrements NAPTR (RFC 3403) pour extraire les URLs des services
+ * L'AUS (Application Unique String) est le GTIN interrogé
  */
-function parseNaptrRecords(dnsResponse) {
-    console.log('\n📋 ÉTAPE 5: Parsing des enregistrements NAPTR');
+function parseNaptrRecords(answer, gtin) {
+    console.log('\n📋 ÉTAPE 5: Traitement des enregistrements NAPTR (RFC 3403)');
     console.log('─'.repeat(50));
 
-    if (!dnsResponse.Answer || dnsResponse.Answer.length === 0) {
+    if (!answer.records.length) {
         console.log('  ⚠️ Aucun enregistrement NAPTR trouvé');
 
-        // Afficher les informations de debug si disponibles
-        if (dnsResponse.Authority) {
-            console.log('\n  📝 Informations Authority (SOA):');
-            dnsResponse.Authority.forEach(auth => {
-                console.log(`     • ${auth.name} - ${auth.data}`);
-            });
+        // TTL négatif du SOA si le backend le fournit
+        if (answer.negativeTtl !== null) {
+            console.log(`\n  📝 TTL négatif (SOA): ${answer.negativeTtl}s`);
         }
 
         return [];
     }
 
-    const services = [];
+    console.log(`  • ${answer.records.length} enregistrement(s) trouvé(s), triés par order/preference:\n`);
 
-    console.log(`  • ${dnsResponse.Answer.length} enregistrement(s) trouvé(s):\n`);
-
-    dnsResponse.Answer.forEach((record, index) => {
+    sortNaptrRecords(answer.records).forEach((record, index) => {
         console.log(`  📄 Enregistrement ${index + 1}:`);
-        console.log(`     • Type: ${record.type} (NAPTR = 35)`);
-        console.log(`     • TTL: ${record.TTL}s`);
-        console.log(`     • Data: ${record.data}`);
-
-        // Parser le champ data du NAPTR
-        // Format peut être avec ou sans guillemets:
-        // "order pref "flags" "service" "regexp" replacement" (RFC standard)
-        // ou: order pref flags service regexp replacement (sans guillemets)
-        let naptrMatch = record.data.match(
-            /^(\d+)\s+(\d+)\s+"([^"]*)"\s+"([^"]*)"\s+"([^"]*)"\s+(\S+)$/
-        );
-
-        // Format alternatif sans guillemets (comme observé avec Google DNS)
-        if (!naptrMatch) {
-            naptrMatch = record.data.match(
-                /^(\d+)\s+(\d+)\s+(\S+)\s+(\S+)\s+(!.*!)\s+(\S+)$/
-            );
-        }
-
-        if (naptrMatch) {
-            const [, order, preference, flags, service, regexp, replacement] = naptrMatch;
-
-            console.log(`     • Order: ${order}`);
-            console.log(`     • Preference: ${preference}`);
-            console.log(`     • Flags: ${flags}`);
-            console.log(`     • Service: ${service}`);
-            console.log(`     • Regexp: ${regexp}`);
-            console.log(`     • Replacement: ${replacement}`);
-
-            // Extraire l'URL du champ regexp
-            // Format: !^.*$!https://example.com/path!
-            const urlMatch = regexp.match(/!.*!(https?:\/\/[^!]+)!/);
-            if (urlMatch) {
-                const url = urlMatch[1];
-                console.log(`     ✅ URL extraite: ${url}`);
-                services.push({
-                    service,
-                    url,
-                    order: parseInt(order),
-                    preference: parseInt(preference)
-                });
-            }
-        } else {
-            console.log('     ⚠️ Format NAPTR non reconnu');
-        }
+        console.log(`     • TTL: ${record.ttl !== null ? `${record.ttl}s` : 'non fourni'}`);
+        console.log(`     • Order: ${record.order}`);
+        console.log(`     • Preference: ${record.preference}`);
+        console.log(`     • Flags: ${record.flags}`);
+        console.log(`     • Service: ${record.service}`);
+        console.log(`     • Regexp: ${record.regexp}`);
+        console.log(`     • Replacement: ${record.replacement}`);
         console.log('');
     });
 
+    const { services, diagnostics } = processNaptrRecords(answer.records, { aus: gtin });
+
+    services.forEach(svc => {
+        console.log(`  ✅ ${svc.service} (order ${svc.order}, pref ${svc.preference}): ${svc.url}`);
+    });
+    diagnostics.forEach(diag => {
+        console.log(`  ⚠️ ${diag.record.service || '(sans service)'} rejeté [${diag.code}]: ${diag.message}`);
+    });
+
     return services;
 }
 
@@ -241,7 +206,7 @@ async function main() {
         const dnsResponse = await resolveNaptr(fqdn);
 
         // Étape 5: Parser les résultats
-        const services = parseNaptrRecords(dnsResponse);
+        const services = parseNaptrRecords(dnsResponse, gtin14);
 
         // Résumé final
         console.log('\n╔════════════════════════════════════════════════════════════╗');
@@ -258,9 +223,9 @@ async function main() {
             });
 
             // Chercher spécifiquement GetTireBySgtin
-            const tireSvc = services.find(s => s.service.includes('GetTireBySgtin'));
+            const tireSvc = selectNaptrService(services, 'GetTireBySgtin');
             if (tireSvc) {
-                console.log(`\n  ✅ URL de l'API GetTireBySgtin: ${tireSvc.url}`);
+                console.log(`\n  ✅ URL de l'API GetTireBySgtin: ${tireSvc.url} (résolu via GTIN-14)`);
             }
         } else {
             console.log('\n  ⚠️ Aucun service trouvé dans les enregistrements NAPTR');
@@ -271,7 +236,12 @@ async function main() {
         }
 
         // Si pas de résultat avec GTIN-14, essayer avec GTIN-13
-        if (services.length === 0 && dnsResponse.Status !== 0) {
+        // Un GTIN-13 n'existe que si l'indicator digit vaut 0
+        if (services.length === 0 && gtin14[0] !== '0') {
+            console.log(`\n  ⚠️ Indicator digit ${gtin14[0]}: pas de GTIN-13 équivalent, pas de repli`);
+        }
+
+        if (services.length === 0 && gtin14[0] === '0') {
             console.log('\n📋 TENTATIVE ALTERNATIVE: Essai avec GTIN-13');
             console.log('─'.repeat(50));
 
@@ -283,7 +253,7 @@ async function main() {
             console.log(`  • FQDN (GTIN-13): ${fqdn13}`);
 
             const dnsResponse13 = await resolveNaptr(fqdn13);
-            const services13 = parseNaptrRecords(dnsResponse13);
+            const services13 = parseNaptrRecords(dnsResponse13, gtin13);
 
             if (services13.length > 0) {
                 console.log('\n╔════════════════════════════════════════════════════════════╗');
@@ -297,12 +267,12 @@ async function main() {
                     console.log(`     • ${svc.service}: ${svc.url}`);
                 });
 
-                const tireSvc = services13.find(s => s.service.includes('GetTireBySgtin'));
+                const tireSvc = selectNaptrService(services13, 'GetTireBySgtin');
                 if (tireSvc) {
                     console.log(`\n  🎯 URL API GetTireBySgtin: ${tireSvc.url}`);
                 }
 
-                return { uii: TEST_UII, gtin: gtin13, fqdn: fqdn13, dnsResponse: dnsResponse13, services: services13 };
+                return { uii: TEST_UII, gtin: gtin13, gtinForm: 'GTIN-13', fqdn: fqdn13, dnsResponse: dnsResponse13, services: services13 };
             }
         }
 
@@ -317,14 +287,17 @@ async function main() {
             'testing.gdso.org'
         ];
 
+        // Requêtes NS via le résolveur système (node:dns)
+        const nsResolver = new Resolver({ timeout: 5000, tries: 1 });
         for (const domain of testDomains) {
             try {
-                const resp = await fetch(`${CONFIG.dnsResolver}?name=${domain}&type=NS`);
-                const data = await resp.json();
-                const status = data.Status === 0 ? '✅ Existe' : data.Status === 3 ? '❌ NXDOMAIN' : `⚠️ Status ${data.Status}`;
-                console.log(`  • ${domain}: ${status}`);
+                await nsResolver.resolveNs(domain);
+                console.log(`  • ${domain}: ✅ Existe`);
             } catch (e) {
-                console.log(`  • ${domain}: ❌ Erreur`);
+                const status = e.code === 'ENODATA' ? '✅ Existe (pas de NS propre)'
+                    : e.code === 'ENOTFOUND' ? '❌ NXDOMAIN'
+                    : `❌ Erreur (${e.code || e.message})`;
+                console.log(`  • ${domain}: ${status}`);
             }
         }
 
@@ -332,6 +305,7 @@ async function main() {
         return {
             uii: TEST_UII,
             gtin14,
+            gtinForm: 'GTIN-14',
             fqdn,
             dnsResponse,
             services
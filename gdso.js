@@ -3,15 +3,30 @@
  * GDSO TIS Client - CLI scalable
  *
  * Usage:
- *   node gdso.js <sgtin>
+ *   node gdso.js <sgtin|epc-hex|digital-link|element-string>
  *   node gdso.js --batch <file>
  *   node gdso.js --env production <sgtin>
+ *   node gdso.js --country FR <sgtin>       (données propres au marché: labelling, conformité)
+ *   node gdso.js --offline <sgtin>          (cache uniquement, voir GDSO_CACHE_DIR)
+ *   node gdso.js --sso <sgtin>              (connexion GDSO personnelle via le navigateur)
+ *   node gdso.js encode <sgtin> [--filter <0-7>]
+ *   node gdso.js login [--env production] [--username <user>]   (fichier chiffré ~/.gdso/credentials.enc)
+ *   node gdso.js logout [--env production]
+ *   node gdso.js url-patterns [--env production]   (variantes d'URL apprises, voir GDSO_CACHE_DIR)
  */
 
 import { readFileSync, existsSync } from 'fs';
+import { spawn } from 'child_process';
+import { createInterface } from 'readline';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { GdsoService } from './lib/gdso-service.js';
+import { OidcClient } from './lib/oidc.js';
+import { writeCredentialsFile } from './lib/credentials.js';
+import { isSgtin96Hex, isSgtinUrn, encodeSgtin96 } from './lib/sgtin.js';
+import { isDigitalLink, isElementString } from './lib/digital-link.js';
+import { loadIndexToKg, speedSymbolToKmh } from './lib/service-description.js';
+import { decodeDotTin } from './lib/dot-tin.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -32,6 +47,33 @@ if (existsSync(envPath)) {
 // CLI
 // ============================================================================
 
+/**
+ * Vérifie si un argument ressemble à un identifiant de pneu
+ * (URN SGTIN, tag URI, EPC hex, GS1 Digital Link ou element string)
+ */
+function isSgtinArg(value) {
+    return isSgtinUrn(value) || isSgtin96Hex(value) || isDigitalLink(value) || isElementString(value);
+}
+
+/**
+ * Suffixes d'affichage des unités physiques (" (3750 kg)", " (120 km/h)")
+ */
+function formatKg(loadIndex) {
+    const kg = loadIndexToKg(loadIndex);
+    return kg != null ? ` (${kg} kg)` : '';
+}
+
+function formatKmh(speedSymbol) {
+    const kmh = speedSymbolToKmh(speedSymbol);
+    if (kmh == null) return '';
+    return speedSymbol === '(Y)' ? ` (> ${kmh} km/h)` : ` (${kmh} km/h)`;
+}
+
+function formatAge(months) {
+    const years = Math.floor(months / 12);
+    return years ? `${years} an${years > 1 ? 's' : ''} ${months % 12} mois` : `${months} mois`;
+}
+
 function banner() {
     console.log('╔══════════════════════════════════════════════════════════╗');
     console.log('║  GDSO TIS Client v2.0 - Scalable Architecture            ║');
@@ -45,7 +87,13 @@ function displayTireInfo(result) {
 
     console.log(`\n  UII: ${result.sgtin}`);
     console.log(`  Fabricant: ${result.manufacturer}`);
+    if (result.gtin14) console.log(`  GTIN-14: ${result.gtin14}`);
     if (result.gtin13) console.log(`  GTIN-13: ${result.gtin13}`);
+    if (result.gtinForm) console.log(`  ONS résolu via: ${result.gtinForm}`);
+    if (result.digitalLink) console.log(`  Digital Link: ${result.digitalLink}`);
+    if (result.stale) {
+        console.log(`  ⚠️ Données en cache périmées (reçues le ${result.fetchedAt ? new Date(result.fetchedAt).toLocaleString() : '?'})`);
+    }
 
     if (result.data) {
         const d = result.data;
@@ -99,9 +147,20 @@ function displayTireInfo(result) {
             console.log('  │  SPECIFICATIONS                                         │');
             console.log('  ╰─────────────────────────────────────────────────────────╯');
             const spec = d.product.specifications;
-            if (spec.loadIndex) console.log(`     Indice de charge: ${spec.loadIndex}`);
-            if (spec.loadIndexForDualFitment) console.log(`     Indice charge (jumelage): ${spec.loadIndexForDualFitment}`);
-            if (spec.speedSymbol) console.log(`     Indice de vitesse: ${spec.speedSymbol}`);
+            if (spec.loadIndex) console.log(`     Indice de charge: ${spec.loadIndex}${formatKg(spec.loadIndex)}`);
+            if (spec.loadIndexForDualFitment) {
+                console.log(`     Indice charge (jumelage): ${spec.loadIndexForDualFitment}${formatKg(spec.loadIndexForDualFitment)}`);
+            }
+            if (spec.speedSymbol) console.log(`     Indice de vitesse: ${spec.speedSymbol}${formatKmh(spec.speedSymbol)}`);
+            if (spec.loadIndexSupplementaryServiceCondition) {
+                console.log(`     Charge (service supp.): ${spec.loadIndexSupplementaryServiceCondition}${formatKg(spec.loadIndexSupplementaryServiceCondition)}`);
+            }
+            if (spec.loadIndexSupplementaryServiceConditionDualFitment) {
+                console.log(`     Charge jumelage (service supp.): ${spec.loadIndexSupplementaryServiceConditionDualFitment}${formatKg(spec.loadIndexSupplementaryServiceConditionDualFitment)}`);
+            }
+            if (spec.speedSymbolSupplementaryServiceCondition) {
+                console.log(`     Vitesse (service supp.): ${spec.speedSymbolSupplementaryServiceCondition}${formatKmh(spec.speedSymbolSupplementaryServiceCondition)}`);
+            }
             if (spec.structure) console.log(`     Structure: ${spec.structure === 'R' ? 'Radial' : 'Bias'}`);
             if (spec.tubeCharacteristic) console.log(`     Type: ${spec.tubeCharacteristic === 'TL' ? 'Tubeless' : 'Tube Type'}`);
             if (spec.extraLoadOrReinforced !== undefined) {
@@ -161,12 +220,19 @@ function displayTireInfo(result) {
             console.log('\n  ╭─────────────────────────────────────────────────────────╮');
             console.log('  │  PRODUCTION (DOT/TIN)                                   │');
             console.log('  ╰─────────────────────────────────────────────────────────╯');
-            if (d.dotTin.weekYear) {
-                const week = d.dotTin.weekYear.substring(0, 2);
-                const year = d.dotTin.weekYear.substring(2);
-                console.log(`     Date: Semaine ${week}, 20${year}`);
+            const dot = decodeDotTin(d.dotTin);
+            if (dot.productionDate) {
+                console.log(`     Date: Semaine ${dot.week}, ${dot.year} (${dot.productionDate})`);
+                console.log(`     Âge: ${formatAge(dot.ageMonths)}`);
+            } else if (dot.weekYear) {
+                console.log(`     Date: ${dot.weekYear} (format non reconnu)`);
+            }
+            if (dot.factoryCode) {
+                const factory = dot.factory
+                    ? ` (${[dot.factory.manufacturer, dot.factory.plant, dot.factory.country].filter(Boolean).join(', ')})`
+                    : '';
+                console.log(`     Code usine: ${dot.factoryCode}${factory}`);
             }
-            if (d.dotTin.factoryCode) console.log(`     Code usine: ${d.dotTin.factoryCode}`);
             if (d.dotTin.sizeCode) console.log(`     Code taille: ${d.dotTin.sizeCode}`);
             if (d.dotTin.optionalCode) console.log(`     Code optionnel: ${d.dotTin.optionalCode}`);
         }
@@ -219,8 +285,43 @@ function displayTireInfo(result) {
     }
 }
 
-async function processOne(sgtin, env) {
-    const service = new GdsoService({ environment: env });
+/**
+ * Ouvre une URL dans le navigateur par défaut (échec silencieux: l'URL est affichée)
+ */
+function openBrowser(url) {
+    const [command, ...args] = process.platform === 'win32' ? ['cmd', '/c', 'start', '""', url]
+        : process.platform === 'darwin' ? ['open', url]
+        : ['xdg-open', url];
+    try {
+        spawn(command, args, { stdio: 'ignore', detached: true }).on('error', () => {}).unref();
+    } catch {
+        // Pas de navigateur (SSH, conteneur): l'utilisateur ouvre l'URL affichée
+    }
+}
+
+/**
+ * Connexion OpenID Connect: redirection loopback sur localhost
+ * @returns {Promise<import('./lib/oidc.js').OidcTokens>}
+ */
+async function loginSso(env) {
+    const client = new OidcClient({ environment: env });
+    const port = process.env.GDSO_OIDC_LOOPBACK_PORT ? Number(process.env.GDSO_OIDC_LOOPBACK_PORT) : undefined;
+
+    const tokens = await client.loginWithLoopback({
+        port,
+        onAuthorizeUrl: url => {
+            console.log('\n  🔐 Connexion GDSO dans le navigateur...');
+            console.log(`     Si la page ne s'ouvre pas: ${url}`);
+            openBrowser(url);
+        }
+    });
+
+    console.log(`  ✅ Connecté: ${tokens.username || tokens.subject} (jusqu'à ${new Date(tokens.expiry).toLocaleString()})`);
+    return tokens;
+}
+
+async function processOne(sgtin, serviceOptions) {
+    const service = new GdsoService(serviceOptions);
 
     try {
         const result = await service.getTireInfo(sgtin);
@@ -232,19 +333,43 @@ async function processOne(sgtin, env) {
     }
 }
 
-async function processBatch(file, env) {
+/**
+ * Batch: fabricants interrogés en parallèle (GDSO_BATCH_CONCURRENCY*, voir lib/scheduler.js),
+ * résultats affichés dans l'ordre du fichier
+ */
+async function processBatch(file, serviceOptions) {
     const content = readFileSync(file, 'utf-8');
     const sgtins = content.split('\n')
         .map(l => l.trim())
-        .filter(l => l && l.startsWith('urn:epc:id:sgtin:'));
+        .filter(l => l && isSgtinArg(l));
 
     console.log(`\n📋 Traitement de ${sgtins.length} UIIs...\n`);
 
-    const results = [];
-    for (const sgtin of sgtins) {
+    // Logs du service désactivés: les groupes traités en parallèle s'entremêleraient
+    const service = new GdsoService({ ...serviceOptions, verbose: false });
+    const showProgress = process.stderr.isTTY;
+
+    let results;
+    try {
+        results = await service.getTireInfoBatch(sgtins, {
+            onProgress: ({ completed, total }) => {
+                if (showProgress) process.stderr.write(`\r  ⏳ ${completed}/${total}`);
+            }
+        });
+    } catch (error) {
+        console.error(`\n❌ Erreur: ${error.message}`);
+        return [];
+    } finally {
+        if (showProgress) process.stderr.write('\n');
+    }
+
+    for (const result of results) {
         console.log(`\n${'─'.repeat(60)}`);
-        const result = await processOne(sgtin, env);
-        results.push({ sgtin, result });
+        if (result.error) {
+            console.error(`\n❌ ${result.sgtin}: ${result.errorMessage}`);
+        } else {
+            displayTireInfo(result);
+        }
     }
 
     // Résumé
@@ -252,9 +377,9 @@ async function processBatch(file, env) {
     console.log('RÉSUMÉ BATCH');
     console.log('═'.repeat(60));
 
-    const success = results.filter(r => r.result?.data).length;
-    const partial = results.filter(r => r.result && !r.result.data).length;
-    const failed = results.filter(r => !r.result).length;
+    const success = results.filter(r => r.data).length;
+    const partial = results.filter(r => !r.data && !r.error).length;
+    const failed = results.filter(r => r.error).length;
 
     console.log(`  ✅ Succès complet: ${success}`);
     console.log(`  ⚠️ Succès partiel (pas de données): ${partial}`);
@@ -263,6 +388,137 @@ async function processBatch(file, env) {
     return results;
 }
 
+/**
+ * Sous-commande encode: URN pure identity → EPC SGTIN-96 hex + tag URI
+ */
+function runEncode(args) {
+    let filter = 0;
+    let sgtin = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--filter' && args[i + 1]) {
+            filter = Number(args[++i]);
+        } else if (!sgtin) {
+            sgtin = args[i];
+        }
+    }
+
+    if (!sgtin) {
+        console.log('\n  Usage:');
+        console.log('    node gdso.js encode <sgtin> [--filter <0-7>]');
+        console.log('\n  Exemple:');
+        console.log('    node gdso.js encode "urn:epc:id:sgtin:086699.0762575.63647563790" --filter 1');
+        return;
+    }
+
+    try {
+        const encoded = encodeSgtin96(sgtin, filter);
+        console.log('\n  ╭─────────────────────────────────────────────────────────╮');
+        console.log('  │  ENCODAGE SGTIN-96                                      │');
+        console.log('  ╰─────────────────────────────────────────────────────────╯');
+        console.log(`     URN: ${encoded.urn}`);
+        console.log(`     Filter: ${encoded.filter}`);
+        console.log(`     Partition: ${encoded.partition}`);
+        console.log(`     EPC (hex): ${encoded.hex}`);
+        console.log(`     Tag URI: ${encoded.tagUri}`);
+    } catch (error) {
+        console.error(`\n❌ Erreur: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Saisie interactive: lignes lues via l'itérateur readline, qui les conserve
+ * (une entrée redirigée depuis un pipe arrive d'un bloc)
+ * ask(question, { hidden }) masque la frappe en terminal (mot de passe)
+ */
+function createPrompt() {
+    const rl = createInterface({ input: process.stdin, output: process.stdout, terminal: process.stdin.isTTY });
+    const lines = rl[Symbol.asyncIterator]();
+    let muted = false;
+    const write = rl._writeToOutput.bind(rl);
+    rl._writeToOutput = text => {
+        if (!muted) write(text);
+    };
+
+    return {
+        async ask(question, { hidden = false } = {}) {
+            process.stdout.write(question);
+            muted = hidden;
+            const { value = '' } = await lines.next();
+            if (muted) process.stdout.write('\n');
+            muted = false;
+            return value.trim();
+        },
+        close: () => rl.close()
+    };
+}
+
+/**
+ * Sous-commandes login / logout: credentials Basic Auth dans le fichier chiffré
+ * (GDSO_CREDENTIALS_FILE, défaut ~/.gdso/credentials.enc; GDSO_CREDENTIALS_PASSPHRASE optionnelle)
+ */
+async function runLogin(args, { remove = false } = {}) {
+    let env = 'testing';
+    let username = null;
+
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--env' && args[i + 1]) {
+            env = args[++i];
+        } else if (args[i] === '--username' && args[i + 1]) {
+            username = args[++i];
+        }
+    }
+
+    try {
+        if (remove) {
+            const path = writeCredentialsFile({ environment: env, credentials: null });
+            console.log(`\n  ✅ Credentials ${env} retirés de ${path}`);
+            return;
+        }
+
+        console.log(`\n  Credentials GDSO ${env.toUpperCase()} (stockés chiffrés AES-256-GCM)`);
+        const input = createPrompt();
+        username = username || await input.ask('  Username: ');
+        const password = await input.ask('  Password: ', { hidden: true });
+        input.close();
+
+        if (!username || !password) {
+            console.error('\n❌ Username et password requis');
+            process.exitCode = 1;
+            return;
+        }
+
+        const path = writeCredentialsFile({ environment: env, credentials: { username, password } });
+        console.log(`\n  ✅ Credentials ${env} enregistrés dans ${path}`);
+        console.log('     Priorité: options > variables d\'environnement > *_FILE > ce fichier');
+    } catch (error) {
+        console.error(`\n❌ Erreur: ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+/**
+ * Liste les variantes d'URL apprises par API fabricant (cache persistant)
+ */
+function runUrlPatterns(args) {
+    const envIndex = args.indexOf('--env');
+    const env = envIndex >= 0 && args[envIndex + 1] ? args[envIndex + 1] : 'testing';
+    const service = new GdsoService({ environment: env, verbose: false, verifyTokens: false });
+    const patterns = service.getLearnedUrlPatterns();
+
+    console.log(`\n  Variantes d'URL apprises (${env}): ${patterns.length}`);
+    if (!process.env.GDSO_CACHE_DIR) {
+        console.log('  (GDSO_CACHE_DIR non défini: rien n\'est conservé entre deux exécutions)');
+    }
+    for (const entry of patterns) {
+        console.log(`\n     ${entry.baseUrl}`);
+        console.log(`       Fabricant: ${entry.manufacturer}`);
+        console.log(`       Pattern: ${entry.pattern} (${entry.encoded ? 'SGTIN encodé' : 'SGTIN non encodé'})`);
+        console.log(`       Appris le: ${entry.learnedAt}`);
+    }
+}
+
 // ============================================================================
 // MAIN
 // ============================================================================
@@ -271,7 +527,23 @@ async function main() {
     banner();
 
     const args = process.argv.slice(2);
+
+    if (args[0] === 'encode') {
+        runEncode(args.slice(1));
+        return;
+    }
+    if (args[0] === 'login' || args[0] === 'logout') {
+        await runLogin(args.slice(1), { remove: args[0] === 'logout' });
+        return;
+    }
+    if (args[0] === 'url-patterns') {
+        runUrlPatterns(args.slice(1));
+        return;
+    }
     let env = 'testing';
+    let offline = null;
+    let country;
+    let sso = false;
     let batchFile = null;
     let sgtin = null;
 
@@ -281,24 +553,47 @@ async function main() {
             env = args[++i];
         } else if (args[i] === '--batch' && args[i + 1]) {
             batchFile = args[++i];
-        } else if (args[i].startsWith('urn:epc:id:sgtin:')) {
+        } else if (args[i] === '--country' && args[i + 1]) {
+            country = args[++i];
+        } else if (args[i] === '--offline') {
+            offline = true;
+        } else if (args[i] === '--sso') {
+            sso = true;
+        } else if (isSgtinArg(args[i])) {
             sgtin = args[i];
         }
     }
 
     console.log(`\n  Environnement: ${env.toUpperCase()}`);
+    if (offline) console.log('  Mode: HORS LIGNE (cache uniquement)');
+    if (country) console.log(`  Pays: ${country.toUpperCase()}`);
+
+    const serviceOptions = { environment: env, offline, country };
+
+    if (sso && (batchFile || sgtin)) {
+        serviceOptions.userTokens = await loginSso(env);
+    }
 
     if (batchFile) {
-        await processBatch(batchFile, env);
+        await processBatch(batchFile, serviceOptions);
     } else if (sgtin) {
-        await processOne(sgtin, env);
+        await processOne(sgtin, serviceOptions);
     } else {
         console.log('\n  Usage:');
-        console.log('    node gdso.js <sgtin>');
+        console.log('    node gdso.js <sgtin|epc-hex|digital-link|element-string>');
         console.log('    node gdso.js --batch <file>');
         console.log('    node gdso.js --env production <sgtin>');
+        console.log('    node gdso.js --country FR <sgtin>');
+        console.log('    node gdso.js --offline <sgtin>');
+        console.log('    node gdso.js --sso <sgtin>');
+        console.log('    node gdso.js encode <sgtin> [--filter <0-7>]');
+        console.log('    node gdso.js login [--env production] [--username <user>]');
+        console.log('    node gdso.js logout [--env production]');
+        console.log('    node gdso.js url-patterns [--env production]');
         console.log('\n  Exemple:');
         console.log('    node gdso.js "urn:epc:id:sgtin:086699.0762575.63647563790"');
+        console.log('    node gdso.js 3034257BF7194E4000001A85');
+        console.log('    node gdso.js "https://id.gs1.org/01/00866997625752/21/63647563790"');
         console.log('    node gdso.js --batch "uIIS de test"');
     }
 
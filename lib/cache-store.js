@@ -0,0 +1,278 @@
+/**
+ * Stockage du cache (ONS, données pneu)
+ * - MemoryCacheStore: LRU en mémoire, perdu au redémarrage
+ * - FileCacheStore: LRU en mémoire + journal JSON append-only sur disque,
+ *   rejoué au démarrage et compacté quand il contient trop d'entrées obsolètes
+ *
+ * Les deux implémentations exposent la même interface (CacheStore)
+ *
+ * @module lib/cache-store
+ */
+
+import {
+    existsSync,
+    mkdirSync,
+    readFileSync,
+    writeFileSync,
+    appendFileSync,
+    renameSync
+} from 'node:fs';
+import { join } from 'node:path';
+import { LRUCache } from './utils.js';
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => any} get - Valeur ou undefined (absente / expirée)
+ * @property {(key: string, value: any, ttlMs?: number) => void} set - Stocke une valeur JSON-sérialisable
+ * @property {(key: string) => boolean} has
+ * @property {(key: string) => boolean} delete
+ * @property {() => void} clear
+ * @property {number} size
+ * @property {() => Iterable<[string, any]>} entries - Paires [clé, valeur] non expirées
+ * @property {() => Object} stats
+ * @property {() => void} close - Libère les ressources
+ */
+
+/**
+ * @typedef {Object} CacheStoreOptions
+ * @property {string} [dir] - Répertoire du journal (absent = cache en mémoire)
+ * @property {string} [name='cache'] - Nom du journal (<dir>/<name>.jsonl)
+ * @property {number} [maxSize=100] - Nombre max d'entrées
+ * @property {number} [ttlMs=3600000] - TTL par défaut
+ * @property {number} [compactThreshold=1000] - Taille minimale du journal avant compaction
+ * @property {(error: Error) => void} [onError] - Erreur d'ouverture ou d'écriture du journal (le cache reste utilisable en mémoire)
+ */
+
+// ============================================================================
+// MÉMOIRE
+// ============================================================================
+
+/**
+ * Cache en mémoire (LRU avec TTL)
+ */
+export class MemoryCacheStore extends LRUCache {
+    /**
+     * @param {CacheStoreOptions} [options]
+     */
+    constructor(options = {}) {
+        super(options);
+        this.type = 'memory';
+    }
+
+    /**
+     * Entrées non expirées, sans modifier l'ordre LRU
+     * @returns {Generator<[string, any]>}
+     */
+    *entries() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.expiry > now) yield [key, entry.value];
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    stats() {
+        return { type: this.type, ...super.stats() };
+    }
+
+    /**
+     * Rien à libérer en mémoire
+     */
+    close() {}
+}
+
+// ============================================================================
+// FICHIER (JOURNAL APPEND-ONLY)
+// ============================================================================
+
+/**
+ * Cache persistant: chaque écriture ajoute une ligne JSON au journal
+ *   {"op":"set","key":"...","value":...,"expiry":1700000000000}
+ *   {"op":"delete","key":"..."}
+ *
+ * Au démarrage le journal est rejoué (entrées expirées et lignes illisibles
+ * ignorées, ex: écriture interrompue par un arrêt brutal). La compaction
+ * réécrit les seules entrées vivantes dans un fichier temporaire puis le
+ * renomme, pour qu'un arrêt pendant la compaction ne perde pas le cache
+ * Un répertoire ou un journal inaccessible à l'ouverture (droits, chemin invalide)
+ * est signalé à onError: le store fonctionne alors en mémoire seule
+ */
+export class FileCacheStore extends MemoryCacheStore {
+    /**
+     * @param {CacheStoreOptions & {dir: string}} options
+     */
+    constructor(options) {
+        super(options);
+        this.type = 'file';
+        this.path = join(options.dir, `${options.name || 'cache'}.jsonl`);
+        this.compactThreshold = options.compactThreshold || 1000;
+        this.onError = options.onError || null;
+        /** Lignes actuellement dans le journal */
+        this.logEntries = 0;
+        /** Lignes illisibles ignorées au chargement */
+        this.corruptedEntries = 0;
+        /** Journal ouvert (false: mémoire seule, plus aucune écriture tentée) */
+        this.persistent = true;
+
+        try {
+            mkdirSync(options.dir, { recursive: true });
+            this._load();
+        } catch (error) {
+            this.persistent = false;
+            this.onError?.(error);
+        }
+    }
+
+    /**
+     * @param {string} key
+     * @param {any} value - Valeur JSON-sérialisable
+     * @param {number} [ttlMs]
+     */
+    set(key, value, ttlMs = this.ttlMs) {
+        super.set(key, value, ttlMs);
+        this._append({ op: 'set', key, value, expiry: this.cache.get(key).expiry });
+    }
+
+    /**
+     * @param {string} key
+     * @returns {boolean}
+     */
+    delete(key) {
+        const deleted = super.delete(key);
+        if (deleted) this._append({ op: 'delete', key });
+        return deleted;
+    }
+
+    /**
+     * Vide le cache et le journal
+     */
+    clear() {
+        super.clear();
+        this._write('');
+        this.logEntries = 0;
+    }
+
+    /**
+     * Réécrit le journal avec les seules entrées vivantes
+     */
+    compact() {
+        const now = Date.now();
+        const lines = [];
+        for (const [key, entry] of this.cache) {
+            if (now > entry.expiry) {
+                this.cache.delete(key);
+                continue;
+            }
+            lines.push(JSON.stringify({ op: 'set', key, value: entry.value, expiry: entry.expiry }));
+        }
+
+        if (this._write(lines.length ? `${lines.join('\n')}\n` : '')) {
+            this.logEntries = lines.length;
+        }
+    }
+
+    /**
+     * @returns {Object}
+     */
+    stats() {
+        return {
+            ...super.stats(),
+            path: this.path,
+            persistent: this.persistent,
+            logEntries: this.logEntries,
+            corruptedEntries: this.corruptedEntries
+        };
+    }
+
+    /**
+     * Rejoue le journal existant
+     * @private
+     */
+    _load() {
+        if (!existsSync(this.path)) return;
+
+        const now = Date.now();
+        const lines = readFileSync(this.path, 'utf8').split('\n').filter(Boolean);
+
+        for (const line of lines) {
+            let record;
+            try {
+                record = JSON.parse(line);
+            } catch {
+                this.corruptedEntries++;
+                continue;
+            }
+
+            if (record.op === 'set' && record.expiry > now) {
+                // LRUCache.set applique aussi l'éviction maxSize dans l'ordre du journal
+                super.set(record.key, record.value, record.expiry - now);
+                this.cache.get(record.key).expiry = record.expiry;
+            } else if (record.op === 'delete' || record.op === 'set') {
+                super.delete(record.key);
+            }
+        }
+
+        this.logEntries = lines.length;
+        if (this.logEntries > this.size) this.compact();
+    }
+
+    /**
+     * Ajoute une ligne au journal, compacte si nécessaire
+     * @private
+     * @param {Object} record
+     */
+    _append(record) {
+        if (!this.persistent) return;
+        try {
+            appendFileSync(this.path, `${JSON.stringify(record)}\n`);
+            this.logEntries++;
+        } catch (error) {
+            this.onError?.(error);
+            return;
+        }
+
+        if (this.logEntries >= this.compactThreshold && this.logEntries > 2 * this.size) {
+            this.compact();
+        }
+    }
+
+    /**
+     * Remplace atomiquement le contenu du journal
+     * @private
+     * @param {string} content
+     * @returns {boolean} true si écrit
+     */
+    _write(content) {
+        if (!this.persistent) return false;
+        const tmp = `${this.path}.tmp`;
+        try {
+            writeFileSync(tmp, content);
+            renameSync(tmp, this.path);
+            return true;
+        } catch (error) {
+            this.onError?.(error);
+            return false;
+        }
+    }
+}
+
+// ============================================================================
+// FACTORY
+// ============================================================================
+
+/**
+ * Crée un store: fichier si options.dir est fourni, mémoire sinon
+ * @param {CacheStoreOptions} [options]
+ * @returns {CacheStore}
+ */
+export function createCacheStore(options = {}) {
+    return options.dir ? new FileCacheStore(options) : new MemoryCacheStore(options);
+}
+
+export default {
+    MemoryCacheStore,
+    FileCacheStore,
+    createCacheStore
+};
@@ -0,0 +1,224 @@
+/**
+ * Protection des API fabricant: disjoncteur et limiteur de débit par URL de base
+ * Une API qui ne répond plus (timeouts, 5xx) ouvre son circuit: les appels échouent
+ * immédiatement (CircuitOpenError) jusqu'à resetTimeoutMs, puis un seul appel d'essai
+ * (half-open) décide de la fermeture ou d'une nouvelle ouverture
+ * Le token bucket étale les appels au débit configuré (attente, sans échec)
+ *
+ * Seuils par défaut: MANUFACTURER_API (lib/config.js), surchargés par les entrées
+ * de MANUFACTURERS (circuitBreaker, rateLimit; null = désactivé)
+ *
+ * @module lib/circuit-breaker
+ */
+
+import { MANUFACTURER_API } from './config.js';
+import { sleep } from './utils.js';
+
+/**
+ * États du disjoncteur
+ * @enum {string}
+ */
+export const CircuitState = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+// ============================================================================
+// DISJONCTEUR
+// ============================================================================
+
+/**
+ * Disjoncteur closed → open (failureThreshold échecs consécutifs) → half-open
+ * (après resetTimeoutMs, un appel d'essai) → closed ou open
+ */
+export class CircuitBreaker {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.failureThreshold] - Échecs consécutifs avant ouverture
+     * @param {number} [options.resetTimeoutMs] - Durée d'ouverture avant l'appel d'essai
+     */
+    constructor(options = {}) {
+        this.failureThreshold = options.failureThreshold ?? MANUFACTURER_API.circuitBreaker.failureThreshold;
+        this.resetTimeoutMs = options.resetTimeoutMs ?? MANUFACTURER_API.circuitBreaker.resetTimeoutMs;
+
+        /** @type {CircuitState} */
+        this.state = CircuitState.CLOSED;
+        /** Échecs consécutifs */
+        this.failures = 0;
+        /** @type {number|null} Prochain appel autorisé (timestamp ms) si le circuit n'est pas fermé */
+        this.retryAt = null;
+        // Appel d'essai en cours (half-open)
+        this._probing = false;
+    }
+
+    /**
+     * Instant du prochain appel autorisé, sans changer d'état
+     * @param {number} [now=Date.now()]
+     * @returns {number|null} null si un appel est autorisé maintenant
+     */
+    blockedUntil(now = Date.now()) {
+        if (this.state === CircuitState.OPEN && now < this.retryAt) return this.retryAt;
+        if (this.state === CircuitState.HALF_OPEN && this._probing) return this.retryAt;
+        return null;
+    }
+
+    /**
+     * Réserve un appel; un circuit ouvert dont le délai est écoulé passe en
+     * half-open et laisse passer cet appel seul
+     * Chaque appel réservé doit être suivi de onSuccess ou onFailure
+     * @param {number} [now=Date.now()]
+     * @returns {number|null} null si l'appel est autorisé, sinon l'instant du prochain essai
+     */
+    tryAcquire(now = Date.now()) {
+        const blocked = this.blockedUntil(now);
+        if (blocked) return blocked;
+
+        if (this.state !== CircuitState.CLOSED) {
+            // Si l'essai reste sans réponse, les autres appels attendent au plus un nouveau délai
+            this.state = CircuitState.HALF_OPEN;
+            this.retryAt = now + this.resetTimeoutMs;
+            this._probing = true;
+        }
+        return null;
+    }
+
+    /**
+     * L'API a répondu: circuit fermé
+     */
+    onSuccess() {
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.retryAt = null;
+        this._probing = false;
+    }
+
+    /**
+     * Échec (timeout, erreur réseau, 5xx, 429): ouverture au seuil, ou si l'essai échoue
+     * @param {number} [now=Date.now()]
+     */
+    onFailure(now = Date.now()) {
+        this.failures++;
+        if (this.state === CircuitState.HALF_OPEN || this.failures >= this.failureThreshold) {
+            this.state = CircuitState.OPEN;
+            this.retryAt = now + this.resetTimeoutMs;
+            this._probing = false;
+        }
+    }
+}
+
+// ============================================================================
+// LIMITEUR DE DÉBIT
+// ============================================================================
+
+/**
+ * Token bucket: burst jetons, rechargés à requestsPerSecond
+ * Un jeton manquant est réservé d'avance: les appelants attendent leur tour
+ */
+export class TokenBucket {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.requestsPerSecond] - Débit moyen
+     * @param {number} [options.burst] - Capacité (appels enchaînés sans attente)
+     */
+    constructor(options = {}) {
+        this.requestsPerSecond = options.requestsPerSecond ?? MANUFACTURER_API.rateLimit.requestsPerSecond;
+        this.burst = options.burst ?? MANUFACTURER_API.rateLimit.burst;
+        this.tokens = this.burst;
+        this._updatedAt = Date.now();
+    }
+
+    /**
+     * Prend un jeton
+     * @param {number} [now=Date.now()]
+     * @returns {number} Attente en ms avant de pouvoir l'utiliser (0 = immédiat)
+     */
+    reserve(now = Date.now()) {
+        const perMs = this.requestsPerSecond / 1000;
+        this.tokens = Math.min(this.burst, this.tokens + (now - this._updatedAt) * perMs);
+        this._updatedAt = now;
+        this.tokens--;
+        return this.tokens >= 0 ? 0 : Math.ceil(-this.tokens / perMs);
+    }
+
+    /**
+     * Attend un jeton
+     * @returns {Promise<void>}
+     */
+    async acquire() {
+        const waitMs = this.reserve();
+        if (waitMs) await sleep(waitMs);
+    }
+}
+
+// ============================================================================
+// REGISTRE PAR API
+// ============================================================================
+
+/**
+ * @typedef {Object} ApiGuard
+ * @property {string} baseUrl - URL de base normalisée de l'API
+ * @property {string} manufacturer - Nom du fabricant
+ * @property {CircuitBreaker|null} breaker - null si désactivé (circuitBreaker: null)
+ * @property {TokenBucket|null} bucket - null si désactivé (rateLimit: null)
+ */
+
+/**
+ * Disjoncteur et limiteur de chaque API fabricant (créés au premier appel)
+ */
+export class ApiGuardRegistry {
+    constructor() {
+        /** @type {Map<string, ApiGuard>} */
+        this.guards = new Map();
+    }
+
+    /**
+     * Protection d'une API, configurée par l'entrée MANUFACTURERS du fabricant
+     * @param {string} baseUrl - URL de base normalisée (voir normalizeBaseUrl)
+     * @param {Object} manufacturer - Config du fabricant
+     * @returns {ApiGuard}
+     */
+    get(baseUrl, manufacturer) {
+        let guard = this.guards.get(baseUrl);
+        if (!guard) {
+            guard = {
+                baseUrl,
+                manufacturer: manufacturer.name,
+                breaker: manufacturer.circuitBreaker === null
+                    ? null
+                    : new CircuitBreaker({ ...MANUFACTURER_API.circuitBreaker, ...manufacturer.circuitBreaker }),
+                bucket: manufacturer.rateLimit === null
+                    ? null
+                    : new TokenBucket({ ...MANUFACTURER_API.rateLimit, ...manufacturer.rateLimit })
+            };
+            this.guards.set(baseUrl, guard);
+        }
+        return guard;
+    }
+
+    /**
+     * État des disjoncteurs
+     * @returns {Array<{baseUrl: string, manufacturer: string, state: CircuitState, failures: number, retryAt: string|null}>}
+     */
+    getStates() {
+        const states = [];
+        for (const { baseUrl, manufacturer, breaker } of this.guards.values()) {
+            if (!breaker) continue;
+            states.push({
+                baseUrl,
+                manufacturer,
+                state: breaker.state,
+                failures: breaker.failures,
+                retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null
+            });
+        }
+        return states;
+    }
+}
+
+export default {
+    CircuitState,
+    CircuitBreaker,
+    TokenBucket,
+    ApiGuardRegistry
+};
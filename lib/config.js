@@ -4,6 +4,16 @@
  * Supporte les environnements Testing et Production
  */
 
+/**
+ * Résolveurs NAPTR par défaut, essayés dans l'ordre (voir lib/dns-resolver.js)
+ * Le résolveur système passe en premier: certains réseaux bloquent les DoH publics
+ */
+const DEFAULT_ONS_RESOLVERS = [
+    { type: 'native' },                                                 // node:dns (résolveur système)
+    { type: 'doh-wire', url: 'https://cloudflare-dns.com/dns-query' },  // RFC 8484
+    { type: 'doh-json', url: 'https://dns.google/resolve' }             // DoH JSON
+];
+
 export const ENVIRONMENTS = {
     testing: {
         name: 'Testing',
@@ -22,12 +32,13 @@ export const ENVIRONMENTS = {
                 userPoolId: 'eu-central-1_yIbrF9hG3'
             },
 
-            // JWKS pour validation des tokens
+            // JWKS pour validation des tokens (signature RS256, voir lib/jwks.js)
+            issuer: 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_yIbrF9hG3',
             jwksUrl: 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_yIbrF9hG3/.well-known/jwks.json'
         },
         ons: {
             suffix: 'gtin.gs1.id.testing.gdso.org',
-            dnsResolver: 'https://dns.google/resolve'
+            resolvers: DEFAULT_ONS_RESOLVERS
         }
     },
     production: {
@@ -46,12 +57,13 @@ export const ENVIRONMENTS = {
                 openIdConfig: 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_X79w26IDV/.well-known/openid-configuration'
             },
 
-            // JWKS pour validation des tokens
+            // JWKS pour validation des tokens (signature RS256, voir lib/jwks.js)
+            issuer: 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_X79w26IDV',
             jwksUrl: 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_X79w26IDV/.well-known/jwks.json'
         },
         ons: {
             suffix: 'gtin.gs1.id.gdso.org',
-            dnsResolver: 'https://dns.google/resolve'
+            resolvers: DEFAULT_ONS_RESOLVERS
         }
     }
 };
@@ -72,6 +84,90 @@ export const TIMEOUTS = {
     dns: 5000         // 5 secondes pour le DNS
 };
 
+/**
+ * Cache ONS: TTL des enregistrements NAPTR borné par ces limites (en ms)
+ */
+export const ONS_CACHE = {
+    maxSize: 500,
+    defaultTtlMs: 3600000,    // 1 heure si le backend ne fournit pas de TTL
+    minTtlMs: 60000,          // 1 minute minimum
+    maxTtlMs: 86400000,       // 24 heures maximum
+    negativeTtlMs: 300000     // 5 minutes max pour NXDOMAIN / réponse vide
+};
+
+/**
+ * Cache des données pneu (clé: URN SGTIN)
+ * Au-delà de ttlMs l'entrée est servie comme périmée (stale) et rafraîchie en
+ * arrière-plan; elle est conservée jusqu'à maxStaleMs (dernière donnée connue)
+ */
+export const TIRE_CACHE = {
+    maxSize: 5000,
+    ttlMs: 86400000,          // 24 heures
+    maxStaleMs: 30 * 86400000 // 30 jours
+};
+
+/**
+ * Catalogue produit (clé: GTIN-14), partagé par tous les pneus d'un même GTIN
+ */
+export const PRODUCT_CACHE = {
+    maxSize: 5000,
+    ttlMs: 7 * 86400000,      // 7 jours
+    maxStaleMs: 30 * 86400000 // 30 jours
+};
+
+/**
+ * Variantes d'URL apprises (clé: URL de base de l'API fabricant)
+ * Pattern et encodage ayant répondu, essayés en premier aux appels suivants
+ */
+export const URL_PATTERN_CACHE = {
+    maxSize: 500,
+    ttlMs: 30 * 86400000      // 30 jours (réappris dès qu'une autre variante répond)
+};
+
+/**
+ * Exécution des batchs (voir lib/scheduler.js)
+ * Appels ONS et API simultanés, au total et par fabricant
+ */
+export const BATCH = {
+    concurrency: 8,           // Défaut de GDSO_BATCH_CONCURRENCY
+    perManufacturer: 2        // Défaut de GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER
+};
+
+/**
+ * Protection des API fabricant, par URL de base (voir lib/circuit-breaker.js)
+ * Valeurs par défaut, surchargeables dans chaque entrée de MANUFACTURERS
+ * (circuitBreaker, rateLimit; null = désactivé)
+ */
+export const MANUFACTURER_API = {
+    circuitBreaker: {
+        failureThreshold: 5,      // Échecs consécutifs (timeout, réseau, 5xx, 429) avant ouverture
+        resetTimeoutMs: 60000     // Circuit ouvert 1 minute, puis un appel d'essai (half-open)
+    },
+    rateLimit: {
+        requestsPerSecond: 10,    // Débit moyen (token bucket)
+        burst: 20                 // Appels enchaînés sans attente
+    }
+};
+
+/**
+ * Connexion OpenID Connect (authorization code + PKCE, voir lib/oidc.js)
+ */
+export const OIDC = {
+    loopbackPort: 8976,       // Redirection CLI http://localhost:8976/callback (à déclarer dans Cognito)
+    loginTimeoutMs: 300000,   // 5 minutes pour se connecter dans le navigateur
+    userSessions: 1000,       // Instances utilisateur conservées par service (forUser, LRU par sub)
+    userSessionTtlMs: 3600000 // Recréées après 1 heure (les stores de cache sont conservés)
+};
+
+/**
+ * Vérification des tokens GDSO (JWKS Cognito)
+ */
+export const JWKS = {
+    cacheTtlMs: 3600000,          // Clés conservées 1 heure
+    minRefreshIntervalMs: 60000,  // kid inconnu: au plus un rechargement par minute
+    clockToleranceSec: 60         // Tolérance d'horloge sur exp / nbf
+};
+
 /**
  * Configuration du retry
  */
@@ -80,3 +176,10 @@ export const RETRY = {
     delayMs: 1000,
     backoffMultiplier: 2
 };
+
+/**
+ * Configuration GS1 Digital Link
+ */
+export const DIGITAL_LINK = {
+    resolver: 'https://id.gs1.org'   // Resolver GS1 global
+};
@@ -0,0 +1,286 @@
+/**
+ * Credentials GDSO (Basic Auth system-to-system) - Chaîne de fournisseurs
+ * - options:   username/password passés explicitement
+ * - env:       GDSO_USERNAME / GDSO_PASSWORD (GDSO_PROD_* en production)
+ * - file:      GDSO_USERNAME_FILE / GDSO_PASSWORD_FILE... (secrets Docker/Kubernetes)
+ * - encrypted: fichier local chiffré AES-256-GCM, géré par `node gdso.js login`
+ * Chaque champ provient du premier fournisseur qui le définit; seule la
+ * provenance est journalisée, jamais les valeurs
+ *
+ * @module lib/credentials
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, renameSync, existsSync } from 'node:fs';
+import { homedir, hostname, userInfo } from 'node:os';
+import { dirname, join } from 'node:path';
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from 'node:crypto';
+import { CredentialsFileError } from './errors.js';
+
+/**
+ * @typedef {Object} Credentials
+ * @property {string|undefined} username
+ * @property {string|undefined} password
+ */
+
+/**
+ * @typedef {Object} CredentialProvider
+ * @property {string} name - Nom rapporté comme provenance (options, env, file, encrypted)
+ * @property {function(string): Partial<Credentials>|null} resolve - Credentials d'un environnement
+ */
+
+/**
+ * @typedef {Object} ResolvedCredentials
+ * @property {string|undefined} username
+ * @property {string|undefined} password
+ * @property {{username: string|null, password: string|null}} sources - Fournisseur de chaque champ
+ * @property {string[]} warnings - Fournisseurs en échec (fichier illisible, déchiffrement impossible)
+ */
+
+/**
+ * Fichier chiffré par défaut (surchargé par GDSO_CREDENTIALS_FILE)
+ */
+export const DEFAULT_CREDENTIALS_FILE = join(homedir(), '.gdso', 'credentials.enc');
+
+/**
+ * Variables d'environnement d'un environnement GDSO
+ * @param {string} environment
+ */
+function envNames(environment) {
+    const prefix = environment === 'production' ? 'GDSO_PROD_' : 'GDSO_';
+    return { username: `${prefix}USERNAME`, password: `${prefix}PASSWORD` };
+}
+
+// ============================================================================
+// FOURNISSEURS
+// ============================================================================
+
+/**
+ * Credentials passés explicitement (options du service, reloadCredentials)
+ * @param {Partial<Credentials>} [options={}]
+ * @returns {CredentialProvider}
+ */
+export function createOptionsProvider(options = {}) {
+    return {
+        name: 'options',
+        resolve: () => ({ username: options.username, password: options.password })
+    };
+}
+
+/**
+ * Variables d'environnement GDSO_USERNAME / GDSO_PASSWORD (GDSO_PROD_* en production)
+ * @returns {CredentialProvider}
+ */
+export function createEnvProvider() {
+    return {
+        name: 'env',
+        resolve: environment => {
+            const names = envNames(environment);
+            return { username: process.env[names.username], password: process.env[names.password] };
+        }
+    };
+}
+
+/**
+ * Fichiers désignés par GDSO_USERNAME_FILE / GDSO_PASSWORD_FILE (GDSO_PROD_*_FILE en production)
+ * Convention des secrets Docker (/run/secrets/...) et Kubernetes; saut de ligne final ignoré
+ * @returns {CredentialProvider}
+ */
+export function createFileEnvProvider() {
+    const read = name => {
+        const path = process.env[`${name}_FILE`];
+        if (!path) return undefined;
+        try {
+            return readFileSync(path, 'utf-8').replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new CredentialsFileError(path, `${name}_FILE illisible (${error.code || error.message})`);
+        }
+    };
+
+    return {
+        name: 'file',
+        resolve: environment => {
+            const names = envNames(environment);
+            return { username: read(names.username), password: read(names.password) };
+        }
+    };
+}
+
+/**
+ * Fichier local chiffré (voir writeCredentialsFile)
+ * @param {Object} [options]
+ * @param {string} [options.path] - Défaut: GDSO_CREDENTIALS_FILE, puis ~/.gdso/credentials.enc
+ * @param {string} [options.passphrase] - Défaut: GDSO_CREDENTIALS_PASSPHRASE, puis clé liée à la machine
+ * @returns {CredentialProvider}
+ */
+export function createEncryptedFileProvider(options = {}) {
+    return {
+        name: 'encrypted',
+        resolve: environment => {
+            const path = options.path || process.env.GDSO_CREDENTIALS_FILE || DEFAULT_CREDENTIALS_FILE;
+            if (!existsSync(path)) return null;
+            return readCredentialsFile({ path, passphrase: options.passphrase })[environment] || null;
+        }
+    };
+}
+
+/**
+ * Chaîne par défaut: options, env, *_FILE, fichier chiffré
+ * @param {Object} [options={}] - username, password, credentialsFile, credentialsPassphrase
+ * @returns {CredentialProvider[]}
+ */
+export function createDefaultProviders(options = {}) {
+    return [
+        createOptionsProvider(options),
+        createEnvProvider(),
+        createFileEnvProvider(),
+        createEncryptedFileProvider({ path: options.credentialsFile, passphrase: options.credentialsPassphrase })
+    ];
+}
+
+/**
+ * Résout les credentials d'un environnement: chaque champ vient du premier
+ * fournisseur qui le définit. Un fournisseur en échec est ignoré (avertissement)
+ * @param {string} environment - testing / production
+ * @param {CredentialProvider[]} providers - Ordre de priorité
+ * @returns {ResolvedCredentials}
+ */
+export function resolveCredentials(environment, providers) {
+    const resolved = {
+        username: undefined,
+        password: undefined,
+        sources: { username: null, password: null },
+        warnings: []
+    };
+
+    for (const provider of providers) {
+        if (resolved.username && resolved.password) break;
+
+        let values;
+        try {
+            values = provider.resolve(environment);
+        } catch (error) {
+            resolved.warnings.push(`${provider.name}: ${error.message}`);
+            continue;
+        }
+
+        for (const field of ['username', 'password']) {
+            if (!resolved[field] && values?.[field]) {
+                resolved[field] = values[field];
+                resolved.sources[field] = provider.name;
+            }
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Provenance lisible, sans les valeurs (ex: "env", "env (username) + file (password)")
+ * @param {{username: string|null, password: string|null}} sources
+ * @returns {string}
+ */
+export function describeCredentialSources(sources) {
+    const { username, password } = sources;
+    if (!username && !password) return 'aucune';
+    if (username === password) return username;
+    return `${username || 'absent'} (username) + ${password || 'absent'} (password)`;
+}
+
+// ============================================================================
+// FICHIER CHIFFRÉ
+// ============================================================================
+
+/**
+ * Clé AES-256 dérivée (scrypt) de la passphrase, ou à défaut d'un secret lié
+ * à la machine et à l'utilisateur: le fichier copié ailleurs est illisible,
+ * mais un utilisateur local ayant le même compte peut le déchiffrer
+ */
+function deriveKey(passphrase, salt) {
+    const secret = passphrase || process.env.GDSO_CREDENTIALS_PASSPHRASE ||
+                   `gdso:${hostname()}:${userInfo().username}:${homedir()}`;
+    return scryptSync(secret, salt, 32);
+}
+
+/**
+ * Lit et déchiffre le fichier de credentials
+ * @param {{path: string, passphrase?: string}} options
+ * @returns {Object<string, Credentials>} Credentials par environnement
+ * @throws {CredentialsFileError} Fichier illisible, altéré ou mauvaise passphrase
+ */
+export function readCredentialsFile({ path, passphrase }) {
+    let envelope;
+    try {
+        envelope = JSON.parse(readFileSync(path, 'utf-8'));
+    } catch (error) {
+        throw new CredentialsFileError(path, `illisible (${error.code || error.message})`);
+    }
+
+    try {
+        const decipher = createDecipheriv(
+            'aes-256-gcm',
+            deriveKey(passphrase, Buffer.from(envelope.salt, 'base64')),
+            Buffer.from(envelope.iv, 'base64')
+        );
+        decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+        const plain = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]);
+        return JSON.parse(plain.toString('utf-8'));
+    } catch {
+        throw new CredentialsFileError(path, 'déchiffrement impossible (passphrase ou machine différente, fichier altéré)');
+    }
+}
+
+/**
+ * Enregistre (ou retire avec credentials null) les credentials d'un
+ * environnement dans le fichier chiffré; les autres environnements sont conservés
+ * Écriture atomique, fichier 0600 dans un répertoire 0700
+ * @param {Object} options
+ * @param {string} [options.path] - Défaut: GDSO_CREDENTIALS_FILE, puis ~/.gdso/credentials.enc
+ * @param {string} [options.passphrase]
+ * @param {string} options.environment
+ * @param {Credentials|null} options.credentials
+ * @returns {string} Chemin du fichier
+ */
+export function writeCredentialsFile({ path, passphrase, environment, credentials }) {
+    path = path || process.env.GDSO_CREDENTIALS_FILE || DEFAULT_CREDENTIALS_FILE;
+
+    const all = existsSync(path) ? readCredentialsFile({ path, passphrase }) : {};
+    if (credentials) {
+        all[environment] = { username: credentials.username, password: credentials.password };
+    } else {
+        delete all[environment];
+    }
+
+    const salt = randomBytes(16);
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', deriveKey(passphrase, salt), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(all), 'utf-8'), cipher.final()]);
+
+    const envelope = {
+        version: 1,
+        algorithm: 'aes-256-gcm',
+        kdf: 'scrypt',
+        salt: salt.toString('base64'),
+        iv: iv.toString('base64'),
+        tag: cipher.getAuthTag().toString('base64'),
+        data: data.toString('base64')
+    };
+
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 });
+    const tmpPath = `${path}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(envelope, null, 2), { mode: 0o600 });
+    renameSync(tmpPath, path);
+
+    return path;
+}
+
+export default {
+    createOptionsProvider,
+    createEnvProvider,
+    createFileEnvProvider,
+    createEncryptedFileProvider,
+    createDefaultProviders,
+    resolveCredentials,
+    describeCredentialSources,
+    readCredentialsFile,
+    writeCredentialsFile
+};
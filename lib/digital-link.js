@@ -0,0 +1,223 @@
+/**
+ * Conversions GS1 Digital Link / element string ↔ SGTIN
+ * Codes DataMatrix/QR du flanc: https://id.gs1.org/01/<gtin>/21/<serial> ou (01)<gtin>(21)<serial>
+ *
+ * @module lib/digital-link
+ */
+
+import { DIGITAL_LINK } from './config.js';
+import { MANUFACTURERS } from './manufacturers.js';
+import { parseSgtin, decodeSerial, normalizeGtin, sgtinToGtin14 } from './sgtin.js';
+import { SgtinParseError } from './errors.js';
+
+/**
+ * Caractères GS1 AI 21 à échapper dans une URN EPC (TDS §5)
+ */
+const URN_ESCAPED_CHARS = { '"': '%22', '%': '%25', '&': '%26', '/': '%2F', '<': '%3C', '>': '%3E', '?': '%3F' };
+
+/**
+ * Caractère séparateur GS (FNC1) des element strings non parenthésés
+ */
+const GROUP_SEPARATOR = '\x1D';
+
+// ============================================================================
+// DÉTECTION
+// ============================================================================
+
+/**
+ * Vérifie si une valeur est une URI GS1 Digital Link contenant un GTIN
+ * @param {string} value - Valeur à tester
+ * @returns {boolean}
+ */
+export function isDigitalLink(value) {
+    return typeof value === 'string' && /^https?:\/\/[^/]+\/(?:.*\/)?01\/\d{8,14}(?:\/|\?|$)/.test(value.trim());
+}
+
+/**
+ * Vérifie si une valeur est un element string GS1 (AI 01)
+ * Formes: (01)...(21)... ou brute 01...21... (avec identifiant de symbologie ]d2/]Q3 optionnel)
+ * @param {string} value - Valeur à tester
+ * @returns {boolean}
+ */
+export function isElementString(value) {
+    return typeof value === 'string' && /^(?:\][A-Za-z]\d)?(?:\(01\)|01\d{14})/.test(value.trim());
+}
+
+// ============================================================================
+// ENTRÉE → SGTIN
+// ============================================================================
+
+/**
+ * Détermine la longueur du company prefix d'un GTIN-14 via la table MANUFACTURERS
+ * Le plus long préfixe connu l'emporte
+ * @param {string} gtin14 - GTIN-14
+ * @returns {number|null} Longueur du company prefix ou null si inconnu
+ */
+export function findCompanyPrefixLength(gtin14) {
+    const digits = gtin14.substring(1);
+    let best = null;
+
+    for (const prefix of Object.keys(MANUFACTURERS)) {
+        if (digits.startsWith(prefix) && (best === null || prefix.length > best)) {
+            best = prefix.length;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Construit l'URN SGTIN à partir d'un GTIN et d'un serial GS1
+ * @param {string} gtin - GTIN-8/12/13/14
+ * @param {string} serial - Serial GS1 (AI 21, non échappé)
+ * @param {Object} [options]
+ * @param {number} [options.companyPrefixLength] - Longueur du company prefix (sinon MANUFACTURERS)
+ * @returns {string} URN pure identity
+ * @throws {SgtinParseError} Si le GTIN, le serial ou le company prefix sont invalides
+ */
+export function gtinSerialToSgtinUrn(gtin, serial, options = {}) {
+    const gtin14 = normalizeGtin(gtin);
+
+    if (!serial) {
+        throw new SgtinParseError(gtin, 'Serial (AI 21) manquant');
+    }
+
+    const prefixLength = options.companyPrefixLength ?? findCompanyPrefixLength(gtin14);
+    if (!prefixLength || prefixLength < 6 || prefixLength > 12) {
+        throw new SgtinParseError(
+            gtin14,
+            'Company prefix inconnu: impossible de découper le GTIN (ajouter le fabricant dans MANUFACTURERS)'
+        );
+    }
+
+    const companyPrefix = gtin14.substring(1, 1 + prefixLength);
+    const indicatorItemRef = gtin14[0] + gtin14.substring(1 + prefixLength, 13);
+
+    // parseSgtin valide le jeu de caractères et la longueur du serial
+    return parseSgtin(`urn:epc:id:sgtin:${companyPrefix}.${indicatorItemRef}.${escapeSerial(serial)}`).urn;
+}
+
+/**
+ * Parse une URI GS1 Digital Link (chemin /01/<gtin>/21/<serial>)
+ * @param {string} uri - URI Digital Link
+ * @param {Object} [options] - Options (voir gtinSerialToSgtinUrn)
+ * @returns {import('./sgtin.js').ParsedSgtin}
+ * @throws {SgtinParseError} Si l'URI est invalide ou sans serial
+ */
+export function parseDigitalLink(uri, options = {}) {
+    let url;
+    try {
+        url = new URL(uri.trim());
+    } catch {
+        throw new SgtinParseError(String(uri), 'URI Digital Link invalide');
+    }
+
+    const match = url.pathname.match(/\/01\/(\d{8,14})\/21\/([^/]+)/);
+    if (!match) {
+        throw new SgtinParseError(uri, 'Digital Link sérialisé attendu: /01/<gtin>/21/<serial>');
+    }
+
+    let serial;
+    try {
+        serial = decodeURIComponent(match[2]);
+    } catch {
+        throw new SgtinParseError(uri, 'Serial Digital Link mal encodé');
+    }
+
+    const urn = gtinSerialToSgtinUrn(match[1], serial, options);
+    return { ...parseSgtin(urn), format: 'digital-link' };
+}
+
+/**
+ * Parse un element string GS1 (01)<gtin>(21)<serial> ou sa forme brute avec séparateurs GS
+ * @param {string} value - Element string
+ * @param {Object} [options] - Options (voir gtinSerialToSgtinUrn)
+ * @returns {import('./sgtin.js').ParsedSgtin}
+ * @throws {SgtinParseError} Si l'element string est invalide ou sans serial
+ */
+export function parseElementString(value, options = {}) {
+    const input = value.trim().replace(/^\][A-Za-z]\d/, '');
+    const elements = {};
+
+    if (input.startsWith('(')) {
+        const regex = /\((\d{2,4})\)([^(]*)/g;
+        let match;
+        let consumed = 0;
+        while ((match = regex.exec(input)) !== null) {
+            if (match.index !== consumed) break;
+            elements[match[1]] = match[2];
+            consumed = regex.lastIndex;
+        }
+        if (consumed !== input.length) {
+            throw new SgtinParseError(value, 'Element string mal formé');
+        }
+    } else {
+        // Forme brute: AI 01 longueur fixe (14), AI 21 variable jusqu'au GS ou fin
+        let rest = input;
+        while (rest.length) {
+            const ai = rest.substring(0, 2);
+            if (ai === '01') {
+                elements['01'] = rest.substring(2, 16);
+                rest = rest.substring(16);
+            } else if (ai === '21') {
+                const end = rest.indexOf(GROUP_SEPARATOR);
+                elements['21'] = end === -1 ? rest.substring(2) : rest.substring(2, end);
+                rest = end === -1 ? '' : rest.substring(end);
+            } else {
+                throw new SgtinParseError(value, `AI ${ai} non supporté dans un element string brut`);
+            }
+            if (rest.startsWith(GROUP_SEPARATOR)) rest = rest.substring(1);
+        }
+    }
+
+    if (!elements['01'] || elements['01'].length !== 14) {
+        throw new SgtinParseError(value, 'AI (01) GTIN-14 manquant ou invalide');
+    }
+
+    const urn = gtinSerialToSgtinUrn(elements['01'], elements['21'], options);
+    return { ...parseSgtin(urn), format: 'element-string' };
+}
+
+// ============================================================================
+// SGTIN → SORTIE
+// ============================================================================
+
+/**
+ * Génère l'URI GS1 Digital Link d'un SGTIN
+ * @param {import('./sgtin.js').ParsedSgtin} parsed - SGTIN parsé
+ * @param {string} [resolver] - Domaine du resolver (défaut: id.gs1.org)
+ * @returns {string}
+ */
+export function sgtinToDigitalLink(parsed, resolver = DIGITAL_LINK.resolver) {
+    const base = resolver.endsWith('/') ? resolver.slice(0, -1) : resolver;
+    return `${base}/01/${sgtinToGtin14(parsed)}/21/${encodeURIComponent(decodeSerial(parsed.serialNumber))}`;
+}
+
+/**
+ * Génère l'element string GS1 d'un SGTIN: (01)<gtin-14>(21)<serial>
+ * @param {import('./sgtin.js').ParsedSgtin} parsed - SGTIN parsé
+ * @returns {string}
+ */
+export function sgtinToElementString(parsed) {
+    return `(01)${sgtinToGtin14(parsed)}(21)${decodeSerial(parsed.serialNumber)}`;
+}
+
+/**
+ * Échappe un serial GS1 pour l'URN EPC
+ * @param {string} serial - Serial GS1 non échappé
+ * @returns {string}
+ */
+function escapeSerial(serial) {
+    return serial.replace(/["%&/<>?]/g, char => URN_ESCAPED_CHARS[char]);
+}
+
+export default {
+    isDigitalLink,
+    isElementString,
+    findCompanyPrefixLength,
+    gtinSerialToSgtinUrn,
+    parseDigitalLink,
+    parseElementString,
+    sgtinToDigitalLink,
+    sgtinToElementString
+};
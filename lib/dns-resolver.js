@@ -0,0 +1,318 @@
+/**
+ * Résolution NAPTR pour l'ONS GDSO - Backends interchangeables
+ * - native:   node:dns resolveNaptr (résolveur système ou serveurs explicites)
+ * - doh-wire: DNS-over-HTTPS format binaire (RFC 8484)
+ * - doh-json: DNS-over-HTTPS JSON (Google, Cloudflare...)
+ * Les backends sont chaînés dans l'ordre configuré (failover)
+ *
+ * @module lib/dns-resolver
+ */
+
+import { Resolver } from 'node:dns/promises';
+import { TIMEOUTS } from './config.js';
+import { encodeQuery, decodeMessage, RR_TYPE, RCODE } from './dns-wire.js';
+import { DnsResolutionError } from './errors.js';
+
+/**
+ * @typedef {Object} NaptrRecord
+ * @property {number} order - Ordre (RFC 3403)
+ * @property {number} preference - Préférence
+ * @property {string} flags - Drapeaux (ex: "u")
+ * @property {string} service - Service (ex: "GetTireBySgtin")
+ * @property {string} regexp - Expression de substitution (ex: "!^.*$!https://...!")
+ * @property {string} replacement - Remplacement ("." si aucun)
+ * @property {number|null} ttl - TTL en secondes (null si le backend ne le fournit pas)
+ */
+
+/**
+ * @typedef {Object} NaptrAnswer
+ * @property {'NOERROR'|'NXDOMAIN'} status - Réponse DNS
+ * @property {NaptrRecord[]} records - Enregistrements NAPTR (vide si NXDOMAIN)
+ * @property {number|null} negativeTtl - TTL négatif du SOA (RFC 2308) si fourni
+ * @property {string} resolver - Nom du backend ayant répondu
+ */
+
+/**
+ * @typedef {Object} ResolverConfig
+ * @property {'native'|'doh-wire'|'doh-json'} type - Backend
+ * @property {string} [name] - Nom pour les logs (défaut: type + url)
+ * @property {string} [url] - Endpoint DoH
+ * @property {'POST'|'GET'} [method='POST'] - Méthode HTTP (doh-wire)
+ * @property {string[]} [servers] - Serveurs DNS explicites (native, ex: ["10.0.0.2", "127.0.0.1:5353"])
+ * @property {number} [timeoutMs] - Timeout par requête
+ */
+
+/**
+ * @typedef {Object} NaptrResolver
+ * @property {string} name - Nom du backend
+ * @property {(fqdn: string) => Promise<NaptrAnswer>} resolveNaptr - Résolution NAPTR
+ */
+
+// ============================================================================
+// BACKEND NATIF (node:dns)
+// ============================================================================
+
+/**
+ * Crée un backend node:dns
+ * Note: resolveNaptr ne remonte pas le TTL (ttl = null)
+ * @param {ResolverConfig} [config]
+ * @returns {NaptrResolver}
+ */
+export function createNativeResolver(config = {}) {
+    const timeoutMs = config.timeoutMs ?? TIMEOUTS.dns;
+    const resolver = new Resolver({ timeout: timeoutMs, tries: 2 });
+    if (config.servers?.length) resolver.setServers(config.servers);
+
+    const name = config.name || (config.servers?.length ? `native(${config.servers.join(',')})` : 'native');
+
+    return {
+        name,
+        async resolveNaptr(fqdn) {
+            try {
+                const records = await resolver.resolveNaptr(fqdn);
+                return {
+                    status: 'NOERROR',
+                    records: records.map(r => ({ ...r, ttl: null })),
+                    negativeTtl: null,
+                    resolver: name
+                };
+            } catch (error) {
+                if (error.code === 'ENOTFOUND') {
+                    return { status: 'NXDOMAIN', records: [], negativeTtl: null, resolver: name };
+                }
+                if (error.code === 'ENODATA') {
+                    return { status: 'NOERROR', records: [], negativeTtl: null, resolver: name };
+                }
+                throw new DnsResolutionError(fqdn, `${name}: ${error.code || error.message}`);
+            }
+        }
+    };
+}
+
+// ============================================================================
+// BACKEND DoH BINAIRE (RFC 8484)
+// ============================================================================
+
+/**
+ * Crée un backend DNS-over-HTTPS au format application/dns-message
+ * @param {ResolverConfig} config - url obligatoire
+ * @returns {NaptrResolver}
+ */
+export function createDohWireResolver(config) {
+    if (!config?.url) throw new TypeError('Résolveur doh-wire: url obligatoire');
+
+    const timeoutMs = config.timeoutMs ?? TIMEOUTS.dns;
+    const method = (config.method || 'POST').toUpperCase();
+    const name = config.name || `doh-wire(${config.url})`;
+
+    return {
+        name,
+        async resolveNaptr(fqdn) {
+            const query = encodeQuery(fqdn, RR_TYPE.NAPTR);
+            const headers = { 'Accept': 'application/dns-message' };
+
+            const response = method === 'GET'
+                ? await fetch(`${config.url}${config.url.includes('?') ? '&' : '?'}dns=${query.toString('base64url')}`, {
+                    headers,
+                    signal: AbortSignal.timeout(timeoutMs)
+                })
+                : await fetch(config.url, {
+                    method: 'POST',
+                    headers: { ...headers, 'Content-Type': 'application/dns-message' },
+                    body: query,
+                    signal: AbortSignal.timeout(timeoutMs)
+                });
+
+            if (!response.ok) {
+                throw new DnsResolutionError(fqdn, `${name}: HTTP ${response.status}`, response.status);
+            }
+
+            let message;
+            try {
+                message = decodeMessage(Buffer.from(await response.arrayBuffer()));
+            } catch (error) {
+                throw new DnsResolutionError(fqdn, `${name}: réponse DNS invalide (${error.message})`);
+            }
+
+            const soa = message.authorities.find(r => r.type === RR_TYPE.SOA);
+            const negativeTtl = soa ? Math.min(soa.ttl, soa.data.minimum) : null;
+
+            if (message.rcode === RCODE.NXDOMAIN) {
+                return { status: 'NXDOMAIN', records: [], negativeTtl, resolver: name };
+            }
+            if (message.rcode !== RCODE.NOERROR) {
+                throw new DnsResolutionError(fqdn, `${name}: RCODE ${rcodeName(message.rcode)}`);
+            }
+
+            const records = message.answers
+                .filter(r => r.type === RR_TYPE.NAPTR)
+                .map(r => ({ ...r.data, ttl: r.ttl }));
+
+            return { status: 'NOERROR', records, negativeTtl, resolver: name };
+        }
+    };
+}
+
+// ============================================================================
+// BACKEND DoH JSON
+// ============================================================================
+
+/**
+ * Crée un backend DNS-over-HTTPS JSON (application/dns-json)
+ * @param {ResolverConfig} config - url obligatoire (ex: https://dns.google/resolve)
+ * @returns {NaptrResolver}
+ */
+export function createDohJsonResolver(config) {
+    if (!config?.url) throw new TypeError('Résolveur doh-json: url obligatoire');
+
+    const timeoutMs = config.timeoutMs ?? TIMEOUTS.dns;
+    const name = config.name || `doh-json(${config.url})`;
+
+    return {
+        name,
+        async resolveNaptr(fqdn) {
+            const separator = config.url.includes('?') ? '&' : '?';
+            const response = await fetch(`${config.url}${separator}name=${encodeURIComponent(fqdn)}&type=NAPTR`, {
+                headers: { 'Accept': 'application/dns-json' },
+                signal: AbortSignal.timeout(timeoutMs)
+            });
+
+            if (!response.ok) {
+                throw new DnsResolutionError(fqdn, `${name}: HTTP ${response.status}`, response.status);
+            }
+
+            const data = await response.json();
+
+            const soa = data.Authority?.find(r => r.type === RR_TYPE.SOA);
+            const soaMinimum = soa ? Number(String(soa.data).trim().split(/\s+/)[6]) : NaN;
+            const negativeTtl = soa && !isNaN(soaMinimum) ? Math.min(soa.TTL, soaMinimum) : null;
+
+            if (data.Status === RCODE.NXDOMAIN) {
+                return { status: 'NXDOMAIN', records: [], negativeTtl, resolver: name };
+            }
+            if (data.Status !== RCODE.NOERROR) {
+                throw new DnsResolutionError(fqdn, `${name}: RCODE ${rcodeName(data.Status)}`);
+            }
+
+            const records = (data.Answer || [])
+                .filter(r => r.type === undefined || r.type === RR_TYPE.NAPTR)
+                .map(r => parseNaptrText(r.data, r.TTL))
+                .filter(Boolean);
+
+            return { status: 'NOERROR', records, negativeTtl, resolver: name };
+        }
+    };
+}
+
+/**
+ * Parse la présentation texte d'un NAPTR, avec ou sans guillemets
+ * ex: 100 10 "u" "GetTireBySgtin" "!^.*$!https://api.example.com!" .
+ * @param {string} text - Champ data DoH JSON
+ * @param {number} [ttl] - TTL
+ * @returns {NaptrRecord|null} null si format non reconnu
+ */
+export function parseNaptrText(text, ttl) {
+    const tokens = [];
+    const regex = /"((?:[^"\\]|\\.)*)"|(\S+)/g;
+    let match;
+    while ((match = regex.exec(String(text ?? ''))) !== null) {
+        tokens.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2]);
+    }
+
+    if (tokens.length !== 6 || !/^\d+$/.test(tokens[0]) || !/^\d+$/.test(tokens[1])) return null;
+
+    const [order, preference, flags, service, regexp, replacement] = tokens;
+    return {
+        order: parseInt(order, 10),
+        preference: parseInt(preference, 10),
+        flags,
+        service,
+        regexp,
+        replacement,
+        ttl: typeof ttl === 'number' ? ttl : null
+    };
+}
+
+// ============================================================================
+// FABRIQUE ET FAILOVER
+// ============================================================================
+
+/**
+ * Crée un backend à partir de sa configuration
+ * @param {ResolverConfig|NaptrResolver} config - Configuration ou backend déjà construit
+ * @param {Object} [defaults] - Valeurs par défaut (ex: timeoutMs)
+ * @returns {NaptrResolver}
+ */
+export function createResolver(config, defaults = {}) {
+    if (typeof config?.resolveNaptr === 'function') return config;
+
+    const merged = { ...defaults, ...config };
+    switch (merged.type) {
+        case 'native': return createNativeResolver(merged);
+        case 'doh-wire': return createDohWireResolver(merged);
+        case 'doh-json': return createDohJsonResolver(merged);
+        default:
+            throw new TypeError(`Type de résolveur inconnu: ${merged.type} (native, doh-wire, doh-json)`);
+    }
+}
+
+/**
+ * Crée une chaîne de résolveurs essayés dans l'ordre
+ * Une réponse DNS (y compris NXDOMAIN ou vide) fait autorité et arrête la chaîne;
+ * seules les erreurs de transport (timeout, HTTP, SERVFAIL...) passent au suivant
+ * @param {Array<ResolverConfig|NaptrResolver>} configs - Résolveurs ordonnés
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - Timeout par défaut de chaque backend
+ * @param {(resolver: string, error: Error) => void} [options.onFailover] - Callback à chaque échec
+ * @returns {NaptrResolver & {resolvers: NaptrResolver[]}}
+ */
+export function createResolverChain(configs, options = {}) {
+    if (!configs?.length) throw new TypeError('Au moins un résolveur NAPTR est requis');
+
+    const defaults = options.timeoutMs ? { timeoutMs: options.timeoutMs } : {};
+    const resolvers = configs.map(config => createResolver(config, defaults));
+
+    return {
+        name: resolvers.map(r => r.name).join(' → '),
+        resolvers,
+        async resolveNaptr(fqdn) {
+            const failures = [];
+
+            for (const resolver of resolvers) {
+                try {
+                    return await resolver.resolveNaptr(fqdn);
+                } catch (error) {
+                    failures.push({ resolver: resolver.name, error });
+                    options.onFailover?.(resolver.name, error);
+                }
+            }
+
+            if (failures.length === 1) throw failures[0].error;
+
+            const error = new DnsResolutionError(
+                fqdn,
+                `tous les résolveurs ont échoué (${failures.map(f => `${f.resolver}: ${f.error.message}`).join('; ')})`
+            );
+            error.details.failures = failures.map(f => ({ resolver: f.resolver, message: f.error.message }));
+            throw error;
+        }
+    };
+}
+
+/**
+ * Nom symbolique d'un RCODE
+ * @param {number} rcode
+ * @returns {string}
+ */
+function rcodeName(rcode) {
+    return Object.keys(RCODE).find(key => RCODE[key] === rcode) || String(rcode);
+}
+
+export default {
+    createNativeResolver,
+    createDohWireResolver,
+    createDohJsonResolver,
+    createResolver,
+    createResolverChain,
+    parseNaptrText
+};
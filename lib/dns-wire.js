@@ -0,0 +1,282 @@
+/**
+ * Format binaire des messages DNS (RFC 1035) pour DNS-over-HTTPS (RFC 8484)
+ * Encodage des requêtes, décodage des réponses NAPTR (RFC 3403)
+ *
+ * @module lib/dns-wire
+ */
+
+/**
+ * Types d'enregistrements utilisés
+ */
+export const RR_TYPE = {
+    A: 1,
+    NS: 2,
+    CNAME: 5,
+    SOA: 6,
+    NAPTR: 35
+};
+
+/**
+ * Codes de réponse (RCODE)
+ */
+export const RCODE = {
+    NOERROR: 0,
+    FORMERR: 1,
+    SERVFAIL: 2,
+    NXDOMAIN: 3,
+    NOTIMP: 4,
+    REFUSED: 5
+};
+
+const CLASS_IN = 1;
+const FLAG_RD = 0x0100;
+
+/**
+ * @typedef {Object} DnsQuestion
+ * @property {string} name - Nom interrogé
+ * @property {number} type - Type d'enregistrement
+ * @property {number} class - Classe (1 = IN)
+ */
+
+/**
+ * @typedef {Object} DnsRecord
+ * @property {string} name - Propriétaire
+ * @property {number} type - Type d'enregistrement
+ * @property {number} class - Classe
+ * @property {number} ttl - TTL en secondes
+ * @property {Object|Buffer} data - RDATA décodé (NAPTR, SOA) ou brut
+ */
+
+/**
+ * @typedef {Object} DnsMessage
+ * @property {number} id - Identifiant
+ * @property {number} flags - Drapeaux (QR, opcode, AA, TC, RD, RA)
+ * @property {number} rcode - Code de réponse
+ * @property {DnsQuestion[]} questions
+ * @property {DnsRecord[]} answers
+ * @property {DnsRecord[]} authorities
+ * @property {DnsRecord[]} additionals
+ */
+
+// ============================================================================
+// ENCODAGE
+// ============================================================================
+
+/**
+ * Encode un nom de domaine en labels (sans compression)
+ * @param {string} name - Nom de domaine
+ * @returns {Buffer}
+ */
+export function encodeName(name) {
+    const labels = name.replace(/\.$/, '').split('.').filter(Boolean);
+    const parts = [];
+
+    for (const label of labels) {
+        const bytes = Buffer.from(label, 'ascii');
+        if (bytes.length > 63) {
+            throw new RangeError(`Label DNS trop long (${bytes.length} > 63): ${label}`);
+        }
+        parts.push(Buffer.from([bytes.length]), bytes);
+    }
+    parts.push(Buffer.from([0]));
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Encode une requête DNS (une question, récursion demandée)
+ * @param {string} name - Nom interrogé
+ * @param {number} [type=RR_TYPE.NAPTR] - Type d'enregistrement
+ * @param {number} [id=0] - Identifiant (0 recommandé en DoH pour le cache HTTP)
+ * @returns {Buffer}
+ */
+export function encodeQuery(name, type = RR_TYPE.NAPTR, id = 0) {
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(FLAG_RD, 2);
+    header.writeUInt16BE(1, 4);         // QDCOUNT
+
+    const question = Buffer.alloc(4);
+    question.writeUInt16BE(type, 0);
+    question.writeUInt16BE(CLASS_IN, 2);
+
+    return Buffer.concat([header, encodeName(name), question]);
+}
+
+// ============================================================================
+// DÉCODAGE
+// ============================================================================
+
+/**
+ * Décode un nom de domaine (gère les pointeurs de compression)
+ * @param {Buffer} buf - Message complet
+ * @param {number} offset - Position du nom
+ * @returns {{name: string, offset: number}} Nom et position après le nom
+ */
+function decodeName(buf, offset) {
+    const labels = [];
+    let position = offset;
+    let end = null;
+    let jumps = 0;
+
+    while (true) {
+        if (position >= buf.length) throw new RangeError('Nom DNS tronqué');
+        const length = buf[position];
+
+        if (length === 0) {
+            position += 1;
+            break;
+        }
+
+        if ((length & 0xC0) === 0xC0) {
+            if (++jumps > 32) throw new RangeError('Boucle de compression DNS');
+            if (end === null) end = position + 2;
+            position = buf.readUInt16BE(position) & 0x3FFF;
+            continue;
+        }
+
+        labels.push(buf.toString('ascii', position + 1, position + 1 + length));
+        position += 1 + length;
+    }
+
+    return { name: labels.join('.'), offset: end ?? position };
+}
+
+/**
+ * Décode une character-string (longueur sur 1 octet)
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{value: string, offset: number}}
+ */
+function decodeCharString(buf, offset) {
+    const length = buf[offset];
+    return {
+        value: buf.toString('utf8', offset + 1, offset + 1 + length),
+        offset: offset + 1 + length
+    };
+}
+
+/**
+ * Décode le RDATA d'un enregistrement NAPTR
+ * @param {Buffer} buf - Message complet (pour la compression)
+ * @param {number} offset - Début du RDATA
+ * @returns {{order: number, preference: number, flags: string, service: string, regexp: string, replacement: string}}
+ */
+function decodeNaptr(buf, offset) {
+    const order = buf.readUInt16BE(offset);
+    const preference = buf.readUInt16BE(offset + 2);
+    const flags = decodeCharString(buf, offset + 4);
+    const service = decodeCharString(buf, flags.offset);
+    const regexp = decodeCharString(buf, service.offset);
+    const replacement = decodeName(buf, regexp.offset);
+
+    return {
+        order,
+        preference,
+        flags: flags.value,
+        service: service.value,
+        regexp: regexp.value,
+        replacement: replacement.name || '.'
+    };
+}
+
+/**
+ * Décode le RDATA d'un enregistrement SOA (TTL négatif = minimum, RFC 2308)
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @returns {{mname: string, rname: string, serial: number, minimum: number}}
+ */
+function decodeSoa(buf, offset) {
+    const mname = decodeName(buf, offset);
+    const rname = decodeName(buf, mname.offset);
+    return {
+        mname: mname.name,
+        rname: rname.name,
+        serial: buf.readUInt32BE(rname.offset),
+        minimum: buf.readUInt32BE(rname.offset + 16)
+    };
+}
+
+/**
+ * Décode une section d'enregistrements
+ * @param {Buffer} buf
+ * @param {number} offset
+ * @param {number} count
+ * @returns {{records: DnsRecord[], offset: number}}
+ */
+function decodeRecords(buf, offset, count) {
+    const records = [];
+    let position = offset;
+
+    for (let i = 0; i < count; i++) {
+        const owner = decodeName(buf, position);
+        position = owner.offset;
+
+        const type = buf.readUInt16BE(position);
+        const rrClass = buf.readUInt16BE(position + 2);
+        const ttl = buf.readUInt32BE(position + 4);
+        const rdLength = buf.readUInt16BE(position + 8);
+        const rdStart = position + 10;
+
+        if (rdStart + rdLength > buf.length) throw new RangeError('RDATA DNS tronqué');
+
+        let data;
+        if (type === RR_TYPE.NAPTR) data = decodeNaptr(buf, rdStart);
+        else if (type === RR_TYPE.SOA) data = decodeSoa(buf, rdStart);
+        else data = buf.subarray(rdStart, rdStart + rdLength);
+
+        records.push({ name: owner.name, type, class: rrClass, ttl, data });
+        position = rdStart + rdLength;
+    }
+
+    return { records, offset: position };
+}
+
+/**
+ * Décode un message DNS complet
+ * @param {Buffer|Uint8Array} message - Message binaire
+ * @returns {DnsMessage}
+ * @throws {RangeError} Si le message est tronqué ou mal formé
+ */
+export function decodeMessage(message) {
+    const buf = Buffer.isBuffer(message) ? message : Buffer.from(message);
+    if (buf.length < 12) throw new RangeError('Message DNS trop court');
+
+    const id = buf.readUInt16BE(0);
+    const flags = buf.readUInt16BE(2);
+    const counts = [4, 6, 8, 10].map(pos => buf.readUInt16BE(pos));
+
+    let offset = 12;
+    const questions = [];
+    for (let i = 0; i < counts[0]; i++) {
+        const qname = decodeName(buf, offset);
+        questions.push({
+            name: qname.name,
+            type: buf.readUInt16BE(qname.offset),
+            class: buf.readUInt16BE(qname.offset + 2)
+        });
+        offset = qname.offset + 4;
+    }
+
+    const answers = decodeRecords(buf, offset, counts[1]);
+    const authorities = decodeRecords(buf, answers.offset, counts[2]);
+    const additionals = decodeRecords(buf, authorities.offset, counts[3]);
+
+    return {
+        id,
+        flags,
+        rcode: flags & 0x000F,
+        questions,
+        answers: answers.records,
+        authorities: authorities.records,
+        additionals: additionals.records
+    };
+}
+
+export default {
+    RR_TYPE,
+    RCODE,
+    encodeName,
+    encodeQuery,
+    decodeMessage
+};
@@ -0,0 +1,184 @@
+/**
+ * Décodage DOT/TIN (Tire Identification Number, marché US - 49 CFR 574.5)
+ * Date de production (semaine ISO), âge du pneu et code usine
+ *
+ * @module lib/dot-tin
+ */
+
+/**
+ * Codes usine DOT livrés (attributions NHTSA, 49 CFR 574.6)
+ * Limités aux codes vérifiés; la table se complète via registerFactoryCodes()
+ * (ou GDSO_FACTORY_CODES_FILE côté serveur)
+ * @type {Record<string, FactoryInfo>}
+ */
+export const KNOWN_FACTORY_CODES = {
+    VD: { manufacturer: 'Bridgestone/Firestone', plant: 'Decatur, Illinois', country: 'US' },
+    W2: { manufacturer: 'Bridgestone/Firestone', plant: 'Wilson, North Carolina', country: 'US' }
+};
+
+/**
+ * Table des codes usine DOT → usine (KNOWN_FACTORY_CODES et codes enregistrés)
+ * @type {Map<string, FactoryInfo>}
+ */
+export const FACTORY_CODES = new Map(
+    Object.entries(KNOWN_FACTORY_CODES).map(([code, info]) => [code, { ...info }])
+);
+
+/**
+ * @typedef {Object} FactoryInfo
+ * @property {string} [manufacturer] - Fabricant
+ * @property {string} [plant] - Nom / ville de l'usine
+ * @property {string} [country] - Code pays ISO
+ */
+
+/**
+ * @typedef {Object} WeekYear
+ * @property {number} week - Semaine ISO (1-53)
+ * @property {number} year - Année (4 chiffres)
+ * @property {string} productionDate - Lundi de la semaine ISO (YYYY-MM-DD)
+ */
+
+/**
+ * @typedef {Object} DotTinInfo
+ * @property {string|null} factoryCode - Code usine
+ * @property {FactoryInfo|null} factory - Usine (null si code inconnu)
+ * @property {string|null} sizeCode - Code taille
+ * @property {string|null} optionalCode - Code optionnel
+ * @property {string|null} weekYear - Date brute (WWYY)
+ * @property {number|null} week - Semaine ISO
+ * @property {number|null} year - Année
+ * @property {string|null} productionDate - Date de production (YYYY-MM-DD)
+ * @property {number|null} ageMonths - Âge en mois révolus à la date de référence
+ */
+
+// ============================================================================
+// CODES USINE
+// ============================================================================
+
+/**
+ * Enregistre (ou remplace) des codes usine
+ * @param {Record<string, FactoryInfo>} entries - Code usine → usine
+ */
+export function registerFactoryCodes(entries) {
+    for (const [code, info] of Object.entries(entries || {})) {
+        FACTORY_CODES.set(code.trim().toUpperCase(), { ...info });
+    }
+}
+
+/**
+ * Recherche un code usine dans la table
+ * @param {string} code - Code usine DOT (2 ou 3 caractères)
+ * @returns {FactoryInfo|null}
+ */
+export function decodeFactoryCode(code) {
+    if (!code || typeof code !== 'string') return null;
+    return FACTORY_CODES.get(code.trim().toUpperCase()) ?? null;
+}
+
+// ============================================================================
+// DATE DE PRODUCTION
+// ============================================================================
+
+/**
+ * Lundi d'une semaine ISO 8601
+ * @param {number} year - Année ISO
+ * @param {number} week - Semaine ISO (1-53)
+ * @returns {Date} Date UTC
+ */
+export function isoWeekToDate(year, week) {
+    // La semaine 1 contient le 4 janvier
+    const jan4 = new Date(Date.UTC(year, 0, 4));
+    const jan4Day = jan4.getUTCDay() || 7;
+    return new Date(Date.UTC(year, 0, 4 - (jan4Day - 1) + (week - 1) * 7));
+}
+
+/**
+ * Nombre de semaines ISO d'une année (52 ou 53)
+ * @param {number} year - Année ISO
+ * @returns {number}
+ */
+function isoWeeksInYear(year) {
+    // 28 décembre: toujours dans la dernière semaine ISO de l'année
+    const dec28 = new Date(Date.UTC(year, 11, 28));
+    const monday = isoWeekToDate(year, 1);
+    return Math.floor((dec28 - monday) / (7 * 86400000)) + 1;
+}
+
+/**
+ * Parse la date DOT (WWYY, depuis 2000)
+ * Le format pré-2000 sur 3 chiffres (WWY) est ambigu sur la décennie et n'est pas décodé
+ * @param {string} weekYear - Date DOT (ex: "1020" = semaine 10 de 2020)
+ * @returns {WeekYear|null} null si format invalide ou semaine inexistante
+ */
+export function parseWeekYear(weekYear) {
+    const match = String(weekYear ?? '').trim().match(/^(\d{2})(\d{2})$/);
+    if (!match) return null;
+
+    const week = parseInt(match[1], 10);
+    const year = 2000 + parseInt(match[2], 10);
+    if (week < 1 || week > isoWeeksInYear(year)) return null;
+
+    return {
+        week,
+        year,
+        productionDate: isoWeekToDate(year, week).toISOString().substring(0, 10)
+    };
+}
+
+/**
+ * Âge en mois révolus entre une date de production et une date de référence
+ * @param {string|Date} productionDate - Date de production
+ * @param {Date} [referenceDate=new Date()] - Date de référence
+ * @returns {number|null} Mois révolus (0 si production postérieure), null si date invalide
+ */
+export function ageInMonths(productionDate, referenceDate = new Date()) {
+    const from = productionDate instanceof Date ? productionDate : new Date(productionDate);
+    const to = referenceDate instanceof Date ? referenceDate : new Date(referenceDate);
+    if (isNaN(from) || isNaN(to)) return null;
+
+    let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 +
+                 (to.getUTCMonth() - from.getUTCMonth());
+    if (to.getUTCDate() < from.getUTCDate()) months--;
+
+    return Math.max(0, months);
+}
+
+// ============================================================================
+// DOT/TIN COMPLET
+// ============================================================================
+
+/**
+ * Décode le bloc dotTin GDSO
+ * @param {Object|null} dotTin - Bloc dotTin (factoryCode, sizeCode, optionalCode, weekYear)
+ * @param {Object} [options]
+ * @param {Date} [options.referenceDate=new Date()] - Date de référence pour l'âge
+ * @returns {DotTinInfo|null} null si dotTin absent
+ */
+export function decodeDotTin(dotTin, options = {}) {
+    if (!dotTin) return null;
+
+    const date = parseWeekYear(dotTin.weekYear);
+
+    return {
+        factoryCode: dotTin.factoryCode || null,
+        factory: decodeFactoryCode(dotTin.factoryCode),
+        sizeCode: dotTin.sizeCode || null,
+        optionalCode: dotTin.optionalCode || null,
+        weekYear: dotTin.weekYear || null,
+        week: date?.week ?? null,
+        year: date?.year ?? null,
+        productionDate: date?.productionDate ?? null,
+        ageMonths: date ? ageInMonths(date.productionDate, options.referenceDate) : null
+    };
+}
+
+export default {
+    KNOWN_FACTORY_CODES,
+    FACTORY_CODES,
+    registerFactoryCodes,
+    decodeFactoryCode,
+    isoWeekToDate,
+    parseWeekYear,
+    ageInMonths,
+    decodeDotTin
+};
@@ -93,6 +93,22 @@ export class NaptrNotFoundError extends DnsResolutionError {
     }
 }
 
+/**
+ * Erreur sur un enregistrement NAPTR mal formé (RFC 3403)
+ * @extends GdsoError
+ */
+export class NaptrRecordError extends GdsoError {
+    /**
+     * @param {string} diagnostic - Code de diagnostic (ex: INVALID_DELIMITER)
+     * @param {string} reason - Raison du rejet
+     * @param {Object} [record] - Enregistrement NAPTR concerné
+     */
+    constructor(diagnostic, reason, record = null) {
+        super(`Enregistrement NAPTR rejeté: ${reason}`, 'NAPTR_RECORD_INVALID', { diagnostic, reason, record });
+        this.name = 'NaptrRecordError';
+    }
+}
+
 /**
  * Erreur d'authentification GDSO
  * @extends GdsoError
@@ -125,12 +141,67 @@ export class CredentialsMissingError extends AuthenticationError {
         const envVars = environment === 'production'
             ? 'GDSO_PROD_USERNAME/GDSO_PROD_PASSWORD'
             : 'GDSO_USERNAME/GDSO_PASSWORD';
-        super(`Credentials manquants pour ${environment}. Définir ${envVars} dans .env`, null, environment);
+        super(
+            `Credentials manquants pour ${environment}. Définir ${envVars} (ou *_FILE), ou lancer: node gdso.js login --env ${environment}`,
+            null,
+            environment
+        );
         this.name = 'CredentialsMissingError';
         this.code = 'CREDENTIALS_MISSING';
     }
 }
 
+/**
+ * Fichier de credentials illisible (secret *_FILE, fichier chiffré altéré ou mauvaise passphrase)
+ * @extends GdsoError
+ */
+export class CredentialsFileError extends GdsoError {
+    /**
+     * @param {string} path - Chemin du fichier
+     * @param {string} reason - Raison de l'échec
+     */
+    constructor(path, reason) {
+        super(`Fichier de credentials ${path}: ${reason}`, 'CREDENTIALS_FILE_ERROR', { path, reason });
+        this.name = 'CredentialsFileError';
+    }
+}
+
+/**
+ * Erreur du flux OpenID Connect (refus de l'utilisateur, state invalide, échange du code)
+ * @extends AuthenticationError
+ */
+export class OidcError extends AuthenticationError {
+    /**
+     * @param {string} error - Code d'erreur OAuth 2.0 (ex: access_denied, invalid_grant)
+     * @param {string} [description] - Description fournie par le fournisseur d'identité
+     * @param {string} [environment] - Environnement (testing/production)
+     */
+    constructor(error, description = null, environment = null) {
+        super(`OpenID Connect ${error}${description ? ` - ${description}` : ''}`, null, environment);
+        this.name = 'OidcError';
+        this.code = 'OIDC_ERROR';
+        this.details.error = error;
+        this.details.description = description;
+    }
+}
+
+/**
+ * Token JWT rejeté: signature, émetteur, audience ou validité temporelle
+ * @extends AuthenticationError
+ */
+export class TokenVerificationError extends AuthenticationError {
+    /**
+     * @param {string} reason - Raison du rejet
+     * @param {Object} [claims] - Claims concernés (iss, aud, exp, nbf, kid...)
+     */
+    constructor(reason, claims = {}) {
+        super(`token invalide - ${reason}`);
+        this.name = 'TokenVerificationError';
+        this.code = 'TOKEN_INVALID';
+        Object.assign(this.details, claims);
+    }
+}
+
 /**
  * Erreur d'appel API fabricant
  * @extends GdsoError
@@ -169,6 +240,26 @@ export class TireNotFoundError extends ManufacturerApiError {
     }
 }
 
+/**
+ * Erreur quand le circuit d'une API fabricant est ouvert après des échecs répétés:
+ * l'appel échoue immédiatement au lieu d'attendre le timeout
+ * @extends ManufacturerApiError
+ */
+export class CircuitOpenError extends ManufacturerApiError {
+    /**
+     * @param {string} manufacturer - Fabricant
+     * @param {string} baseUrl - URL de base de l'API
+     * @param {number} retryAt - Prochain appel autorisé (timestamp ms)
+     */
+    constructor(manufacturer, baseUrl, retryAt) {
+        super(manufacturer, `API indisponible (circuit ouvert), prochain essai à ${new Date(retryAt).toISOString()}`, null, baseUrl);
+        this.name = 'CircuitOpenError';
+        this.code = 'CIRCUIT_OPEN';
+        this.retryAt = retryAt;
+        this.details.retryAt = new Date(retryAt).toISOString();
+    }
+}
+
 /**
  * Erreur de timeout
  * @extends GdsoError
@@ -213,15 +304,86 @@ export class RetryExhaustedError extends GdsoError {
     }
 }
 
+/**
+ * Code pays invalide (paramètre country, ISO 3166-1 alpha-2)
+ * @extends GdsoError
+ */
+export class InvalidCountryError extends GdsoError {
+    /**
+     * @param {string} country - Valeur reçue
+     */
+    constructor(country) {
+        super(`Code pays invalide: ${country} (ISO 3166-1 alpha-2 attendu, ex: FR)`, 'INVALID_COUNTRY', { country });
+        this.name = 'InvalidCountryError';
+    }
+}
+
+/**
+ * Préfixe d'entreprise GS1 hors du périmètre autorisé (tenant)
+ * @extends GdsoError
+ */
+export class PrefixNotAllowedError extends GdsoError {
+    /**
+     * @param {string} key - Identifiant demandé (URN SGTIN, GTIN-14)
+     */
+    constructor(key) {
+        super(`Préfixe d'entreprise non autorisé: ${key}`, 'PREFIX_NOT_ALLOWED', { key });
+        this.name = 'PrefixNotAllowedError';
+    }
+}
+
+/**
+ * Registre des tenants invalide (GDSO_TENANTS_FILE)
+ * @extends GdsoError
+ */
+export class TenantConfigError extends GdsoError {
+    /**
+     * @param {string} source - Fichier ou origine de la configuration
+     * @param {string} reason - Raison du rejet
+     */
+    constructor(source, reason) {
+        super(`Registre des tenants ${source}: ${reason}`, 'TENANT_CONFIG_ERROR', { source, reason });
+        this.name = 'TenantConfigError';
+    }
+}
+
+/**
+ * Donnée absente du cache en mode hors ligne (aucun appel réseau autorisé)
+ * @extends GdsoError
+ */
+export class OfflineError extends GdsoError {
+    /**
+     * @param {string} operation - Opération demandée (ex: getTireInfo)
+     * @param {string} key - Clé recherchée (URN SGTIN, GTIN)
+     */
+    constructor(operation, key) {
+        super(
+            `Mode hors ligne: ${key} absent du cache (${operation})`,
+            'OFFLINE',
+            { operation, key }
+        );
+        this.name = 'OfflineError';
+    }
+}
+
 export default {
     GdsoError,
     SgtinParseError,
     DnsResolutionError,
     NaptrNotFoundError,
+    NaptrRecordError,
     AuthenticationError,
     CredentialsMissingError,
+    CredentialsFileError,
+    OidcError,
+    TokenVerificationError,
     ManufacturerApiError,
     TireNotFoundError,
+    CircuitOpenError,
     TimeoutError,
-    RetryExhaustedError
+    RetryExhaustedError,
+    InvalidCountryError,
+    PrefixNotAllowedError,
+    TenantConfigError,
+    OfflineError
 };
@@ -7,45 +7,108 @@
  * @version 2.0.0
  */
 
-import { getEnvironmentConfig, TIMEOUTS } from './config.js';
-import { getManufacturerConfig, buildApiUrl, buildAllPossibleUrls } from './manufacturers.js';
-import { withRetry, LRUCache } from './utils.js';
+import { getEnvironmentConfig, TIMEOUTS, ONS_CACHE, TIRE_CACHE, PRODUCT_CACHE, URL_PATTERN_CACHE, OIDC } from './config.js';
+import { getManufacturerConfig, buildUrlCandidates, normalizeBaseUrl } from './manufacturers.js';
+import { withRetry, normalizeCountry, LRUCache } from './utils.js';
+import { createCacheStore } from './cache-store.js';
+import { TaskScheduler } from './scheduler.js';
+import { ApiGuardRegistry } from './circuit-breaker.js';
+import { createTokenVerifier } from './jwks.js';
+import { createDefaultProviders, createOptionsProvider, resolveCredentials, describeCredentialSources } from './credentials.js';
+import { decodeJwtPayload } from './oidc.js';
 import { Logger, LogLevel } from './logger.js';
+import { parseSgtin, calculateCheckDigit, sgtinToGtin14, normalizeGtin } from './sgtin.js';
+import { createResolverChain } from './dns-resolver.js';
+import { processNaptrRecords, selectNaptrService } from './naptr.js';
+import {
+    isDigitalLink,
+    isElementString,
+    parseDigitalLink,
+    parseElementString,
+    sgtinToDigitalLink
+} from './digital-link.js';
 import {
     SgtinParseError,
+    OfflineError,
+    PrefixNotAllowedError,
     DnsResolutionError,
     NaptrNotFoundError,
     AuthenticationError,
     CredentialsMissingError,
     ManufacturerApiError,
-    TireNotFoundError
+    TireNotFoundError,
+    CircuitOpenError
 } from './errors.js';
 
 /**
- * @typedef {Object} ParsedSgtin
- * @property {string} companyPrefix - Préfixe entreprise GS1
- * @property {string} indicatorItemRef - Indicateur + référence article
- * @property {string} serialNumber - Numéro de série unique
- * @property {string} urn - URN SGTIN complète
+ * @typedef {import('./sgtin.js').ParsedSgtin} ParsedSgtin
  */
 
 /**
  * @typedef {Object} OnsResult
  * @property {ParsedSgtin} parsed - SGTIN parsé
- * @property {string} gtin13 - GTIN-13 calculé
- * @property {string} fqdn - FQDN pour résolution DNS
+ * @property {string|null} gtin13 - GTIN-13 (null si indicator digit 1-9)
+ * @property {string} gtin14 - GTIN-14 calculé
+ * @property {string} gtinForm - Forme ayant résolu l'ONS (GTIN-14 ou GTIN-13)
+ * @property {string} fqdn - FQDN résolu
  * @property {Object} manufacturer - Config fabricant
  * @property {string} apiUrl - URL de l'API fabricant
- * @property {Array<{service: string, url: string}>} services - Services NAPTR trouvés
+ * @property {import('./naptr.js').NaptrService[]} services - Services NAPTR (triés order/preference)
+ * @property {ResultSource} source - Provenance du résultat
+ */
+
+/**
+ * Provenance d'un résultat: requête réseau, cache, ou promesse partagée avec
+ * un appel identique déjà en cours (coalesced)
+ * @typedef {'network'|'cache'|'coalesced'} ResultSource
  */
 
 /**
  * @typedef {Object} TireResult
- * @property {string} sgtin - SGTIN original
+ * @property {string} sgtin - SGTIN (URN pure identity)
  * @property {string} manufacturer - Nom du fabricant
- * @property {string} gtin13 - GTIN-13
+ * @property {string|null} gtin13 - GTIN-13 (null si indicator digit 1-9)
+ * @property {string} gtin14 - GTIN-14
+ * @property {string} gtinForm - Forme ayant résolu l'ONS (GTIN-14 ou GTIN-13)
  * @property {string} apiUrl - URL API utilisée
+ * @property {string|null} digitalLink - URI GS1 Digital Link du pneu
  * @property {Object|null} data - Données du pneu ou null
+ * @property {ResultSource} [source] - Provenance (absente pour un SGTIN invalide en batch)
+ * @property {boolean} [stale] - Donnée du cache plus ancienne que TIRE_CACHE.ttlMs (rafraîchie en arrière-plan)
+ * @property {string|null} [fetchedAt] - Date ISO de la réponse API dont proviennent les données
+ * @property {number} [status] - Statut de l'élément dans la réponse batch (200, 404...)
+ * @property {string} [error] - Code d'erreur propre à cet élément (batch)
+ * @property {string} [errorMessage] - Message d'erreur associé
+ * @property {string} [retryAt] - Date ISO du prochain appel autorisé (error CIRCUIT_OPEN)
+ * @property {string|null} [country] - Pays transmis à l'API (paramètre country), partie de la clé de cache
+ */
+
+/**
+ * @typedef {Object} BatchProgress
+ * @property {number} completed - Éléments traités
+ * @property {number} total - Éléments du batch
+ * @property {number} index - Position de l'élément traité dans la liste d'entrée
+ * @property {TireResult} result - Résultat de cet élément
+ */
+
+/**
+ * @typedef {Object} ProductResult
+ * @property {string} gtin14 - GTIN-14 (clé du catalogue, avec le pays)
+ * @property {string|null} country - Pays des données produit (labelling, conformité)
+ * @property {string|null} gtin13 - GTIN-13 (null si indicator digit 1-9)
+ * @property {string|null} manufacturer - Nom du fabricant
+ * @property {Object} product - Bloc product GDSO (dimensions, specifications, markings, labelling...)
+ * @property {string} fetchedAt - Date ISO de la réponse API d'origine
+ * @property {boolean} stale - Plus ancien que PRODUCT_CACHE.ttlMs (rafraîchi en arrière-plan via sgtin)
+ * @property {string} [sgtin] - SGTIN dont la réponse a alimenté le catalogue
+ */
+
+/**
+ * @typedef {Object} LearnedUrlPattern
+ * @property {string} pattern - Pattern d'URL ayant répondu ('{baseUrl}/tire/{sgtin}'...)
+ * @property {boolean} encoded - SGTIN encodé dans l'URL
+ * @property {string} manufacturer - Nom du fabricant lors de l'apprentissage
+ * @property {string} learnedAt - Date ISO de l'apprentissage
  */
 
 /**
@@ -53,10 +116,41 @@ import {
  * @property {string} [environment='testing'] - Environnement (testing/production)
  * @property {string} [username] - Username GDSO (override .env)
  * @property {string} [password] - Password GDSO (override .env)
+ * @property {import('./credentials.js').CredentialProvider[]} [credentialProviders] - Fournisseurs après username/password
+ *           (défaut: env, *_FILE, fichier chiffré; voir lib/credentials.js)
+ * @property {string} [credentialsFile] - Fichier chiffré (défaut: GDSO_CREDENTIALS_FILE, puis ~/.gdso/credentials.enc)
+ * @property {string} [credentialsPassphrase] - Passphrase du fichier chiffré (défaut: GDSO_CREDENTIALS_PASSPHRASE)
+ * @property {import('./oidc.js').OidcTokens} [userTokens] - Identité GDSO de l'utilisateur (OpenID Connect),
+ *           utilisée à la place du compte de service Basic Auth
+ * @property {boolean} [verifyTokens=true] - Vérifier signature et claims des tokens reçus (JWKS de l'environnement)
+ * @property {import('./jwks.js').TokenVerifier} [tokenVerifier] - Vérificateur fourni par l'appelant (remplace celui du JWKS configuré)
+ * @property {string[]} [allowedPrefixes] - Préfixes d'entreprise GS1 autorisés (défaut: tous; voir lib/tenants.js)
+ * @property {string} [country] - Pays transmis à l'API fabricant (ISO 3166-1 alpha-2, paramètre country;
+ *           défaut: GDSO_COUNTRY), surchargeable à chaque appel
+ * @property {number} [batchConcurrency] - Appels ONS / API simultanés d'un batch (défaut: GDSO_BATCH_CONCURRENCY, puis 8)
+ * @property {number} [manufacturerConcurrency] - Appels API simultanés par fabricant
+ *           (défaut: GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER, puis 2)
+ * @property {TaskScheduler} [scheduler] - Ordonnanceur fourni par l'appelant (limites partagées entre instances)
+ * @property {ApiGuardRegistry} [apiGuards] - Disjoncteurs et limiteurs des API fabricant fournis par l'appelant
+ *           (partagés entre instances; voir lib/circuit-breaker.js)
  * @property {boolean} [verbose=true] - Activer les logs
  * @property {boolean} [jsonLogs=false] - Format JSON pour les logs
- * @property {boolean} [useCache=true] - Activer le cache ONS
- * @property {number} [cacheTtlMs=3600000] - TTL du cache (1h par défaut)
+ * @property {boolean} [useCache=true] - Activer les caches ONS et données pneu
+ * @property {boolean} [offline] - Mode hors ligne: cache uniquement, aucun appel réseau (défaut: GDSO_OFFLINE=1|true)
+ * @property {string|null} [cacheDir] - Répertoire du cache persistant (défaut: GDSO_CACHE_DIR, absent = mémoire;
+ *           null = mémoire, même si GDSO_CACHE_DIR est défini)
+ * @property {{ons?: import('./cache-store.js').CacheStore, tires?: import('./cache-store.js').CacheStore, products?: import('./cache-store.js').CacheStore, urlPatterns?: import('./cache-store.js').CacheStore}} [cacheStores]
+ *           Stores fournis par l'appelant (remplacent ceux créés par défaut)
+ * @property {string} [cacheScope] - Compte propriétaire des données pneu en cache (tenant, utilisateur) quand le
+ *           store est partagé: dotTin, countryOfOrigin... (privés selon GDSO) ne sont servis qu'aux instances
+ *           de même portée; le catalogue produit reste commun (défaut: aucune portée)
+ * @property {number} [cacheTtlMs=3600000] - TTL du cache si l'enregistrement NAPTR n'en fournit pas
+ * @property {Object} [cacheLimits] - Bornes du TTL (défaut: ONS_CACHE)
+ * @property {number} [cacheLimits.minTtlMs] - TTL minimum d'une entrée positive
+ * @property {number} [cacheLimits.maxTtlMs] - TTL maximum d'une entrée positive
+ * @property {number} [cacheLimits.negativeTtlMs] - TTL maximum d'une entrée négative (NXDOMAIN / vide)
+ * @property {Array<import('./dns-resolver.js').ResolverConfig|import('./dns-resolver.js').NaptrResolver>} [resolvers]
+ *           Résolveurs NAPTR ordonnés (défaut: config.ons.resolvers de l'environnement)
  */
 
 /**
@@ -71,31 +165,123 @@ export class GdsoService {
         this.env = options.environment || 'testing';
         this.config = getEnvironmentConfig(this.env);
 
-        // Sélectionner les credentials selon l'environnement
-        const isProd = this.env === 'production';
-        this.credentials = {
-            username: options.username || (isProd ? process.env.GDSO_PROD_USERNAME : process.env.GDSO_USERNAME),
-            password: options.password || (isProd ? process.env.GDSO_PROD_PASSWORD : process.env.GDSO_PASSWORD)
+        // Logger
+        this.logger = new Logger({
+            level: options.verbose === false ? LogLevel.SILENT : LogLevel.INFO,
+            json: options.jsonLogs || false,
+            colors: !options.jsonLogs
+        });
+
+        // Sélectionner les credentials selon l'environnement (chaîne de fournisseurs)
+        this._credentialConfig = {
+            credentialProviders: options.credentialProviders,
+            credentialsFile: options.credentialsFile,
+            credentialsPassphrase: options.credentialsPassphrase
         };
+        /** @type {{username: string|null, password: string|null}} Fournisseur de chaque champ */
+        this.credentialSources = { username: null, password: null };
+        this.credentials = this._resolveCredentials(options);
 
         // Token JWT
         /** @type {string|null} */
         this.token = null;
         /** @type {number|null} */
         this.tokenExpiry = null;
-
-        // Logger
-        this.logger = new Logger({
-            level: options.verbose === false ? LogLevel.SILENT : LogLevel.INFO,
-            json: options.jsonLogs || false,
-            colors: !options.jsonLogs
+        // Authentification en cours, partagée par les appels concurrents
+        /** @type {Promise<string>|null} */
+        this._authPromise = null;
+        // Incrémenté à chaque rechargement: un token obtenu avec d'anciens credentials n'est pas conservé
+        this._credentialsGeneration = 0;
+        // Session OpenID Connect de l'utilisateur (remplace le compte de service)
+        /** @type {import('./oidc.js').OidcTokens|null} */
+        this.userTokens = options.userTokens || null;
+        // Instances forUser, une par utilisateur (sub)
+        /** @type {LRUCache<string, GdsoService>} */
+        this._userServices = new LRUCache({ maxSize: OIDC.userSessions, ttlMs: OIDC.userSessionTtlMs });
+        // Vérification JWKS des tokens reçus (null = décodage seul)
+        /** @type {import('./jwks.js').TokenVerifier|null} */
+        this.tokenVerifier = options.verifyTokens === false
+            ? null
+            : options.tokenVerifier || createTokenVerifier(this.config.auth);
+        // Périmètre des préfixes d'entreprise (null = tous), vérifié avant tout accès au cache
+        /** @type {string[]|null} */
+        this.allowedPrefixes = options.allowedPrefixes?.length ? [...options.allowedPrefixes] : null;
+        // Pays par défaut des appels API (données spécifiques au marché: labelling, conformité)
+        /** @type {string|null} */
+        this.country = normalizeCountry(options.country ?? process.env.GDSO_COUNTRY);
+        // Concurrence des batchs, globale et par fabricant (voir lib/scheduler.js)
+        this.scheduler = options.scheduler || new TaskScheduler({
+            concurrency: options.batchConcurrency,
+            perKeyConcurrency: options.manufacturerConcurrency
+        });
+        // Disjoncteur et limiteur de débit par API fabricant (seuils: MANUFACTURERS)
+        this.apiGuards = options.apiGuards || new ApiGuardRegistry();
+        this._options = options;
+
+        // Résolveurs NAPTR (failover dans l'ordre)
+        this.resolver = createResolverChain(options.resolvers || this.config.ons.resolvers, {
+            timeoutMs: TIMEOUTS.dns,
+            onFailover: (name, error) => this.logger.warn(`Résolveur ${name} en échec: ${error.message}`)
         });
 
-        // Cache ONS (GTIN-13 → OnsResult)
+        // Mode hors ligne forcé (dépôts sans connectivité)
+        this.offline = options.offline ?? ['1', 'true'].includes(process.env.GDSO_OFFLINE);
+
+        // Requêtes en cours (clé → promesse partagée par les appels identiques)
+        this._inflight = {
+            /** @type {Map<string, Promise<OnsResult>>} GTIN-14 → résolution ONS */
+            ons: new Map(),
+            /** @type {Map<string, Promise<TireResult>>} URN SGTIN → getTireInfo */
+            tires: new Map()
+        };
+
+        // Cache ONS (GTIN-14 → OnsResult ou entrée négative), TTL issu des NAPTR
         this.useCache = options.useCache !== false;
-        this.onsCache = new LRUCache({
-            maxSize: 500,
-            ttlMs: options.cacheTtlMs || 3600000 // 1 heure
+        this.cacheLimits = {
+            ...ONS_CACHE,
+            ...(options.cacheTtlMs && { defaultTtlMs: options.cacheTtlMs }),
+            ...options.cacheLimits
+        };
+        const cacheDir = options.cacheDir === undefined ? process.env.GDSO_CACHE_DIR : options.cacheDir;
+        const onCacheError = error => this.logger.warn(`Cache persistant indisponible: ${error.message}`);
+        this.onsCache = options.cacheStores?.ons || createCacheStore({
+            dir: cacheDir,
+            name: `ons-${this.env}`,
+            maxSize: this.cacheLimits.maxSize,
+            ttlMs: this.cacheLimits.defaultTtlMs,
+            onError: onCacheError
+        });
+        this.cacheStats = { hits: 0, misses: 0, negativeHits: 0 };
+
+        // Cache des données pneu (URN SGTIN → TireResult sans le bloc product)
+        // Conservé jusqu'à maxStaleMs: la fraîcheur (ttlMs) est évaluée à la lecture
+        // Clés préfixées par la portée: un compte ne lit pas les champs privés obtenus par un autre
+        /** @type {string|null} */
+        this.cacheScope = options.cacheScope || null;
+        this.tireCache = options.cacheStores?.tires || createCacheStore({
+            dir: cacheDir,
+            name: `tires-${this.env}`,
+            maxSize: TIRE_CACHE.maxSize,
+            ttlMs: TIRE_CACHE.maxStaleMs,
+            onError: onCacheError
+        });
+
+        // Catalogue produit (GTIN-14 → bloc product commun à tous les pneus du GTIN)
+        this.productCache = options.cacheStores?.products || createCacheStore({
+            dir: cacheDir,
+            name: `products-${this.env}`,
+            maxSize: PRODUCT_CACHE.maxSize,
+            ttlMs: PRODUCT_CACHE.maxStaleMs,
+            onError: onCacheError
+        });
+
+        // Variantes d'URL apprises (URL de base de l'API → pattern et encodage ayant répondu)
+        this.urlPatternCache = options.cacheStores?.urlPatterns || createCacheStore({
+            dir: cacheDir,
+            name: `url-patterns-${this.env}`,
+            maxSize: URL_PATTERN_CACHE.maxSize,
+            ttlMs: URL_PATTERN_CACHE.ttlMs,
+            onError: onCacheError
         });
     }
 
@@ -104,25 +290,46 @@ export class GdsoService {
     // ========================================================================
 
     /**
-     * Parse une URN SGTIN-96
-     * @param {string} sgtinUrn - URN au format urn:epc:id:sgtin:prefix.itemref.serial
+     * Parse un identifiant de pneu et le normalise en SGTIN
+     * Formats acceptés: URN pure identity, tag URI, EPC SGTIN-96 hexadécimal,
+     * GS1 Digital Link et element string (01)...(21)...
+     * @param {string} sgtinUrn - Identifiant du pneu
      * @returns {ParsedSgtin}
      * @throws {SgtinParseError} Si le format est invalide
      */
     parseSgtin(sgtinUrn) {
-        if (!sgtinUrn || typeof sgtinUrn !== 'string') {
-            throw new SgtinParseError(String(sgtinUrn), 'SGTIN doit être une chaîne non vide');
-        }
-
-        const regex = /^urn:epc:id:sgtin:(\d+)\.(\d+)\.(\d+)$/;
-        const match = sgtinUrn.match(regex);
+        if (isDigitalLink(sgtinUrn)) return parseDigitalLink(sgtinUrn);
+        if (isElementString(sgtinUrn)) return parseElementString(sgtinUrn);
+        return parseSgtin(sgtinUrn);
+    }
 
-        if (!match) {
-            throw new SgtinParseError(sgtinUrn, 'Format attendu: urn:epc:id:sgtin:<prefix>.<itemref>.<serial>');
+    /**
+     * Vérifie qu'un GTIN appartient aux préfixes d'entreprise autorisés
+     * Le préfixe suit l'indicator digit du GTIN-14; sa longueur n'étant pas
+     * connue pour un GTIN seul, la comparaison se fait par début de chaîne
+     * @param {string} gtin14 - GTIN-14
+     * @param {string} key - Identifiant demandé (rapporté dans l'erreur)
+     * @throws {PrefixNotAllowedError} Si hors du périmètre
+     */
+    assertPrefixAllowed(gtin14, key) {
+        if (!this.allowedPrefixes) return;
+        const companyPart = gtin14.substring(1);
+        if (!this.allowedPrefixes.some(prefix => companyPart.startsWith(prefix))) {
+            throw new PrefixNotAllowedError(key);
         }
+    }
 
-        const [, companyPrefix, indicatorItemRef, serialNumber] = match;
-        return { companyPrefix, indicatorItemRef, serialNumber, urn: sgtinUrn };
+    /**
+     * Calcule l'URI GS1 Digital Link d'un pneu
+     * @param {string} sgtinUrn - Identifiant du pneu (tout format accepté par parseSgtin)
+     * @returns {string|null} Digital Link ou null si l'identifiant est invalide
+     */
+    getDigitalLink(sgtinUrn) {
+        try {
+            return sgtinToDigitalLink(this.parseSgtin(sgtinUrn));
+        } catch {
+            return null;
+        }
     }
 
     /**
@@ -131,30 +338,32 @@ export class GdsoService {
      * @returns {number} Check digit (0-9)
      */
     calculateCheckDigit(digits) {
-        let sum = 0;
-        for (let i = 0; i < digits.length; i++) {
-            const multiplier = (digits.length - i) % 2 === 0 ? 1 : 3;
-            sum += parseInt(digits[i], 10) * multiplier;
-        }
-        return (10 - (sum % 10)) % 10;
+        return calculateCheckDigit(digits);
+    }
+
+    /**
+     * Convertit un SGTIN parsé en GTIN-14
+     * @param {ParsedSgtin} parsed - SGTIN parsé
+     * @returns {string} GTIN-14
+     */
+    sgtinToGtin14(parsed) {
+        return sgtinToGtin14(parsed);
     }
 
     /**
      * Convertit un SGTIN parsé en GTIN-13
+     * Un GTIN-13 n'existe que si l'indicator digit vaut 0 (GTIN-14 = 0 + GTIN-13)
      * @param {ParsedSgtin} parsed - SGTIN parsé
-     * @returns {string} GTIN-13
+     * @returns {string|null} GTIN-13 ou null si l'indicator digit est 1-9
      */
     sgtinToGtin13(parsed) {
-        const indicator = parsed.indicatorItemRef[0];
-        const itemRef = parsed.indicatorItemRef.substring(1);
-        const gtin14Base = indicator + parsed.companyPrefix + itemRef;
-        const checkDigit = this.calculateCheckDigit(gtin14Base);
-        return (gtin14Base + checkDigit).substring(1); // GTIN-13 = GTIN-14 sans premier chiffre
+        const gtin14 = this.sgtinToGtin14(parsed);
+        return gtin14[0] === '0' ? gtin14.substring(1) : null;
     }
 
     /**
-     * Convertit un GTIN-13 en FQDN pour résolution ONS
-     * @param {string} gtin - GTIN-13
+     * Convertit un GTIN (13 ou 14 chiffres) en FQDN pour résolution ONS
+     * @param {string} gtin - GTIN-13 ou GTIN-14
      * @returns {string} FQDN (ex: 0.9.2.2.8.8.9.9.9.6.6.8.0.gtin.gs1.id.gdso.org)
      */
     gtinToFqdn(gtin) {
@@ -168,112 +377,350 @@ export class GdsoService {
 
     /**
      * Résout l'ONS pour obtenir l'URL de l'API fabricant
-     * @param {string} sgtinUrn - URN SGTIN
+     * Interroge d'abord le FQDN GTIN-14, puis le GTIN-13 si celui-ci est valide
+     * (indicator digit 0)
+     * @param {string} sgtinUrn - Identifiant du pneu (tout format accepté par parseSgtin)
      * @returns {Promise<OnsResult>}
      * @throws {SgtinParseError} Si format SGTIN invalide
+     * @throws {PrefixNotAllowedError} Si le préfixe d'entreprise est hors du périmètre (allowedPrefixes)
      * @throws {DnsResolutionError} Si erreur DNS
      * @throws {NaptrNotFoundError} Si pas d'enregistrement NAPTR
      */
     async resolveOns(sgtinUrn) {
         const parsed = this.parseSgtin(sgtinUrn);
+        const gtin14 = this.sgtinToGtin14(parsed);
+        this.assertPrefixAllowed(gtin14, parsed.urn);
         const gtin13 = this.sgtinToGtin13(parsed);
 
-        // Vérifier le cache
+        // Vérifier le cache (entrées positives et négatives)
         if (this.useCache) {
-            const cached = this.onsCache.get(gtin13);
+            const cached = this.onsCache.get(gtin14);
+            if (cached?.negative) {
+                this.cacheStats.negativeHits++;
+                this.logger.debug(`Cache négatif pour GTIN-14: ${gtin14}`);
+                const error = new NaptrNotFoundError(cached.fqdn, gtin14);
+                error.details.cached = true;
+                throw error;
+            }
             if (cached) {
-                this.logger.debug(`Cache hit pour GTIN-13: ${gtin13}`);
-                return { ...cached, parsed };
+                this.cacheStats.hits++;
+                this.logger.debug(`Cache hit pour GTIN-14: ${gtin14}`);
+                return { ...cached, manufacturer: getManufacturerConfig(parsed.companyPrefix), parsed, source: 'cache' };
             }
         }
 
-        const fqdn = this.gtinToFqdn(gtin13);
-        const manufacturer = getManufacturerConfig(parsed.companyPrefix);
+        if (this.offline) {
+            throw new OfflineError('resolveOns', gtin14);
+        }
 
-        this.logger.info(`Fabricant détecté: ${manufacturer.name} (${parsed.companyPrefix})`);
-        this.logger.info(`GTIN-13: ${gtin13}`);
-        this.logger.debug(`FQDN: ${fqdn}`);
+        // Résolution identique en cours pour ce GTIN: partager sa promesse
+        const inflight = this._inflight.ons.get(gtin14);
+        if (inflight) {
+            this.logger.debug(`Résolution ONS en cours pour GTIN-14: ${gtin14}, partagée`);
+            return { ...(await inflight), parsed, source: 'coalesced' };
+        }
 
-        // Résolution DNS avec retry
-        const url = `${this.config.ons.dnsResolver}?name=${encodeURIComponent(fqdn)}&type=NAPTR`;
+        if (this.useCache) this.cacheStats.misses++;
+        const pending = this._resolveOnsNetwork(parsed, gtin14, gtin13)
+            .finally(() => this._inflight.ons.delete(gtin14));
+        this._inflight.ons.set(gtin14, pending);
 
-        const data = await withRetry(
-            async () => {
-                const response = await fetch(url, {
-                    headers: { 'Accept': 'application/dns-json' },
-                    signal: AbortSignal.timeout(TIMEOUTS.dns)
-                });
+        return { ...(await pending), source: 'network' };
+    }
 
-                if (!response.ok) {
-                    throw new DnsResolutionError(fqdn, `HTTP ${response.status}`, response.status);
-                }
+    /**
+     * Résolution ONS réseau (GTIN-14 puis GTIN-13) et mise en cache du résultat
+     * @private
+     * @param {ParsedSgtin} parsed - SGTIN parsé
+     * @param {string} gtin14
+     * @param {string|null} gtin13
+     * @returns {Promise<OnsResult>}
+     * @throws {NaptrNotFoundError} Si aucune forme n'a d'enregistrement NAPTR
+     */
+    async _resolveOnsNetwork(parsed, gtin14, gtin13) {
+        const manufacturer = getManufacturerConfig(parsed.companyPrefix);
 
-                return response.json();
-            },
-            {
-                operationName: `DNS resolution ${fqdn}`,
-                onRetry: (attempt, delay) => {
-                    this.logger.warn(`Retry DNS ${attempt}, attente ${delay}ms...`);
-                }
-            }
-        );
+        this.logger.info(`Fabricant détecté: ${manufacturer.name} (${parsed.companyPrefix})`);
+        this.logger.info(`GTIN-14: ${gtin14}${gtin13 ? ` / GTIN-13: ${gtin13}` : ''}`);
 
-        if (data.Status !== 0 || !data.Answer?.length) {
-            throw new NaptrNotFoundError(fqdn, gtin13);
+        const candidates = [{ gtinForm: 'GTIN-14', gtin: gtin14 }];
+        if (gtin13) {
+            candidates.push({ gtinForm: 'GTIN-13', gtin: gtin13 });
         }
 
-        // Parser les services NAPTR
-        const services = [];
-        for (const record of data.Answer) {
-            const match = record.data.match(/^\d+\s+\d+\s+\S+\s+(\S+)\s+(!.*!)\s+\S+$/);
-            if (match) {
-                const urlMatch = match[2].match(/!.*!(https?:\/\/[^!]+)!/);
-                if (urlMatch) {
-                    services.push({ service: match[1], url: urlMatch[1] });
-                }
+        let resolved = null;
+        const diagnostics = [];
+        const negativeTtls = [];
+        for (const candidate of candidates) {
+            const fqdn = this.gtinToFqdn(candidate.gtin);
+            this.logger.debug(`FQDN (${candidate.gtinForm}): ${fqdn}`);
+
+            try {
+                const services = await this._queryNaptr(fqdn, candidate.gtin);
+                resolved = { ...candidate, fqdn, services };
+                break;
+            } catch (error) {
+                if (!(error instanceof NaptrNotFoundError)) throw error;
+                if (error.details.diagnostics) diagnostics.push(...error.details.diagnostics);
+                negativeTtls.push(error.details.negativeTtl ?? null);
+                this.logger.debug(`Pas de NAPTR pour le ${candidate.gtinForm}`);
             }
         }
 
-        const apiService = services.find(s => s.service.includes('GetTireBySgtin'));
-        if (!apiService) {
-            throw new NaptrNotFoundError(fqdn, gtin13);
+        if (!resolved) {
+            const error = new NaptrNotFoundError(this.gtinToFqdn(gtin14), gtin14);
+            if (diagnostics.length) error.details.diagnostics = diagnostics;
+
+            if (this.useCache) {
+                const ttlMs = this._negativeTtlMs(negativeTtls);
+                this.onsCache.set(gtin14, { negative: true, fqdn: error.details.fqdn }, ttlMs);
+                this.logger.debug(`Cache négatif ${gtin14} pour ${ttlMs}ms`);
+            }
+            throw error;
         }
 
+        const { gtinForm, fqdn, services } = resolved;
+        const apiService = selectNaptrService(services, 'GetTireBySgtin');
+
+        this.logger.info(`ONS résolu via ${gtinForm}`);
+
         const result = {
             parsed,
             gtin13,
+            gtin14,
+            gtinForm,
             fqdn,
             manufacturer,
             apiUrl: apiService.url,
             services
         };
 
-        // Mettre en cache (sans parsed qui est spécifique à chaque UII)
+        // Mettre en cache (sans parsed qui est spécifique à chaque UII, ni la config
+        // fabricant qui peut contenir des fonctions et est recalculée à la lecture)
         if (this.useCache) {
-            const { parsed: _, ...cacheData } = result;
-            this.onsCache.set(gtin13, cacheData);
+            const { parsed: _, manufacturer: __, ...cacheData } = result;
+            this.onsCache.set(gtin14, cacheData, this._positiveTtlMs(services));
         }
 
         return result;
     }
 
+    /**
+     * TTL d'une entrée positive: plus petit TTL NAPTR, borné par cacheLimits
+     * @private
+     * @param {import('./naptr.js').NaptrService[]} services - Services retenus
+     * @returns {number} TTL en ms
+     */
+    _positiveTtlMs(services) {
+        const ttls = services.map(s => s.ttl).filter(ttl => typeof ttl === 'number');
+        const ttlMs = ttls.length ? Math.min(...ttls) * 1000 : this.cacheLimits.defaultTtlMs;
+        return Math.min(Math.max(ttlMs, this.cacheLimits.minTtlMs), this.cacheLimits.maxTtlMs);
+    }
+
+    /**
+     * TTL d'une entrée négative: TTL SOA (RFC 2308) le plus court, plafonné par negativeTtlMs
+     * @private
+     * @param {Array<number|null>} negativeTtls - TTL négatifs (s) de chaque forme GTIN interrogée
+     * @returns {number} TTL en ms
+     */
+    _negativeTtlMs(negativeTtls) {
+        const ttls = negativeTtls.filter(ttl => typeof ttl === 'number');
+        const ttlMs = ttls.length ? Math.min(...ttls) * 1000 : this.cacheLimits.negativeTtlMs;
+        return Math.min(ttlMs, this.cacheLimits.negativeTtlMs);
+    }
+
+    /**
+     * Interroge les enregistrements NAPTR d'un FQDN
+     * @private
+     * @param {string} fqdn - FQDN à résoudre
+     * @param {string} gtin - GTIN associé (pour les erreurs)
+     * @returns {Promise<import('./naptr.js').NaptrService[]>} Services NAPTR triés (dont GetTireBySgtin)
+     * @throws {DnsResolutionError} Si erreur DNS
+     * @throws {NaptrNotFoundError} Si pas de service GetTireBySgtin
+     */
+    async _queryNaptr(fqdn, gtin) {
+        // Résolution DNS avec retry (le failover entre backends est géré par la chaîne)
+        const answer = await withRetry(
+            () => this.resolver.resolveNaptr(fqdn),
+            {
+                operationName: `DNS resolution ${fqdn}`,
+                onRetry: (attempt, delay) => {
+                    this.logger.warn(`Retry DNS ${attempt}, attente ${delay}ms...`);
+                }
+            }
+        );
+
+        this.logger.debug(`NAPTR ${fqdn}: ${answer.status} via ${answer.resolver}`);
+
+        if (answer.status !== 'NOERROR' || !answer.records.length) {
+            const error = new NaptrNotFoundError(fqdn, gtin);
+            error.details.negativeTtl = answer.negativeTtl;
+            throw error;
+        }
+
+        // Traitement RFC 3403 (AUS = GTIN interrogé)
+        const { services, diagnostics } = processNaptrRecords(answer.records, { aus: gtin });
+        for (const diagnostic of diagnostics) {
+            this.logger.warn(`NAPTR ${fqdn} rejeté (${diagnostic.code}): ${diagnostic.message}`);
+        }
+
+        if (!selectNaptrService(services, 'GetTireBySgtin')) {
+            const error = new NaptrNotFoundError(fqdn, gtin);
+            if (diagnostics.length) error.details.diagnostics = diagnostics;
+            error.details.negativeTtl = answer.negativeTtl;
+            throw error;
+        }
+
+        return services;
+    }
+
     // ========================================================================
     // AUTHENTICATION
     // ========================================================================
 
     /**
-     * Authentification GDSO (Basic Auth → JWT)
+     * Credentials de l'environnement via la chaîne de fournisseurs:
+     * options explicites, env, *_FILE, fichier chiffré (voir lib/credentials.js)
+     * Journalise la provenance de chaque champ, jamais les valeurs
+     * @private
+     * @param {{username?: string, password?: string, credentialProviders?: Array, credentialsFile?: string, credentialsPassphrase?: string}} options
+     * @returns {{username: string|undefined, password: string|undefined}}
+     */
+    _resolveCredentials(options) {
+        const providers = options.credentialProviders
+            ? [createOptionsProvider(options), ...options.credentialProviders]
+            : createDefaultProviders(options);
+
+        const resolved = resolveCredentials(this.env, providers);
+        for (const warning of resolved.warnings) {
+            this.logger.warn(`Credentials ${this.env}: ${warning}`);
+        }
+
+        this.credentialSources = resolved.sources;
+        this.logger.info(`Credentials ${this.env}: ${this.describeCredentialSources()}`);
+
+        return { username: resolved.username, password: resolved.password };
+    }
+
+    /**
+     * Provenance des credentials, sans les valeurs (ex: "file", "env (username) + file (password)")
+     * @returns {string}
+     */
+    describeCredentialSources() {
+        return describeCredentialSources(this.credentialSources);
+    }
+
+    /**
+     * Recharge les credentials et invalide le token courant
+     * Une authentification en cours n'est pas interrompue, mais son token
+     * (obtenu avec les anciens credentials) n'est pas conservé
+     * @param {{username?: string, password?: string}} [credentials={}] - Credentials explicites (défaut: chaîne de fournisseurs)
+     */
+    reloadCredentials(credentials = {}) {
+        this.credentials = this._resolveCredentials({ ...this._credentialConfig, ...credentials });
+        this._credentialsGeneration++;
+        this._authPromise = null;
+        this.token = null;
+        this.tokenExpiry = null;
+        this.logger.info(`Credentials ${this.env} rechargés, token invalidé`);
+    }
+
+    /**
+     * Instance agissant avec l'identité GDSO d'un utilisateur (OpenID Connect)
+     * Une instance par utilisateur (sub), réutilisée d'une requête à l'autre: requêtes
+     * en cours partagées et statistiques de cache valent pour toutes ses requêtes
+     * Les stores de cache sont partagés, mais les données pneu y sont rangées par
+     * utilisateur (cacheScope), à part de celles du compte de service. ONS, catalogue
+     * produit, variantes d'URL, ordonnanceur des batchs et disjoncteurs sont communs
+     * @param {import('./oidc.js').OidcTokens} userTokens - Tokens obtenus via lib/oidc.js
+     * @returns {GdsoService}
+     */
+    forUser(userTokens) {
+        const identity = userTokens.subject || userTokens.username;
+        const existing = identity ? this._userServices.get(identity) : undefined;
+        if (existing) {
+            // Conserver le token qui expire le plus tard (requêtes concurrentes du même utilisateur)
+            if (userTokens.expiry > existing.userTokens.expiry) existing.userTokens = userTokens;
+            return existing;
+        }
+
+        const user = new GdsoService({
+            ...this._options,
+            environment: this.env,
+            offline: this.offline,
+            userTokens,
+            // Identité utilisateur: pas de credentials du compte de service
+            username: undefined,
+            password: undefined,
+            credentialProviders: [],
+            tokenVerifier: this.tokenVerifier ?? undefined,
+            scheduler: this.scheduler,
+            apiGuards: this.apiGuards,
+            cacheScope: identity ? `user:${identity}` : undefined,
+            cacheStores: {
+                ons: this.onsCache,
+                // Sans identité, cache pneu propre à l'instance
+                tires: identity ? this.tireCache : createCacheStore({ maxSize: TIRE_CACHE.maxSize, ttlMs: TIRE_CACHE.maxStaleMs }),
+                products: this.productCache,
+                urlPatterns: this.urlPatternCache
+            }
+        });
+        if (identity) this._userServices.set(identity, user);
+        return user;
+    }
+
+    /**
+     * Authentification GDSO (Basic Auth → JWT, ou ID token de l'utilisateur)
+     * Les appels concurrents attendent la même requête de token (single-flight)
      * @returns {Promise<string>} Token JWT
      * @throws {CredentialsMissingError} Si credentials absents
      * @throws {AuthenticationError} Si authentification échoue
      */
     async authenticate() {
+        // Identité utilisateur: jamais de repli silencieux sur le compte de service
+        if (this.userTokens) {
+            if (Date.now() < this.userTokens.expiry - 60000) return this.userTokens.idToken;
+            throw new AuthenticationError(
+                `session de ${this.userTokens.username || 'l\'utilisateur'} expirée, se reconnecter`,
+                401,
+                this.env
+            );
+        }
+
         // Réutiliser le token s'il est encore valide (avec marge de 60s)
         if (this.token && this.tokenExpiry && Date.now() < this.tokenExpiry - 60000) {
             this.logger.debug('Réutilisation du token existant');
             return this.token;
         }
 
+        if (this._authPromise) {
+            this.logger.debug('Authentification déjà en cours, attente du token');
+            return this._authPromise;
+        }
+
+        const generation = this._credentialsGeneration;
+        const pending = this._fetchToken()
+            .then(({ token, expiry }) => {
+                if (generation === this._credentialsGeneration) {
+                    this.token = token;
+                    this.tokenExpiry = expiry;
+                }
+                return token;
+            })
+            .finally(() => {
+                if (this._authPromise === pending) this._authPromise = null;
+            });
+
+        this._authPromise = pending;
+        return pending;
+    }
+
+    /**
+     * Demande un token à l'API d'authentification
+     * @private
+     * @returns {Promise<{token: string, expiry: number}>}
+     */
+    async _fetchToken() {
         if (!this.credentials.username || !this.credentials.password) {
             throw new CredentialsMissingError(this.env);
         }
@@ -315,36 +762,45 @@ export class GdsoService {
             }
         );
 
-        const tokenText = await response.text();
+        const tokenText = (await response.text()).trim();
 
-        // Le token est retourné directement en JWT
-        if (tokenText.startsWith('eyJ')) {
-            this.token = tokenText.trim();
+        // Le token est retourné directement en JWT, sinon dans un JSON
+        let token = tokenText;
+        let expiresIn = 3600;
+        if (!tokenText.startsWith('eyJ')) {
+            const data = JSON.parse(tokenText);
+            token = data.AccessToken || data.access_token || data.IdToken;
+            expiresIn = data.expires_in || expiresIn;
 
-            // Extraire l'expiration du JWT
-            try {
-                const payload = JSON.parse(Buffer.from(this.token.split('.')[1], 'base64').toString());
-                this.tokenExpiry = payload.exp * 1000;
-                this.logger.success(`Token obtenu (expire: ${new Date(this.tokenExpiry).toLocaleString()})`);
-            } catch {
-                this.tokenExpiry = Date.now() + 3600000; // 1h par défaut
-                this.logger.success('Token obtenu');
+            if (!token) {
+                throw new AuthenticationError('Pas de token dans la réponse', null, this.env);
             }
-
-            return this.token;
         }
 
-        // Sinon parser comme JSON
-        const data = JSON.parse(tokenText);
-        this.token = data.AccessToken || data.access_token || data.IdToken;
+        const claims = await this._readTokenClaims(token);
+        const expiry = claims?.exp ? claims.exp * 1000 : Date.now() + expiresIn * 1000;
 
-        if (!this.token) {
-            throw new AuthenticationError('Pas de token dans la réponse', null, this.env);
-        }
+        this.logger.success(`Token obtenu (expire: ${new Date(expiry).toLocaleString()})`);
+        return { token, expiry };
+    }
 
-        this.tokenExpiry = Date.now() + (data.expires_in || 3600) * 1000;
-        this.logger.success('Token obtenu');
-        return this.token;
+    /**
+     * Claims d'un token reçu: vérifiés (signature RS256, iss, aud, exp, nbf)
+     * si un vérificateur est configuré, sinon simplement décodés
+     * @private
+     * @param {string} token
+     * @returns {Promise<Object|null>}
+     * @throws {import('./errors.js').TokenVerificationError} Token rejeté
+     */
+    async _readTokenClaims(token) {
+        if (!this.tokenVerifier) return decodeJwtPayload(token);
+
+        try {
+            return await this.tokenVerifier.verify(token);
+        } catch (error) {
+            error.details.environment = this.env;
+            throw error;
+        }
     }
 
     // ========================================================================
@@ -353,47 +809,48 @@ export class GdsoService {
 
     /**
      * Appelle l'API du fabricant pour un pneu
+     * Les variantes d'URL (pattern, encodage) sont essayées dans l'ordre; celle
+     * qui a déjà répondu pour cette API (urlPatternCache) est essayée en premier
      * @param {string} apiUrl - URL de base de l'API
      * @param {string} sgtin - URN SGTIN du pneu
      * @param {Object} manufacturer - Config du fabricant
+     * @param {Object} [options]
+     * @param {string|null} [options.country] - Paramètre country (défaut: pays du service, null = aucun)
      * @returns {Promise<Object|null>} Données du pneu ou null
+     * @throws {InvalidCountryError} Si le code pays est invalide
+     * @throws {CircuitOpenError} Si le circuit de l'API est ouvert (pannes répétées)
      */
-    async callManufacturerApi(apiUrl, sgtin, manufacturer) {
+    async callManufacturerApi(apiUrl, sgtin, manufacturer, options = {}) {
+        const country = this._resolveCountry(options);
+        const query = country ? `?country=${country}` : '';
+        const baseUrl = normalizeBaseUrl(apiUrl);
+        const guard = this.apiGuards.get(baseUrl, manufacturer);
+        this._assertCircuitClosed(guard);
         const token = await this.authenticate();
 
-        // Construire les URLs à essayer selon le fabricant
-        let urls;
-        if (manufacturer.urlPatterns) {
-            urls = buildAllPossibleUrls(apiUrl, sgtin, manufacturer);
-        } else {
-            urls = [buildApiUrl(apiUrl, sgtin, manufacturer)];
-            // Ajouter aussi la variante opposée d'encodage
-            const altConfig = { ...manufacturer, encodeSgtin: !manufacturer.encodeSgtin };
-            urls.push(buildApiUrl(apiUrl, sgtin, altConfig));
-        }
-
-        // Dédupliquer
-        urls = [...new Set(urls)];
+        const learned = this.useCache ? this.urlPatternCache.get(baseUrl) : undefined;
+        const candidates = buildUrlCandidates(apiUrl, sgtin, manufacturer, learned);
 
         this.logger.info(`Appel API ${manufacturer.name}...`);
 
-        for (const url of urls) {
+        for (const candidate of candidates) {
+            const url = candidate.url + query;
             try {
                 this.logger.debug(`Tentative: ${url}`);
 
-                const response = await fetch(url, {
+                const response = await this._guardedFetch(guard, url, {
                     method: 'GET',
                     headers: {
                         'Authorization': `Bearer ${token}`,
                         'Accept': 'application/json',
                         ...manufacturer.headers
-                    },
-                    signal: AbortSignal.timeout(TIMEOUTS.api)
+                    }
                 });
 
                 if (response.ok) {
                     const data = await response.json();
                     this.logger.success('Données reçues!');
+                    this._learnUrlPattern(baseUrl, candidate, manufacturer, learned);
 
                     // Appliquer transformation si définie
                     return manufacturer.transformResponse
@@ -409,6 +866,7 @@ export class GdsoService {
                 this.logger.warn(`${response.status} ${response.statusText}`);
 
             } catch (error) {
+                if (error instanceof CircuitOpenError) throw error;
                 this.logger.warn(`Erreur: ${error.message}`);
             }
         }
@@ -416,18 +874,108 @@ export class GdsoService {
         return null;
     }
 
+    /**
+     * Appel HTTP protégé par le disjoncteur et le limiteur de débit de l'API
+     * Le timeout (TIMEOUTS.api) court à partir de l'envoi, après l'attente d'un jeton
+     * @private
+     * @param {import('./circuit-breaker.js').ApiGuard} guard - Protection de l'API
+     * @param {string} url - URL appelée
+     * @param {RequestInit} init - Options fetch (sans signal)
+     * @returns {Promise<Response>}
+     * @throws {CircuitOpenError} Si le circuit est ouvert
+     */
+    async _guardedFetch(guard, url, init) {
+        const retryAt = guard.breaker?.tryAcquire();
+        if (retryAt) throw new CircuitOpenError(guard.manufacturer, guard.baseUrl, retryAt);
+        await guard.bucket?.acquire();
+
+        let response;
+        try {
+            response = await fetch(url, { ...init, signal: AbortSignal.timeout(TIMEOUTS.api) });
+        } catch (error) {
+            guard.breaker?.onFailure();
+            throw error;
+        }
+
+        // 404 et autres 4xx: l'API répond, seule la requête est en cause
+        if (response.status >= 500 || response.status === 429) {
+            guard.breaker?.onFailure();
+        } else {
+            guard.breaker?.onSuccess();
+        }
+        return response;
+    }
+
+    /**
+     * Échoue sans attendre (ni s'authentifier) si le circuit de l'API est ouvert
+     * @private
+     * @param {import('./circuit-breaker.js').ApiGuard} guard - Protection de l'API
+     * @throws {CircuitOpenError}
+     */
+    _assertCircuitClosed(guard) {
+        const retryAt = guard.breaker?.blockedUntil();
+        if (retryAt) throw new CircuitOpenError(guard.manufacturer, guard.baseUrl, retryAt);
+    }
+
+    /**
+     * État des disjoncteurs des API fabricant appelées
+     * @returns {Array<{baseUrl: string, manufacturer: string, state: string, failures: number, retryAt: string|null}>}
+     */
+    getCircuitStates() {
+        return this.apiGuards.getStates();
+    }
+
+    /**
+     * Retient la variante d'URL qui a répondu pour une API (écrite seulement si elle change)
+     * @private
+     * @param {string} baseUrl - URL de base normalisée
+     * @param {import('./manufacturers.js').UrlCandidate} candidate - Variante ayant répondu
+     * @param {Object} manufacturer - Config du fabricant
+     * @param {LearnedUrlPattern} [learned] - Variante connue jusqu'ici
+     */
+    _learnUrlPattern(baseUrl, candidate, manufacturer, learned) {
+        if (!this.useCache) return;
+        if (learned?.pattern === candidate.pattern && learned.encoded === candidate.encoded) return;
+
+        this.urlPatternCache.set(baseUrl, {
+            pattern: candidate.pattern,
+            encoded: candidate.encoded,
+            manufacturer: manufacturer.name,
+            learnedAt: new Date().toISOString()
+        });
+        this.logger.info(`Variante d'URL retenue pour ${baseUrl}: ${candidate.pattern} (${candidate.encoded ? 'encodé' : 'non encodé'})`);
+    }
+
+    /**
+     * Variantes d'URL apprises, par API fabricant
+     * @returns {Array<{baseUrl: string} & LearnedUrlPattern>}
+     */
+    getLearnedUrlPatterns() {
+        return [...this.urlPatternCache.entries()].map(([baseUrl, learned]) => ({ baseUrl, ...learned }));
+    }
+
     /**
      * Appelle l'API batch du fabricant
      * @param {string} apiUrl - URL de base de l'API
      * @param {Array<string>} sgtins - Liste des URN SGTIN
      * @param {Object} manufacturer - Config du fabricant
+     * @param {Object} [options]
+     * @param {string|null} [options.country] - Paramètre country (défaut: pays du service, null = aucun)
      * @returns {Promise<Array|null>} Données des pneus ou null
+     * @throws {InvalidCountryError} Si le code pays est invalide
+     * @throws {CircuitOpenError} Si le circuit de l'API est ouvert (pannes répétées)
      */
-    async callBatchApi(apiUrl, sgtins, manufacturer) {
+    async callBatchApi(apiUrl, sgtins, manufacturer, options = {}) {
+        // La spécification ne définit country que sur GET /tire/{sgtin}: transmis aussi au
+        // batch pour que ses réponses correspondent à la clé de cache (ignoré si non géré)
+        const country = this._resolveCountry(options);
+        const query = country ? `?country=${country}` : '';
+        const baseUrl = normalizeBaseUrl(apiUrl);
+        const guard = this.apiGuards.get(baseUrl, manufacturer);
+        this._assertCircuitClosed(guard);
         const token = await this.authenticate();
 
         // Construire l'URL batch
-        const baseUrl = apiUrl.endsWith('/') ? apiUrl.slice(0, -1) : apiUrl;
         const batchUrls = [
             baseUrl.replace(/\/tire\/?$/, '/tires'),
             baseUrl.replace(/\/tire\/?$/, ''),
@@ -437,11 +985,11 @@ export class GdsoService {
 
         this.logger.info(`Appel Batch API ${manufacturer.name} (${sgtins.length} UIIs)...`);
 
-        for (const url of [...new Set(batchUrls)]) {
+        for (const url of [...new Set(batchUrls)].map(batchUrl => batchUrl + query)) {
             try {
                 this.logger.debug(`POST ${url}`);
 
-                const response = await fetch(url, {
+                const response = await this._guardedFetch(guard, url, {
                     method: 'POST',
                     headers: {
                         'Authorization': `Bearer ${token}`,
@@ -449,8 +997,7 @@ export class GdsoService {
                         'Content-Type': 'application/json',
                         ...manufacturer.headers
                     },
-                    body: JSON.stringify(sgtins),
-                    signal: AbortSignal.timeout(TIMEOUTS.api)
+                    body: JSON.stringify(sgtins)
                 });
 
                 if (response.ok) {
@@ -462,6 +1009,7 @@ export class GdsoService {
                 this.logger.warn(`${response.status} ${response.statusText}`);
 
             } catch (error) {
+                if (error instanceof CircuitOpenError) throw error;
                 this.logger.warn(`Erreur: ${error.message}`);
             }
         }
@@ -475,122 +1023,608 @@ export class GdsoService {
 
     /**
      * Récupère les informations d'un pneu
-     * @param {string} sgtinUrn - URN SGTIN du pneu
+     * Les appels concurrents pour un même SGTIN partagent une seule séquence
+     * ONS → authentification → API (source: 'coalesced')
+     * Stale-while-revalidate: une donnée en cache plus ancienne que TIRE_CACHE.ttlMs
+     * est servie (stale: true) pendant son rafraîchissement en arrière-plan; elle
+     * reste donc disponible si l'authentification ou l'API fabricant sont en panne
+     * @param {string} sgtinUrn - Identifiant du pneu (tout format accepté par parseSgtin)
+     * @param {Object} [options]
+     * @param {string|null} [options.country] - Pays de la requête (défaut: pays du service, null = aucun)
      * @returns {Promise<TireResult>}
+     * @throws {OfflineError} En mode hors ligne si le pneu n'est pas en cache
+     * @throws {PrefixNotAllowedError} Si le préfixe d'entreprise est hors du périmètre (allowedPrefixes)
+     * @throws {InvalidCountryError} Si le code pays est invalide
+     * @throws {CircuitOpenError} Si le circuit de l'API fabricant est ouvert (pannes répétées)
      */
-    async getTireInfo(sgtinUrn) {
+    async getTireInfo(sgtinUrn, options = {}) {
+        const parsed = this.parseSgtin(sgtinUrn);
+        const { urn } = parsed;
+        const country = this._resolveCountry(options);
+        this.assertPrefixAllowed(sgtinToGtin14(parsed), urn);
+
+        // 0. Cache des données pneu (aucun appel réseau si présent)
+        const cached = this._getCachedTire(urn, country);
+        if (cached) {
+            if (cached.stale) this._revalidate(urn, country);
+            return { ...cached, source: 'cache' };
+        }
+
+        if (this.offline) {
+            throw new OfflineError('getTireInfo', urn);
+        }
+
+        const inflight = this._inflight.tires.get(cacheKey(urn, country));
+        if (inflight) {
+            this.logger.debug(`Requête en cours pour ${urn}, partagée`);
+            return { ...(await inflight), source: 'coalesced' };
+        }
+
+        return { ...(await this._startTireFetch(urn, country)), source: 'network' };
+    }
+
+    /**
+     * Pays d'un appel: option explicite (null = aucun), sinon pays du service
+     * @private
+     * @param {{country?: string|null}} options
+     * @returns {string|null}
+     */
+    _resolveCountry(options) {
+        return options.country === undefined ? this.country : normalizeCountry(options.country);
+    }
+
+    /**
+     * Lance la séquence réseau d'un pneu et l'enregistre comme requête en cours
+     * @private
+     * @param {string} urn - URN SGTIN pure identity
+     * @param {string|null} country - Pays de la requête
+     * @returns {Promise<TireResult>}
+     */
+    _startTireFetch(urn, country) {
+        const key = cacheKey(urn, country);
+        const pending = this._fetchTireInfo(urn, country)
+            .finally(() => this._inflight.tires.delete(key));
+        this._inflight.tires.set(key, pending);
+        return pending;
+    }
+
+    /**
+     * Rafraîchit en arrière-plan une donnée périmée (sans effet hors ligne ou si
+     * une requête est déjà en cours). Un échec conserve la donnée périmée
+     * @private
+     * @param {string} urn - URN SGTIN pure identity
+     * @param {string|null} country - Pays de la requête
+     */
+    _revalidate(urn, country) {
+        if (this.offline || this._inflight.tires.has(cacheKey(urn, country))) return;
+
+        this.logger.debug(`Rafraîchissement en arrière-plan: ${urn}`);
+        this._startTireFetch(urn, country).catch(error => {
+            this.logger.warn(`Rafraîchissement de ${urn} échoué, donnée périmée conservée: ${error.message}`);
+        });
+    }
+
+    /**
+     * Séquence réseau d'un pneu: ONS, API fabricant, catalogue et cache
+     * @private
+     * @param {string} urn - URN SGTIN pure identity
+     * @param {string|null} country - Pays de la requête
+     * @returns {Promise<TireResult>}
+     */
+    async _fetchTireInfo(urn, country) {
         // 1. Résolution ONS
         this.logger.section('RÉSOLUTION ONS');
-        const ons = await this.resolveOns(sgtinUrn);
+        const ons = await this.resolveOns(urn);
 
         // 2. Appel API fabricant (authentification implicite)
+        // L'API GDSO attend toujours la forme pure identity
         this.logger.section('APPEL API FABRICANT');
         const tireData = await this.callManufacturerApi(
             ons.apiUrl,
-            sgtinUrn,
-            ons.manufacturer
+            ons.parsed.urn,
+            ons.manufacturer,
+            { country }
         );
 
-        return {
-            sgtin: sgtinUrn,
+        const result = {
+            sgtin: ons.parsed.urn,
             manufacturer: ons.manufacturer.name,
             gtin13: ons.gtin13,
+            gtin14: ons.gtin14,
+            gtinForm: ons.gtinForm,
             apiUrl: ons.apiUrl,
-            data: tireData
+            digitalLink: sgtinToDigitalLink(ons.parsed),
+            data: tireData,
+            country
         };
+
+        return this._recordTire(result);
     }
 
     /**
      * Récupère les informations de plusieurs pneus (batch)
-     * Regroupe automatiquement par fabricant pour optimiser
-     * @param {Array<string>} sgtinUrns - Liste des URN SGTIN
-     * @returns {Promise<Array<TireResult>>}
+     * Regroupe automatiquement par fabricant pour optimiser; les fabricants sont
+     * interrogés en parallèle, dans les limites de l'ordonnanceur (globale et par fabricant)
+     * Toute erreur d'un élément ou de son fabricant (SGTIN invalide, pas de NAPTR, DNS,
+     * authentification, API) produit une erreur par élément (propriété error: code de
+     * l'erreur) au lieu de faire échouer tout le batch
+     * La réponse batch est associée par UII avec le statut de chaque élément
+     * (404: TIRE_NOT_FOUND); les UII absents de la réponse sont appelés un par un
+     * Une API dont le circuit est ouvert produit l'erreur CIRCUIT_OPEN (avec retryAt) par élément
+     * @param {Array<string>} sgtinUrns - Liste d'identifiants (tout format accepté par parseSgtin)
+     * @param {Object} [options]
+     * @param {string|null} [options.country] - Pays de la requête (défaut: pays du service, null = aucun)
+     * @param {(progress: BatchProgress) => void} [options.onProgress] - Appelé à chaque élément traité
+     * @returns {Promise<Array<TireResult>>} Un résultat par identifiant, dans l'ordre d'entrée
+     * @throws {InvalidCountryError} Si le code pays est invalide
      */
-    async getTireInfoBatch(sgtinUrns) {
-        // Grouper par company prefix (fabricant)
-        /** @type {Object<string, Array<string>>} */
-        const groups = {};
+    async getTireInfoBatch(sgtinUrns, options = {}) {
+        const country = this._resolveCountry(options);
+        const total = sgtinUrns.length;
+        let completed = 0;
 
-        for (const sgtin of sgtinUrns) {
-            const parsed = this.parseSgtin(sgtin);
-            if (!groups[parsed.companyPrefix]) {
-                groups[parsed.companyPrefix] = [];
+        /** @type {Array<TireResult>} */
+        const results = new Array(total);
+        const settle = (index, result) => {
+            results[index] = result;
+            completed++;
+            options.onProgress?.({ completed, total, index, result });
+        };
+
+        // Grouper par company prefix (fabricant): URN → positions dans la liste d'entrée
+        /** @type {Map<string, Map<string, Array<number>>>} */
+        const groups = new Map();
+
+        for (const [index, sgtin] of sgtinUrns.entries()) {
+            let parsed;
+            try {
+                parsed = this.parseSgtin(sgtin);
+            } catch (error) {
+                if (!(error instanceof SgtinParseError)) throw error;
+                settle(index, this._errorResult(String(sgtin), 'INVALID_SGTIN', error));
+                continue;
+            }
+
+            try {
+                this.assertPrefixAllowed(sgtinToGtin14(parsed), parsed.urn);
+            } catch (error) {
+                settle(index, this._errorResult(parsed.urn, 'PREFIX_NOT_ALLOWED', error));
+                continue;
             }
-            groups[parsed.companyPrefix].push(sgtin);
+
+            const cached = this._getCachedTire(parsed.urn, country);
+            if (cached) {
+                if (cached.stale) this._revalidate(parsed.urn, country);
+                settle(index, { ...cached, source: 'cache' });
+                continue;
+            }
+
+            if (this.offline) {
+                settle(index, this._errorResult(parsed.urn, 'OFFLINE', new OfflineError('getTireInfoBatch', parsed.urn)));
+                continue;
+            }
+
+            if (!groups.has(parsed.companyPrefix)) {
+                groups.set(parsed.companyPrefix, new Map());
+            }
+            const group = groups.get(parsed.companyPrefix);
+            if (!group.has(parsed.urn)) group.set(parsed.urn, []);
+            group.get(parsed.urn).push(index);
         }
 
-        this.logger.info(`Batch: ${sgtinUrns.length} UIIs, ${Object.keys(groups).length} fabricant(s)`);
+        this.logger.info(`Batch: ${total} UIIs, ${groups.size} fabricant(s)`);
 
-        /** @type {Array<TireResult>} */
-        const results = [];
-
-        for (const [prefix, sgtins] of Object.entries(groups)) {
-            this.logger.section(`GROUPE ${prefix} (${sgtins.length} UIIs)`);
-
-            // Résolution ONS pour un UII du groupe (les autres ont le même GTIN)
-            const ons = await this.resolveOns(sgtins[0]);
-
-            if (sgtins.length > 1) {
-                // Diviser en lots de 100 max (limite API GDSO)
-                for (let i = 0; i < sgtins.length; i += 100) {
-                    const batch = sgtins.slice(i, i + 100);
-                    const batchData = await this.callBatchApi(ons.apiUrl, batch, ons.manufacturer);
-
-                    if (batchData && Array.isArray(batchData)) {
-                        for (const item of batchData) {
-                            results.push({
-                                sgtin: item.uii || batch[batchData.indexOf(item)],
-                                manufacturer: ons.manufacturer.name,
-                                gtin13: ons.gtin13,
-                                apiUrl: ons.apiUrl,
-                                data: item
-                            });
-                        }
-                    } else {
-                        // Fallback: appels unitaires
-                        for (const sgtin of batch) {
-                            const data = await this.callManufacturerApi(ons.apiUrl, sgtin, ons.manufacturer);
-                            results.push({
-                                sgtin,
-                                manufacturer: ons.manufacturer.name,
-                                gtin13: ons.gtin13,
-                                apiUrl: ons.apiUrl,
-                                data
-                            });
-                        }
-                    }
+        // Un URN demandé plusieurs fois n'est interrogé qu'une fois
+        const record = (positions, result) => {
+            const recorded = { ...this._recordTire({ ...result, country }), source: 'network' };
+            for (const index of positions) settle(index, recorded);
+        };
+
+        await Promise.all([...groups].map(([prefix, group]) => this._fetchBatchGroup(prefix, group, country, record)));
+
+        return results;
+    }
+
+    /**
+     * Interroge les API d'un fabricant pour un groupe du batch
+     * L'ONS est résolu pour chaque GTIN-14 du groupe (une référence article, un
+     * enregistrement NAPTR), puis les UII d'une même API sont interrogés ensemble
+     * Chaque appel réseau passe par l'ordonnanceur: ONS sous la limite globale,
+     * API sous la limite du fabricant; les lots de 100 partent en parallèle
+     * @private
+     * @param {string} prefix - Company prefix du groupe
+     * @param {Map<string, Array<number>>} group - URN → positions dans la liste d'entrée
+     * @param {string|null} country - Pays de la requête
+     * @param {(positions: Array<number>, result: TireResult) => void} record - Enregistre le résultat d'un URN
+     */
+    async _fetchBatchGroup(prefix, group, country, record) {
+        const sgtins = [...group.keys()];
+        this.logger.section(`GROUPE ${prefix} (${sgtins.length} UIIs)`);
+
+        /** @type {Map<string, Array<string>>} GTIN-14 → URN */
+        const byGtin = new Map();
+        for (const sgtin of sgtins) {
+            const gtin14 = this.sgtinToGtin14(this.parseSgtin(sgtin));
+            if (!byGtin.has(gtin14)) byGtin.set(gtin14, []);
+            byGtin.get(gtin14).push(sgtin);
+        }
+
+        // Résolution ONS d'un UII par GTIN (cache et coalescence de resolveOns)
+        /** @type {Map<string, OnsResult>} URN → ONS de son GTIN */
+        const onsBySgtin = new Map();
+        await Promise.all([...byGtin].map(async ([gtin14, gtinSgtins]) => {
+            let ons;
+            try {
+                ons = await this.scheduler.run(null, () => this.resolveOns(gtinSgtins[0]));
+            } catch (error) {
+                this.logger.warn(error instanceof NaptrNotFoundError
+                    ? `Pas d'API GDSO pour le GTIN ${gtin14}`
+                    : `Résolution ONS du GTIN ${gtin14} en échec: ${error.message}`);
+                for (const sgtin of gtinSgtins) {
+                    record(group.get(sgtin), this._errorResult(sgtin, errorCode(error), error));
                 }
-            } else {
-                // Un seul UII, appel unitaire
-                const data = await this.callManufacturerApi(ons.apiUrl, sgtins[0], ons.manufacturer);
-                results.push({
-                    sgtin: sgtins[0],
-                    manufacturer: ons.manufacturer.name,
-                    gtin13: ons.gtin13,
-                    apiUrl: ons.apiUrl,
-                    data
+                return;
+            }
+
+            for (const sgtin of gtinSgtins) onsBySgtin.set(sgtin, ons);
+        }));
+
+        // UII regroupés par API, dans l'ordre de la requête
+        /** @type {Map<string, Array<string>>} URL de l'API → URN */
+        const byApi = new Map();
+        for (const sgtin of sgtins.filter(sgtin => onsBySgtin.has(sgtin))) {
+            const { apiUrl } = onsBySgtin.get(sgtin);
+            if (!byApi.has(apiUrl)) byApi.set(apiUrl, []);
+            byApi.get(apiUrl).push(sgtin);
+        }
+
+        const complete = (sgtin, item) => {
+            const parsed = this.parseSgtin(sgtin);
+            const ons = onsBySgtin.get(sgtin);
+            record(group.get(sgtin), {
+                sgtin,
+                manufacturer: ons.manufacturer.name,
+                gtin13: this.sgtinToGtin13(parsed),
+                gtin14: this.sgtinToGtin14(parsed),
+                gtinForm: ons.gtinForm,
+                apiUrl: ons.apiUrl,
+                digitalLink: this.getDigitalLink(sgtin),
+                ...item
+            });
+        };
+        // API en échec (circuit ouvert, authentification...): erreur par élément, les autres fabricants continuent
+        const unavailable = (sgtins, error) => {
+            this.logger.warn(`Appel API ${onsBySgtin.get(sgtins[0]).manufacturer.name} en échec: ${error.message}`);
+            for (const sgtin of sgtins) {
+                complete(sgtin, {
+                    data: null,
+                    error: errorCode(error),
+                    errorMessage: error.message,
+                    ...(error instanceof CircuitOpenError && { retryAt: error.details.retryAt })
                 });
             }
+        };
+        const fetchOne = async sgtin => {
+            const ons = onsBySgtin.get(sgtin);
+            let data;
+            try {
+                data = await this.scheduler.run(ons.manufacturer.name,
+                    () => this.callManufacturerApi(ons.apiUrl, sgtin, ons.manufacturer, { country }));
+            } catch (error) {
+                unavailable([sgtin], error);
+                return;
+            }
+            complete(sgtin, { data });
+        };
+        const fetchApi = async apiSgtins => {
+            if (apiSgtins.length === 1) {
+                // Un seul UII, appel unitaire
+                await fetchOne(apiSgtins[0]);
+                return;
+            }
+
+            const { apiUrl, manufacturer } = onsBySgtin.get(apiSgtins[0]);
+
+            // Diviser en lots de 100 max (limite API GDSO)
+            const batches = [];
+            for (let i = 0; i < apiSgtins.length; i += 100) {
+                batches.push(apiSgtins.slice(i, i + 100));
+            }
+
+            await Promise.all(batches.map(async batch => {
+                let batchData;
+                try {
+                    batchData = await this.scheduler.run(manufacturer.name,
+                        () => this.callBatchApi(apiUrl, batch, manufacturer, { country }));
+                } catch (error) {
+                    unavailable(batch, error);
+                    return;
+                }
+
+                // Sans réponse batch exploitable, tous les UII passent en appels unitaires
+                const { items, missing } = Array.isArray(batchData)
+                    ? this._matchBatchItems(batch, batchData, manufacturer)
+                    : { items: new Map(), missing: batch };
+
+                if (missing.length && Array.isArray(batchData)) {
+                    this.logger.warn(`${missing.length} UII(s) absent(s) de la réponse batch, appels unitaires`);
+                }
+                for (const [sgtin, item] of items) complete(sgtin, item);
+                await Promise.all(missing.map(fetchOne));
+            }));
+        };
+
+        await Promise.all([...byApi.values()].map(fetchApi));
+    }
+
+    /**
+     * Associe les éléments d'une réponse batch (TireModelUii / TireNotFoundUii)
+     * aux UII demandés, par uii normalisé; un élément sans uii reprend la
+     * position de la requête. Un statut absent vaut 200 (API antérieures au schéma)
+     * @private
+     * @param {Array<string>} batch - URN SGTIN demandés
+     * @param {Array<Object>} batchData - Réponse de l'API batch
+     * @param {Object} manufacturer - Config du fabricant
+     * @returns {{items: Map<string, Partial<TireResult>>, missing: Array<string>}}
+     *          Données, statut et erreur par URN; URN absents de la réponse
+     */
+    _matchBatchItems(batch, batchData, manufacturer) {
+        const requested = new Set(batch);
+        const items = new Map();
+
+        batchData.forEach((item, index) => {
+            if (!item || typeof item !== 'object') return;
+
+            let sgtin = batch[index];
+            if (item.uii) {
+                try {
+                    sgtin = this.parseSgtin(item.uii).urn;
+                } catch {
+                    sgtin = item.uii;
+                }
+            }
+            if (!requested.has(sgtin)) {
+                this.logger.warn(`Élément batch non demandé ignoré: ${item.uii ?? index}`);
+                return;
+            }
+
+            const { status = 200, ...data } = item;
+            if (status >= 200 && status < 300) {
+                items.set(sgtin, { data, status });
+                return;
+            }
+
+            const error = status === 404
+                ? new TireNotFoundError(sgtin, manufacturer.name)
+                : new ManufacturerApiError(manufacturer.name, `statut ${status} pour ${sgtin}`, status);
+            items.set(sgtin, { data: null, status, error: error.code, errorMessage: error.message });
+        });
+
+        return { items, missing: [...requested].filter(sgtin => !items.has(sgtin)) };
+    }
+
+    /**
+     * Lit les données d'un pneu dans le cache, complétées par le catalogue produit
+     * @private
+     * @param {string} urn - URN SGTIN pure identity
+     * @param {string|null} country - Pays de la requête
+     * @returns {TireResult|null} null si absent, ou si son produit a quitté le catalogue
+     */
+    _getCachedTire(urn, country) {
+        if (!this.useCache) return null;
+        const cached = this.tireCache.get(this._tireKey(urn, country));
+        if (!cached) return null;
+
+        const { withProduct, ...result } = cached;
+        result.country = result.country ?? null;
+        result.fetchedAt = result.fetchedAt ?? null;
+        result.stale = isStale(result.fetchedAt, TIRE_CACHE.ttlMs);
+        if (!withProduct) {
+            this.logger.debug(`Cache hit pour ${urn}`);
+            return result;
         }
 
-        return results;
+        const entry = this.productCache.get(cacheKey(result.gtin14, country));
+        if (!entry) return null;
+
+        this.logger.debug(`Cache hit pour ${urn} (produit ${result.gtin14})`);
+        return { ...result, data: { ...result.data, product: entry.product } };
+    }
+
+    /**
+     * Clé du cache pneu: URN et pays, préfixés par la portée du service (cacheScope)
+     * @private
+     * @param {string} urn - URN SGTIN pure identity
+     * @param {string|null} country
+     * @returns {string}
+     */
+    _tireKey(urn, country) {
+        const key = cacheKey(urn, country);
+        return this.cacheScope ? `${this.cacheScope}/${key}` : key;
+    }
+
+    /**
+     * Enregistre un résultat API: le bloc product va au catalogue (clé GTIN-14),
+     * le cache pneu ne garde que les champs propres au numéro de série
+     * (uii, dotTin, countryOfOrigin...). Une réponse sans product est complétée
+     * depuis le catalogue. Les erreurs et data null ne sont pas conservées
+     * @private
+     * @param {TireResult} result
+     * @returns {TireResult} Résultat complété
+     */
+    _recordTire(result) {
+        const fetchedAt = result.data ? new Date().toISOString() : null;
+        result = { ...result, stale: false, fetchedAt };
+        if (!this.useCache || !result.data || result.error) return result;
+
+        const { product, ...serialData } = result.data;
+        const productKey = cacheKey(result.gtin14, result.country);
+        if (product) {
+            this.productCache.set(productKey, {
+                product,
+                manufacturer: result.manufacturer,
+                sgtin: result.sgtin,
+                fetchedAt
+            });
+        }
+
+        const entry = product ? { product } : this.productCache.get(productKey);
+        const { stale: _, ...stored } = result;
+        this.tireCache.set(this._tireKey(result.sgtin, result.country), { ...stored, data: serialData, withProduct: Boolean(entry) });
+
+        return entry ? { ...result, data: { ...result.data, product: entry.product } } : result;
     }
 
     /**
-     * Statistiques du cache ONS
+     * Construit un résultat d'erreur pour un élément de batch
+     * @private
+     * @param {string} sgtin - SGTIN concerné
+     * @param {string} code - Code d'erreur
+     * @param {Error} error - Erreur d'origine
+     * @returns {TireResult}
+     */
+    _errorResult(sgtin, code, error) {
+        return {
+            sgtin,
+            manufacturer: null,
+            gtin13: null,
+            gtin14: null,
+            gtinForm: null,
+            apiUrl: null,
+            digitalLink: this.getDigitalLink(sgtin),
+            data: null,
+            error: code,
+            errorMessage: error.message
+        };
+    }
+
+    // ========================================================================
+    // CATALOGUE PRODUIT
+    // ========================================================================
+
+    /**
+     * Données produit d'un GTIN (dimensions, specifications, markings, labelling)
+     * Répond depuis le catalogue; sinon, si un SGTIN de ce GTIN est fourni,
+     * l'appel unitaire getTireInfo alimente le catalogue. Un produit périmé est
+     * servi et rafraîchi en arrière-plan via le SGTIN qui l'a fourni
+     * @param {string} gtin - GTIN-8/12/13/14
+     * @param {Object} [options]
+     * @param {string} [options.sgtin] - Identifiant d'un pneu de ce GTIN (appel API si produit absent)
+     * @param {string|null} [options.country] - Pays des données produit (défaut: pays du service, null = aucun)
+     * @returns {Promise<ProductResult|null>} null si inconnu du catalogue et sans SGTIN
+     * @throws {SgtinParseError} Si le GTIN est invalide ou ne correspond pas au SGTIN
+     * @throws {PrefixNotAllowedError} Si le préfixe d'entreprise est hors du périmètre (allowedPrefixes)
+     * @throws {CircuitOpenError} Si le circuit de l'API fabricant est ouvert (pannes répétées)
+     */
+    async getProductByGtin(gtin, options = {}) {
+        const gtin14 = normalizeGtin(gtin);
+        const gtin13 = gtin14[0] === '0' ? gtin14.substring(1) : null;
+        const country = this._resolveCountry(options);
+        this.assertPrefixAllowed(gtin14, gtin14);
+
+        const entry = this.useCache ? this.productCache.get(cacheKey(gtin14, country)) : undefined;
+        if (entry) {
+            this.logger.debug(`Catalogue produit: ${gtin14}`);
+            const stale = isStale(entry.fetchedAt, PRODUCT_CACHE.ttlMs);
+            if (stale && entry.sgtin) this._revalidate(entry.sgtin, country);
+            return { gtin14, gtin13, country, ...entry, stale };
+        }
+
+        if (!options.sgtin) return null;
+
+        const parsed = this.parseSgtin(options.sgtin);
+        if (sgtinToGtin14(parsed) !== gtin14) {
+            throw new SgtinParseError(options.sgtin, `SGTIN d'un autre GTIN que ${gtin14}`);
+        }
+
+        const result = await this.getTireInfo(parsed.urn, { country });
+        const product = result.data?.product;
+        if (!product) return null;
+
+        return {
+            gtin14,
+            gtin13,
+            country,
+            manufacturer: result.manufacturer,
+            product,
+            sgtin: result.sgtin,
+            fetchedAt: result.fetchedAt,
+            stale: result.stale
+        };
+    }
+
+    // ========================================================================
+    // CACHE
+    // ========================================================================
+
+    /**
+     * Statistiques du cache ONS (données pneu dans tires, catalogue dans products)
+     * hits / misses / negativeHits sont cumulés depuis la création du service
      * @returns {Object}
      */
     getCacheStats() {
-        return this.onsCache.stats();
+        let negativeEntries = 0;
+        for (const [, entry] of this.onsCache.entries()) {
+            if (entry.negative) negativeEntries++;
+        }
+
+        return {
+            ...this.onsCache.stats(),
+            ...this.cacheStats,
+            negativeEntries,
+            limits: {
+                defaultTtlMs: this.cacheLimits.defaultTtlMs,
+                minTtlMs: this.cacheLimits.minTtlMs,
+                maxTtlMs: this.cacheLimits.maxTtlMs,
+                negativeTtlMs: this.cacheLimits.negativeTtlMs
+            },
+            tires: this.tireCache.stats(),
+            products: this.productCache.stats(),
+            urlPatterns: this.urlPatternCache.stats()
+        };
     }
 
     /**
-     * Vide le cache ONS
+     * Vide les caches ONS (clé: GTIN-14), données pneu (clé: URN SGTIN), le catalogue produit (clé: GTIN-14)
+     * et les variantes d'URL apprises (clé: URL de base de l'API)
      */
     clearCache() {
         this.onsCache.clear();
-        this.logger.info('Cache ONS vidé');
+        this.tireCache.clear();
+        this.productCache.clear();
+        this.urlPatternCache.clear();
+        this.logger.info('Caches ONS, pneus, produits et variantes d\'URL vidés');
     }
 }
 
+/**
+ * Clé des caches pneu et produit: les données dépendent du pays demandé
+ * (sans pays, la clé reste l'URN ou le GTIN-14 seul)
+ * @param {string} key - URN SGTIN ou GTIN-14
+ * @param {string|null} country
+ * @returns {string}
+ */
+function cacheKey(key, country) {
+    return country ? `${key}|${country}` : key;
+}
+
+/**
+ * Code d'erreur rapporté pour un élément de batch
+ * @param {Error} error
+ * @returns {string} Code de l'erreur (GdsoError, erreur système), sinon INTERNAL_ERROR
+ */
+function errorCode(error) {
+    return typeof error.code === 'string' ? error.code : 'INTERNAL_ERROR';
+}
+
+/**
+ * Une donnée est périmée au-delà de ttlMs (ou sans date connue)
+ * @param {string|null} fetchedAt - Date ISO de la réponse API
+ * @param {number} ttlMs - Durée de fraîcheur
+ * @returns {boolean}
+ */
+function isStale(fetchedAt, ttlMs) {
+    return !fetchedAt || Date.now() - Date.parse(fetchedAt) > ttlMs;
+}
+
 export default GdsoService;
@@ -0,0 +1,218 @@
+/**
+ * Vérification des tokens GDSO (Cognito) via JWKS
+ * - signature RS256 avec la clé publique désignée par le kid
+ * - claims iss, aud (ou client_id des access tokens), exp, nbf
+ * Les clés sont conservées en cache; un kid inconnu provoque un rechargement
+ * (rotation des clés Cognito), limité pour ne pas marteler l'endpoint JWKS
+ *
+ * @module lib/jwks
+ */
+
+import { createPublicKey, verify } from 'node:crypto';
+import { TIMEOUTS, JWKS } from './config.js';
+import { TokenVerificationError } from './errors.js';
+
+/**
+ * @typedef {Object} TokenVerifier
+ * @property {JwksClient} jwks - Client JWKS (cache des clés)
+ * @property {function(string): Promise<Object>} verify - Vérifie un token et retourne ses claims
+ */
+
+// ============================================================================
+// CLIENT JWKS
+// ============================================================================
+
+/**
+ * Clés publiques d'un endpoint JWKS, indexées par kid
+ */
+export class JwksClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.jwksUrl - URL du document JWKS
+     * @param {number} [options.cacheTtlMs=JWKS.cacheTtlMs] - Durée de conservation des clés
+     * @param {number} [options.minRefreshIntervalMs=JWKS.minRefreshIntervalMs] - Délai minimal entre deux rechargements pour un kid inconnu
+     */
+    constructor({ jwksUrl, cacheTtlMs = JWKS.cacheTtlMs, minRefreshIntervalMs = JWKS.minRefreshIntervalMs }) {
+        this.jwksUrl = jwksUrl;
+        this.cacheTtlMs = cacheTtlMs;
+        this.minRefreshIntervalMs = minRefreshIntervalMs;
+
+        /** @type {Map<string, import('node:crypto').KeyObject>} */
+        this.keys = new Map();
+        this.fetchedAt = 0;
+        this.fetchCount = 0;
+        /** @type {Promise<void>|null} */
+        this._refreshing = null;
+    }
+
+    /**
+     * Clé publique d'un kid
+     * @param {string} kid
+     * @returns {Promise<import('node:crypto').KeyObject|null>} null si le kid reste inconnu
+     */
+    async getKey(kid) {
+        const age = Date.now() - this.fetchedAt;
+
+        if (this.keys.has(kid) && age < this.cacheTtlMs) return this.keys.get(kid);
+
+        if (!this.keys.has(kid) && this.fetchCount > 0 && age < this.minRefreshIntervalMs) return null;
+
+        try {
+            await this.refresh();
+        } catch (error) {
+            // Clés périmées encore utilisables si l'endpoint est momentanément indisponible
+            if (this.keys.has(kid)) return this.keys.get(kid);
+            throw error;
+        }
+
+        return this.keys.get(kid) || null;
+    }
+
+    /**
+     * Recharge le document JWKS (un seul rechargement simultané)
+     * @returns {Promise<void>}
+     * @throws {TokenVerificationError} Si le JWKS est inaccessible ou invalide
+     */
+    refresh() {
+        if (!this._refreshing) {
+            this._refreshing = this._fetchKeys().finally(() => { this._refreshing = null; });
+        }
+        return this._refreshing;
+    }
+
+    /**
+     * @private
+     */
+    async _fetchKeys() {
+        let body;
+        try {
+            const res = await fetch(this.jwksUrl, {
+                headers: { 'Accept': 'application/json' },
+                signal: AbortSignal.timeout(TIMEOUTS.auth)
+            });
+            if (!res.ok) throw new Error(`HTTP ${res.status}`);
+            body = await res.json();
+        } catch (error) {
+            throw new TokenVerificationError(`JWKS indisponible (${error.message})`, { jwksUrl: this.jwksUrl });
+        } finally {
+            this.fetchCount++;
+            this.fetchedAt = Date.now();
+        }
+
+        const keys = new Map();
+        for (const jwk of body?.keys || []) {
+            if (jwk.kty !== 'RSA' || !jwk.kid || (jwk.use && jwk.use !== 'sig')) continue;
+            try {
+                keys.set(jwk.kid, createPublicKey({ key: jwk, format: 'jwk' }));
+            } catch {
+                // Clé malformée: ignorée, les autres restent utilisables
+            }
+        }
+        this.keys = keys;
+    }
+}
+
+// ============================================================================
+// VÉRIFICATION
+// ============================================================================
+
+/**
+ * Décode un segment JWT (header ou payload)
+ */
+function decodeSegment(segment, name) {
+    try {
+        return JSON.parse(Buffer.from(segment, 'base64url').toString());
+    } catch {
+        throw new TokenVerificationError(`${name} illisible`);
+    }
+}
+
+/**
+ * Vérifie un JWT RS256 et retourne ses claims
+ * @param {string} token - JWT
+ * @param {Object} options
+ * @param {JwksClient} options.jwks - Source des clés publiques
+ * @param {string} [options.issuer] - iss attendu
+ * @param {string[]} [options.audience] - aud (ID token) ou client_id (access token) acceptés; vide = non vérifié
+ * @param {number} [options.clockToleranceSec=JWKS.clockToleranceSec]
+ * @returns {Promise<Object>} Claims vérifiés
+ * @throws {TokenVerificationError}
+ */
+export async function verifyJwt(token, { jwks, issuer, audience = [], clockToleranceSec = JWKS.clockToleranceSec }) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) throw new TokenVerificationError('format JWT attendu');
+
+    const header = decodeSegment(parts[0], 'header');
+    const claims = decodeSegment(parts[1], 'payload');
+
+    // alg imposé: refuse "none" et HS256 signé avec la clé publique
+    if (header.alg !== 'RS256') throw new TokenVerificationError(`algorithme ${header.alg} refusé`, { alg: header.alg });
+
+    const key = await jwks.getKey(header.kid);
+    if (!key) throw new TokenVerificationError(`clé ${header.kid} inconnue`, { kid: header.kid });
+
+    const signed = verify(
+        'RSA-SHA256',
+        Buffer.from(`${parts[0]}.${parts[1]}`),
+        key,
+        Buffer.from(parts[2], 'base64url')
+    );
+    if (!signed) throw new TokenVerificationError('signature invalide', { kid: header.kid });
+
+    if (issuer && claims.iss !== issuer) {
+        throw new TokenVerificationError(`émetteur ${claims.iss} inattendu`, { iss: claims.iss });
+    }
+
+    if (audience.length) {
+        const audiences = [].concat(claims.aud ?? claims.client_id ?? []);
+        if (!audiences.some(aud => audience.includes(aud))) {
+            throw new TokenVerificationError('audience inattendue', { aud: claims.aud ?? claims.client_id ?? null });
+        }
+    }
+
+    const now = Date.now() / 1000;
+    if (typeof claims.exp !== 'number') throw new TokenVerificationError('exp absent');
+    if (now > claims.exp + clockToleranceSec) {
+        throw new TokenVerificationError('token expiré', { exp: claims.exp });
+    }
+    if (typeof claims.nbf === 'number' && now < claims.nbf - clockToleranceSec) {
+        throw new TokenVerificationError('token pas encore valide', { nbf: claims.nbf });
+    }
+
+    return claims;
+}
+
+/**
+ * Vérificateur des tokens d'un environnement GDSO (config.auth)
+ * Audiences: clients Cognito configurés (system-to-system, authorization code)
+ * et GDSO_OIDC_CLIENT_ID; aucune audience connue = seul l'émetteur est vérifié
+ * @param {Object} authConfig - ENVIRONMENTS[env].auth
+ * @param {Object} [overrides] - jwksUrl, issuer, audience, clockToleranceSec, jwks
+ * @returns {TokenVerifier}
+ */
+export function createTokenVerifier(authConfig, overrides = {}) {
+    const audience = overrides.audience ?? [
+        authConfig.cognito?.clientId,
+        authConfig.cognito?.clientIdAuthCode,
+        process.env.GDSO_OIDC_CLIENT_ID
+    ].filter(Boolean);
+
+    const jwks = overrides.jwks || new JwksClient({ jwksUrl: overrides.jwksUrl || authConfig.jwksUrl });
+    const options = {
+        jwks,
+        issuer: overrides.issuer ?? authConfig.issuer,
+        audience,
+        clockToleranceSec: overrides.clockToleranceSec
+    };
+
+    return {
+        jwks,
+        verify: token => verifyJwt(token, options)
+    };
+}
+
+export default {
+    JwksClient,
+    verifyJwt,
+    createTokenVerifier
+};
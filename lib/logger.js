@@ -228,6 +228,7 @@ export class Logger {
      * @param {string} title - Titre de la section
      */
     section(title) {
+        if (LogLevel.INFO < this.level) return;
         if (this.json) {
             this.info(`=== ${title} ===`);
         } else {
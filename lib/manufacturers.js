@@ -5,6 +5,10 @@
  *
  * Membres GDSO: Bridgestone, Continental, Giti, Goodyear, Hankook,
  * Kumho, Michelin, Nexen, Pirelli, Prometeon, Sumitomo, Toyo, Yokohama
+ *
+ * Protection de l'API, par URL de base (défauts: MANUFACTURER_API dans lib/config.js):
+ *   circuitBreaker: { failureThreshold, resetTimeoutMs } - disjoncteur (null = désactivé)
+ *   rateLimit: { requestsPerSecond, burst }             - token bucket (null = désactivé)
  */
 
 export const MANUFACTURERS = {
@@ -234,6 +238,7 @@ export function getManufacturerConfig(companyPrefix) {
 
 /**
  * Construit l'URL de l'API pour un fabricant donné
+ * @deprecated Utiliser buildUrlCandidates (variantes d'URL et encodage, variante apprise en tête)
  */
 export function buildApiUrl(baseUrl, sgtin, manufacturerConfig) {
     const pattern = manufacturerConfig.urlPattern || manufacturerConfig.urlPatterns?.[0];
@@ -241,20 +246,18 @@ export function buildApiUrl(baseUrl, sgtin, manufacturerConfig) {
         ? encodeURIComponent(sgtin)
         : sgtin;
 
-    // Normaliser l'URL de base
-    const normalizedBase = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
-
     return pattern
-        .replace('{baseUrl}', normalizedBase)
+        .replace('{baseUrl}', normalizeBaseUrl(baseUrl))
         .replace('{sgtin}', encodedSgtin);
 }
 
 /**
  * Génère toutes les URLs possibles pour un fabricant inconnu
+ * @deprecated Utiliser buildUrlCandidates (même variantes, avec pattern et encodage de chacune)
  */
 export function buildAllPossibleUrls(baseUrl, sgtin, manufacturerConfig) {
     const patterns = manufacturerConfig.urlPatterns || [manufacturerConfig.urlPattern];
-    const normalizedBase = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+    const normalizedBase = normalizeBaseUrl(baseUrl);
     const urls = [];
 
     for (const pattern of patterns) {
@@ -271,3 +274,54 @@ export function buildAllPossibleUrls(baseUrl, sgtin, manufacturerConfig) {
 
     return [...new Set(urls)]; // Dédupliquer
 }
+
+/**
+ * @typedef {Object} UrlCandidate
+ * @property {string} url - URL complète à appeler
+ * @property {string} pattern - Pattern d'origine ('{baseUrl}/tire/{sgtin}'...)
+ * @property {boolean} encoded - SGTIN encodé (encodeURIComponent)
+ */
+
+/**
+ * URL de base sans slash final (clé des variantes apprises)
+ * @param {string} baseUrl
+ * @returns {string}
+ */
+export function normalizeBaseUrl(baseUrl) {
+    return baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
+}
+
+/**
+ * URLs à essayer dans l'ordre, avec le pattern et l'encodage de chacune
+ * Chaque pattern configuré est décliné avec l'encodage configuré puis l'inverse;
+ * une variante déjà validée pour cette API (preferred) passe en tête
+ * @param {string} baseUrl - URL de base de l'API (NAPTR)
+ * @param {string} sgtin - URN SGTIN pure identity
+ * @param {Object} manufacturerConfig - Voir MANUFACTURERS / DEFAULT_MANUFACTURER
+ * @param {{pattern: string, encoded: boolean}} [preferred] - Variante apprise
+ * @returns {UrlCandidate[]}
+ */
+export function buildUrlCandidates(baseUrl, sgtin, manufacturerConfig, preferred) {
+    const patterns = manufacturerConfig.urlPatterns || [manufacturerConfig.urlPattern];
+    const encodings = [Boolean(manufacturerConfig.encodeSgtin), !manufacturerConfig.encodeSgtin];
+    const normalizedBase = normalizeBaseUrl(baseUrl);
+
+    const candidates = [];
+    for (const pattern of patterns) {
+        for (const encoded of encodings) {
+            const url = pattern
+                .replace('{baseUrl}', normalizedBase)
+                .replace('{sgtin}', encoded ? encodeURIComponent(sgtin) : sgtin);
+            if (!candidates.some(candidate => candidate.url === url)) {
+                candidates.push({ url, pattern, encoded });
+            }
+        }
+    }
+
+    const index = preferred
+        ? candidates.findIndex(c => c.pattern === preferred.pattern && c.encoded === preferred.encoded)
+        : -1;
+    if (index > 0) candidates.unshift(...candidates.splice(index, 1));
+
+    return candidates;
+}
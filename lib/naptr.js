@@ -0,0 +1,229 @@
+/**
+ * Traitement des enregistrements NAPTR (RFC 3403 / DDDS RFC 3402)
+ * Tri order/preference, drapeau terminal "u", substitution regexp sur l'AUS
+ *
+ * Pour l'ONS GDSO, l'AUS (Application Unique String) est le GTIN interrogé:
+ * les enregistrements usuels (!^.*$!https://...!) en sont indépendants
+ *
+ * @module lib/naptr
+ */
+
+import { NaptrRecordError } from './errors.js';
+
+/**
+ * @typedef {import('./dns-resolver.js').NaptrRecord} NaptrRecord
+ */
+
+/**
+ * @typedef {Object} NaptrService
+ * @property {string} service - Service (ex: GetTireBySgtin)
+ * @property {string} url - URI obtenue par substitution
+ * @property {number} order - Ordre
+ * @property {number} preference - Préférence
+ * @property {string} flags - Drapeaux
+ * @property {number|null} ttl - TTL de l'enregistrement
+ */
+
+/**
+ * @typedef {Object} NaptrDiagnostic
+ * @property {string} code - INVALID_DELIMITER, MALFORMED_REGEXP, INVALID_ERE, INVALID_BACKREFERENCE,
+ *           MISSING_REGEXP, REGEXP_AND_REPLACEMENT, NO_MATCH, NOT_A_URI, NON_TERMINAL, UNSUPPORTED_FLAGS
+ * @property {string} message - Explication
+ * @property {NaptrRecord} record - Enregistrement rejeté
+ */
+
+/**
+ * @typedef {Object} NaptrRegexp
+ * @property {RegExp} pattern - ERE compilée
+ * @property {string} replacement - Chaîne de substitution (échappements du délimiteur résolus)
+ * @property {string} delimiter - Caractère délimiteur
+ */
+
+// ============================================================================
+// REGEXP DE SUBSTITUTION
+// ============================================================================
+
+/**
+ * Parse le champ regexp: <delim> ere <delim> repl <delim> [i]
+ * Le délimiteur ne peut être ni un chiffre, ni "\\", ni le drapeau "i" (RFC 3402 §3.2)
+ * @param {string} regexp - Champ regexp du NAPTR
+ * @returns {NaptrRegexp}
+ * @throws {NaptrRecordError} Si le délimiteur ou la structure sont invalides
+ */
+export function parseNaptrRegexp(regexp) {
+    const delimiter = regexp?.[0];
+    if (!delimiter || /[0-9\\i]/.test(delimiter)) {
+        throw new NaptrRecordError('INVALID_DELIMITER', `délimiteur invalide "${delimiter ?? ''}"`);
+    }
+
+    const parts = [];
+    let current = '';
+    for (let i = 1; i < regexp.length; i++) {
+        const char = regexp[i];
+        if (char === '\\' && i + 1 < regexp.length) {
+            // \<delim> = délimiteur littéral; les autres échappements sont conservés
+            current += regexp[i + 1] === delimiter && parts.length === 1 ? delimiter : char + regexp[i + 1];
+            i++;
+        } else if (char === delimiter) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+
+    if (parts.length !== 2 || !/^i?$/.test(current)) {
+        throw new NaptrRecordError('MALFORMED_REGEXP', `structure ${delimiter}ere${delimiter}repl${delimiter}[i] attendue`);
+    }
+
+    const [ere, replacement] = parts;
+    let pattern;
+    try {
+        pattern = new RegExp(ere, current === 'i' ? 'i' : '');
+    } catch (error) {
+        throw new NaptrRecordError('INVALID_ERE', `expression régulière invalide (${error.message})`);
+    }
+
+    const groups = new RegExp(`${ere}|`).exec('').length - 1;
+    const backrefs = [...replacement.matchAll(/\\([1-9])/g)].map(m => Number(m[1]));
+    if (backrefs.some(n => n > groups)) {
+        throw new NaptrRecordError('INVALID_BACKREFERENCE', `référence arrière sans groupe correspondant (${groups} groupe(s))`);
+    }
+
+    return { pattern, replacement, delimiter };
+}
+
+/**
+ * Applique une regexp NAPTR à l'AUS
+ * Le résultat est la chaîne de substitution (références \\1-\\9 développées)
+ * @param {string} regexp - Champ regexp du NAPTR
+ * @param {string} aus - Application Unique String
+ * @returns {string|null} Résultat ou null si l'ERE ne correspond pas
+ * @throws {NaptrRecordError} Si la regexp est mal formée
+ */
+export function applyNaptrRegexp(regexp, aus) {
+    const { pattern, replacement } = parseNaptrRegexp(regexp);
+    const match = pattern.exec(aus);
+    if (!match) return null;
+
+    let result = '';
+    for (let i = 0; i < replacement.length; i++) {
+        const char = replacement[i];
+        if (char === '\\' && i + 1 < replacement.length) {
+            const next = replacement[++i];
+            result += /[1-9]/.test(next) ? (match[Number(next)] ?? '') : next;
+        } else {
+            result += char;
+        }
+    }
+
+    return result;
+}
+
+// ============================================================================
+// TRAITEMENT DES ENREGISTREMENTS
+// ============================================================================
+
+/**
+ * Trie par order puis preference (croissants)
+ * @param {NaptrRecord[]} records
+ * @returns {NaptrRecord[]} Nouveau tableau trié
+ */
+export function sortNaptrRecords(records) {
+    return [...records].sort((a, b) => a.order - b.order || a.preference - b.preference);
+}
+
+/**
+ * Traite un ensemble d'enregistrements NAPTR
+ * Seuls les enregistrements terminaux "u" sont retenus; les autres
+ * et les enregistrements mal formés produisent un diagnostic
+ * @param {NaptrRecord[]} records - Enregistrements bruts
+ * @param {Object} options
+ * @param {string} options.aus - Application Unique String (GTIN interrogé)
+ * @returns {{services: NaptrService[], diagnostics: NaptrDiagnostic[]}} Services triés et diagnostics
+ */
+export function processNaptrRecords(records, options) {
+    const services = [];
+    const diagnostics = [];
+
+    for (const record of sortNaptrRecords(records)) {
+        const reject = (code, message) => diagnostics.push({ code, message, record });
+        const flags = (record.flags || '').toLowerCase();
+        const hasReplacement = record.replacement && record.replacement !== '.';
+
+        if (!flags.includes('u')) {
+            if (!flags) reject('NON_TERMINAL', 'enregistrement non terminal (réécriture DNS non supportée)');
+            else reject('UNSUPPORTED_FLAGS', `drapeaux "${record.flags}" non supportés (seul "u" est traité)`);
+            continue;
+        }
+        if (!record.regexp) {
+            reject('MISSING_REGEXP', 'drapeau "u" sans regexp');
+            continue;
+        }
+        if (hasReplacement) {
+            reject('REGEXP_AND_REPLACEMENT', 'regexp et replacement sont mutuellement exclusifs');
+            continue;
+        }
+
+        let url;
+        try {
+            url = applyNaptrRegexp(record.regexp, options.aus);
+        } catch (error) {
+            if (!(error instanceof NaptrRecordError)) throw error;
+            reject(error.details.diagnostic, error.details.reason);
+            continue;
+        }
+
+        if (url === null) {
+            reject('NO_MATCH', `la regexp ne correspond pas à l'AUS ${options.aus}`);
+            continue;
+        }
+        if (!isAbsoluteUri(url)) {
+            reject('NOT_A_URI', `résultat "${url}" n'est pas une URI absolue`);
+            continue;
+        }
+
+        services.push({
+            service: record.service,
+            url,
+            order: record.order,
+            preference: record.preference,
+            flags: record.flags,
+            ttl: record.ttl ?? null
+        });
+    }
+
+    return { services, diagnostics };
+}
+
+/**
+ * Sélectionne le meilleur service (plus petit order puis preference)
+ * @param {NaptrService[]} services - Services triés (processNaptrRecords)
+ * @param {string} name - Nom de service recherché (ex: GetTireBySgtin)
+ * @returns {NaptrService|null}
+ */
+export function selectNaptrService(services, name) {
+    return services.find(s => s.service.includes(name)) ?? null;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean}
+ */
+function isAbsoluteUri(value) {
+    if (!/^[A-Za-z][A-Za-z0-9+.-]*:/.test(value)) return false;
+    try {
+        new URL(value);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+export default {
+    parseNaptrRegexp,
+    applyNaptrRegexp,
+    sortNaptrRecords,
+    processNaptrRecords,
+    selectNaptrService
+};
@@ -0,0 +1,337 @@
+/**
+ * OpenID Connect (Cognito GDSO) - Authorization Code Flow avec PKCE (RFC 7636)
+ * Permet à chaque utilisateur (mécanicien, gestionnaire) d'utiliser sa propre
+ * identité GDSO au lieu du compte de service Basic Auth
+ * - serveur: /auth/login → Cognito → /auth/callback
+ * - CLI: redirection loopback http://localhost:<port>/callback (RFC 8252)
+ *
+ * @module lib/oidc
+ */
+
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+import { getEnvironmentConfig, TIMEOUTS, OIDC } from './config.js';
+import { OidcError } from './errors.js';
+
+/**
+ * @typedef {Object} OidcEndpoints
+ * @property {string} authorizationEndpoint - URL d'autorisation (navigateur)
+ * @property {string} tokenEndpoint - URL d'échange du code
+ * @property {string|null} issuer - Émetteur des tokens (null sans découverte)
+ */
+
+/**
+ * @typedef {Object} OidcTokens
+ * @property {string} idToken - ID token JWT (présenté aux API GDSO)
+ * @property {string|null} accessToken - Access token Cognito
+ * @property {string|null} refreshToken - Refresh token (si accordé)
+ * @property {number} expiry - Expiration de l'ID token (timestamp ms)
+ * @property {string|null} subject - Identifiant de l'utilisateur (claim sub)
+ * @property {string|null} username - Nom d'utilisateur (cognito:username ou email)
+ */
+
+/**
+ * @typedef {Object} OidcAuthorization
+ * @property {string} url - URL à ouvrir dans le navigateur
+ * @property {string} state - Valeur anti-CSRF à vérifier au retour
+ * @property {string} codeVerifier - Secret PKCE à présenter lors de l'échange
+ * @property {string} redirectUri - URI de retour déclarée dans Cognito
+ */
+
+/**
+ * @typedef {Object} OidcClientOptions
+ * @property {string} [environment='testing'] - Environnement (testing/production)
+ * @property {Object} [cognito] - Surcharge de config.auth.cognito (domain, openIdConfig, clientId...)
+ * @property {string} [clientId] - Client OIDC (défaut: GDSO_OIDC_CLIENT_ID, puis clientIdAuthCode, puis clientId)
+ * @property {string} [clientSecret] - Secret du client (défaut: GDSO_OIDC_CLIENT_SECRET, puis clientSecret)
+ * @property {string} [scope] - Scopes demandés (défaut: cognito.scope)
+ */
+
+// ============================================================================
+// PKCE / JWT
+// ============================================================================
+
+/**
+ * Génère une paire PKCE (méthode S256)
+ * @returns {{codeVerifier: string, codeChallenge: string, codeChallengeMethod: 'S256'}}
+ */
+export function generatePkce() {
+    const codeVerifier = randomBytes(32).toString('base64url');   // 43 caractères
+    const codeChallenge = createHash('sha256').update(codeVerifier).digest('base64url');
+    return { codeVerifier, codeChallenge, codeChallengeMethod: 'S256' };
+}
+
+/**
+ * Décode le payload d'un JWT, sans vérification de signature
+ * @param {string} token - JWT
+ * @returns {Object|null} Claims, ou null si le token n'est pas un JWT
+ */
+export function decodeJwtPayload(token) {
+    try {
+        return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString());
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Session utilisateur à partir d'un ID token (claims vérifiés ou simplement décodés)
+ * @param {string} idToken - ID token JWT
+ * @param {Object} [claims] - Claims déjà vérifiés (défaut: décodage du token)
+ * @returns {OidcTokens}
+ */
+export function userTokensFromIdToken(idToken, claims = decodeJwtPayload(idToken) || {}) {
+    return {
+        idToken,
+        accessToken: null,
+        refreshToken: null,
+        expiry: (claims.exp || 0) * 1000,
+        subject: claims.sub || null,
+        username: claims['cognito:username'] || claims.email || null
+    };
+}
+
+/**
+ * Construit les tokens à partir de la réponse du token endpoint
+ * @param {Object} data - Réponse JSON (id_token, access_token, refresh_token, expires_in)
+ * @returns {OidcTokens}
+ */
+function toTokens(data) {
+    const tokens = {
+        ...userTokensFromIdToken(data.id_token),
+        accessToken: data.access_token || null,
+        refreshToken: data.refresh_token || null
+    };
+    if (!tokens.expiry) tokens.expiry = Date.now() + (data.expires_in || 3600) * 1000;
+    return tokens;
+}
+
+// ============================================================================
+// CLIENT OIDC
+// ============================================================================
+
+/**
+ * Client OpenID Connect d'un environnement GDSO
+ */
+export class OidcClient {
+    /**
+     * @param {OidcClientOptions} [options={}]
+     */
+    constructor(options = {}) {
+        this.env = options.environment || 'testing';
+        this.cognito = { ...getEnvironmentConfig(this.env).auth.cognito, ...options.cognito };
+
+        // Le client "authorization code" peut différer du client system-to-system
+        this.clientId = options.clientId || process.env.GDSO_OIDC_CLIENT_ID ||
+                        this.cognito.clientIdAuthCode || this.cognito.clientId;
+        this.clientSecret = options.clientSecret ?? (process.env.GDSO_OIDC_CLIENT_SECRET ||
+                            this.cognito.clientSecret || null);
+        this.scope = options.scope || this.cognito.scope || 'openid';
+
+        /** @type {Promise<OidcEndpoints>|null} */
+        this._endpoints = null;
+    }
+
+    /**
+     * Endpoints du fournisseur d'identité: document de découverte (openIdConfig)
+     * si configuré, sinon endpoints Cognito standards du domaine
+     * Le résultat est conservé; un échec de découverte permet de réessayer
+     * @returns {Promise<OidcEndpoints>}
+     */
+    discover() {
+        if (!this._endpoints) {
+            this._endpoints = this._discover().catch(error => {
+                this._endpoints = null;
+                throw error;
+            });
+        }
+        return this._endpoints;
+    }
+
+    /**
+     * @private
+     * @returns {Promise<OidcEndpoints>}
+     */
+    async _discover() {
+        if (!this.cognito.openIdConfig) {
+            const domain = this.cognito.domain?.replace(/\/$/, '');
+            if (!domain) throw new OidcError('configuration', 'domain ou openIdConfig Cognito requis', this.env);
+            return {
+                authorizationEndpoint: this.cognito.authorizeUrl || `${domain}/oauth2/authorize`,
+                tokenEndpoint: `${domain}/oauth2/token`,
+                issuer: null
+            };
+        }
+
+        const res = await fetch(this.cognito.openIdConfig, {
+            headers: { 'Accept': 'application/json' },
+            signal: AbortSignal.timeout(TIMEOUTS.auth)
+        });
+        if (!res.ok) {
+            throw new OidcError('discovery', `${res.status} sur ${this.cognito.openIdConfig}`, this.env);
+        }
+
+        const metadata = await res.json();
+        return {
+            authorizationEndpoint: this.cognito.authorizeUrl || metadata.authorization_endpoint,
+            tokenEndpoint: metadata.token_endpoint,
+            issuer: metadata.issuer || null
+        };
+    }
+
+    /**
+     * Prépare une autorisation: URL à ouvrir et secrets à conserver jusqu'au retour
+     * @param {{redirectUri: string}} params
+     * @returns {Promise<OidcAuthorization>}
+     */
+    async createAuthorization({ redirectUri }) {
+        if (!this.clientId) {
+            throw new OidcError('configuration', `client OIDC absent pour ${this.env} (GDSO_OIDC_CLIENT_ID)`, this.env);
+        }
+
+        const { authorizationEndpoint } = await this.discover();
+        const { codeVerifier, codeChallenge, codeChallengeMethod } = generatePkce();
+        const state = randomBytes(16).toString('base64url');
+
+        const url = new URL(authorizationEndpoint);
+        url.search = new URLSearchParams({
+            response_type: 'code',
+            client_id: this.clientId,
+            redirect_uri: redirectUri,
+            scope: this.scope,
+            state,
+            code_challenge: codeChallenge,
+            code_challenge_method: codeChallengeMethod
+        }).toString();
+
+        return { url: url.toString(), state, codeVerifier, redirectUri };
+    }
+
+    /**
+     * Échange le code d'autorisation contre les tokens
+     * @param {{code: string, codeVerifier: string, redirectUri: string}} params
+     * @returns {Promise<OidcTokens>}
+     * @throws {OidcError} Si le fournisseur refuse l'échange
+     */
+    async exchangeCode({ code, codeVerifier, redirectUri }) {
+        const { tokenEndpoint } = await this.discover();
+
+        const headers = {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'Accept': 'application/json'
+        };
+        // Client confidentiel: authentification client_secret_basic
+        if (this.clientSecret) {
+            headers.Authorization = `Basic ${Buffer.from(`${this.clientId}:${this.clientSecret}`).toString('base64')}`;
+        }
+
+        const res = await fetch(tokenEndpoint, {
+            method: 'POST',
+            headers,
+            body: new URLSearchParams({
+                grant_type: 'authorization_code',
+                client_id: this.clientId,
+                code,
+                redirect_uri: redirectUri,
+                code_verifier: codeVerifier
+            }),
+            signal: AbortSignal.timeout(TIMEOUTS.auth)
+        });
+
+        const data = await res.json().catch(() => ({}));
+        if (!res.ok || !data.id_token) {
+            throw new OidcError(
+                data.error || `http_${res.status}`,
+                data.error_description || (res.ok ? 'id_token absent de la réponse' : null),
+                this.env
+            );
+        }
+
+        return toTokens(data);
+    }
+
+    /**
+     * Connexion CLI: serveur loopback local recevant la redirection Cognito
+     * L'URL d'autorisation est transmise à onAuthorizeUrl (ouverture du navigateur)
+     * @param {Object} [options]
+     * @param {number} [options.port=OIDC.loopbackPort] - Port local (0 = port libre, non déclarable dans Cognito)
+     * @param {number} [options.timeoutMs=OIDC.loginTimeoutMs] - Délai maximal de connexion
+     * @param {function(string): void} options.onAuthorizeUrl - Reçoit l'URL à ouvrir
+     * @returns {Promise<OidcTokens>}
+     * @throws {OidcError} Refus, state invalide, délai dépassé
+     */
+    async loginWithLoopback({ port = OIDC.loopbackPort, timeoutMs = OIDC.loginTimeoutMs, onAuthorizeUrl }) {
+        const server = http.createServer();
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', resolve);
+        });
+
+        // Cognito n'accepte http que pour localhost
+        const redirectUri = `http://localhost:${server.address().port}/callback`;
+
+        try {
+            const authorization = await this.createAuthorization({ redirectUri });
+            const callback = this._waitForCallback(server, authorization, timeoutMs);
+            onAuthorizeUrl(authorization.url);
+            return await callback;
+        } finally {
+            server.close();
+        }
+    }
+
+    /**
+     * Attend la redirection sur /callback puis échange le code
+     * @private
+     * @param {http.Server} server
+     * @param {OidcAuthorization} authorization
+     * @param {number} timeoutMs
+     * @returns {Promise<OidcTokens>}
+     */
+    _waitForCallback(server, authorization, timeoutMs) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                reject(new OidcError('timeout', `aucune connexion en ${Math.round(timeoutMs / 1000)}s`, this.env));
+            }, timeoutMs);
+            server.once('close', () => clearTimeout(timer));
+
+            server.on('request', async (req, res) => {
+                const url = new URL(req.url, authorization.redirectUri);
+                if (url.pathname !== '/callback') {
+                    res.writeHead(404).end();
+                    return;
+                }
+
+                const params = url.searchParams;
+                let outcome;
+                try {
+                    if (params.get('error')) {
+                        throw new OidcError(params.get('error'), params.get('error_description'), this.env);
+                    }
+                    if (params.get('state') !== authorization.state) {
+                        throw new OidcError('invalid_state', 'state différent de celui envoyé', this.env);
+                    }
+                    outcome = await this.exchangeCode({ ...authorization, code: params.get('code') });
+                } catch (error) {
+                    outcome = error;
+                }
+
+                const ok = !(outcome instanceof Error);
+                res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8', 'Connection': 'close' });
+                res.end(ok
+                    ? '<p>Connexion GDSO réussie. Vous pouvez fermer cette fenêtre.</p>'
+                    : '<p>Connexion GDSO échouée. Consultez le terminal.</p>');
+
+                if (ok) resolve(outcome);
+                else reject(outcome);
+            });
+        });
+    }
+}
+
+export default {
+    OidcClient,
+    generatePkce,
+    decodeJwtPayload,
+    userTokensFromIdToken
+};
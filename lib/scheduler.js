@@ -0,0 +1,121 @@
+/**
+ * Ordonnanceur des appels réseau d'un batch
+ * Borne le nombre de tâches simultanées au total et par clé (fabricant):
+ * un batch multi-fabricants interroge les API en parallèle sans en saturer une
+ * Les tâches en attente démarrent dans l'ordre de soumission dès qu'une place se libère
+ *
+ * @module lib/scheduler
+ */
+
+import { BATCH } from './config.js';
+
+/**
+ * Entier strictement positif, ou la valeur par défaut
+ * @param {*} value
+ * @param {number} fallback
+ * @returns {number}
+ */
+function positiveInteger(value, fallback) {
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : fallback;
+}
+
+/**
+ * File de tâches à concurrence bornée (globale et par clé)
+ */
+export class TaskScheduler {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.concurrency] - Tâches simultanées au total
+     *        (défaut: GDSO_BATCH_CONCURRENCY, puis BATCH.concurrency)
+     * @param {number} [options.perKeyConcurrency] - Tâches simultanées par clé
+     *        (défaut: GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER, puis BATCH.perManufacturer)
+     */
+    constructor(options = {}) {
+        this.concurrency = positiveInteger(
+            options.concurrency ?? process.env.GDSO_BATCH_CONCURRENCY,
+            BATCH.concurrency
+        );
+        this.perKeyConcurrency = Math.min(this.concurrency, positiveInteger(
+            options.perKeyConcurrency ?? process.env.GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER,
+            BATCH.perManufacturer
+        ));
+
+        /** Tâches en cours */
+        this.active = 0;
+        /** @type {Map<string, number>} Tâches en cours par clé */
+        this._activeByKey = new Map();
+        /** @type {Array<{key: string|null, task: Function, resolve: Function, reject: Function}>} */
+        this._queue = [];
+    }
+
+    /**
+     * Tâches en attente d'une place
+     * @returns {number}
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Exécute une tâche dès qu'une place est libre, globalement et pour sa clé
+     * Une tâche ne doit pas attendre une autre tâche du même ordonnanceur (interblocage)
+     * @template T
+     * @param {string|null} key - Clé de la limite par clé (fabricant), null = limite globale seule
+     * @param {() => Promise<T>} task
+     * @returns {Promise<T>} Résultat ou erreur de la tâche
+     */
+    run(key, task) {
+        return new Promise((resolve, reject) => {
+            this._queue.push({ key: key ?? null, task, resolve, reject });
+            this._drain();
+        });
+    }
+
+    /**
+     * Démarre les tâches en attente, dans l'ordre, tant que les limites le permettent
+     * Une tâche dont la clé est saturée laisse passer les suivantes
+     * @private
+     */
+    _drain() {
+        let i = 0;
+        while (i < this._queue.length && this.active < this.concurrency) {
+            const { key } = this._queue[i];
+            if (key !== null && (this._activeByKey.get(key) || 0) >= this.perKeyConcurrency) {
+                i++;
+                continue;
+            }
+            this._start(this._queue.splice(i, 1)[0]);
+        }
+    }
+
+    /**
+     * La place est libérée avant que l'appelant ne reçoive le résultat
+     * @private
+     */
+    _start({ key, task, resolve, reject }) {
+        this.active++;
+        if (key !== null) this._activeByKey.set(key, (this._activeByKey.get(key) || 0) + 1);
+
+        const release = () => {
+            this.active--;
+            if (key !== null) {
+                const remaining = this._activeByKey.get(key) - 1;
+                if (remaining) this._activeByKey.set(key, remaining);
+                else this._activeByKey.delete(key);
+            }
+            this._drain();
+        };
+
+        Promise.resolve()
+            .then(task)
+            .then(
+                value => { release(); resolve(value); },
+                error => { release(); reject(error); }
+            );
+    }
+}
+
+export default {
+    TaskScheduler
+};
@@ -0,0 +1,142 @@
+/**
+ * Tables de référence de la description de service (ISO 4000 / ETRTO)
+ * Indice de charge → kg par pneu, symbole de vitesse → km/h
+ *
+ * Utilisable seul: import { loadIndexToKg } from 'gdso-tis-client/service-description'
+ *
+ * @module lib/service-description
+ */
+
+// ============================================================================
+// TABLES
+// ============================================================================
+
+/**
+ * Capacité de charge par pneu (kg) indexée par indice de charge (0 à 279)
+ * @type {ReadonlyArray<number>}
+ */
+export const LOAD_INDEX_KG = Object.freeze([
+    45, 46.2, 47.5, 48.7, 50, 51.5, 53, 54.5, 56, 58,                               // 0-9
+    60, 61.5, 63, 65, 67, 69, 71, 73, 75, 77.5,                                     // 10-19
+    80, 82.5, 85, 87.5, 90, 92.5, 95, 97.5, 100, 103,                               // 20-29
+    106, 109, 112, 115, 118, 121, 125, 128, 132, 136,                               // 30-39
+    140, 145, 150, 155, 160, 165, 170, 175, 180, 185,                               // 40-49
+    190, 195, 200, 206, 212, 218, 224, 230, 236, 243,                               // 50-59
+    250, 257, 265, 272, 280, 290, 300, 307, 315, 325,                               // 60-69
+    335, 345, 355, 365, 375, 387, 400, 412, 425, 437,                               // 70-79
+    450, 462, 475, 487, 500, 515, 530, 545, 560, 580,                               // 80-89
+    600, 615, 630, 650, 670, 690, 710, 730, 750, 775,                               // 90-99
+    800, 825, 850, 875, 900, 925, 950, 975, 1000, 1030,                             // 100-109
+    1060, 1090, 1120, 1150, 1180, 1215, 1250, 1285, 1320, 1360,                     // 110-119
+    1400, 1450, 1500, 1550, 1600, 1650, 1700, 1750, 1800, 1850,                     // 120-129
+    1900, 1950, 2000, 2060, 2120, 2180, 2240, 2300, 2360, 2430,                     // 130-139
+    2500, 2575, 2650, 2725, 2800, 2900, 3000, 3075, 3150, 3250,                     // 140-149
+    3350, 3450, 3550, 3650, 3750, 3875, 4000, 4125, 4250, 4375,                     // 150-159
+    4500, 4625, 4750, 4875, 5000, 5150, 5300, 5450, 5600, 5800,                     // 160-169
+    6000, 6150, 6300, 6500, 6700, 6900, 7100, 7300, 7500, 7750,                     // 170-179
+    8000, 8250, 8500, 8750, 9000, 9250, 9500, 9750, 10000, 10300,                   // 180-189
+    10600, 10900, 11200, 11500, 11800, 12150, 12500, 12850, 13200, 13600,           // 190-199
+    14000, 14500, 15000, 15500, 16000, 16500, 17000, 17500, 18000, 18500,           // 200-209
+    19000, 19500, 20000, 20600, 21200, 21800, 22400, 23000, 23600, 24300,           // 210-219
+    25000, 25750, 26500, 27250, 28000, 29000, 30000, 30750, 31500, 32500,           // 220-229
+    33500, 34500, 35500, 36500, 37500, 38750, 40000, 41250, 42500, 43750,           // 230-239
+    45000, 46250, 47500, 48750, 50000, 51500, 53000, 54500, 56000, 58000,           // 240-249
+    60000, 61500, 63000, 65000, 67000, 69000, 71000, 73000, 75000, 77500,           // 250-259
+    80000, 82500, 85000, 87500, 90000, 92500, 95000, 97500, 100000, 103000,         // 260-269
+    106000, 109000, 112000, 115000, 118000, 121500, 125000, 128500, 132000, 136000  // 270-279
+]);
+
+/**
+ * Vitesse maximale (km/h) par symbole de vitesse
+ * "(Y)" = au-delà de 300 km/h (pneus ZR), la valeur est un minimum
+ * @type {Readonly<Record<string, number>>}
+ */
+export const SPEED_SYMBOL_KMH = Object.freeze({
+    A1: 5, A2: 10, A3: 15, A4: 20, A5: 25, A6: 30, A7: 35, A8: 40,
+    B: 50, C: 60, D: 65, E: 70, F: 80, G: 90,
+    J: 100, K: 110, L: 120, M: 130, N: 140, P: 150, Q: 160, R: 170,
+    S: 180, T: 190, U: 200, H: 210, V: 240, W: 270, Y: 300, '(Y)': 300
+});
+
+// ============================================================================
+// CONVERSIONS
+// ============================================================================
+
+/**
+ * Convertit un indice de charge en capacité par pneu
+ * @param {number|string} index - Indice de charge (0 à 279)
+ * @returns {number|null} Charge en kg ou null si indice inconnu
+ */
+export function loadIndexToKg(index) {
+    const value = typeof index === 'string' ? Number(index.trim()) : index;
+    if (!Number.isInteger(value)) return null;
+    return LOAD_INDEX_KG[value] ?? null;
+}
+
+/**
+ * Convertit un symbole de vitesse en vitesse maximale
+ * @param {string} symbol - Symbole (ex: "V", "A8", "(Y)")
+ * @returns {number|null} Vitesse en km/h ou null si symbole inconnu
+ */
+export function speedSymbolToKmh(symbol) {
+    if (typeof symbol !== 'string') return null;
+    return SPEED_SYMBOL_KMH[symbol.trim().toUpperCase()] ?? null;
+}
+
+/**
+ * @typedef {Object} ServiceDescriptionInput
+ * @property {number|null} [loadIndex] - Indice de charge (monte simple)
+ * @property {number|null} [loadIndexDual] - Indice de charge (monte jumelée)
+ * @property {string|null} [speedSymbol] - Symbole de vitesse
+ */
+
+/**
+ * @typedef {Object} ServiceDescriptionDetails
+ * @property {number|null} loadIndex - Indice de charge (monte simple)
+ * @property {number|null} loadKg - Charge par pneu en monte simple (kg)
+ * @property {number|null} loadIndexDual - Indice de charge (monte jumelée)
+ * @property {number|null} loadKgDual - Charge par pneu en monte jumelée (kg)
+ * @property {string|null} speedSymbol - Symbole de vitesse
+ * @property {number|null} speedKmh - Vitesse maximale (km/h)
+ * @property {boolean} speedAbove - true si la vitesse est un minimum ("(Y)")
+ */
+
+/**
+ * Enrichit une description de service avec les unités physiques
+ * @param {ServiceDescriptionInput|null} description - Description de service
+ * @returns {ServiceDescriptionDetails|null} null si ni charge ni vitesse
+ */
+export function describeServiceDescription(description) {
+    const { loadIndex = null, loadIndexDual = null, speedSymbol = null } = description || {};
+    if (loadIndex == null && loadIndexDual == null && !speedSymbol) return null;
+
+    return {
+        loadIndex,
+        loadKg: loadIndex != null ? loadIndexToKg(loadIndex) : null,
+        loadIndexDual,
+        loadKgDual: loadIndexDual != null ? loadIndexToKg(loadIndexDual) : null,
+        speedSymbol,
+        speedKmh: speedSymbol ? speedSymbolToKmh(speedSymbol) : null,
+        speedAbove: speedSymbol === '(Y)'
+    };
+}
+
+/**
+ * Formate une description de service (ex: "154/150K", "152M")
+ * @param {ServiceDescriptionInput|null} description - Description de service
+ * @returns {string|null}
+ */
+export function formatServiceDescription(description) {
+    if (!description || description.loadIndex == null) return null;
+    const dual = description.loadIndexDual != null ? `/${description.loadIndexDual}` : '';
+    return `${description.loadIndex}${dual}${description.speedSymbol || ''}`;
+}
+
+export default {
+    LOAD_INDEX_KG,
+    SPEED_SYMBOL_KMH,
+    loadIndexToKg,
+    speedSymbolToKmh,
+    describeServiceDescription,
+    formatServiceDescription
+};
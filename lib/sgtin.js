@@ -0,0 +1,407 @@
+/**
+ * Codec SGTIN (GS1 EPC Tag Data Standard)
+ * Parsing des URN pure identity / tag URI et codage binaire SGTIN-96
+ *
+ * @module lib/sgtin
+ */
+
+import { SgtinParseError } from './errors.js';
+
+// ============================================================================
+// CONSTANTES SGTIN-96
+// ============================================================================
+
+/**
+ * Header EPC d'un SGTIN-96 (8 bits)
+ */
+export const SGTIN96_HEADER = 0x30;
+
+/**
+ * Nombre de bits du numéro de série SGTIN-96
+ */
+export const SGTIN96_SERIAL_BITS = 38;
+
+/**
+ * Valeur max d'un numéro de série SGTIN-96 (2^38 - 1)
+ */
+export const SGTIN96_MAX_SERIAL = (1n << BigInt(SGTIN96_SERIAL_BITS)) - 1n;
+
+/**
+ * Table de partition SGTIN (TDS §14.5.1)
+ * La valeur de partition détermine le découpage company prefix / item reference
+ * @type {Array<{companyPrefixBits: number, companyPrefixDigits: number, itemRefBits: number, itemRefDigits: number}>}
+ */
+export const SGTIN_PARTITIONS = [
+    { companyPrefixBits: 40, companyPrefixDigits: 12, itemRefBits: 4, itemRefDigits: 1 },
+    { companyPrefixBits: 37, companyPrefixDigits: 11, itemRefBits: 7, itemRefDigits: 2 },
+    { companyPrefixBits: 34, companyPrefixDigits: 10, itemRefBits: 10, itemRefDigits: 3 },
+    { companyPrefixBits: 30, companyPrefixDigits: 9, itemRefBits: 14, itemRefDigits: 4 },
+    { companyPrefixBits: 27, companyPrefixDigits: 8, itemRefBits: 17, itemRefDigits: 5 },
+    { companyPrefixBits: 24, companyPrefixDigits: 7, itemRefBits: 20, itemRefDigits: 6 },
+    { companyPrefixBits: 20, companyPrefixDigits: 6, itemRefBits: 24, itemRefDigits: 7 }
+];
+
+/**
+ * Composant GS3A3 d'une URN EPC (TDS §5): caractères autorisés + échappements %XX
+ * Utilisé pour les serials alphanumériques SGTIN-198
+ */
+const GS3A3_COMPONENT = "(?:[A-Za-z0-9!'()*+,\\-.:;=_]|%(?:22|25|26|2[Ff]|3[CcEeFf]))+";
+
+/**
+ * URN pure identity: urn:epc:id:sgtin:<prefix>.<itemref>.<serial>
+ */
+const PURE_IDENTITY_REGEX = new RegExp(`^urn:epc:id:sgtin:(\\d+)\\.(\\d+)\\.(${GS3A3_COMPONENT})$`);
+
+/**
+ * Tag URI: urn:epc:tag:sgtin-96|sgtin-198:<filter>.<prefix>.<itemref>.<serial>
+ */
+const TAG_URI_REGEX = new RegExp(`^urn:epc:tag:(sgtin-96|sgtin-198):([0-7])\\.(\\d+)\\.(\\d+)\\.(${GS3A3_COMPONENT})$`);
+
+/**
+ * Longueur max d'un serial GS1 (AI 21) une fois décodé
+ */
+const MAX_SERIAL_LENGTH = 20;
+
+/**
+ * @typedef {Object} ParsedSgtin
+ * @property {string} companyPrefix - Préfixe entreprise GS1
+ * @property {string} indicatorItemRef - Indicateur + référence article
+ * @property {string} serialNumber - Numéro de série unique (forme URN, échappements %XX conservés)
+ * @property {string} urn - URN SGTIN pure identity
+ * @property {string} format - Format d'entrée (urn, tag-uri, epc-hex)
+ * @property {number} [filter] - Filter value (si présent dans l'entrée)
+ * @property {string} [scheme] - Schéma de codage tag (sgtin-96, sgtin-198)
+ * @property {string} [epcHex] - EPC SGTIN-96 hexadécimal (si entrée binaire)
+ */
+
+// ============================================================================
+// DÉTECTION
+// ============================================================================
+
+/**
+ * Vérifie si une valeur est un EPC SGTIN-96 hexadécimal (24 chiffres hex)
+ * @param {string} value - Valeur à tester
+ * @returns {boolean}
+ */
+export function isSgtin96Hex(value) {
+    return typeof value === 'string' && /^[0-9A-Fa-f]{24}$/.test(value.trim());
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Vérifie si une valeur est une URN EPC SGTIN (pure identity ou tag URI)
+ * @param {string} value - Valeur à tester
+ * @returns {boolean}
+ */
+export function isSgtinUrn(value) {
+    return typeof value === 'string' &&
+        /^urn:epc:(id:sgtin|tag:sgtin-96|tag:sgtin-198):/.test(value.trim());
+}
+
+/**
+ * Parse un SGTIN quel que soit son format d'entrée
+ * - URN pure identity: urn:epc:id:sgtin:<prefix>.<itemref>.<serial> (serial numérique ou alphanumérique)
+ * - Tag URI: urn:epc:tag:sgtin-96:<filter>.<prefix>.<itemref>.<serial> (ou sgtin-198)
+ * - EPC SGTIN-96 hexadécimal: 3034257BF7194E4000001A85
+ *
+ * Toutes les formes sont normalisées vers l'URN pure identity (propriété urn)
+ * @param {string} input - SGTIN à parser
+ * @returns {ParsedSgtin}
+ * @throws {SgtinParseError} Si le format est invalide
+ */
+export function parseSgtin(input) {
+    if (!input || typeof input !== 'string') {
+        throw new SgtinParseError(String(input), 'SGTIN doit être une chaîne non vide');
+    }
+
+    const value = input.trim();
+
+    if (isSgtin96Hex(value)) {
+        return decodeSgtin96(value);
+    }
+
+    const tagMatch = value.match(TAG_URI_REGEX);
+    if (tagMatch) {
+        const [, scheme, filter, companyPrefix, indicatorItemRef, serial] = tagMatch;
+        const serialNumber = normalizeSerial(input, serial);
+
+        if (scheme === 'sgtin-96' && !/^(0|[1-9]\d*)$/.test(serialNumber)) {
+            throw new SgtinParseError(input, 'Serial SGTIN-96 numérique sans zéros non significatifs requis');
+        }
+
+        return {
+            companyPrefix,
+            indicatorItemRef,
+            serialNumber,
+            urn: `urn:epc:id:sgtin:${companyPrefix}.${indicatorItemRef}.${serialNumber}`,
+            format: 'tag-uri',
+            filter: Number(filter),
+            scheme
+        };
+    }
+
+    const match = value.match(PURE_IDENTITY_REGEX);
+    if (!match) {
+        throw new SgtinParseError(
+            input,
+            'Format attendu: urn:epc:id:sgtin:<prefix>.<itemref>.<serial>, ' +
+            'urn:epc:tag:sgtin-96:<filter>.<prefix>.<itemref>.<serial> ou EPC SGTIN-96 hexadécimal (24 caractères)'
+        );
+    }
+
+    const [, companyPrefix, indicatorItemRef, serial] = match;
+    const serialNumber = normalizeSerial(input, serial);
+
+    return {
+        companyPrefix,
+        indicatorItemRef,
+        serialNumber,
+        urn: `urn:epc:id:sgtin:${companyPrefix}.${indicatorItemRef}.${serialNumber}`,
+        format: 'urn'
+    };
+}
+
+/**
+ * Décode les échappements %XX d'un serial URN (valeur GS1 AI 21)
+ * @param {string} serialNumber - Serial forme URN
+ * @returns {string}
+ */
+export function decodeSerial(serialNumber) {
+    return serialNumber.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Normalise un serial URN (échappements en majuscules) et vérifie sa longueur
+ * @param {string} input - Entrée originale (pour le message d'erreur)
+ * @param {string} serial - Serial forme URN
+ * @returns {string}
+ * @throws {SgtinParseError} Si le serial dépasse 20 caractères
+ */
+function normalizeSerial(input, serial) {
+    const normalized = serial.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => `%${hex.toUpperCase()}`);
+
+    if (decodeSerial(normalized).length > MAX_SERIAL_LENGTH) {
+        throw new SgtinParseError(input, `Serial limité à ${MAX_SERIAL_LENGTH} caractères (GS1 AI 21)`);
+    }
+
+    return normalized;
+}
+
+// ============================================================================
+// GTIN
+// ============================================================================
+
+/**
+ * Calcule le check digit GS1 (Modulo 10)
+ * @param {string} digits - Chaîne de chiffres (sans check digit)
+ * @returns {number} Check digit (0-9)
+ */
+export function calculateCheckDigit(digits) {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        const multiplier = (digits.length - i) % 2 === 0 ? 1 : 3;
+        sum += parseInt(digits[i], 10) * multiplier;
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Convertit un SGTIN parsé en GTIN-14
+ * GTIN-14 = indicateur + company prefix + item reference + check digit
+ * @param {ParsedSgtin} parsed - SGTIN parsé
+ * @returns {string} GTIN-14
+ */
+export function sgtinToGtin14(parsed) {
+    const indicator = parsed.indicatorItemRef[0];
+    const itemRef = parsed.indicatorItemRef.substring(1);
+    const base = indicator + parsed.companyPrefix + itemRef;
+    return base + calculateCheckDigit(base);
+}
+
+/**
+ * Normalise un GTIN-8/12/13/14 en GTIN-14 (zéros à gauche) après contrôle du check digit
+ * @param {string} gtin - GTIN
+ * @returns {string} GTIN-14
+ * @throws {SgtinParseError} Si la longueur ou le check digit sont invalides
+ */
+export function normalizeGtin(gtin) {
+    if (!/^(\d{8}|\d{12,14})$/.test(gtin || '')) {
+        throw new SgtinParseError(String(gtin), 'GTIN de 8, 12, 13 ou 14 chiffres attendu');
+    }
+
+    const gtin14 = gtin.padStart(14, '0');
+    if (calculateCheckDigit(gtin14.substring(0, 13)) !== Number(gtin14[13])) {
+        throw new SgtinParseError(gtin, 'Check digit GTIN invalide');
+    }
+
+    return gtin14;
+}
+
+// ============================================================================
+// DÉCODAGE BINAIRE SGTIN-96
+// ============================================================================
+
+/**
+ * Décode un EPC SGTIN-96 hexadécimal (banque EPC lue par un lecteur RFID)
+ *
+ * Structure (96 bits):
+ * header (8) | filter (3) | partition (3) | company prefix + item ref (44) | serial (38)
+ *
+ * @param {string} hex - EPC hexadécimal (24 caractères)
+ * @returns {ParsedSgtin}
+ * @throws {SgtinParseError} Si l'EPC n'est pas un SGTIN-96 valide
+ */
+export function decodeSgtin96(hex) {
+    const value = typeof hex === 'string' ? hex.trim() : '';
+    if (!isSgtin96Hex(value)) {
+        throw new SgtinParseError(String(hex), 'EPC SGTIN-96 attendu: 24 caractères hexadécimaux');
+    }
+
+    const bits = BigInt(`0x${value}`);
+    const field = (offset, length) =>
+        (bits >> BigInt(96 - offset - length)) & ((1n << BigInt(length)) - 1n);
+
+    const header = Number(field(0, 8));
+    if (header !== SGTIN96_HEADER) {
+        throw new SgtinParseError(
+            value,
+            `Header 0x${header.toString(16).padStart(2, '0').toUpperCase()} non supporté (SGTIN-96 = 0x30)`
+        );
+    }
+
+    const filter = Number(field(8, 3));
+    const partition = Number(field(11, 3));
+    const table = SGTIN_PARTITIONS[partition];
+    if (!table) {
+        throw new SgtinParseError(value, `Valeur de partition invalide: ${partition}`);
+    }
+
+    const companyPrefixValue = field(14, table.companyPrefixBits);
+    const itemRefValue = field(14 + table.companyPrefixBits, table.itemRefBits);
+    const serialValue = field(58, SGTIN96_SERIAL_BITS);
+
+    if (companyPrefixValue >= 10n ** BigInt(table.companyPrefixDigits)) {
+        throw new SgtinParseError(value, `Company prefix hors limites pour la partition ${partition}`);
+    }
+    if (itemRefValue >= 10n ** BigInt(table.itemRefDigits)) {
+        throw new SgtinParseError(value, `Item reference hors limites pour la partition ${partition}`);
+    }
+
+    const companyPrefix = companyPrefixValue.toString().padStart(table.companyPrefixDigits, '0');
+    const indicatorItemRef = itemRefValue.toString().padStart(table.itemRefDigits, '0');
+    const serialNumber = serialValue.toString();
+
+    return {
+        companyPrefix,
+        indicatorItemRef,
+        serialNumber,
+        urn: `urn:epc:id:sgtin:${companyPrefix}.${indicatorItemRef}.${serialNumber}`,
+        format: 'epc-hex',
+        filter,
+        epcHex: value.toUpperCase()
+    };
+}
+
+// ============================================================================
+// ENCODAGE BINAIRE SGTIN-96
+// ============================================================================
+
+/**
+ * @typedef {Object} EncodedSgtin96
+ * @property {string} hex - EPC SGTIN-96 hexadécimal (24 caractères, majuscules)
+ * @property {string} tagUri - URN tag (urn:epc:tag:sgtin-96:<filter>.<prefix>.<item>.<serial>)
+ * @property {string} urn - URN pure identity
+ * @property {number} filter - Filter value
+ * @property {number} partition - Valeur de partition
+ */
+
+/**
+ * Encode une URN SGTIN pure identity en EPC SGTIN-96 (programmation de tags)
+ * @param {string} sgtinUrn - URN au format urn:epc:id:sgtin:prefix.itemref.serial
+ * @param {number} [filter=0] - Filter value (0-7, 0 = All Others)
+ * @returns {EncodedSgtin96}
+ * @throws {SgtinParseError} Si l'URN, le filtre, la partition ou le serial sont invalides
+ */
+export function encodeSgtin96(sgtinUrn, filter = 0) {
+    const parsed = parseSgtin(sgtinUrn);
+    if (parsed.format !== 'urn') {
+        throw new SgtinParseError(sgtinUrn, 'URN pure identity attendue pour l\'encodage');
+    }
+
+    const { companyPrefix, indicatorItemRef, serialNumber, urn } = parsed;
+
+    if (!/^\d+$/.test(serialNumber)) {
+        throw new SgtinParseError(urn, 'Serial alphanumérique non encodable en SGTIN-96 (SGTIN-198 requis)');
+    }
+
+    if (!Number.isInteger(filter) || filter < 0 || filter > 7) {
+        throw new SgtinParseError(urn, `Filter value invalide: ${filter} (attendu: entier 0-7)`);
+    }
+
+    const partition = SGTIN_PARTITIONS.findIndex(p => p.companyPrefixDigits === companyPrefix.length);
+    if (partition === -1) {
+        throw new SgtinParseError(
+            urn,
+            `Company prefix de ${companyPrefix.length} chiffres non encodable (attendu: 6 à 12 chiffres)`
+        );
+    }
+
+    const table = SGTIN_PARTITIONS[partition];
+    if (indicatorItemRef.length !== table.itemRefDigits) {
+        throw new SgtinParseError(
+            urn,
+            `Item reference de ${indicatorItemRef.length} chiffres incohérente avec le company prefix ` +
+            `(attendu: ${table.itemRefDigits} chiffres pour la partition ${partition})`
+        );
+    }
+
+    if (serialNumber.length > 1 && serialNumber.startsWith('0')) {
+        throw new SgtinParseError(urn, 'Serial SGTIN-96 sans zéros non significatifs requis');
+    }
+
+    const serial = BigInt(serialNumber);
+    if (serial > SGTIN96_MAX_SERIAL) {
+        throw new SgtinParseError(
+            urn,
+            `Serial ${serialNumber} dépasse la limite SGTIN-96 de 38 bits (max ${SGTIN96_MAX_SERIAL})`
+        );
+    }
+
+    let bits = BigInt(SGTIN96_HEADER);
+    const append = (value, length) => {
+        bits = (bits << BigInt(length)) | BigInt(value);
+    };
+
+    append(filter, 3);
+    append(partition, 3);
+    append(companyPrefix, table.companyPrefixBits);
+    append(indicatorItemRef, table.itemRefBits);
+    append(serial, SGTIN96_SERIAL_BITS);
+
+    return {
+        hex: bits.toString(16).toUpperCase().padStart(24, '0'),
+        tagUri: `urn:epc:tag:sgtin-96:${filter}.${companyPrefix}.${indicatorItemRef}.${serialNumber}`,
+        urn,
+        filter,
+        partition
+    };
+}
+
+export default {
+    SGTIN96_HEADER,
+    SGTIN96_SERIAL_BITS,
+    SGTIN96_MAX_SERIAL,
+    SGTIN_PARTITIONS,
+    isSgtin96Hex,
+    isSgtinUrn,
+    parseSgtin,
+    decodeSerial,
+    calculateCheckDigit,
+    sgtinToGtin14,
+    normalizeGtin,
+    decodeSgtin96,
+    encodeSgtin96
+};
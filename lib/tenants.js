@@ -0,0 +1,227 @@
+/**
+ * Registre des tenants (filiales) d'une instance du serveur
+ * Chaque clé API client désigne un tenant: environnement GDSO, compte de
+ * service (credentials et token propres) et préfixes d'entreprise autorisés
+ *
+ * Format du fichier (GDSO_TENANTS_FILE):
+ * {
+ *   "tenants": [{
+ *     "id": "poids-lourds",
+ *     "apiKeys": ["sha256:<hex>"],
+ *     "environment": "production",
+ *     "credentials": { "username": "...", "passwordFile": "/run/secrets/poids_lourds_password" },
+ *     "allowedPrefixes": ["086699"]
+ *   }]
+ * }
+ * Les clés API peuvent figurer en clair ou hachées (`sha256:` + SHA-256 hexadécimal,
+ * voir hashApiKey); seul leur condensé est conservé en mémoire
+ *
+ * @module lib/tenants
+ */
+
+import { readFileSync } from 'node:fs';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { ENVIRONMENTS } from './config.js';
+import { CredentialsFileError, TenantConfigError } from './errors.js';
+
+/**
+ * @typedef {Object} TenantCredentials
+ * @property {string} [username]
+ * @property {string} [password]
+ * @property {string} [usernameFile] - Fichier contenant le username (secret Docker/Kubernetes)
+ * @property {string} [passwordFile] - Fichier contenant le password (secret Docker/Kubernetes)
+ */
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} id - Identifiant (journaux, métriques)
+ * @property {string} environment - Environnement GDSO (testing/production)
+ * @property {TenantCredentials|null} credentials - null = chaîne par défaut du serveur
+ * @property {string[]|null} allowedPrefixes - Préfixes d'entreprise GS1 (null = tous)
+ */
+
+/**
+ * Condensé d'une clé API au format du registre
+ * @param {string} apiKey
+ * @returns {string} "sha256:<hex>"
+ */
+export function hashApiKey(apiKey) {
+    return `sha256:${createHash('sha256').update(apiKey, 'utf-8').digest('hex')}`;
+}
+
+/**
+ * Condensé binaire d'une clé du registre (claire ou déjà hachée)
+ * @param {string} key
+ * @returns {Buffer}
+ */
+function keyDigest(key) {
+    const hashed = /^sha256:([0-9a-f]{64})$/i.exec(key);
+    return hashed
+        ? Buffer.from(hashed[1], 'hex')
+        : createHash('sha256').update(key, 'utf-8').digest();
+}
+
+// ============================================================================
+// REGISTRE
+// ============================================================================
+
+/**
+ * Tenants indexés par clé API
+ */
+export class TenantRegistry {
+    /**
+     * @param {Object} config - Contenu du registre ({ tenants: [...] })
+     * @param {Object} [options]
+     * @param {string} [options.defaultEnvironment='production'] - Environnement d'un tenant qui n'en précise pas
+     * @param {string} [options.source='configuration'] - Origine rapportée dans les erreurs
+     * @throws {TenantConfigError} Si le registre est invalide
+     */
+    constructor(config, options = {}) {
+        const source = options.source || 'configuration';
+        const defaultEnvironment = options.defaultEnvironment || 'production';
+
+        if (!Array.isArray(config?.tenants)) {
+            throw new TenantConfigError(source, 'propriété "tenants" (tableau) attendue');
+        }
+
+        /** @type {Map<string, Tenant>} */
+        this.tenants = new Map();
+        /** @type {Array<{digest: Buffer, tenant: Tenant}>} */
+        this._keys = [];
+
+        for (const entry of config.tenants) {
+            const tenant = normalizeTenant(entry, defaultEnvironment, source);
+            if (this.tenants.has(tenant.id)) {
+                throw new TenantConfigError(source, `tenant "${tenant.id}" déclaré deux fois`);
+            }
+            this.tenants.set(tenant.id, tenant);
+
+            for (const key of entry.apiKeys) {
+                const digest = keyDigest(key);
+                if (this._keys.some(known => known.digest.equals(digest))) {
+                    throw new TenantConfigError(source, `clé API du tenant "${tenant.id}" déjà attribuée`);
+                }
+                this._keys.push({ digest, tenant });
+            }
+        }
+    }
+
+    /**
+     * Charge le registre depuis un fichier JSON
+     * @param {string} path
+     * @param {Object} [options] - Voir constructor (source = chemin du fichier)
+     * @returns {TenantRegistry}
+     * @throws {TenantConfigError} Si le fichier est illisible ou invalide
+     */
+    static fromFile(path, options = {}) {
+        let config;
+        try {
+            config = JSON.parse(readFileSync(path, 'utf-8'));
+        } catch (error) {
+            throw new TenantConfigError(path, `illisible (${error.code || error.message})`);
+        }
+        return new TenantRegistry(config, { ...options, source: path });
+    }
+
+    /**
+     * Nombre de tenants
+     * @returns {number}
+     */
+    get size() {
+        return this.tenants.size;
+    }
+
+    /**
+     * Tenant d'une clé API; toutes les clés sont comparées en temps constant
+     * @param {string|null|undefined} apiKey
+     * @returns {Tenant|null}
+     */
+    findByApiKey(apiKey) {
+        if (!apiKey) return null;
+
+        const digest = createHash('sha256').update(apiKey, 'utf-8').digest();
+        let found = null;
+        for (const known of this._keys) {
+            if (timingSafeEqual(known.digest, digest) && !found) found = known.tenant;
+        }
+        return found;
+    }
+}
+
+/**
+ * Valide une entrée du registre
+ * @param {Object} entry
+ * @param {string} defaultEnvironment
+ * @param {string} source
+ * @returns {Tenant}
+ */
+function normalizeTenant(entry, defaultEnvironment, source) {
+    if (!entry || typeof entry.id !== 'string' || !entry.id) {
+        throw new TenantConfigError(source, 'chaque tenant doit avoir un "id"');
+    }
+    const fail = reason => { throw new TenantConfigError(source, `tenant "${entry.id}": ${reason}`); };
+
+    if (!Array.isArray(entry.apiKeys) || entry.apiKeys.length === 0 ||
+        entry.apiKeys.some(key => typeof key !== 'string' || !key)) {
+        fail('"apiKeys" doit être un tableau non vide de chaînes');
+    }
+
+    const environment = entry.environment || defaultEnvironment;
+    if (!ENVIRONMENTS[environment]) {
+        fail(`environnement inconnu "${environment}" (${Object.keys(ENVIRONMENTS).join(', ')})`);
+    }
+
+    if (entry.allowedPrefixes !== undefined &&
+        (!Array.isArray(entry.allowedPrefixes) || entry.allowedPrefixes.some(prefix => !/^\d{1,12}$/.test(prefix)))) {
+        fail('"allowedPrefixes" doit être un tableau de préfixes numériques');
+    }
+
+    const credentials = entry.credentials || null;
+    if (credentials) {
+        for (const field of ['username', 'password']) {
+            if (credentials[field] && credentials[`${field}File`]) {
+                fail(`"${field}" et "${field}File" sont exclusifs`);
+            }
+        }
+    }
+
+    return {
+        id: entry.id,
+        environment,
+        credentials,
+        allowedPrefixes: entry.allowedPrefixes?.length ? [...entry.allowedPrefixes] : null
+    };
+}
+
+// ============================================================================
+// CREDENTIALS
+// ============================================================================
+
+/**
+ * Fournisseur de credentials du compte de service d'un tenant
+ * Les fichiers sont relus à chaque résolution (reloadCredentials / SIGHUP)
+ * @param {Tenant} tenant
+ * @returns {import('./credentials.js').CredentialProvider}
+ */
+export function createTenantCredentialProvider(tenant) {
+    const read = (field) => {
+        const path = tenant.credentials?.[`${field}File`];
+        if (!path) return tenant.credentials?.[field];
+        try {
+            return readFileSync(path, 'utf-8').replace(/\r?\n$/, '');
+        } catch (error) {
+            throw new CredentialsFileError(path, `${field}File du tenant ${tenant.id} illisible (${error.code || error.message})`);
+        }
+    };
+
+    return {
+        name: `tenant:${tenant.id}`,
+        resolve: () => ({ username: read('username'), password: read('password') })
+    };
+}
+
+export default {
+    TenantRegistry,
+    hashApiKey,
+    createTenantCredentialProvider
+};
@@ -0,0 +1,246 @@
+/**
+ * Parser des désignations de dimension pneu (ETRTO / TRA)
+ * Métrique, P-metric, LT, flottaison, numérique, ZR, C (utilitaire), PR
+ *
+ * Exemples:
+ * - "205/55 R16 91V XL"
+ * - "P215/65R15 95H"
+ * - "LT265/75R16 123/120S 10PR"
+ * - "35x12.50R15LT 113Q"
+ * - "225/45ZR17 (94Y)"
+ * - "195/70R15C 104/102R"
+ * - "315/70R22.5 154L152M"
+ * - "12.00R20 154/150K 18PR"
+ *
+ * @module lib/tire-size
+ */
+
+/**
+ * Symboles de vitesse valides (ISO 4000 / ETRTO), hors "(Y)"
+ */
+const SPEED_SYMBOL = 'A[1-8]|[BCDEFGHJKLMNPQRSTUVWY]';
+
+/**
+ * Description de service: indice de charge (simple[/jumelé]) + symbole de vitesse
+ * Groupes: load, loadDual, speed
+ */
+const SERVICE_DESCRIPTION = `\\(?(\\d{2,3})(?:\\/(\\d{2,3}))?\\s?(\\(Y\\)|${SPEED_SYMBOL})\\)?`;
+
+/**
+ * Construction: R (radial), ZR (radial > 240 km/h), D (diagonal), B (ceinturé), - (diagonal)
+ */
+const CONSTRUCTION = '(ZR|R|D|B|-)';
+
+/**
+ * Diamètre de jante en pouces (entier ou demi-pouce: 22.5)
+ */
+const RIM = '(\\d{2}(?:\\.\\d)?)';
+
+/**
+ * Grammaires de dimension, testées dans l'ordre
+ * @type {Array<{format: string, regex: RegExp}>}
+ */
+const SIZE_GRAMMARS = [
+    {
+        // 35x12.50R15 / LT35x12.50R15LT
+        format: 'flotation',
+        regex: new RegExp(`(?:^|[^A-Za-z0-9])(LT)?(\\d{2}(?:\\.\\d{1,2})?)\\s*[xX]\\s*(\\d{1,2}(?:\\.\\d{1,2})?)\\s*${CONSTRUCTION}\\s*${RIM}(?:\\s*(LT)\\b)?`)
+    },
+    {
+        // 205/55R16, P215/65R15, LT265/75R16, 195/70R15C, 225/45ZR17, 90/90-21
+        format: 'metric',
+        regex: new RegExp(`(?:^|[^A-Za-z0-9])(P|LT|ST|T)?\\s?(\\d{2,3})\\s*\\/\\s*(\\d{2,3})\\s*${CONSTRUCTION}\\s*${RIM}(?:\\s*(C|LT)\\b)?`)
+    },
+    {
+        // 11R22.5, 12.00R20, 7.50-16, 175R14
+        format: 'numeric',
+        regex: new RegExp(`(?:^|[^A-Za-z0-9./])(\\d{1,2}\\.\\d{2}|\\d{1,3})\\s*${CONSTRUCTION}\\s*${RIM}(?:\\s*(C|LT)\\b)?`)
+    }
+];
+
+/**
+ * @typedef {Object} ServiceDescription
+ * @property {number} loadIndex - Indice de charge (monte simple)
+ * @property {number|null} loadIndexDual - Indice de charge (monte jumelée)
+ * @property {string} speedSymbol - Symbole de vitesse
+ */
+
+/**
+ * @typedef {Object} TireSize
+ * @property {string} raw - Chaîne d'entrée
+ * @property {string} format - Notation (metric, p-metric, lt-metric, flotation, numeric)
+ * @property {string} size - Dimension normalisée (ex: 205/55R16)
+ * @property {string|null} prefix - Préfixe (P, LT, ST, T)
+ * @property {number} sectionWidth - Largeur de section
+ * @property {string} widthUnit - Unité de la largeur (mm ou inch)
+ * @property {number|null} aspectRatio - Série (null si non indiquée)
+ * @property {number|null} overallDiameter - Diamètre extérieur en pouces (flottaison)
+ * @property {string} construction - R, ZR, D, B ou -
+ * @property {number} rimDiameter - Diamètre de jante en pouces
+ * @property {boolean} commercial - Pneu utilitaire (suffixe C)
+ * @property {boolean} lightTruck - Pneu light truck (préfixe ou suffixe LT)
+ * @property {number|null} loadIndex - Indice de charge (monte simple)
+ * @property {number|null} loadIndexDual - Indice de charge (monte jumelée)
+ * @property {string|null} speedSymbol - Symbole de vitesse
+ * @property {ServiceDescription|null} supplementary - Description de service supplémentaire (ex: 152M)
+ * @property {number|null} plyRating - Ply rating (PR)
+ * @property {boolean} extraLoad - XL / Reinforced
+ * @property {string|null} tubeType - TL ou TT
+ */
+
+/**
+ * Parse une désignation de dimension pneu
+ * @param {string} text - Désignation (ou nom commercial contenant la dimension)
+ * @returns {TireSize|null} Dimension parsée ou null si aucune dimension reconnue
+ */
+export function parseTireSize(text) {
+    if (!text || typeof text !== 'string') return null;
+
+    for (const { format, regex } of SIZE_GRAMMARS) {
+        const match = text.match(regex);
+        if (match) {
+            const sizeEnd = match.index + match[0].length;
+            const size = buildSize(format, match);
+            return {
+                raw: text,
+                ...size,
+                ...parseServiceDescriptions(text.substring(sizeEnd)),
+                ...parseMarkings(text.substring(sizeEnd))
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Construit les champs de dimension selon la grammaire reconnue
+ * @param {string} format - Grammaire
+ * @param {RegExpMatchArray} match - Résultat du regex
+ * @returns {Object}
+ */
+function buildSize(format, match) {
+    if (format === 'flotation') {
+        const [, prefix, diameter, width, construction, rim, suffix] = match;
+        return {
+            format,
+            size: `${prefix || ''}${diameter}x${width}${construction}${rim}${suffix || ''}`,
+            prefix: prefix || null,
+            sectionWidth: parseFloat(width),
+            widthUnit: 'inch',
+            aspectRatio: null,
+            overallDiameter: parseFloat(diameter),
+            construction,
+            rimDiameter: parseFloat(rim),
+            commercial: false,
+            lightTruck: Boolean(prefix || suffix)
+        };
+    }
+
+    if (format === 'metric') {
+        const [, prefix, width, aspect, construction, rim, suffix] = match;
+        const lightTruck = prefix === 'LT' || suffix === 'LT';
+        return {
+            format: prefix === 'P' ? 'p-metric' : lightTruck ? 'lt-metric' : 'metric',
+            size: `${prefix || ''}${width}/${aspect}${construction}${rim}${suffix || ''}`,
+            prefix: prefix || null,
+            sectionWidth: parseInt(width, 10),
+            widthUnit: 'mm',
+            aspectRatio: parseInt(aspect, 10),
+            overallDiameter: null,
+            construction,
+            rimDiameter: parseFloat(rim),
+            commercial: suffix === 'C',
+            lightTruck
+        };
+    }
+
+    // numeric: largeur en pouces (11, 7.50, 12.00) ou en mm (175)
+    const [, width, construction, rim, suffix] = match;
+    const sectionWidth = parseFloat(width);
+    return {
+        format,
+        size: `${width}${construction}${rim}${suffix || ''}`,
+        prefix: null,
+        sectionWidth,
+        widthUnit: sectionWidth >= 100 ? 'mm' : 'inch',
+        aspectRatio: null,
+        overallDiameter: null,
+        construction,
+        rimDiameter: parseFloat(rim),
+        commercial: suffix === 'C',
+        lightTruck: suffix === 'LT'
+    };
+}
+
+/**
+ * Extrait la description de service principale et supplémentaire
+ * Priorité à celle qui suit directement la dimension, sinon premier token isolé
+ * @param {string} rest - Texte après la dimension
+ * @returns {{loadIndex: number|null, loadIndexDual: number|null, speedSymbol: string|null, supplementary: ServiceDescription|null}}
+ */
+function parseServiceDescriptions(rest) {
+    const pair = `${SERVICE_DESCRIPTION}(?:\\s?${SERVICE_DESCRIPTION})?(?![A-Za-z0-9])`;
+
+    const match = rest.match(new RegExp(`^\\s*${pair}`)) ||
+                  rest.match(new RegExp(`(?:^|\\s)${pair}`));
+
+    if (!match) {
+        return { loadIndex: null, loadIndexDual: null, speedSymbol: null, supplementary: null };
+    }
+
+    const primary = toServiceDescription(match[1], match[2], match[3]);
+    const supplementary = match[4] ? toServiceDescription(match[4], match[5], match[6]) : null;
+
+    return { ...primary, supplementary };
+}
+
+/**
+ * @param {string} load - Indice de charge simple
+ * @param {string} [loadDual] - Indice de charge jumelé
+ * @param {string} speed - Symbole de vitesse
+ * @returns {ServiceDescription}
+ */
+function toServiceDescription(load, loadDual, speed) {
+    return {
+        loadIndex: parseInt(load, 10),
+        loadIndexDual: loadDual ? parseInt(loadDual, 10) : null,
+        speedSymbol: speed
+    };
+}
+
+/**
+ * Extrait les marquages annexes (PR, XL, TL/TT)
+ * @param {string} rest - Texte après la dimension
+ * @returns {{plyRating: number|null, extraLoad: boolean, tubeType: string|null}}
+ */
+function parseMarkings(rest) {
+    const ply = rest.match(/\b(\d{1,2})\s?PR\b/);
+    const tube = rest.match(/\b(TL|TT)\b/);
+
+    return {
+        plyRating: ply ? parseInt(ply[1], 10) : null,
+        extraLoad: /\b(XL|RF|REINF(?:ORCED)?|EXTRA LOAD)\b/i.test(rest),
+        tubeType: tube ? tube[1] : null
+    };
+}
+
+/**
+ * Formate une dimension au format ETRTO compact (ex: 205/55R16)
+ * @param {Object} dims - Composants de dimension
+ * @param {number} dims.sectionWidth - Largeur de section
+ * @param {number|null} [dims.aspectRatio] - Série
+ * @param {string} [dims.construction='R'] - Construction
+ * @param {number} dims.rimDiameter - Diamètre de jante
+ * @returns {string}
+ */
+export function formatTireSize({ sectionWidth, aspectRatio, construction = 'R', rimDiameter }) {
+    return aspectRatio
+        ? `${sectionWidth}/${aspectRatio}${construction}${rimDiameter}`
+        : `${sectionWidth}${construction}${rimDiameter}`;
+}
+
+export default {
+    parseTireSize,
+    formatTireSize
+};
@@ -5,7 +5,7 @@
  */
 
 import { RETRY } from './config.js';
-import { RetryExhaustedError, TimeoutError } from './errors.js';
+import { RetryExhaustedError, TimeoutError, InvalidCountryError } from './errors.js';
 
 // ============================================================================
 // RETRY AVEC BACKOFF EXPONENTIEL
@@ -252,6 +252,19 @@ export function truncate(str, maxLength = 100) {
     return str.substring(0, maxLength - 3) + '...';
 }
 
+/**
+ * Normalise un code pays ISO 3166-1 alpha-2 (paramètre country de l'API GDSO)
+ * @param {string|null|undefined} country - Code pays ("fr", "FR"), vide = aucun
+ * @returns {string|null} Code en majuscules, ou null
+ * @throws {InvalidCountryError} Si le code n'a pas deux lettres
+ */
+export function normalizeCountry(country) {
+    if (country == null || country === '') return null;
+    const code = String(country).trim().toUpperCase();
+    if (!/^[A-Z]{2}$/.test(code)) throw new InvalidCountryError(country);
+    return code;
+}
+
 /**
  * Génère un ID unique simple
  * @returns {string}
@@ -267,5 +280,6 @@ export default {
     formatDuration,
     safeJsonParse,
     truncate,
+    normalizeCountry,
     generateId
 };
@@ -9,10 +9,27 @@
 
 import express from 'express';
 import cors from 'cors';
+import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { GdsoService } from './lib/gdso-service.js';
-import { NaptrNotFoundError, SgtinParseError } from './lib/errors.js';
+import { OidcClient, userTokensFromIdToken } from './lib/oidc.js';
+import { TenantRegistry, createTenantCredentialProvider } from './lib/tenants.js';
+import { OIDC } from './lib/config.js';
+import {
+    NaptrNotFoundError,
+    SgtinParseError,
+    OfflineError,
+    AuthenticationError,
+    OidcError,
+    PrefixNotAllowedError,
+    InvalidCountryError,
+    CircuitOpenError
+} from './lib/errors.js';
+import { parseTireSize, formatTireSize } from './lib/tire-size.js';
+import { describeServiceDescription } from './lib/service-description.js';
+import { decodeDotTin, registerFactoryCodes } from './lib/dot-tin.js';
+import { normalizeCountry } from './lib/utils.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,6 +44,33 @@ const PORT = process.env.PORT || 3000;
 const GDSO_ENV = process.env.GDSO_ENV || 'production';
 const GDSO_API_SECRET = process.env.GDSO_API_SECRET;
 
+// Accepter en Bearer les tokens émis par GDSO (Cognito), vérifiés via JWKS, en plus du secret partagé
+const GDSO_ACCEPT_GDSO_TOKENS = ['1', 'true'].includes(process.env.GDSO_ACCEPT_GDSO_TOKENS);
+
+// Registre des tenants (clé API client → environnement, compte GDSO, préfixes autorisés; voir lib/tenants.js)
+// Invalide au démarrage: arrêt du serveur; invalide au rechargement (SIGHUP): registre précédent conservé
+const GDSO_TENANTS_FILE = process.env.GDSO_TENANTS_FILE;
+let tenants = GDSO_TENANTS_FILE
+    ? TenantRegistry.fromFile(GDSO_TENANTS_FILE, { defaultEnvironment: GDSO_ENV })
+    : null;
+
+// Pays par défaut des appels API fabricant (ISO 3166-1 alpha-2, paramètre country)
+// Invalide: arrêt du serveur au démarrage, pas à la première requête
+const GDSO_COUNTRY = normalizeCountry(process.env.GDSO_COUNTRY);
+
+// URI de retour OpenID Connect déclarée dans Cognito (défaut: <hôte de la requête>/auth/callback)
+const GDSO_OIDC_REDIRECT_URI = process.env.GDSO_OIDC_REDIRECT_URI;
+
+// Table des codes usine DOT (JSON: { "<code>": { manufacturer, plant, country } })
+const GDSO_FACTORY_CODES_FILE = process.env.GDSO_FACTORY_CODES_FILE;
+if (GDSO_FACTORY_CODES_FILE) {
+    try {
+        registerFactoryCodes(JSON.parse(readFileSync(GDSO_FACTORY_CODES_FILE, 'utf-8')));
+    } catch (error) {
+        console.warn(`[CONFIG] Codes usine non chargés (${GDSO_FACTORY_CODES_FILE}): ${error.message}`);
+    }
+}
+
 // Domaines autorisés pour CORS
 const ALLOWED_ORIGINS = [
     /\.supabase\.co$/,
@@ -35,6 +79,146 @@ const ALLOWED_ORIGINS = [
     /^http:\/\/127\.0\.0\.1(:\d+)?$/
 ];
 
+// ============================================================================
+// SERVICES GDSO PARTAGÉS
+// ============================================================================
+
+/**
+ * Une instance par environnement, partagée par toutes les requêtes:
+ * token JWT, cache ONS et cache pneus communs
+ * @type {Map<string, GdsoService>}
+ */
+const services = new Map();
+
+/**
+ * Instance partagée du service pour un environnement (créée au premier appel)
+ * @param {string} [environment=GDSO_ENV]
+ * @returns {GdsoService}
+ */
+function getService(environment = GDSO_ENV) {
+    let service = services.get(environment);
+    if (!service) {
+        service = new GdsoService({
+            environment,
+            verbose: false,
+            jsonLogs: true,
+            useCache: true,
+            country: GDSO_COUNTRY
+        });
+        services.set(environment, service);
+        console.log(`[CONFIG] Credentials ${environment}: ${service.describeCredentialSources()}`);
+    }
+    return service;
+}
+
+/**
+ * Une instance par tenant: credentials, token et périmètre propres
+ * Les stores de cache sont ceux de l'environnement (un fichier de cache n'a qu'un
+ * seul écrivain). Les données pneu y sont rangées par tenant (cacheScope): dotTin et
+ * countryOfOrigin sont privés au compte qui les a obtenus. ONS, catalogue produit et
+ * variantes d'URL ne dépendent pas du compte et restent communs
+ * L'ordonnanceur des batchs et les disjoncteurs aussi: les limites par fabricant
+ * et l'état des API valent pour tous les tenants
+ * @type {Map<string, GdsoService>}
+ */
+const tenantServices = new Map();
+
+/**
+ * Instance du service d'un tenant (créée au premier appel)
+ * @param {import('./lib/tenants.js').Tenant} tenant
+ * @returns {GdsoService}
+ */
+function getTenantService(tenant) {
+    let service = tenantServices.get(tenant.id);
+    if (!service) {
+        const shared = getService(tenant.environment);
+        service = new GdsoService({
+            environment: tenant.environment,
+            verbose: false,
+            jsonLogs: true,
+            useCache: true,
+            country: GDSO_COUNTRY,
+            // Sans credentials déclarés: chaîne par défaut du serveur
+            credentialProviders: tenant.credentials ? [createTenantCredentialProvider(tenant)] : undefined,
+            allowedPrefixes: tenant.allowedPrefixes ?? undefined,
+            cacheScope: `tenant:${tenant.id}`,
+            tokenVerifier: shared.tokenVerifier ?? undefined,
+            scheduler: shared.scheduler,
+            apiGuards: shared.apiGuards,
+            cacheStores: {
+                ons: shared.onsCache,
+                tires: shared.tireCache,
+                products: shared.productCache,
+                urlPatterns: shared.urlPatternCache
+            }
+        });
+        tenantServices.set(tenant.id, service);
+        console.log(`[CONFIG] Tenant ${tenant.id} (${tenant.environment}): credentials ${service.describeCredentialSources()}`);
+    }
+    return service;
+}
+
+/**
+ * Service de la requête: compte de service du tenant (clé API) ou partagé,
+ * avec l'identité GDSO de l'utilisateur si authMiddleware en a vérifié une
+ * @param {import('express').Request} req
+ * @returns {GdsoService}
+ */
+function serviceFor(req) {
+    const service = req.tenant ? getTenantService(req.tenant) : getService();
+    return req.gdsoUser ? service.forUser(req.gdsoUser) : service;
+}
+
+// SIGHUP (kill -HUP <pid>): relire les credentials et le registre des tenants, invalider les tokens
+process.on('SIGHUP', () => {
+    for (const [environment, service] of services) {
+        service.reloadCredentials();
+        console.log(`[CONFIG] Credentials ${environment} rechargés: ${service.describeCredentialSources()}`);
+    }
+
+    if (!GDSO_TENANTS_FILE) return;
+    try {
+        tenants = TenantRegistry.fromFile(GDSO_TENANTS_FILE, { defaultEnvironment: GDSO_ENV });
+        // Recréées à la demande avec la nouvelle configuration (caches conservés)
+        tenantServices.clear();
+        console.log(`[CONFIG] Registre des tenants rechargé: ${tenants.size} tenant(s)`);
+    } catch (error) {
+        console.error(`[CONFIG] Registre des tenants conservé: ${error.message}`);
+    }
+});
+
+// ============================================================================
+// OPENID CONNECT (COGNITO)
+// ============================================================================
+
+/**
+ * Un client OIDC par environnement (découverte conservée)
+ * @type {Map<string, OidcClient>}
+ */
+const oidcClients = new Map();
+
+function getOidcClient(environment = GDSO_ENV) {
+    let client = oidcClients.get(environment);
+    if (!client) {
+        client = new OidcClient({ environment });
+        oidcClients.set(environment, client);
+    }
+    return client;
+}
+
+/**
+ * Connexions en attente du retour Cognito (state → secrets PKCE)
+ * @type {Map<string, {codeVerifier: string, redirectUri: string, environment: string, expiresAt: number}>}
+ */
+const pendingLogins = new Map();
+
+function prunePendingLogins() {
+    const now = Date.now();
+    for (const [state, login] of pendingLogins) {
+        if (login.expiresAt <= now) pendingLogins.delete(state);
+    }
+}
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -77,6 +261,7 @@ app.use((req, res, next) => {
             path: req.path,
             status: res.statusCode,
             duration_ms: duration,
+            ...(req.tenant && { tenant: req.tenant.id }),
             ip: req.ip || req.headers['x-forwarded-for']
         }));
     });
@@ -84,32 +269,54 @@ app.use((req, res, next) => {
 });
 
 // Auth middleware (protège les endpoints /api/*)
-const authMiddleware = (req, res, next) => {
-    // Pas de protection si secret non configuré (dev local)
-    if (!GDSO_API_SECRET) {
-        console.warn('[AUTH] GDSO_API_SECRET non configuré - API non protégée!');
-        return next();
-    }
-
+// Bearer: clé API d'un tenant (GDSO_TENANTS_FILE), GDSO_API_SECRET, ou token GDSO
+// (signature JWKS, iss, aud, exp) si GDSO_ACCEPT_GDSO_TOKENS
+// X-GDSO-Token (optionnel, avec une clé ou le secret): identité GDSO de l'utilisateur, vérifiée de même
+const authMiddleware = async (req, res, next) => {
     const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    const bearer = authHeader?.startsWith('Bearer ') ? authHeader.substring(7) : null;
+    let userToken = req.get('X-GDSO-Token') || null;
+
+    const tenant = tenants?.findByApiKey(bearer);
+
+    if (tenant) {
+        // Clé API d'un tenant: son compte GDSO et son périmètre (serviceFor)
+        req.tenant = tenant;
+    } else if (!GDSO_API_SECRET && !GDSO_ACCEPT_GDSO_TOKENS && !tenants) {
+        // Pas de protection si secret non configuré (dev local)
+        console.warn('[AUTH] GDSO_API_SECRET non configuré - API non protégée!');
+    } else if (!bearer) {
         return res.status(401).json({
             success: false,
             error: 'UNAUTHORIZED',
             message: 'Header Authorization: Bearer {token} requis'
         });
+    } else if (bearer !== GDSO_API_SECRET) {
+        if (!GDSO_ACCEPT_GDSO_TOKENS) {
+            return res.status(403).json({
+                success: false,
+                error: 'FORBIDDEN',
+                message: 'Token invalide'
+            });
+        }
+        userToken = bearer;
     }
 
-    const token = authHeader.substring(7);
-    if (token !== GDSO_API_SECRET) {
-        return res.status(403).json({
+    if (!userToken) return next();
+
+    try {
+        const verifier = (req.tenant ? getTenantService(req.tenant) : getService()).tokenVerifier;
+        const claims = await verifier.verify(userToken);
+        req.gdsoUser = userTokensFromIdToken(userToken, claims);
+        next();
+    } catch (error) {
+        console.warn(`[AUTH] Token GDSO rejeté: ${error.message}`);
+        res.status(401).json({
             success: false,
-            error: 'FORBIDDEN',
-            message: 'Token invalide'
+            error: error.code || 'TOKEN_INVALID',
+            message: error.message
         });
     }
-
-    next();
 };
 
 // ============================================================================
@@ -117,73 +324,139 @@ const authMiddleware = (req, res, next) => {
 // ============================================================================
 
 /**
- * Parse commercialNameLongDescription pour extraire load_index et speed_symbol
- * Exemples de formats:
- * - "385/55R22.5 X MULTI T2 TL 160K VG MI" -> 160, K
- * - "315/70R22.5 KMAX D G2 154L152M 3PSF" -> 154, L (premier indice)
- * - "315/80 R22.5 156/150K" -> 156, K (double indice avec slash)
- * - "295/60R22.5 150/147L" -> 150, L
- *
- * @param {string} commercialName - Nom commercial du pneu
- * @returns {{ load_index: number|null, speed_symbol: string|null }}
+ * Unités GDSO (MILLIMETER/INCH) → unités courtes
  */
-function parseSpecifications(commercialName) {
-    if (!commercialName) return { load_index: null, speed_symbol: null };
+const UOM_UNITS = { MILLIMETER: 'mm', INCH: 'inch' };
 
-    // Pattern 1: Format "154L152M" - double indice avec lettres (Goodyear style)
-    // [ACEFGHJKLMNPQSTUVWYZ] = lettres de vitesse valides (excluant R/B/D)
-    let match = commercialName.match(/\b(\d{2,3})([ACEFGHJKLMNPQSTUVWYZ])(\d{2,3})([ACEFGHJKLMNPQSTUVWYZ])\b/);
-    if (match) {
-        return {
-            load_index: parseInt(match[1], 10),
-            speed_symbol: match[2]
+/**
+ * Extrait dimension et description de service d'un produit
+ * Priorité aux données structurées product.dimensions / product.specifications
+ * (schéma Tire GDSO), le parser de dimension ne sert que de repli
+ * (geometricalTyreSize puis commercialNameLongDescription)
+ *
+ * @param {Object} product - Bloc product des données GDSO
+ * @returns {{ dimension: string|null, size_details: Object|null,
+ *             service: import('./lib/service-description.js').ServiceDescriptionInput,
+ *             supplementary: import('./lib/service-description.js').ServiceDescriptionInput|null }}
+ */
+function extractTireSpecs(product) {
+    const dims = product?.dimensions || {};
+    const spec = product?.specifications || {};
+    const parsed = parseTireSize(dims.geometricalTyreSize) ||
+                   parseTireSize(product?.commercialNameLongDescription || product?.commercialName);
+
+    const hasStructuredSize = dims.sectionWidth?.value && dims.aspectRatio && dims.rimCode?.value;
+
+    const sizeDetails = hasStructuredSize
+        ? {
+            section_width: dims.sectionWidth.value,
+            width_unit: UOM_UNITS[dims.sectionWidth.uom] || 'mm',
+            aspect_ratio: dims.aspectRatio,
+            construction: spec.structure || parsed?.construction || 'R',
+            rim_diameter: dims.rimCode.value,
+            source: 'gdso'
+        }
+        : parsed && {
+            section_width: parsed.sectionWidth,
+            width_unit: parsed.widthUnit,
+            aspect_ratio: parsed.aspectRatio,
+            construction: parsed.construction,
+            rim_diameter: parsed.rimDiameter,
+            source: 'parsed'
         };
-    }
 
-    // Pattern 2: Format "156/150K" - double indice avec slash
-    match = commercialName.match(/\b(\d{2,3})\/(\d{2,3})([ACEFGHJKLMNPQSTUVWYZ])\b/);
-    if (match) {
-        return {
-            load_index: parseInt(match[1], 10),
-            speed_symbol: match[3]
-        };
-    }
+    const dimension = hasStructuredSize
+        ? formatTireSize({
+            sectionWidth: sizeDetails.section_width,
+            aspectRatio: sizeDetails.aspect_ratio,
+            construction: sizeDetails.construction,
+            rimDiameter: sizeDetails.rim_diameter
+        })
+        : parsed?.size ?? null;
 
-    // Pattern 3: Format simple "160K" - doit être un espace avant ou début de string
-    // et pas après une dimension (ex: 70R22)
-    match = commercialName.match(/(?:^|\s)(\d{2,3})([ACEFGHJKLMNPQSTUVWYZ])(?:\s|$)/);
-    if (match) {
-        return {
-            load_index: parseInt(match[1], 10),
-            speed_symbol: match[2]
-        };
-    }
+    const hasStructuredSupplementary = spec.loadIndexSupplementaryServiceCondition != null ||
+                                       spec.speedSymbolSupplementaryServiceCondition;
 
-    return { load_index: null, speed_symbol: null };
+    return {
+        dimension,
+        size_details: sizeDetails || null,
+        service: {
+            loadIndex: spec.loadIndex ?? parsed?.loadIndex ?? null,
+            loadIndexDual: spec.loadIndexForDualFitment ?? parsed?.loadIndexDual ?? null,
+            speedSymbol: spec.speedSymbol ?? parsed?.speedSymbol ?? null
+        },
+        supplementary: hasStructuredSupplementary
+            ? {
+                loadIndex: spec.loadIndexSupplementaryServiceCondition ?? null,
+                loadIndexDual: spec.loadIndexSupplementaryServiceConditionDualFitment ?? null,
+                speedSymbol: spec.speedSymbolSupplementaryServiceCondition ?? null
+            }
+            : parsed?.supplementary ?? null
+    };
 }
 
 /**
- * Extrait la dimension du pneu depuis le nom commercial ou les données
- * @param {Object} tireData - Données brutes du pneu
- * @returns {string|null}
+ * Description de service au format réponse API (indices + kg / km/h)
+ * @param {import('./lib/service-description.js').ServiceDescriptionInput|null} description
+ * @returns {Object|null}
  */
-function extractDimension(tireData) {
-    // Essayer d'abord depuis les données structurées
-    if (tireData?.product?.dimensions) {
-        const d = tireData.product.dimensions;
-        if (d.sectionWidth && d.aspectRatio && d.rimDiameter) {
-            const construction = d.constructionType || 'R';
-            return `${d.sectionWidth}/${d.aspectRatio}${construction}${d.rimDiameter}`;
-        }
-    }
+function formatServiceResponse(description) {
+    const details = describeServiceDescription(description);
+    if (!details) return null;
+
+    return {
+        load_index: details.loadIndex,
+        load_kg: details.loadKg,
+        load_index_dual: details.loadIndexDual,
+        load_kg_dual: details.loadKgDual,
+        speed_symbol: details.speedSymbol,
+        speed_kmh: details.speedKmh,
+        ...(details.speedAbove && { speed_kmh_above: true })
+    };
+}
 
-    // Sinon extraire depuis le nom commercial
-    const name = tireData?.product?.commercialNameLongDescription ||
-                 tireData?.product?.commercialName || '';
+/**
+ * Champs produit communs à tous les pneus d'un GTIN (marque, dimensions, indices)
+ * @param {Object} product - Bloc product des données GDSO
+ * @returns {Object}
+ */
+function formatProductFields(product) {
+    const commercialName = product?.commercialNameLongDescription ||
+                          product?.commercialName || null;
+    const specs = extractTireSpecs(product);
+    const serviceDescription = describeServiceDescription(specs.service);
+
+    return {
+        brand_name: product?.brandName || null,
+        commercial_name: commercialName,
+        dimension: specs.dimension,
+        size_details: specs.size_details,
+        load_index: serviceDescription?.loadIndex ?? null,
+        load_index_dual: serviceDescription?.loadIndexDual ?? null,
+        speed_symbol: serviceDescription?.speedSymbol ?? null,
+        load_kg: serviceDescription?.loadKg ?? null,
+        load_kg_dual: serviceDescription?.loadKgDual ?? null,
+        speed_kmh: serviceDescription?.speedKmh ?? null,
+        supplementary_service: formatServiceResponse(specs.supplementary)
+    };
+}
 
-    // Pattern dimension: 385/55R22.5, 315/80R22.5, 295/60R22.5, etc.
-    const match = name.match(/(\d{2,3}\/\d{2,3}[RBD]?\d{2}(?:\.\d)?)/i);
-    return match ? match[1].toUpperCase() : null;
+/**
+ * Formate la réponse API pour un produit du catalogue
+ * @param {import('./lib/gdso-service.js').ProductResult} result
+ * @returns {Object}
+ */
+function formatProductResponse(result) {
+    return {
+        gtin14: result.gtin14,
+        gtin13: result.gtin13,
+        manufacturer: result.manufacturer,
+        country: result.country,
+        ...formatProductFields(result.product),
+        stale: result.stale,
+        fetched_at: result.fetchedAt,
+        raw_product: result.product
+    };
 }
 
 /**
@@ -200,28 +473,41 @@ function formatTireResponse(result) {
             sgtin: result.sgtin,
             manufacturer: result.manufacturer,
             gtin13: result.gtin13,
+            gtin14: result.gtin14 || null,
+            ons_gtin_form: result.gtinForm || null,
+            digital_link: result.digitalLink || null,
             available: false,
-            error: result.error || 'NO_DATA'
+            error: result.error || 'NO_DATA',
+            ...(result.errorMessage && { message: result.errorMessage }),
+            ...(result.status && { status: result.status }),
+            ...(result.retryAt && { retry_at: result.retryAt }),
+            country: result.country ?? null,
+            source: result.source ?? null,
+            stale: false,
+            fetched_at: null
         };
     }
 
-    const commercialName = tireData?.product?.commercialNameLongDescription ||
-                          tireData?.product?.commercialName || null;
-    const specs = parseSpecifications(commercialName);
-    const dimension = extractDimension(tireData);
+    const dotTin = decodeDotTin(tireData?.dotTin);
 
     return {
         sgtin: result.sgtin,
         manufacturer: result.manufacturer,
         gtin13: result.gtin13,
+        gtin14: result.gtin14,
+        ons_gtin_form: result.gtinForm,
+        digital_link: result.digitalLink || null,
         available: true,
-        brand_name: tireData?.product?.brandName || null,
-        commercial_name: commercialName,
-        dimension: dimension,
-        load_index: specs.load_index,
-        speed_symbol: specs.speed_symbol,
+        ...formatProductFields(tireData?.product),
         dot_tin: tireData?.dotTin?.weekYear || null,
+        production_date: dotTin?.productionDate ?? null,
+        age_months: dotTin?.ageMonths ?? null,
+        factory: dotTin?.factory ?? null,
         country_of_origin: tireData?.countryOfOrigin || null,
+        country: result.country ?? null,
+        source: result.source ?? null,
+        stale: result.stale ?? false,
+        fetched_at: result.fetchedAt ?? null,
         raw_data: tireData
     };
 }
@@ -236,6 +522,15 @@ app.get('/health', (req, res) => {
         status: 'ok',
         timestamp: new Date().toISOString(),
         environment: GDSO_ENV,
+        offline: getService().offline,
+        country: getService().country,
+        credentials_source: getService().describeCredentialSources(),
+        tenants: tenants?.size ?? 0,
+        batch_concurrency: {
+            total: getService().scheduler.concurrency,
+            per_manufacturer: getService().scheduler.perKeyConcurrency
+        },
+        open_circuits: getService().getCircuitStates().filter(circuit => circuit.state !== 'closed'),
         version: '1.0.0'
     });
 });
@@ -248,34 +543,103 @@ app.get('/', (req, res) => {
         description: 'API REST pour récupérer les informations des pneus via GDSO',
         endpoints: {
             'GET /health': 'Health check',
-            'POST /api/gdso/tire': 'Récupère les infos d\'un pneu (body: { sgtin_urn })',
-            'POST /api/gdso/batch': 'Récupère les infos de plusieurs pneus (body: { sgtin_urns: [...] }, max 100)'
+            'POST /api/gdso/tire': 'Récupère les infos d\'un pneu (body: { sgtin_urn, country? }, URN, tag URI, EPC hex, Digital Link ou element string)',
+            'POST /api/gdso/batch': 'Récupère les infos de plusieurs pneus (body: { sgtin_urns: [...], country? }, max 100, mêmes formats)',
+            'GET /api/gdso/product/:gtin': 'Données produit d\'un GTIN depuis le catalogue (?sgtin=... pour l\'alimenter si absent, ?country=FR)',
+            'GET /api/gdso/url-patterns': 'Variantes d\'URL (pattern, encodage) apprises par API fabricant',
+            'GET /auth/login': 'Connexion GDSO personnelle (OpenID Connect), retourne l\'ID token à passer en header X-GDSO-Token'
         },
         documentation: 'https://gdso-org.github.io/tech-doc/'
     });
 });
 
+// GET /auth/login - Redirection vers Cognito (authorization code + PKCE)
+app.get('/auth/login', async (req, res) => {
+    try {
+        const environment = typeof req.query.env === 'string' ? req.query.env : GDSO_ENV;
+        const redirectUri = GDSO_OIDC_REDIRECT_URI || `${req.protocol}://${req.get('host')}/auth/callback`;
+        const authorization = await getOidcClient(environment).createAuthorization({ redirectUri });
+
+        prunePendingLogins();
+        pendingLogins.set(authorization.state, {
+            codeVerifier: authorization.codeVerifier,
+            redirectUri,
+            environment,
+            expiresAt: Date.now() + OIDC.loginTimeoutMs
+        });
+
+        res.redirect(authorization.url);
+
+    } catch (error) {
+        console.error('[AUTH]', error.message);
+        res.status(502).json({
+            success: false,
+            error: error.code || 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+// GET /auth/callback - Retour Cognito: échange du code contre les tokens de l'utilisateur
+app.get('/auth/callback', async (req, res) => {
+    const { code, state, error, error_description } = req.query;
+
+    try {
+        if (error) throw new OidcError(String(error), error_description ? String(error_description) : null);
+
+        prunePendingLogins();
+        const login = typeof state === 'string' && pendingLogins.get(state);
+        if (!login) throw new OidcError('invalid_state', 'connexion inconnue ou expirée, relancer /auth/login');
+        pendingLogins.delete(state);
+
+        const tokens = await getOidcClient(login.environment).exchangeCode({
+            code: String(code),
+            codeVerifier: login.codeVerifier,
+            redirectUri: login.redirectUri
+        });
+        await getService(login.environment).tokenVerifier.verify(tokens.idToken);
+
+        res.json({
+            success: true,
+            data: {
+                environment: login.environment,
+                username: tokens.username,
+                id_token: tokens.idToken,
+                refresh_token: tokens.refreshToken,
+                expires_at: new Date(tokens.expiry).toISOString(),
+                usage: GDSO_ACCEPT_GDSO_TOKENS
+                    ? 'Header Authorization: Bearer <id_token> sur les routes /api/gdso/*'
+                    : 'Header X-GDSO-Token: <id_token> sur les routes /api/gdso/*'
+            }
+        });
+
+    } catch (err) {
+        console.error('[AUTH]', err.message);
+        res.status(err instanceof AuthenticationError ? 401 : 500).json({
+            success: false,
+            error: err.code || 'INTERNAL_ERROR',
+            message: err.message
+        });
+    }
+});
+
 // POST /api/gdso/tire - Info pneu unique
 app.post('/api/gdso/tire', authMiddleware, async (req, res) => {
+    let service;
+
     try {
-        const { sgtin_urn } = req.body;
+        service = serviceFor(req);
+        const { sgtin_urn, country } = req.body;
 
         if (!sgtin_urn || typeof sgtin_urn !== 'string') {
             return res.status(400).json({
                 success: false,
                 error: 'BAD_REQUEST',
-                message: 'Body doit contenir { sgtin_urn: "urn:epc:id:sgtin:..." }'
+                message: 'Body doit contenir { sgtin_urn: "urn:epc:id:sgtin:..." } (ou tag URI, EPC hex, Digital Link, element string)'
             });
         }
 
-        const service = new GdsoService({
-            environment: GDSO_ENV,
-            verbose: false,
-            jsonLogs: true,
-            useCache: true
-        });
-
-        const result = await service.getTireInfo(sgtin_urn);
+        const result = await service.getTireInfo(sgtin_urn, { country });
 
         res.json({
             success: true,
@@ -294,6 +658,50 @@ app.post('/api/gdso/tire', authMiddleware, async (req, res) => {
             });
         }
 
+        if (error instanceof InvalidCountryError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_COUNTRY',
+                message: error.message
+            });
+        }
+
+        if (error instanceof PrefixNotAllowedError) {
+            return res.status(403).json({
+                success: false,
+                error: 'PREFIX_NOT_ALLOWED',
+                message: error.message
+            });
+        }
+
+        if (error instanceof OfflineError) {
+            return res.status(503).json({
+                success: false,
+                error: 'OFFLINE',
+                message: error.message
+            });
+        }
+
+        // API fabricant en panne (circuit ouvert): réponse immédiate, date du prochain essai
+        if (error instanceof CircuitOpenError) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+            return res.status(503).json({
+                success: false,
+                error: 'CIRCUIT_OPEN',
+                message: error.message,
+                retry_at: error.details.retryAt
+            });
+        }
+
+        // ID token utilisateur (X-GDSO-Token ou Bearer) expiré ou refusé par GDSO
+        if (error instanceof AuthenticationError && req.gdsoUser) {
+            return res.status(401).json({
+                success: false,
+                error: 'GDSO_SESSION_INVALID',
+                message: error.message
+            });
+        }
+
         if (error instanceof NaptrNotFoundError) {
             // Fabricant sans API GDSO configurée
             return res.json({
@@ -301,6 +709,7 @@ app.post('/api/gdso/tire', authMiddleware, async (req, res) => {
                 data: {
                     sgtin: req.body.sgtin_urn,
                     manufacturer: 'Unknown',
+                    digital_link: service.getDigitalLink(req.body.sgtin_urn),
                     available: false,
                     error: 'NAPTR_NOT_FOUND'
                 }
@@ -318,13 +727,14 @@ app.post('/api/gdso/tire', authMiddleware, async (req, res) => {
 // POST /api/gdso/batch - Batch (max 100 UIIs)
 app.post('/api/gdso/batch', authMiddleware, async (req, res) => {
     try {
-        const { sgtin_urns } = req.body;
+        const service = serviceFor(req);
+        const { sgtin_urns, country } = req.body;
 
         if (!Array.isArray(sgtin_urns) || sgtin_urns.length === 0) {
             return res.status(400).json({
                 success: false,
                 error: 'BAD_REQUEST',
-                message: 'Body doit contenir { sgtin_urns: ["urn:epc:id:sgtin:...", ...] }'
+                message: 'Body doit contenir { sgtin_urns: ["urn:epc:id:sgtin:...", ...] } (URN, tag URI, EPC hex, Digital Link, element string)'
             });
         }
 
@@ -336,14 +746,7 @@ app.post('/api/gdso/batch', authMiddleware, async (req, res) => {
             });
         }
 
-        const service = new GdsoService({
-            environment: GDSO_ENV,
-            verbose: false,
-            jsonLogs: true,
-            useCache: true
-        });
-
-        const results = await service.getTireInfoBatch(sgtin_urns);
+        const results = await service.getTireInfoBatch(sgtin_urns, { country });
 
         res.json({
             success: true,
@@ -362,6 +765,42 @@ app.post('/api/gdso/batch', authMiddleware, async (req, res) => {
             });
         }
 
+        if (error instanceof InvalidCountryError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_COUNTRY',
+                message: error.message
+            });
+        }
+
+        if (error instanceof OfflineError) {
+            return res.status(503).json({
+                success: false,
+                error: 'OFFLINE',
+                message: error.message
+            });
+        }
+
+        // API fabricant en panne (circuit ouvert): réponse immédiate, date du prochain essai
+        if (error instanceof CircuitOpenError) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+            return res.status(503).json({
+                success: false,
+                error: 'CIRCUIT_OPEN',
+                message: error.message,
+                retry_at: error.details.retryAt
+            });
+        }
+
+        // ID token utilisateur (X-GDSO-Token ou Bearer) expiré ou refusé par GDSO
+        if (error instanceof AuthenticationError && req.gdsoUser) {
+            return res.status(401).json({
+                success: false,
+                error: 'GDSO_SESSION_INVALID',
+                message: error.message
+            });
+        }
+
         res.status(500).json({
             success: false,
             error: 'INTERNAL_ERROR',
@@ -370,6 +809,115 @@ app.post('/api/gdso/batch', authMiddleware, async (req, res) => {
     }
 });
 
+// GET /api/gdso/product/:gtin - Catalogue produit (dimensions, indices, labelling)
+app.get('/api/gdso/product/:gtin', authMiddleware, async (req, res) => {
+    try {
+        const service = serviceFor(req);
+        const sgtin = typeof req.query.sgtin === 'string' ? req.query.sgtin : undefined;
+        const country = typeof req.query.country === 'string' ? req.query.country : undefined;
+        const result = await service.getProductByGtin(req.params.gtin, { sgtin, country });
+
+        if (!result) {
+            return res.status(404).json({
+                success: false,
+                error: 'PRODUCT_NOT_FOUND',
+                message: `GTIN ${req.params.gtin} absent du catalogue (fournir ?sgtin=... d'un pneu de ce GTIN)`
+            });
+        }
+
+        res.json({
+            success: true,
+            data: formatProductResponse(result)
+        });
+
+    } catch (error) {
+        console.error('[ERROR]', error.message);
+
+        if (error instanceof SgtinParseError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_GTIN',
+                message: error.message
+            });
+        }
+
+        if (error instanceof InvalidCountryError) {
+            return res.status(400).json({
+                success: false,
+                error: 'INVALID_COUNTRY',
+                message: error.message
+            });
+        }
+
+        if (error instanceof PrefixNotAllowedError) {
+            return res.status(403).json({
+                success: false,
+                error: 'PREFIX_NOT_ALLOWED',
+                message: error.message
+            });
+        }
+
+        if (error instanceof OfflineError) {
+            return res.status(503).json({
+                success: false,
+                error: 'OFFLINE',
+                message: error.message
+            });
+        }
+
+        // API fabricant en panne (circuit ouvert): réponse immédiate, date du prochain essai
+        if (error instanceof CircuitOpenError) {
+            res.set('Retry-After', String(Math.max(1, Math.ceil((error.retryAt - Date.now()) / 1000))));
+            return res.status(503).json({
+                success: false,
+                error: 'CIRCUIT_OPEN',
+                message: error.message,
+                retry_at: error.details.retryAt
+            });
+        }
+
+        // ID token utilisateur (X-GDSO-Token ou Bearer) expiré ou refusé par GDSO
+        if (error instanceof AuthenticationError && req.gdsoUser) {
+            return res.status(401).json({
+                success: false,
+                error: 'GDSO_SESSION_INVALID',
+                message: error.message
+            });
+        }
+
+        if (error instanceof NaptrNotFoundError) {
+            return res.status(404).json({
+                success: false,
+                error: 'NAPTR_NOT_FOUND',
+                message: error.message
+            });
+        }
+
+        res.status(500).json({
+            success: false,
+            error: 'INTERNAL_ERROR',
+            message: error.message
+        });
+    }
+});
+
+// GET /api/gdso/url-patterns - Variantes d'URL apprises par API fabricant
+app.get('/api/gdso/url-patterns', authMiddleware, (req, res) => {
+    const patterns = serviceFor(req).getLearnedUrlPatterns();
+
+    res.json({
+        success: true,
+        count: patterns.length,
+        data: patterns.map(entry => ({
+            base_url: entry.baseUrl,
+            pattern: entry.pattern,
+            encoded: entry.encoded,
+            manufacturer: entry.manufacturer,
+            learned_at: entry.learnedAt
+        }))
+    });
+});
+
 // 404 handler
 app.use((req, res) => {
     res.status(404).json({
@@ -400,7 +948,9 @@ app.listen(PORT, '0.0.0.0', () => {
 ╠═══════════════════════════════════════════════════════════╣
 ║  Port:         ${PORT.toString().padEnd(40)}║
 ║  Environment:  ${GDSO_ENV.padEnd(40)}║
-║  Protected:    ${(GDSO_API_SECRET ? 'Yes' : 'No (set GDSO_API_SECRET!)').padEnd(40)}║
+║  Protected:    ${(GDSO_API_SECRET || GDSO_ACCEPT_GDSO_TOKENS || tenants ? 'Yes' : 'No (set GDSO_API_SECRET!)').padEnd(40)}║
+║  GDSO tokens:  ${(GDSO_ACCEPT_GDSO_TOKENS ? 'Accepted (JWKS)' : 'No').padEnd(40)}║
+║  Tenants:      ${(tenants ? `${tenants.size} (${GDSO_TENANTS_FILE})` : 'No').padEnd(40)}║
 ╚═══════════════════════════════════════════════════════════╝
     `);
 });
@@ -0,0 +1,125 @@
+/**
+ * Tests unitaires - Authentification GDSO partagée (single-flight, rechargement des credentials)
+ * fetch est simulé: aucun appel à l'API d'authentification réelle
+ * Tokens non signés: vérification JWKS désactivée (voir tests/jwks.test.js)
+ *
+ * @run node --test tests/auth.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GdsoService } from '../lib/gdso-service.js';
+import { CredentialsMissingError } from '../lib/errors.js';
+
+/**
+ * JWT non signé expirant dans une heure
+ */
+function fakeJwt(subject) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const exp = Math.floor(Date.now() / 1000) + 3600;
+    return `${encode({ alg: 'none' })}.${encode({ sub: subject, exp })}.`;
+}
+
+/**
+ * Simule l'API d'authentification: répond après un tick avec un JWT
+ * dont le sujet est l'utilisateur Basic Auth
+ */
+function mockTokenEndpoint() {
+    return mock.method(globalThis, 'fetch', async (url, init) => {
+        await new Promise(resolve => setImmediate(resolve));
+        const basic = init.headers.Authorization.substring(6);
+        const [username] = Buffer.from(basic, 'base64').toString().split(':');
+        return new Response(fakeJwt(username));
+    });
+}
+
+function subjectOf(token) {
+    return JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString()).sub;
+}
+
+describe('Authentification single-flight', () => {
+    let fetchMock;
+
+    beforeEach(() => { fetchMock = mockTokenEndpoint(); });
+    afterEach(() => fetchMock.mock.restore());
+
+    it('partage une seule requête de token entre appels concurrents', async () => {
+        const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'flotte', password: 'secret' });
+
+        const tokens = await Promise.all([
+            service.authenticate(),
+            service.authenticate(),
+            service.authenticate()
+        ]);
+
+        assert.equal(fetchMock.mock.callCount(), 1);
+        assert.equal(new Set(tokens).size, 1);
+        assert.equal(service._authPromise, null);
+    });
+
+    it('réutilise le token valide sans nouvelle requête', async () => {
+        const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'flotte', password: 'secret' });
+
+        await service.authenticate();
+        await service.authenticate();
+
+        assert.equal(fetchMock.mock.callCount(), 1);
+    });
+
+    it('propage l\'échec à tous les appelants puis permet de réessayer', async () => {
+        const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'flotte', password: 'secret' });
+        service.credentials.password = undefined;
+
+        const results = await Promise.allSettled([service.authenticate(), service.authenticate()]);
+
+        assert.ok(results.every(r => r.status === 'rejected' && r.reason instanceof CredentialsMissingError));
+        assert.equal(service._authPromise, null);
+
+        service.reloadCredentials({ username: 'flotte', password: 'secret' });
+        assert.equal(subjectOf(await service.authenticate()), 'flotte');
+    });
+});
+
+describe('reloadCredentials', () => {
+    let fetchMock;
+
+    beforeEach(() => { fetchMock = mockTokenEndpoint(); });
+    afterEach(() => fetchMock.mock.restore());
+
+    it('invalide le token et s\'authentifie avec les nouveaux credentials', async () => {
+        const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'ancien', password: 'secret' });
+        await service.authenticate();
+
+        service.reloadCredentials({ username: 'nouveau', password: 'secret' });
+
+        assert.equal(service.token, null);
+        assert.equal(subjectOf(await service.authenticate()), 'nouveau');
+        assert.equal(fetchMock.mock.callCount(), 2);
+    });
+
+    it('ne conserve pas un token obtenu avec les anciens credentials', async () => {
+        const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'ancien', password: 'secret' });
+
+        const inFlight = service.authenticate();
+        service.reloadCredentials({ username: 'nouveau', password: 'secret' });
+        await inFlight;
+
+        assert.equal(service.token, null);
+        assert.equal(subjectOf(await service.authenticate()), 'nouveau');
+    });
+
+    it('relit les variables d\'environnement par défaut', () => {
+        const previous = process.env.GDSO_USERNAME;
+        process.env.GDSO_USERNAME = 'depuis-env';
+        try {
+            const service = new GdsoService({ verbose: false, verifyTokens: false, username: 'option', password: 'secret' });
+            service.reloadCredentials();
+            assert.equal(service.credentials.username, 'depuis-env');
+        } finally {
+            if (previous === undefined) delete process.env.GDSO_USERNAME;
+            else process.env.GDSO_USERNAME = previous;
+        }
+    });
+});
+
+console.log('✅ Tests Auth prêts à être exécutés avec: node --test tests/auth.test.js');
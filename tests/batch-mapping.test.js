@@ -0,0 +1,168 @@
+/**
+ * Tests unitaires - Réponse batch GDSO (TireModelUii / TireNotFoundUii): association par UII,
+ * statut par élément, UII absents rappelés un par un
+ * ONS via serveur DoH local, API fabricant simulée
+ *
+ * @run node --test tests/batch-mapping.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+// OTHER_ITEM: NAPTR publié sous son seul GTIN-13
+const OTHER_ITEM_FQDN = '0.9.2.2.8.8.9.9.9.6.6.8.0.gtin.gs1.id.testing.gdso.org';
+const TIRE_A = 'urn:epc:id:sgtin:086699.0762575.1';
+const TIRE_B = 'urn:epc:id:sgtin:086699.0762575.2';
+const TIRE_C = 'urn:epc:id:sgtin:086699.0762575.3';
+const TIRE_B_TAG_URI = 'urn:epc:tag:sgtin-96:0.086699.0762575.2';
+// Même company prefix, autre référence article (autre GTIN)
+const OTHER_ITEM = 'urn:epc:id:sgtin:086699.0988229.2';
+// Même company prefix, référence article sans NAPTR
+const UNLISTED_ITEM = 'urn:epc:id:sgtin:086699.0111111.1';
+
+/**
+ * Enregistrement NAPTR GetTireBySgtin vers l'API simulée
+ */
+const API_RECORD = {
+    order: 100,
+    preference: 10,
+    flags: 'u',
+    service: 'GetTireBySgtin',
+    regexp: '!^.*$!https://api.example.com/tire!',
+    replacement: '.',
+    ttl: 600
+};
+
+/**
+ * Élément TireModelUii (statut 200)
+ */
+function found(uii) {
+    return { uii, status: 200, product: { brandName: 'MICHELIN' }, dotTin: { weekYear: '2524' } };
+}
+
+describe('Association de la réponse batch', () => {
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [API_RECORD],
+            [OTHER_ITEM_FQDN]: [API_RECORD]
+        });
+    });
+    after(() => doh.close());
+
+    /**
+     * Service dont l'API batch retourne la réponse fournie; l'API unitaire répond pour tout UII
+     * @param {function(string[]): Array|null} batchResponse
+     */
+    function createService(batchResponse) {
+        const service = createTestService({ resolverUrl: doh.wireUrl });
+        const batch = mock.method(service, 'callBatchApi', async (url, sgtins) => batchResponse(sgtins));
+        const single = mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin, product: { brandName: 'MICHELIN' } }));
+        return { service, batch, single };
+    }
+
+    it('associe les éléments par UII, dans l\'ordre de la requête', async () => {
+        const { service } = createService(() => [found(TIRE_C), found(TIRE_B_TAG_URI), found(TIRE_A)]);
+
+        const results = await service.getTireInfoBatch([TIRE_A, TIRE_B, TIRE_C]);
+
+        assert.deepEqual(results.map(r => r.sgtin), [TIRE_A, TIRE_B, TIRE_C]);
+        assert.deepEqual(results.map(r => r.data.uii), [TIRE_A, TIRE_B_TAG_URI, TIRE_C]);
+        assert.ok(results.every(r => r.status === 200 && !r.error));
+        assert.equal(results[0].data.status, undefined);
+    });
+
+    it('signale les pneus non trouvés (TireNotFoundUii) sans les mettre en cache', async () => {
+        const { service, batch } = createService(() => [found(TIRE_A), { uii: TIRE_B, status: 404 }]);
+
+        const results = await service.getTireInfoBatch([TIRE_A, TIRE_B]);
+
+        assert.equal(results[1].data, null);
+        assert.equal(results[1].status, 404);
+        assert.equal(results[1].error, 'TIRE_NOT_FOUND');
+        assert.match(results[1].errorMessage, /Pneu non trouvé/);
+        assert.equal(service.tireCache.get(TIRE_B), undefined);
+
+        await service.getTireInfoBatch([TIRE_A, TIRE_B]);
+        assert.equal(batch.mock.callCount(), 1, 'TIRE_A en cache, TIRE_B seul rappelé en unitaire');
+    });
+
+    it('rapporte le statut d\'un élément en erreur', async () => {
+        const { service } = createService(() => [found(TIRE_A), { uii: TIRE_B, status: 500 }]);
+
+        const [, result] = await service.getTireInfoBatch([TIRE_A, TIRE_B]);
+
+        assert.equal(result.status, 500);
+        assert.equal(result.error, 'MANUFACTURER_API_ERROR');
+    });
+
+    it('rappelle un par un les UII absents de la réponse', async () => {
+        const { service, single } = createService(() => [found(TIRE_A)]);
+
+        const results = await service.getTireInfoBatch([TIRE_A, TIRE_B, TIRE_C]);
+
+        assert.deepEqual(single.mock.calls.map(call => call.arguments[1]), [TIRE_B, TIRE_C]);
+        assert.ok(results.every(r => r.data?.product.brandName === 'MICHELIN'));
+        assert.equal(results[0].status, 200);
+        assert.equal(results[1].status, undefined);
+    });
+
+    it('ignore les éléments non demandés', async () => {
+        const { service, single } = createService(() => [found(TIRE_A), found('urn:epc:id:sgtin:086699.0762575.99'), found(TIRE_B)]);
+
+        const results = await service.getTireInfoBatch([TIRE_A, TIRE_B]);
+
+        assert.equal(results.length, 2);
+        assert.equal(single.mock.callCount(), 0);
+    });
+
+    it('calcule le GTIN de chaque élément, pas celui du groupe', async () => {
+        const { service } = createService(() => [found(TIRE_A), found(OTHER_ITEM)]);
+
+        const results = await service.getTireInfoBatch([TIRE_A, OTHER_ITEM]);
+
+        assert.deepEqual(results.map(r => r.gtin14), ['00866997625752', '00866999882290']);
+        assert.deepEqual(results.map(r => r.gtin13), ['0866997625752', '0866999882290']);
+    });
+
+    it('résout l\'ONS de chaque GTIN du groupe et interroge ensemble les UII d\'une même API', async () => {
+        const { service, batch } = createService(sgtins => sgtins.map(found));
+
+        const results = await service.getTireInfoBatch([TIRE_A, OTHER_ITEM, UNLISTED_ITEM, TIRE_B]);
+
+        assert.deepEqual(results.map(r => r.gtinForm), ['GTIN-14', 'GTIN-13', null, 'GTIN-14']);
+        assert.deepEqual(results.map(r => r.error), [undefined, undefined, 'NAPTR_NOT_FOUND', undefined]);
+        assert.deepEqual(batch.mock.calls.map(call => call.arguments[1]), [[TIRE_A, OTHER_ITEM, TIRE_B]]);
+    });
+
+    it('range le produit de chaque référence article sous son propre GTIN', async () => {
+        const { service } = createService(() => [
+            { ...found(TIRE_A), product: { brandName: 'MICHELIN', commercialName: 'X MULTI' } },
+            { ...found(OTHER_ITEM), product: { brandName: 'MICHELIN', commercialName: 'X LINE' } }
+        ]);
+
+        await service.getTireInfoBatch([TIRE_A, OTHER_ITEM]);
+
+        assert.equal(service.productCache.get('00866997625752').product.commercialName, 'X MULTI');
+        assert.equal(service.productCache.get('00866999882290').product.commercialName, 'X LINE');
+        const cached = await service.getTireInfo(TIRE_A);
+        assert.equal(cached.source, 'cache');
+        assert.equal(cached.data.product.commercialName, 'X MULTI');
+    });
+
+    it('passe en appels unitaires sans réponse batch', async () => {
+        const { service, single } = createService(() => null);
+
+        const results = await service.getTireInfoBatch([TIRE_A, TIRE_B, TIRE_A]);
+
+        assert.equal(single.mock.callCount(), 2);
+        assert.equal(results.length, 3);
+        assert.ok(results.every(r => r.data?.uii === r.sgtin));
+    });
+});
+
+console.log('✅ Tests Batch mapping prêts à être exécutés avec: node --test tests/batch-mapping.test.js');
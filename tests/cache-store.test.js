@@ -0,0 +1,260 @@
+/**
+ * Tests unitaires - Stores de cache (mémoire, journal fichier) et persistance du service
+ *
+ * @run node --test tests/cache-store.test.js
+ */
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, readFileSync, appendFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryCacheStore, FileCacheStore, createCacheStore } from '../lib/cache-store.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const MICHELIN_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+
+/**
+ * Lignes du journal d'un store fichier
+ */
+function logLines(store) {
+    return readFileSync(store.path, 'utf8').split('\n').filter(Boolean);
+}
+
+describe('createCacheStore', () => {
+
+    it('crée un store mémoire sans répertoire', () => {
+        const store = createCacheStore({ maxSize: 2 });
+
+        assert.ok(store instanceof MemoryCacheStore);
+        assert.equal(store.stats().type, 'memory');
+    });
+
+    it('crée un store fichier avec répertoire', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'gdso-cache-'));
+        try {
+            const store = createCacheStore({ dir, name: 'ons-testing' });
+            assert.ok(store instanceof FileCacheStore);
+            assert.equal(store.path, join(dir, 'ons-testing.jsonl'));
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('énumère les entrées non expirées sans changer l\'ordre LRU', () => {
+        const store = createCacheStore({ maxSize: 2 });
+        store.set('a', 1);
+        store.set('b', 2);
+        store.set('expirée', 3, -1);
+
+        assert.deepEqual([...store.entries()], [['b', 2]]);
+        store.set('c', 4);
+        assert.equal(store.get('b'), undefined, 'b reste la plus ancienne');
+    });
+});
+
+describe('FileCacheStore', () => {
+    let dir;
+
+    beforeEach(() => {
+        if (dir) rmSync(dir, { recursive: true, force: true });
+        dir = mkdtempSync(join(tmpdir(), 'gdso-cache-'));
+    });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('retrouve les entrées après redémarrage avec leur expiration', () => {
+        const first = new FileCacheStore({ dir, name: 'test' });
+        first.set('a', { value: 1 }, 60000);
+        first.set('b', [1, 2, 3]);
+        const expiry = first.cache.get('a').expiry;
+
+        const second = new FileCacheStore({ dir, name: 'test' });
+
+        assert.deepEqual(second.get('a'), { value: 1 });
+        assert.deepEqual(second.get('b'), [1, 2, 3]);
+        assert.equal(second.cache.get('a').expiry, expiry);
+    });
+
+    it('rejoue suppressions et vidage', () => {
+        const first = new FileCacheStore({ dir, name: 'test' });
+        first.set('a', 1);
+        first.set('b', 2);
+        first.delete('a');
+
+        assert.equal(new FileCacheStore({ dir, name: 'test' }).get('a'), undefined);
+        assert.equal(new FileCacheStore({ dir, name: 'test' }).get('b'), 2);
+
+        first.clear();
+        assert.equal(new FileCacheStore({ dir, name: 'test' }).size, 0);
+    });
+
+    it('ignore les entrées expirées et compacte au chargement', () => {
+        const first = new FileCacheStore({ dir, name: 'test' });
+        first.set('expiré', 1, -1);
+        first.set('vivant', 2);
+        first.set('vivant', 3);
+
+        const second = new FileCacheStore({ dir, name: 'test' });
+
+        assert.equal(second.size, 1);
+        assert.equal(second.get('vivant'), 3);
+        assert.equal(logLines(second).length, 1);
+    });
+
+    it('ignore une ligne tronquée (arrêt pendant une écriture)', () => {
+        const first = new FileCacheStore({ dir, name: 'test' });
+        first.set('a', 1);
+        appendFileSync(first.path, '{"op":"set","key":"b","val');
+
+        const second = new FileCacheStore({ dir, name: 'test' });
+
+        assert.equal(second.get('a'), 1);
+        assert.equal(second.corruptedEntries, 1);
+    });
+
+    it('compacte le journal quand les entrées obsolètes dominent', () => {
+        const store = new FileCacheStore({ dir, name: 'test', compactThreshold: 10 });
+        for (let i = 0; i < 9; i++) store.set('clé', i);
+
+        assert.equal(logLines(store).length, 9);
+
+        store.set('clé', 9);
+
+        assert.equal(logLines(store).length, 1);
+        assert.equal(new FileCacheStore({ dir, name: 'test' }).get('clé'), 9);
+    });
+
+    it('respecte maxSize au rechargement', () => {
+        const first = new FileCacheStore({ dir, name: 'test', maxSize: 2 });
+        first.set('a', 1);
+        first.set('b', 2);
+        first.set('c', 3);
+
+        const second = new FileCacheStore({ dir, name: 'test', maxSize: 2 });
+
+        assert.equal(second.size, 2);
+        assert.equal(second.get('a'), undefined);
+        assert.equal(second.get('c'), 3);
+    });
+
+    it('reste utilisable en mémoire si le journal ne peut être écrit', () => {
+        const errors = [];
+        const store = new FileCacheStore({ dir, name: 'test', onError: error => errors.push(error) });
+        store.path = join(dir, 'absent', 'test.jsonl');
+
+        store.set('a', 1);
+
+        assert.equal(store.get('a'), 1);
+        assert.equal(errors.length, 1);
+    });
+
+    it('passe en mémoire seule si le répertoire est inutilisable', () => {
+        const errors = [];
+        const file = join(dir, 'fichier');
+        appendFileSync(file, '');
+
+        const store = new FileCacheStore({ dir: join(file, 'cache'), name: 'test', onError: error => errors.push(error) });
+        store.set('a', 1);
+
+        assert.equal(store.get('a'), 1);
+        assert.deepEqual(errors.map(error => error.code), ['ENOTDIR']);
+        assert.equal(store.stats().persistent, false);
+    });
+
+    it('n\'empêche pas la création du service', () => {
+        const file = join(dir, 'fichier');
+        appendFileSync(file, '');
+
+        const service = createTestService({ cacheDir: join(file, 'cache') });
+        service.tireCache.set('a', 1);
+
+        assert.equal(service.tireCache.get('a'), 1);
+        assert.equal(service.getCacheStats().persistent, false);
+    });
+});
+
+describe('GdsoService avec GDSO_CACHE_DIR', () => {
+    let doh;
+    let dir;
+
+    before(async () => {
+        dir = mkdtempSync(join(tmpdir(), 'gdso-cache-'));
+        doh = await startDohServer({
+            [FQDN]: [{
+                order: 100,
+                preference: 10,
+                flags: 'u',
+                service: 'GetTireBySgtin',
+                regexp: '!^.*$!https://api.example.com/tire!',
+                replacement: '.',
+                ttl: 600
+            }]
+        });
+    });
+    after(async () => {
+        await doh.close();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    function createService() {
+        return createTestService({ resolverUrl: doh.wireUrl, cacheDir: dir });
+    }
+
+    it('conserve le cache ONS entre deux instances', async () => {
+        await createService().resolveOns(MICHELIN_URN);
+        const requests = doh.requests.length;
+
+        const restarted = createService();
+        const ons = await restarted.resolveOns(MICHELIN_URN);
+
+        assert.equal(doh.requests.length, requests);
+        assert.equal(ons.apiUrl, 'https://api.example.com/tire');
+        assert.equal(ons.manufacturer.name, 'Michelin');
+        assert.equal(restarted.getCacheStats().type, 'file');
+    });
+
+    it('sert les données pneu du cache sans appel réseau après redémarrage', async () => {
+        const first = createService();
+        const api = mock.method(first, 'callManufacturerApi', async () => ({ uii: MICHELIN_URN, product: {} }));
+        await first.getTireInfo(MICHELIN_URN);
+        assert.equal(api.mock.callCount(), 1);
+
+        const restarted = createService();
+        const offline = mock.method(restarted, 'resolveOns', async () => {
+            throw new Error('réseau indisponible');
+        });
+
+        const result = await restarted.getTireInfo(MICHELIN_URN);
+
+        assert.equal(offline.mock.callCount(), 0);
+        assert.deepEqual(result.data, { uii: MICHELIN_URN, product: {} });
+        assert.equal(restarted.getCacheStats().tires.size, 1);
+    });
+
+    it('ne met pas en cache une réponse sans données', async () => {
+        const service = createService();
+        service.clearCache();
+        mock.method(service, 'callManufacturerApi', async () => null);
+
+        await service.getTireInfo(MICHELIN_URN);
+
+        assert.equal(service.tireCache.size, 0);
+    });
+
+    it('lit GDSO_CACHE_DIR par défaut, ignoré avec cacheDir: null', () => {
+        const previous = process.env.GDSO_CACHE_DIR;
+        process.env.GDSO_CACHE_DIR = dir;
+        try {
+            assert.equal(new GdsoService({ verbose: false }).getCacheStats().type, 'file');
+            assert.equal(new GdsoService({ verbose: false, cacheDir: null }).getCacheStats().type, 'memory');
+        } finally {
+            if (previous === undefined) delete process.env.GDSO_CACHE_DIR;
+            else process.env.GDSO_CACHE_DIR = previous;
+        }
+    });
+});
+
+console.log('✅ Tests Cache Store prêts à être exécutés avec: node --test tests/cache-store.test.js');
@@ -0,0 +1,192 @@
+/**
+ * Tests unitaires - Disjoncteur et limiteur de débit des API fabricant
+ * API fabricant simulée (fetch), aucun appel réseau
+ *
+ * @run node --test tests/circuit-breaker.test.js
+ */
+
+import { describe, it, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker, CircuitState, TokenBucket, ApiGuardRegistry } from '../lib/circuit-breaker.js';
+import { getManufacturerConfig } from '../lib/manufacturers.js';
+import { parseSgtin, sgtinToGtin14 } from '../lib/sgtin.js';
+import { CircuitOpenError, ManufacturerApiError } from '../lib/errors.js';
+import { MANUFACTURER_API } from '../lib/config.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const TIRE_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const API_URL = 'https://api.example.com/tire';
+
+describe('CircuitBreaker', () => {
+
+    it('s\'ouvre au seuil d\'échecs consécutifs', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000 });
+
+        breaker.onFailure(0);
+        breaker.onFailure(0);
+        breaker.onSuccess();
+        breaker.onFailure(0);
+        breaker.onFailure(0);
+        assert.equal(breaker.state, CircuitState.CLOSED);
+        assert.equal(breaker.tryAcquire(0), null);
+
+        breaker.onFailure(100);
+        assert.equal(breaker.state, CircuitState.OPEN);
+        assert.equal(breaker.tryAcquire(500), 1100);
+        assert.equal(breaker.blockedUntil(1099), 1100);
+    });
+
+    it('laisse passer un seul appel d\'essai après le délai (half-open)', () => {
+        const breaker = new CircuitBreaker({ failureThreshold: 1, resetTimeoutMs: 1000 });
+        breaker.onFailure(0);
+
+        assert.equal(breaker.blockedUntil(1000), null);
+        assert.equal(breaker.tryAcquire(1000), null);
+        assert.equal(breaker.state, CircuitState.HALF_OPEN);
+        assert.equal(breaker.tryAcquire(1001), 2000, 'essai en cours');
+
+        breaker.onFailure(1500);
+        assert.equal(breaker.state, CircuitState.OPEN);
+        assert.equal(breaker.retryAt, 2500);
+
+        assert.equal(breaker.tryAcquire(2500), null);
+        breaker.onSuccess();
+        assert.equal(breaker.state, CircuitState.CLOSED);
+        assert.equal(breaker.retryAt, null);
+    });
+});
+
+describe('TokenBucket', () => {
+
+    it('autorise la rafale puis espace les appels au débit configuré', () => {
+        const bucket = new TokenBucket({ requestsPerSecond: 10, burst: 2 });
+        const now = bucket._updatedAt;
+
+        assert.equal(bucket.reserve(now), 0);
+        assert.equal(bucket.reserve(now), 0);
+        assert.equal(bucket.reserve(now), 100);
+        assert.equal(bucket.reserve(now), 200);
+        assert.equal(bucket.reserve(now + 1000), 0);
+    });
+});
+
+describe('ApiGuardRegistry', () => {
+
+    it('configure chaque API depuis l\'entrée du fabricant', () => {
+        const guards = new ApiGuardRegistry();
+        const custom = { name: 'Test', circuitBreaker: { failureThreshold: 2 }, rateLimit: null };
+
+        const guard = guards.get(API_URL, custom);
+
+        assert.equal(guards.get(API_URL, getManufacturerConfig('086699')), guard);
+        assert.equal(guard.breaker.failureThreshold, 2);
+        assert.equal(guard.breaker.resetTimeoutMs, MANUFACTURER_API.circuitBreaker.resetTimeoutMs);
+        assert.equal(guard.bucket, null);
+        assert.equal(guards.get('https://other.example.com', { name: 'Autre', circuitBreaker: null }).breaker, null);
+        assert.deepEqual(guards.getStates().map(state => state.manufacturer), ['Test']);
+    });
+});
+
+describe('GdsoService: protection des API fabricant', () => {
+    const MANUFACTURER = { ...getManufacturerConfig('086699'), circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 60000 } };
+    let fetchMock;
+
+    afterEach(() => fetchMock?.mock.restore());
+
+    /**
+     * Service dont l'API fabricant répond selon respond(url)
+     * @param {(url: string) => Response} respond - Lève une erreur pour simuler un timeout
+     */
+    function createService(respond) {
+        fetchMock = mock.method(globalThis, 'fetch', async url => respond(url));
+        return createTestService({ useCache: false });
+    }
+
+    const timeout = () => {
+        throw new DOMException('The operation was aborted due to timeout', 'TimeoutError');
+    };
+
+    it('échoue immédiatement une fois le circuit ouvert, avec la date du prochain essai', async () => {
+        const service = createService(timeout);
+
+        assert.equal(await service.callManufacturerApi(API_URL, TIRE_URN, MANUFACTURER), null);
+        assert.equal(fetchMock.mock.callCount(), 2);
+
+        await assert.rejects(service.callManufacturerApi(API_URL, TIRE_URN, MANUFACTURER), error => {
+            assert.ok(error instanceof CircuitOpenError);
+            assert.ok(error instanceof ManufacturerApiError);
+            assert.equal(error.code, 'CIRCUIT_OPEN');
+            assert.ok(error.retryAt > Date.now());
+            assert.equal(error.details.retryAt, new Date(error.retryAt).toISOString());
+            assert.match(error.message, /prochain essai à/);
+            return true;
+        });
+        await assert.rejects(service.callBatchApi(API_URL, [TIRE_URN], MANUFACTURER), CircuitOpenError);
+        assert.equal(fetchMock.mock.callCount(), 2);
+
+        const [state] = service.getCircuitStates();
+        assert.deepEqual([state.baseUrl, state.state, state.failures], [API_URL, 'open', 2]);
+    });
+
+    it('referme le circuit quand l\'appel d\'essai répond', async () => {
+        let healthy = false;
+        const service = createService(() => (healthy
+            ? new Response(JSON.stringify({ uii: TIRE_URN }), { headers: { 'Content-Type': 'application/json' } })
+            : new Response('', { status: 503 })));
+        await service.callManufacturerApi(API_URL, TIRE_URN, MANUFACTURER);
+
+        // Délai d'ouverture écoulé
+        const { breaker } = service.apiGuards.get(API_URL, MANUFACTURER);
+        breaker.retryAt = Date.now() - 1;
+        healthy = true;
+
+        assert.deepEqual(await service.callManufacturerApi(API_URL, TIRE_URN, MANUFACTURER), { uii: TIRE_URN });
+        assert.equal(breaker.state, CircuitState.CLOSED);
+    });
+
+    it('ne compte pas un pneu inconnu (404) comme une panne', async () => {
+        const service = createService(() => new Response('', { status: 404 }));
+
+        for (let i = 0; i < 3; i++) {
+            assert.equal(await service.callManufacturerApi(API_URL, TIRE_URN, MANUFACTURER), null);
+        }
+        assert.equal(service.getCircuitStates()[0].state, 'closed');
+    });
+
+    it('retourne CIRCUIT_OPEN par élément dans un batch, sans bloquer les autres fabricants', async () => {
+        const service = createService(url => (url.startsWith(API_URL)
+            ? timeout()
+            : new Response(JSON.stringify({ uii: 'ok' }), { headers: { 'Content-Type': 'application/json' } })));
+        mock.method(service, 'resolveOns', async urn => {
+            const parsed = parseSgtin(urn);
+            const michelin = parsed.companyPrefix === '086699';
+            return {
+                parsed,
+                apiUrl: michelin ? API_URL : 'https://api.other.example.com',
+                manufacturer: michelin ? MANUFACTURER : getManufacturerConfig(parsed.companyPrefix),
+                gtin13: null,
+                gtin14: sgtinToGtin14(parsed),
+                gtinForm: 'gtin14'
+            };
+        });
+        const other = 'urn:epc:id:sgtin:4019238.012345.42';
+
+        await service.getTireInfo(TIRE_URN);
+        const results = await service.getTireInfoBatch([TIRE_URN, other]);
+
+        assert.equal(results[0].error, 'CIRCUIT_OPEN');
+        assert.ok(Date.parse(results[0].retryAt) > Date.now());
+        assert.equal(results[0].manufacturer, 'Michelin');
+        assert.equal(results[1].error, undefined);
+        assert.equal(results[1].data.uii, 'ok');
+        await assert.rejects(service.getTireInfo(TIRE_URN), CircuitOpenError);
+    });
+
+    it('partage les disjoncteurs avec les instances utilisateur', () => {
+        const service = createTestService();
+
+        assert.equal(service.forUser({ idToken: 'x', expiry: Date.now() + 60000 }).apiGuards, service.apiGuards);
+    });
+});
+
+console.log('✅ Tests Circuit breaker prêts à être exécutés avec: node --test tests/circuit-breaker.test.js');
@@ -0,0 +1,134 @@
+/**
+ * Tests unitaires - Déduplication des requêtes concurrentes (getTireInfo, resolveOns)
+ * ONS via serveur DoH local, API fabricant simulée
+ *
+ * @run node --test tests/coalescing.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { ManufacturerApiError, NaptrNotFoundError } from '../lib/errors.js';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const TIRE_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const TIRE_TAG_URI = 'urn:epc:tag:sgtin-96:0.086699.0762575.63647563790';
+
+/**
+ * API fabricant simulée, répondant au tick suivant
+ */
+function mockApi(service, response = async sgtin => ({ uii: sgtin, product: { brandName: 'MICHELIN' } })) {
+    return mock.method(service, 'callManufacturerApi', async (url, sgtin) => {
+        await new Promise(resolve => setImmediate(resolve));
+        return response(sgtin);
+    });
+}
+
+describe('Coalescence des requêtes', () => {
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [{
+                order: 100,
+                preference: 10,
+                flags: 'u',
+                service: 'GetTireBySgtin',
+                regexp: '!^.*$!https://api.example.com/tire!',
+                replacement: '.',
+                ttl: 600
+            }]
+        });
+    });
+    after(() => doh.close());
+
+    function createService(options = {}) {
+        return createTestService({ resolverUrl: doh.wireUrl, ...options });
+    }
+
+    it('partage une seule séquence pour un même SGTIN, quel que soit son format', async () => {
+        const service = createService();
+        const api = mockApi(service);
+
+        const results = await Promise.all([
+            service.getTireInfo(TIRE_URN),
+            service.getTireInfo(TIRE_TAG_URI),
+            service.getTireInfo(TIRE_URN)
+        ]);
+
+        assert.equal(api.mock.callCount(), 1);
+        assert.deepEqual(results.map(r => r.source), ['network', 'coalesced', 'coalesced']);
+        assert.ok(results.every(r => r.data.uii === TIRE_URN));
+        assert.equal(service._inflight.tires.size, 0);
+
+        assert.equal((await service.getTireInfo(TIRE_URN)).source, 'cache');
+    });
+
+    it('partage la résolution ONS entre SGTIN d\'un même GTIN', async () => {
+        const service = createService();
+        const before = doh.requests.length;
+
+        const results = await Promise.all([
+            service.resolveOns(TIRE_URN),
+            service.resolveOns('urn:epc:id:sgtin:086699.0762575.1')
+        ]);
+
+        assert.equal(doh.requests.length - before, 1);
+        assert.deepEqual(results.map(r => r.source), ['network', 'coalesced']);
+        assert.equal(results[1].parsed.serialNumber, '1');
+        assert.equal((await service.resolveOns(TIRE_URN)).source, 'cache');
+        assert.equal(service.getCacheStats().misses, 1);
+    });
+
+    it('coalesce aussi sans cache', async () => {
+        const service = createService({ useCache: false });
+        const api = mockApi(service);
+
+        const [first, second] = await Promise.all([service.getTireInfo(TIRE_URN), service.getTireInfo(TIRE_URN)]);
+        const third = await service.getTireInfo(TIRE_URN);
+
+        assert.equal(first.source, 'network');
+        assert.equal(second.source, 'coalesced');
+        assert.equal(third.source, 'network');
+        assert.equal(api.mock.callCount(), 2);
+    });
+
+    it('propage l\'erreur à tous les appelants puis libère la clé', async () => {
+        const service = createService();
+        const api = mockApi(service, async () => {
+            throw new ManufacturerApiError('Michelin', 'indisponible', 503);
+        });
+
+        const results = await Promise.allSettled([service.getTireInfo(TIRE_URN), service.getTireInfo(TIRE_URN)]);
+
+        assert.ok(results.every(r => r.status === 'rejected' && r.reason instanceof ManufacturerApiError));
+        assert.equal(api.mock.callCount(), 1);
+        assert.equal(service._inflight.tires.size, 0);
+    });
+
+    it('propage NaptrNotFoundError aux résolutions ONS partagées', async () => {
+        const service = createService({ useCache: false });
+        const unknown = 'urn:epc:id:sgtin:4019238.012345.';
+
+        const results = await Promise.allSettled([
+            service.resolveOns(`${unknown}1`),
+            service.resolveOns(`${unknown}2`)
+        ]);
+
+        assert.ok(results.every(r => r.status === 'rejected' && r.reason instanceof NaptrNotFoundError));
+        assert.equal(service._inflight.ons.size, 0);
+    });
+
+    it('indique la provenance des éléments d\'un batch', async () => {
+        const service = createService();
+        mockApi(service);
+
+        await service.getTireInfo(TIRE_URN);
+        const results = await service.getTireInfoBatch([TIRE_URN, 'urn:epc:id:sgtin:086699.0762575.2']);
+
+        assert.deepEqual(results.map(r => r.source), ['cache', 'network']);
+    });
+});
+
+console.log('✅ Tests Coalescing prêts à être exécutés avec: node --test tests/coalescing.test.js');
@@ -0,0 +1,181 @@
+/**
+ * Tests unitaires - Paramètre country de l'API GDSO (défaut du service, surcharge par appel, clés de cache)
+ * ONS via serveur DoH local, API fabricant simulée
+ *
+ * @run node --test tests/country.test.js
+ */
+
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GdsoService } from '../lib/gdso-service.js';
+import { normalizeCountry } from '../lib/utils.js';
+import { getManufacturerConfig } from '../lib/manufacturers.js';
+import { InvalidCountryError } from '../lib/errors.js';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const TIRE_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const GTIN14 = '00866997625752';
+
+describe('normalizeCountry', () => {
+
+    it('normalise un code ISO 3166-1 alpha-2', () => {
+        assert.equal(normalizeCountry('fr'), 'FR');
+        assert.equal(normalizeCountry(' De '), 'DE');
+        assert.equal(normalizeCountry(''), null);
+        assert.equal(normalizeCountry(undefined), null);
+    });
+
+    it('rejette un code invalide', () => {
+        for (const value of ['FRA', 'F', '12', 'F1']) {
+            assert.throws(() => normalizeCountry(value), error => {
+                assert.ok(error instanceof InvalidCountryError);
+                assert.equal(error.code, 'INVALID_COUNTRY');
+                return true;
+            });
+        }
+    });
+});
+
+describe('Paramètre country des appels API', () => {
+    let fetchMock;
+
+    afterEach(() => fetchMock?.mock.restore());
+
+    function createService(options = {}) {
+        const urls = [];
+        fetchMock = mock.method(globalThis, 'fetch', async url => {
+            urls.push(url);
+            return new Response(JSON.stringify([{ uii: TIRE_URN }]), { headers: { 'Content-Type': 'application/json' } });
+        });
+        return { service: createTestService({ useCache: false, ...options }), urls };
+    }
+
+    it('ajoute le pays du service, surchargeable ou désactivable par appel', async () => {
+        const { service, urls } = createService({ country: 'fr' });
+        const manufacturer = getManufacturerConfig('086699');
+
+        await service.callManufacturerApi('https://api.example.com', TIRE_URN, manufacturer);
+        await service.callManufacturerApi('https://api.example.com', TIRE_URN, manufacturer, { country: 'de' });
+        await service.callManufacturerApi('https://api.example.com', TIRE_URN, manufacturer, { country: null });
+
+        assert.deepEqual(urls, [
+            `https://api.example.com/${encodeURIComponent(TIRE_URN)}?country=FR`,
+            `https://api.example.com/${encodeURIComponent(TIRE_URN)}?country=DE`,
+            `https://api.example.com/${encodeURIComponent(TIRE_URN)}`
+        ]);
+    });
+
+    it('transmet le pays à l\'API batch', async () => {
+        const { service, urls } = createService({ country: 'IT' });
+
+        await service.callBatchApi('https://api.example.com/tire', [TIRE_URN], getManufacturerConfig('086699'));
+
+        assert.equal(urls[0], 'https://api.example.com/tires?country=IT');
+    });
+
+    it('lit le pays par défaut dans GDSO_COUNTRY', () => {
+        const saved = process.env.GDSO_COUNTRY;
+        process.env.GDSO_COUNTRY = 'es';
+        try {
+            assert.equal(new GdsoService({ verbose: false, verifyTokens: false }).country, 'ES');
+            assert.equal(new GdsoService({ verbose: false, verifyTokens: false, country: 'PT' }).country, 'PT');
+        } finally {
+            if (saved === undefined) delete process.env.GDSO_COUNTRY;
+            else process.env.GDSO_COUNTRY = saved;
+        }
+    });
+});
+
+describe('Caches pneu et produit par pays', () => {
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [{
+                order: 100,
+                preference: 10,
+                flags: 'u',
+                service: 'GetTireBySgtin',
+                regexp: '!^.*$!https://api.example.com/tire!',
+                replacement: '.',
+                ttl: 600
+            }]
+        });
+    });
+    after(() => doh.close());
+
+    /**
+     * Service dont l'API fabricant répond selon le pays demandé
+     */
+    function createService(options = {}) {
+        const service = createTestService({ resolverUrl: doh.wireUrl, ...options });
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin, manufacturer, callOptions) => {
+            await new Promise(resolve => setImmediate(resolve));
+            return { uii: sgtin, product: { brandName: 'MICHELIN', labelling: callOptions.country || 'EU' } };
+        });
+        return { service, api };
+    }
+
+    it('met en cache chaque pays séparément', async () => {
+        const { service, api } = createService();
+
+        const fr = await service.getTireInfo(TIRE_URN, { country: 'FR' });
+        const de = await service.getTireInfo(TIRE_URN, { country: 'de' });
+        const frAgain = await service.getTireInfo(TIRE_URN, { country: 'FR' });
+
+        assert.equal(api.mock.callCount(), 2);
+        assert.deepEqual([fr.country, de.country], ['FR', 'DE']);
+        assert.equal(fr.data.product.labelling, 'FR');
+        assert.equal(de.data.product.labelling, 'DE');
+        assert.equal(frAgain.source, 'cache');
+        assert.equal(frAgain.data.product.labelling, 'FR');
+    });
+
+    it('conserve l\'URN seule comme clé sans pays', async () => {
+        const { service } = createService();
+
+        const result = await service.getTireInfo(TIRE_URN);
+
+        assert.equal(result.country, null);
+        assert.ok(service.tireCache.get(TIRE_URN));
+        assert.ok(service.productCache.get(GTIN14));
+        assert.equal(service.tireCache.get(`${TIRE_URN}|FR`), undefined);
+    });
+
+    it('ne partage pas une requête en cours entre deux pays', async () => {
+        const { service, api } = createService({ country: 'FR' });
+
+        const [france, italy] = await Promise.all([
+            service.getTireInfo(TIRE_URN),
+            service.getTireInfo(TIRE_URN, { country: 'IT' })
+        ]);
+
+        assert.equal(api.mock.callCount(), 2);
+        assert.deepEqual([france.source, italy.source], ['network', 'network']);
+        assert.deepEqual([france.country, italy.country], ['FR', 'IT']);
+    });
+
+    it('applique le pays au batch et au catalogue produit', async () => {
+        const { service } = createService();
+
+        const [result] = await service.getTireInfoBatch([TIRE_URN], { country: 'FR' });
+        assert.equal(result.country, 'FR');
+        assert.equal(result.data.product.labelling, 'FR');
+
+        const product = await service.getProductByGtin(GTIN14, { country: 'FR' });
+        assert.equal(product.country, 'FR');
+        assert.equal(product.product.labelling, 'FR');
+        assert.equal(await service.getProductByGtin(GTIN14, { country: 'DE' }), null);
+    });
+
+    it('rejette un pays invalide', async () => {
+        const { service } = createService();
+
+        await assert.rejects(service.getTireInfo(TIRE_URN, { country: 'France' }), InvalidCountryError);
+        await assert.rejects(service.getTireInfoBatch([TIRE_URN], { country: '33' }), InvalidCountryError);
+    });
+});
+
+console.log('✅ Tests Country prêts à être exécutés avec: node --test tests/country.test.js');
@@ -0,0 +1,234 @@
+/**
+ * Tests unitaires - Chaîne de fournisseurs de credentials (options, env, *_FILE, fichier chiffré)
+ *
+ * @run node --test tests/credentials.test.js
+ */
+
+import { describe, it, before, after, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, statSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    createOptionsProvider,
+    createEnvProvider,
+    createFileEnvProvider,
+    createEncryptedFileProvider,
+    resolveCredentials,
+    describeCredentialSources,
+    readCredentialsFile,
+    writeCredentialsFile
+} from '../lib/credentials.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { CredentialsFileError } from '../lib/errors.js';
+
+const ENV_VARS = [
+    'GDSO_USERNAME', 'GDSO_PASSWORD', 'GDSO_USERNAME_FILE', 'GDSO_PASSWORD_FILE',
+    'GDSO_PROD_USERNAME', 'GDSO_PROD_PASSWORD', 'GDSO_PROD_USERNAME_FILE', 'GDSO_PROD_PASSWORD_FILE',
+    'GDSO_CREDENTIALS_FILE', 'GDSO_CREDENTIALS_PASSPHRASE'
+];
+
+describe('Chaîne de fournisseurs', () => {
+    let dir;
+    let saved;
+
+    before(() => { dir = mkdtempSync(join(tmpdir(), 'gdso-credentials-')); });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    // Variables d'environnement isolées pour chaque test
+    beforeEach(() => {
+        saved = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+        for (const name of ENV_VARS) delete process.env[name];
+        process.env.GDSO_CREDENTIALS_FILE = join(dir, 'absent.enc');
+    });
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    function secretFile(name, content) {
+        const path = join(dir, name);
+        writeFileSync(path, content);
+        return path;
+    }
+
+    it('prend chaque champ du premier fournisseur qui le définit', () => {
+        process.env.GDSO_USERNAME = 'depuis-env';
+        process.env.GDSO_PASSWORD = 'secret-env';
+
+        const resolved = resolveCredentials('testing', [
+            createOptionsProvider({ username: 'option' }),
+            createEnvProvider()
+        ]);
+
+        assert.equal(resolved.username, 'option');
+        assert.equal(resolved.password, 'secret-env');
+        assert.deepEqual(resolved.sources, { username: 'options', password: 'env' });
+    });
+
+    it('lit les secrets *_FILE sans le saut de ligne final', () => {
+        process.env.GDSO_PROD_USERNAME_FILE = secretFile('username', 'flotte\n');
+        process.env.GDSO_PROD_PASSWORD_FILE = secretFile('password', 'p@ss word\r\n');
+
+        const resolved = resolveCredentials('production', [createEnvProvider(), createFileEnvProvider()]);
+
+        assert.equal(resolved.username, 'flotte');
+        assert.equal(resolved.password, 'p@ss word');
+        assert.equal(describeCredentialSources(resolved.sources), 'file');
+    });
+
+    it('utilise les variables de l\'environnement demandé', () => {
+        process.env.GDSO_USERNAME = 'testing';
+        process.env.GDSO_PROD_USERNAME = 'production';
+
+        assert.equal(resolveCredentials('production', [createEnvProvider()]).username, 'production');
+        assert.equal(resolveCredentials('testing', [createEnvProvider()]).username, 'testing');
+    });
+
+    it('signale un secret illisible sans interrompre la chaîne', () => {
+        process.env.GDSO_PASSWORD_FILE = join(dir, 'introuvable');
+        process.env.GDSO_USERNAME = 'flotte';
+
+        const resolved = resolveCredentials('testing', [createEnvProvider(), createFileEnvProvider()]);
+
+        assert.equal(resolved.username, 'flotte');
+        assert.equal(resolved.password, undefined);
+        assert.equal(resolved.warnings.length, 1);
+        assert.match(resolved.warnings[0], /^file: .*GDSO_PASSWORD_FILE illisible/);
+    });
+
+    it('décrit une provenance mixte sans les valeurs', () => {
+        assert.equal(describeCredentialSources({ username: 'env', password: 'file' }), 'env (username) + file (password)');
+        assert.equal(describeCredentialSources({ username: 'env', password: null }), 'env (username) + absent (password)');
+        assert.equal(describeCredentialSources({ username: null, password: null }), 'aucune');
+    });
+});
+
+describe('Fichier de credentials chiffré', () => {
+    let dir;
+    let path;
+
+    beforeEach(() => {
+        if (dir) rmSync(dir, { recursive: true, force: true });
+        dir = mkdtempSync(join(tmpdir(), 'gdso-credentials-'));
+        path = join(dir, '.gdso', 'credentials.enc');
+    });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('chiffre les credentials (AES-256-GCM) dans un fichier 0600', () => {
+        writeCredentialsFile({ path, passphrase: 'phrase', environment: 'production', credentials: { username: 'flotte', password: 'tres-secret' } });
+
+        const content = readFileSync(path, 'utf-8');
+        assert.equal(JSON.parse(content).algorithm, 'aes-256-gcm');
+        assert.doesNotMatch(content, /tres-secret|flotte/);
+        if (process.platform !== 'win32') {
+            assert.equal(statSync(path).mode & 0o777, 0o600);
+        }
+
+        assert.deepEqual(readCredentialsFile({ path, passphrase: 'phrase' }), {
+            production: { username: 'flotte', password: 'tres-secret' }
+        });
+    });
+
+    it('conserve les autres environnements et permet de retirer un environnement', () => {
+        writeCredentialsFile({ path, environment: 'testing', credentials: { username: 'a', password: '1' } });
+        writeCredentialsFile({ path, environment: 'production', credentials: { username: 'b', password: '2' } });
+        writeCredentialsFile({ path, environment: 'testing', credentials: null });
+
+        assert.deepEqual(readCredentialsFile({ path }), { production: { username: 'b', password: '2' } });
+    });
+
+    it('refuse une mauvaise passphrase ou un fichier altéré', () => {
+        writeCredentialsFile({ path, passphrase: 'phrase', environment: 'testing', credentials: { username: 'a', password: '1' } });
+
+        assert.throws(() => readCredentialsFile({ path, passphrase: 'autre' }), CredentialsFileError);
+
+        const envelope = JSON.parse(readFileSync(path, 'utf-8'));
+        envelope.data = Buffer.from('altéré').toString('base64');
+        writeFileSync(path, JSON.stringify(envelope));
+        assert.throws(() => readCredentialsFile({ path, passphrase: 'phrase' }), /déchiffrement impossible/);
+    });
+
+    it('fournit les credentials de l\'environnement demandé', () => {
+        writeCredentialsFile({ path, environment: 'production', credentials: { username: 'flotte', password: 'x' } });
+        const provider = createEncryptedFileProvider({ path });
+
+        assert.deepEqual(provider.resolve('production'), { username: 'flotte', password: 'x' });
+        assert.equal(provider.resolve('testing'), null);
+        assert.equal(createEncryptedFileProvider({ path: join(dir, 'absent.enc') }).resolve('testing'), null);
+    });
+});
+
+describe('GdsoService: provenance des credentials', () => {
+    let dir;
+    let path;
+    let saved;
+
+    before(() => {
+        dir = mkdtempSync(join(tmpdir(), 'gdso-credentials-'));
+        path = join(dir, 'credentials.enc');
+        writeCredentialsFile({ path, environment: 'production', credentials: { username: 'chiffre', password: 'secret-chiffre' } });
+    });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    beforeEach(() => {
+        saved = Object.fromEntries(ENV_VARS.map(name => [name, process.env[name]]));
+        for (const name of ENV_VARS) delete process.env[name];
+    });
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    });
+
+    /**
+     * Service dont les logs sont capturés (niveau INFO)
+     */
+    function createService(options) {
+        const logs = [];
+        const service = new GdsoService({ environment: 'production', credentialsFile: path, ...options });
+        service.logger.info = message => logs.push(message);
+        return { service, logs };
+    }
+
+    it('lit le fichier chiffré en dernier recours', () => {
+        const { service } = createService();
+
+        assert.equal(service.credentials.username, 'chiffre');
+        assert.equal(service.describeCredentialSources(), 'encrypted');
+    });
+
+    it('donne la priorité aux variables d\'environnement', () => {
+        process.env.GDSO_PROD_USERNAME = 'env';
+        process.env.GDSO_PROD_PASSWORD = 'secret-env';
+
+        const { service } = createService();
+
+        assert.equal(service.credentials.username, 'env');
+        assert.deepEqual(service.credentialSources, { username: 'env', password: 'env' });
+    });
+
+    it('journalise la provenance au rechargement, jamais les valeurs', () => {
+        const { service, logs } = createService();
+        process.env.GDSO_PROD_PASSWORD = 'secret-env';
+
+        service.reloadCredentials();
+
+        assert.equal(service.describeCredentialSources(), 'encrypted (username) + env (password)');
+        assert.ok(logs.some(line => line.includes('encrypted (username) + env (password)')));
+        assert.ok(logs.every(line => !line.includes('secret-env') && !line.includes('secret-chiffre')));
+    });
+
+    it('accepte une chaîne de fournisseurs personnalisée', () => {
+        const vault = { name: 'vault', resolve: () => ({ username: 'coffre', password: 'x' }) };
+        const { service } = createService({ credentialProviders: [vault] });
+
+        assert.equal(service.credentials.username, 'coffre');
+        assert.equal(service.describeCredentialSources(), 'vault');
+    });
+});
+
+console.log('✅ Tests Credentials prêts à être exécutés avec: node --test tests/credentials.test.js');
@@ -0,0 +1,106 @@
+/**
+ * Tests unitaires - GS1 Digital Link et element strings
+ *
+ * @run node --test tests/digital-link.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { GdsoService } from '../lib/gdso-service.js';
+import { SgtinParseError } from '../lib/errors.js';
+import {
+    isDigitalLink,
+    isElementString,
+    findCompanyPrefixLength,
+    parseDigitalLink,
+    parseElementString,
+    sgtinToDigitalLink,
+    sgtinToElementString
+} from '../lib/digital-link.js';
+
+const service = new GdsoService({ verbose: false });
+
+// SGTIN Michelin de référence et son GTIN-14 (check digit 2)
+const MICHELIN_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const MICHELIN_GTIN14 = '00866997625752';
+
+describe('Détection des formats GS1', () => {
+
+    it('détecte les URI Digital Link', () => {
+        assert.equal(isDigitalLink(`https://id.gs1.org/01/${MICHELIN_GTIN14}/21/1`), true);
+        assert.equal(isDigitalLink(`https://example.com/tires/01/${MICHELIN_GTIN14}/21/1`), true);
+        assert.equal(isDigitalLink(MICHELIN_URN), false);
+    });
+
+    it('détecte les element strings', () => {
+        assert.equal(isElementString(`(01)${MICHELIN_GTIN14}(21)1`), true);
+        assert.equal(isElementString(`]d201${MICHELIN_GTIN14}211`), true);
+        assert.equal(isElementString('3034257BF7194E4000001A85'), false);
+    });
+});
+
+describe('Digital Link / element string → SGTIN', () => {
+
+    it('déduit la longueur du company prefix depuis MANUFACTURERS', () => {
+        assert.equal(findCompanyPrefixLength(MICHELIN_GTIN14), 6);
+        assert.equal(findCompanyPrefixLength('09999999999999'), null);
+    });
+
+    it('parse un Digital Link Michelin', () => {
+        const result = parseDigitalLink(`https://id.gs1.org/01/${MICHELIN_GTIN14}/21/63647563790`);
+
+        assert.equal(result.urn, MICHELIN_URN);
+        assert.equal(result.format, 'digital-link');
+    });
+
+    it('échappe les caractères réservés du serial dans l\'URN', () => {
+        const result = parseDigitalLink(`https://id.gs1.org/01/${MICHELIN_GTIN14}/21/AB%2F12`);
+        assert.equal(result.urn, 'urn:epc:id:sgtin:086699.0762575.AB%2F12');
+    });
+
+    it('parse un element string parenthésé et brut', () => {
+        const bracketed = parseElementString(`(01)${MICHELIN_GTIN14}(21)63647563790`);
+        const raw = parseElementString(`]d201${MICHELIN_GTIN14}2163647563790`);
+
+        assert.equal(bracketed.urn, MICHELIN_URN);
+        assert.equal(raw.urn, MICHELIN_URN);
+        assert.equal(raw.format, 'element-string');
+    });
+
+    it('rejette un check digit invalide, un préfixe inconnu ou un serial manquant', () => {
+        assert.throws(() => parseDigitalLink('https://id.gs1.org/01/00866997625753/21/1'), /Check digit/);
+        assert.throws(() => parseElementString('(01)09999999999994(21)1'), /Company prefix inconnu/);
+        assert.throws(() => parseDigitalLink(`https://id.gs1.org/01/${MICHELIN_GTIN14}`), SgtinParseError);
+    });
+
+    it('GdsoService.parseSgtin accepte ces formats', () => {
+        assert.equal(service.parseSgtin(`https://id.gs1.org/01/${MICHELIN_GTIN14}/21/63647563790`).urn, MICHELIN_URN);
+        assert.equal(service.parseSgtin(`(01)${MICHELIN_GTIN14}(21)63647563790`).urn, MICHELIN_URN);
+    });
+});
+
+describe('SGTIN → Digital Link / element string', () => {
+
+    it('génère le Digital Link et l\'element string', () => {
+        const parsed = service.parseSgtin(MICHELIN_URN);
+
+        assert.equal(sgtinToDigitalLink(parsed), `https://id.gs1.org/01/${MICHELIN_GTIN14}/21/63647563790`);
+        assert.equal(sgtinToElementString(parsed), `(01)${MICHELIN_GTIN14}(21)63647563790`);
+    });
+
+    it('décode les échappements URN du serial', () => {
+        const parsed = service.parseSgtin('urn:epc:id:sgtin:086699.0762575.A%2FB');
+
+        assert.equal(sgtinToElementString(parsed), `(01)${MICHELIN_GTIN14}(21)A/B`);
+        assert.ok(sgtinToDigitalLink(parsed).endsWith('/21/A%2FB'));
+    });
+
+    it('fait un aller-retour SGTIN → Digital Link → SGTIN', () => {
+        const urn = 'urn:epc:id:sgtin:4019238.012345.987';
+        const link = service.getDigitalLink(urn);
+
+        assert.equal(service.parseSgtin(link).urn, urn);
+    });
+});
+
+console.log('✅ Tests Digital Link prêts à être exécutés avec: node --test tests/digital-link.test.js');
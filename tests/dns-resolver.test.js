@@ -0,0 +1,232 @@
+/**
+ * Tests unitaires - Résolveurs NAPTR (node:dns, DoH RFC 8484, DoH JSON, failover)
+ * Exécutés contre des serveurs DNS/DoH locaux (tests/helpers/dns-server.js)
+ *
+ * @run node --test tests/dns-resolver.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startDnsServer, startDohServer, NEGATIVE_TTL } from './helpers/dns-server.js';
+import {
+    createNativeResolver,
+    createDohWireResolver,
+    createDohJsonResolver,
+    createResolver,
+    createResolverChain,
+    parseNaptrText
+} from '../lib/dns-resolver.js';
+import { encodeQuery, decodeMessage, RR_TYPE } from '../lib/dns-wire.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { DnsResolutionError, NaptrNotFoundError } from '../lib/errors.js';
+
+// FQDN ONS du GTIN-14 00866997625752 (SGTIN Michelin de référence)
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const EMPTY_FQDN = '0.0.0.0.0.0.0.0.0.0.0.0.0.0.gtin.gs1.id.testing.gdso.org';
+
+const ZONE = {
+    [FQDN]: [
+        { order: 100, preference: 10, flags: 'u', service: 'GetTireBySgtin', regexp: '!^.*$!https://api.example.com/tire!', replacement: '.', ttl: 600 },
+        { order: 100, preference: 20, flags: 'u', service: 'GetTiresBySgtins', regexp: '!^.*$!https://api.example.com/tires!', replacement: '.', ttl: 600 }
+    ],
+    [EMPTY_FQDN]: []
+};
+
+describe('Format binaire DNS', () => {
+
+    it('encode une requête NAPTR décodable', () => {
+        const message = decodeMessage(encodeQuery(FQDN));
+
+        assert.equal(message.id, 0);
+        assert.deepEqual(message.questions, [{ name: FQDN, type: RR_TYPE.NAPTR, class: 1 }]);
+    });
+
+    it('rejette un label de plus de 63 caractères', () => {
+        assert.throws(() => encodeQuery(`${'a'.repeat(64)}.example.org`), RangeError);
+    });
+
+    it('parse la présentation texte NAPTR avec et sans guillemets', () => {
+        const quoted = parseNaptrText('100 10 "u" "GetTireBySgtin" "!^.*$!https://api.example.com!" .', 60);
+        const bare = parseNaptrText('0 0 u GetTireBySgtin !^.*$!https://api.example.com! .');
+
+        assert.equal(quoted.service, 'GetTireBySgtin');
+        assert.equal(quoted.ttl, 60);
+        assert.equal(bare.regexp, '!^.*$!https://api.example.com!');
+        assert.equal(bare.ttl, null);
+        assert.equal(parseNaptrText('invalide'), null);
+    });
+});
+
+describe('Backend node:dns', () => {
+    let dns;
+
+    before(async () => { dns = await startDnsServer(ZONE); });
+    after(() => dns.close());
+
+    it('résout les NAPTR via le serveur configuré', async () => {
+        const answer = await createNativeResolver({ servers: dns.servers }).resolveNaptr(FQDN);
+
+        assert.equal(answer.status, 'NOERROR');
+        assert.equal(answer.records.length, 2);
+        assert.equal(answer.records[0].regexp, '!^.*$!https://api.example.com/tire!');
+        assert.equal(answer.records[0].ttl, null);
+    });
+
+    it('distingue NXDOMAIN et réponse vide', async () => {
+        const resolver = createNativeResolver({ servers: dns.servers });
+
+        assert.equal((await resolver.resolveNaptr('inconnu.gdso.test')).status, 'NXDOMAIN');
+
+        const empty = await resolver.resolveNaptr(EMPTY_FQDN);
+        assert.equal(empty.status, 'NOERROR');
+        assert.equal(empty.records.length, 0);
+    });
+});
+
+describe('Backend DoH binaire (RFC 8484)', () => {
+    let doh;
+
+    before(async () => { doh = await startDohServer(ZONE); });
+    after(() => doh.close());
+
+    it('résout en POST avec TTL', async () => {
+        const answer = await createDohWireResolver({ url: doh.wireUrl }).resolveNaptr(FQDN);
+
+        assert.equal(answer.status, 'NOERROR');
+        assert.equal(answer.records[1].service, 'GetTiresBySgtins');
+        assert.equal(answer.records[0].ttl, 600);
+        assert.equal(doh.requests.at(-1).method, 'POST');
+    });
+
+    it('résout en GET (?dns= base64url)', async () => {
+        const answer = await createDohWireResolver({ url: doh.wireUrl, method: 'GET' }).resolveNaptr(FQDN);
+
+        assert.equal(answer.records.length, 2);
+        assert.equal(doh.requests.at(-1).method, 'GET');
+    });
+
+    it('remonte NXDOMAIN avec le TTL négatif du SOA', async () => {
+        const answer = await createDohWireResolver({ url: doh.wireUrl }).resolveNaptr('inconnu.gdso.test');
+
+        assert.equal(answer.status, 'NXDOMAIN');
+        assert.equal(answer.negativeTtl, NEGATIVE_TTL);
+    });
+});
+
+describe('Backend DoH JSON', () => {
+    let doh;
+
+    before(async () => { doh = await startDohServer(ZONE); });
+    after(() => doh.close());
+
+    it('résout les NAPTR au format JSON', async () => {
+        const answer = await createDohJsonResolver({ url: doh.jsonUrl }).resolveNaptr(FQDN);
+
+        assert.equal(answer.status, 'NOERROR');
+        assert.equal(answer.records[0].order, 100);
+        assert.equal(answer.records[0].ttl, 600);
+    });
+
+    it('remonte NXDOMAIN avec le TTL négatif du SOA', async () => {
+        const answer = await createDohJsonResolver({ url: doh.jsonUrl }).resolveNaptr('inconnu.gdso.test');
+
+        assert.equal(answer.status, 'NXDOMAIN');
+        assert.equal(answer.negativeTtl, NEGATIVE_TTL);
+    });
+});
+
+describe('Chaîne de résolveurs (failover)', () => {
+    let blocked;
+    let failing;
+    let doh;
+
+    before(async () => {
+        blocked = await startDohServer(ZONE, { httpStatus: 403 });
+        failing = await startDohServer(ZONE, { rcode: 2 });
+        doh = await startDohServer(ZONE);
+    });
+    after(async () => {
+        await blocked.close();
+        await failing.close();
+        await doh.close();
+    });
+
+    it('passe au résolveur suivant sur erreur HTTP ou SERVFAIL', async () => {
+        const failovers = [];
+        const chain = createResolverChain([
+            { type: 'doh-json', url: blocked.jsonUrl, name: 'bloqué' },
+            { type: 'doh-wire', url: failing.wireUrl, name: 'servfail' },
+            { type: 'doh-wire', url: doh.wireUrl, name: 'local' }
+        ], { onFailover: name => failovers.push(name) });
+
+        const answer = await chain.resolveNaptr(FQDN);
+
+        assert.equal(answer.resolver, 'local');
+        assert.deepEqual(failovers, ['bloqué', 'servfail']);
+    });
+
+    it('s\'arrête sur NXDOMAIN (réponse faisant autorité)', async () => {
+        const chain = createResolverChain([
+            { type: 'doh-wire', url: doh.wireUrl, name: 'local' },
+            { type: 'doh-json', url: blocked.jsonUrl, name: 'bloqué' }
+        ]);
+        const before = blocked.requests.length;
+
+        assert.equal((await chain.resolveNaptr('inconnu.gdso.test')).status, 'NXDOMAIN');
+        assert.equal(blocked.requests.length, before);
+    });
+
+    it('agrège les échecs quand tous les résolveurs échouent', async () => {
+        const chain = createResolverChain([
+            { type: 'doh-json', url: blocked.jsonUrl },
+            { type: 'doh-wire', url: failing.wireUrl }
+        ]);
+
+        await assert.rejects(chain.resolveNaptr(FQDN), error => {
+            assert.ok(error instanceof DnsResolutionError);
+            assert.equal(error.details.failures.length, 2);
+            return true;
+        });
+    });
+
+    it('rejette un type de résolveur inconnu', () => {
+        assert.throws(() => createResolver({ type: 'udp' }), TypeError);
+        assert.throws(() => createResolverChain([]), TypeError);
+    });
+});
+
+describe('GdsoService avec résolveurs locaux', () => {
+    let dns;
+
+    before(async () => { dns = await startDnsServer(ZONE); });
+    after(() => dns.close());
+
+    it('résout l\'ONS via le backend natif', async () => {
+        const service = new GdsoService({
+            verbose: false,
+            useCache: false,
+            resolvers: [{ type: 'native', servers: dns.servers }]
+        });
+
+        const ons = await service.resolveOns('urn:epc:id:sgtin:086699.0762575.63647563790');
+
+        assert.equal(ons.fqdn, FQDN);
+        assert.equal(ons.gtinForm, 'GTIN-14');
+        assert.equal(ons.apiUrl, 'https://api.example.com/tire');
+    });
+
+    it('lève NaptrNotFoundError sur NXDOMAIN', async () => {
+        const service = new GdsoService({
+            verbose: false,
+            useCache: false,
+            resolvers: [{ type: 'native', servers: dns.servers }]
+        });
+
+        await assert.rejects(
+            service.resolveOns('urn:epc:id:sgtin:4019238.012345.987'),
+            NaptrNotFoundError
+        );
+    });
+});
+
+console.log('✅ Tests DNS Resolver prêts à être exécutés avec: node --test tests/dns-resolver.test.js');
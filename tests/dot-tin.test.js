@@ -0,0 +1,119 @@
+/**
+ * Tests unitaires - Décodage DOT/TIN et âge du pneu
+ *
+ * @run node --test tests/dot-tin.test.js
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    KNOWN_FACTORY_CODES,
+    FACTORY_CODES,
+    registerFactoryCodes,
+    decodeFactoryCode,
+    isoWeekToDate,
+    parseWeekYear,
+    ageInMonths,
+    decodeDotTin
+} from '../lib/dot-tin.js';
+
+describe('Date de production (semaine ISO)', () => {
+
+    it('convertit weekYear en lundi de la semaine ISO', () => {
+        assert.deepEqual(parseWeekYear('1020'), { week: 10, year: 2020, productionDate: '2020-03-02' });
+    });
+
+    it('gère la semaine 1 commençant l\'année précédente', () => {
+        assert.equal(parseWeekYear('0120').productionDate, '2019-12-30');
+        assert.equal(parseWeekYear('0121').productionDate, '2021-01-04');
+    });
+
+    it('accepte la semaine 53 uniquement les années qui en ont une', () => {
+        assert.equal(parseWeekYear('5320').productionDate, '2020-12-28');
+        assert.equal(parseWeekYear('5321'), null);
+    });
+
+    it('rejette les formats invalides et le format pré-2000', () => {
+        assert.equal(parseWeekYear('0020'), null);
+        assert.equal(parseWeekYear('123'), null);
+        assert.equal(parseWeekYear('AB20'), null);
+        assert.equal(parseWeekYear(null), null);
+    });
+
+    it('isoWeekToDate retourne un lundi UTC', () => {
+        const date = isoWeekToDate(2024, 1);
+        assert.equal(date.toISOString(), '2024-01-01T00:00:00.000Z');
+        assert.equal(date.getUTCDay(), 1);
+    });
+});
+
+describe('Âge du pneu', () => {
+
+    it('compte les mois révolus', () => {
+        assert.equal(ageInMonths('2020-03-02', new Date('2025-03-02')), 60);
+        assert.equal(ageInMonths('2020-03-02', new Date('2025-03-01')), 59);
+        assert.equal(ageInMonths('2020-03-02', new Date('2030-03-02')), 120);
+    });
+
+    it('retourne 0 pour une production postérieure à la référence', () => {
+        assert.equal(ageInMonths('2026-10-12', new Date('2026-10-10')), 0);
+    });
+
+    it('retourne null pour une date invalide', () => {
+        assert.equal(ageInMonths('invalide', new Date()), null);
+    });
+});
+
+describe('Codes usine', () => {
+
+    afterEach(() => {
+        FACTORY_CODES.clear();
+        registerFactoryCodes(KNOWN_FACTORY_CODES);
+    });
+
+    it('décode les codes NHTSA livrés', () => {
+        assert.deepEqual(decodeFactoryCode('vd'), { manufacturer: 'Bridgestone/Firestone', plant: 'Decatur, Illinois', country: 'US' });
+        assert.equal(decodeFactoryCode('B3'), null);
+    });
+
+    it('décode les codes enregistrés (insensible à la casse)', () => {
+        registerFactoryCodes({ b3: { manufacturer: 'Exemple', plant: 'Usine test', country: 'ITA' } });
+        assert.deepEqual(decodeFactoryCode('B3'), { manufacturer: 'Exemple', plant: 'Usine test', country: 'ITA' });
+    });
+});
+
+describe('decodeDotTin', () => {
+
+    it('décode le bloc dotTin GDSO', () => {
+        const result = decodeDotTin(
+            { factoryCode: 'B3', sizeCode: '8U', optionalCode: '005X', weekYear: '1020' },
+            { referenceDate: new Date('2026-10-19') }
+        );
+
+        assert.equal(result.productionDate, '2020-03-02');
+        assert.equal(result.ageMonths, 79);
+        assert.equal(result.factoryCode, 'B3');
+        assert.equal(result.factory, null);
+        assert.equal(result.sizeCode, '8U');
+    });
+
+    it('décode l\'usine d\'un code réel', () => {
+        const result = decodeDotTin({ factoryCode: 'W2', sizeCode: 'BC', weekYear: '0519' });
+
+        assert.equal(result.factory.manufacturer, 'Bridgestone/Firestone');
+        assert.equal(result.factory.plant, 'Wilson, North Carolina');
+    });
+
+    it('conserve les codes si la date est illisible', () => {
+        const result = decodeDotTin({ factoryCode: 'B3', weekYear: '999' });
+        assert.equal(result.productionDate, null);
+        assert.equal(result.ageMonths, null);
+        assert.equal(result.weekYear, '999');
+    });
+
+    it('retourne null sans dotTin', () => {
+        assert.equal(decodeDotTin(undefined), null);
+    });
+});
+
+console.log('✅ Tests DOT/TIN prêts à être exécutés avec: node --test tests/dot-tin.test.js');
@@ -0,0 +1,214 @@
+/**
+ * Serveurs DNS / DoH locaux pour les tests (aucun accès réseau externe)
+ * - startDnsServer: UDP sur 127.0.0.1 (backend native via setServers)
+ * - startDohServer: HTTP sur 127.0.0.1, /dns-query (RFC 8484) et /resolve (JSON)
+ *
+ * Zone: { "<fqdn>": [NaptrRecord...] } - nom absent = NXDOMAIN, [] = réponse vide
+ */
+
+import dgram from 'node:dgram';
+import http from 'node:http';
+import { encodeName, decodeMessage, RR_TYPE, RCODE } from '../../lib/dns-wire.js';
+
+/**
+ * TTL négatif (SOA minimum) renvoyé pour NXDOMAIN / réponse vide
+ */
+export const NEGATIVE_TTL = 300;
+
+const SOA_ZONE = 'gdso.test';
+
+/**
+ * Recherche un nom dans la zone (insensible à la casse)
+ * @param {Object} zone
+ * @param {string} name
+ * @returns {Array|undefined}
+ */
+function lookup(zone, name) {
+    const key = Object.keys(zone).find(k => k.toLowerCase() === name.toLowerCase());
+    return key === undefined ? undefined : zone[key];
+}
+
+/**
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function charString(value) {
+    const bytes = Buffer.from(value, 'utf8');
+    return Buffer.concat([Buffer.from([bytes.length]), bytes]);
+}
+
+/**
+ * Encode un enregistrement de ressource
+ */
+function encodeRecord(name, type, ttl, rdata) {
+    const fixed = Buffer.alloc(10);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(1, 2);
+    fixed.writeUInt32BE(ttl, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+    return Buffer.concat([encodeName(name), fixed, rdata]);
+}
+
+function encodeNaptrRdata(record) {
+    const head = Buffer.alloc(4);
+    head.writeUInt16BE(record.order, 0);
+    head.writeUInt16BE(record.preference, 2);
+    return Buffer.concat([
+        head,
+        charString(record.flags),
+        charString(record.service),
+        charString(record.regexp),
+        encodeName(record.replacement === '.' ? '' : record.replacement)
+    ]);
+}
+
+function encodeSoaRdata() {
+    const numbers = Buffer.alloc(20);
+    numbers.writeUInt32BE(1, 0);                // serial
+    numbers.writeUInt32BE(3600, 4);             // refresh
+    numbers.writeUInt32BE(600, 8);              // retry
+    numbers.writeUInt32BE(86400, 12);           // expire
+    numbers.writeUInt32BE(NEGATIVE_TTL, 16);    // minimum
+    return Buffer.concat([encodeName(`ns.${SOA_ZONE}`), encodeName(`hostmaster.${SOA_ZONE}`), numbers]);
+}
+
+/**
+ * Construit la réponse binaire à une requête
+ * @param {Buffer} query - Requête binaire
+ * @param {Object} zone - Zone NAPTR
+ * @param {Object} [options]
+ * @param {number} [options.rcode] - RCODE forcé (ex: SERVFAIL)
+ * @returns {Buffer}
+ */
+export function buildResponse(query, zone, options = {}) {
+    const message = decodeMessage(query);
+    const question = message.questions[0];
+    const records = lookup(zone, question.name);
+
+    const rcode = options.rcode ?? (records === undefined ? RCODE.NXDOMAIN : RCODE.NOERROR);
+    const answers = rcode === RCODE.NOERROR && question.type === RR_TYPE.NAPTR
+        ? records.map(r => encodeRecord(question.name, RR_TYPE.NAPTR, r.ttl ?? 3600, encodeNaptrRdata(r)))
+        : [];
+    const authorities = rcode !== RCODE.SERVFAIL && !answers.length
+        ? [encodeRecord(SOA_ZONE, RR_TYPE.SOA, NEGATIVE_TTL * 2, encodeSoaRdata())]
+        : [];
+
+    const header = Buffer.alloc(12);
+    header.writeUInt16BE(message.id, 0);
+    header.writeUInt16BE(0x8180 | rcode, 2);     // QR + RD + RA
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(answers.length, 6);
+    header.writeUInt16BE(authorities.length, 8);
+
+    const questionBytes = Buffer.alloc(4);
+    questionBytes.writeUInt16BE(question.type, 0);
+    questionBytes.writeUInt16BE(question.class, 2);
+
+    return Buffer.concat([header, encodeName(question.name), questionBytes, ...answers, ...authorities]);
+}
+
+/**
+ * Démarre un serveur DNS UDP local
+ * @param {Object} zone - Zone NAPTR
+ * @param {Object} [options] - Voir buildResponse
+ * @returns {Promise<{servers: string[], port: number, queries: string[], close: () => Promise<void>}>}
+ */
+export async function startDnsServer(zone, options = {}) {
+    const socket = dgram.createSocket('udp4');
+    const queries = [];
+
+    socket.on('message', (msg, rinfo) => {
+        try {
+            queries.push(decodeMessage(msg).questions[0].name);
+            socket.send(buildResponse(msg, zone, options), rinfo.port, rinfo.address);
+        } catch {
+            // Requête illisible: pas de réponse (le client expirera)
+        }
+    });
+
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    const { port } = socket.address();
+
+    return {
+        port,
+        servers: [`127.0.0.1:${port}`],
+        queries,
+        close: () => new Promise(resolve => socket.close(resolve))
+    };
+}
+
+/**
+ * Démarre un serveur DoH local (binaire POST/GET sur /dns-query, JSON sur /resolve)
+ * @param {Object} zone - Zone NAPTR
+ * @param {Object} [options]
+ * @param {number} [options.httpStatus] - Statut HTTP forcé (ex: 403 pour simuler un blocage)
+ * @param {number} [options.rcode] - RCODE forcé
+ * @returns {Promise<{wireUrl: string, jsonUrl: string, requests: Array<{method: string, path: string}>, close: () => Promise<void>}>}
+ */
+export async function startDohServer(zone, options = {}) {
+    const requests = [];
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://127.0.0.1');
+        requests.push({ method: req.method, path: url.pathname });
+
+        if (options.httpStatus) {
+            res.writeHead(options.httpStatus).end();
+            return;
+        }
+
+        if (url.pathname === '/dns-query') {
+            const chunks = [];
+            for await (const chunk of req) chunks.push(chunk);
+            const query = req.method === 'POST'
+                ? Buffer.concat(chunks)
+                : Buffer.from(url.searchParams.get('dns') || '', 'base64url');
+
+            res.writeHead(200, { 'Content-Type': 'application/dns-message' });
+            res.end(buildResponse(query, zone, options));
+            return;
+        }
+
+        if (url.pathname === '/resolve') {
+            const name = url.searchParams.get('name');
+            const records = lookup(zone, name);
+            const status = options.rcode ?? (records === undefined ? RCODE.NXDOMAIN : RCODE.NOERROR);
+            const body = { Status: status };
+
+            if (status === RCODE.NOERROR && records.length) {
+                body.Answer = records.map(r => ({
+                    name: `${name}.`,
+                    type: RR_TYPE.NAPTR,
+                    TTL: r.ttl ?? 3600,
+                    data: `${r.order} ${r.preference} "${r.flags}" "${r.service}" "${r.regexp}" ${r.replacement}`
+                }));
+            } else if (status !== RCODE.SERVFAIL) {
+                body.Authority = [{
+                    name: `${SOA_ZONE}.`,
+                    type: RR_TYPE.SOA,
+                    TTL: NEGATIVE_TTL * 2,
+                    data: `ns.${SOA_ZONE}. hostmaster.${SOA_ZONE}. 1 3600 600 86400 ${NEGATIVE_TTL}`
+                }];
+            }
+
+            res.writeHead(200, { 'Content-Type': 'application/dns-json' });
+            res.end(JSON.stringify(body));
+            return;
+        }
+
+        res.writeHead(404).end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        wireUrl: `${base}/dns-query`,
+        jsonUrl: `${base}/resolve`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.close(resolve);
+            server.closeAllConnections();
+        })
+    };
+}
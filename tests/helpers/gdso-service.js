@@ -0,0 +1,33 @@
+/**
+ * Service GDSO pour les tests (aucun accès réseau externe, aucun fichier)
+ * - createTestService: logs désactivés, tokens non vérifiés, cache en mémoire
+ *   (GDSO_CACHE_DIR ignoré), authentification simulée
+ *
+ * ONS: serveur DoH local (resolverUrl, voir dns-server.js), sinon un résolveur
+ * injoignable sur 127.0.0.1
+ */
+
+import { mock } from 'node:test';
+import { GdsoService } from '../../lib/gdso-service.js';
+
+/**
+ * Résolveur sans serveur: toute résolution réseau échoue
+ */
+const UNREACHABLE_RESOLVERS = [{ type: 'doh-json', url: 'http://127.0.0.1:9/resolve' }];
+
+/**
+ * @param {import('../../lib/gdso-service.js').GdsoServiceOptions & {resolverUrl?: string}} [options]
+ *        resolverUrl: URL RFC 8484 (doh.wireUrl) du serveur DoH local
+ * @returns {GdsoService} authenticate() simulé (token 'token')
+ */
+export function createTestService({ resolverUrl, ...options } = {}) {
+    const service = new GdsoService({
+        verbose: false,
+        verifyTokens: false,
+        cacheDir: null,
+        resolvers: resolverUrl ? [{ type: 'doh-wire', url: resolverUrl }] : UNREACHABLE_RESOLVERS,
+        ...options
+    });
+    mock.method(service, 'authenticate', async () => 'token');
+    return service;
+}
@@ -0,0 +1,72 @@
+/**
+ * JWKS local et signature RS256 pour les tests (remplace cognito-idp)
+ * - createSigningKey: paire RSA et JWK publique
+ * - signJwt: JWT signé (header et claims surchargeables)
+ * - startJwksServer: GET /.well-known/jwks.json sur 127.0.0.1
+ */
+
+import http from 'node:http';
+import { generateKeyPairSync, sign } from 'node:crypto';
+
+export const ISSUER = 'https://cognito-idp.eu-central-1.amazonaws.com/eu-central-1_test';
+export const AUDIENCE = 'test-client';
+
+/**
+ * @param {string} kid
+ * @returns {{kid: string, privateKey: import('node:crypto').KeyObject, jwk: Object}}
+ */
+export function createSigningKey(kid) {
+    const { privateKey, publicKey } = generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return {
+        kid,
+        privateKey,
+        jwk: { ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }
+    };
+}
+
+/**
+ * Signe un JWT RS256; claims par défaut: iss/aud de test, valide 1 heure
+ * @param {{kid: string, privateKey: import('node:crypto').KeyObject}} key
+ * @param {Object} [claims]
+ * @param {Object} [header]
+ * @returns {string}
+ */
+export function signJwt(key, claims = {}, header = {}) {
+    const now = Math.floor(Date.now() / 1000);
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const input = `${encode({ alg: 'RS256', typ: 'JWT', kid: key.kid, ...header })}.${encode({
+        iss: ISSUER,
+        aud: AUDIENCE,
+        sub: 'sub-mecanicien',
+        'cognito:username': 'mecanicien',
+        iat: now,
+        exp: now + 3600,
+        ...claims
+    })}`;
+    return `${input}.${sign('RSA-SHA256', Buffer.from(input), key.privateKey).toString('base64url')}`;
+}
+
+/**
+ * Démarre un endpoint JWKS (port libre); jwks.keys est modifiable (rotation), jwks.fail simule une panne
+ * @param {Array<{jwk: Object}>} keys
+ * @returns {Promise<{url: string, keys: Array, requests: number, fail: boolean, close: Function}>}
+ */
+export async function startJwksServer(keys) {
+    const jwks = { keys, requests: 0, fail: false };
+
+    const server = http.createServer((req, res) => {
+        jwks.requests++;
+        if (jwks.fail) {
+            res.writeHead(503).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ keys: jwks.keys.map(key => key.jwk) }));
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    jwks.url = `http://127.0.0.1:${server.address().port}/.well-known/jwks.json`;
+    jwks.close = () => new Promise(resolve => server.close(resolve));
+
+    return jwks;
+}
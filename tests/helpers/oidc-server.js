@@ -0,0 +1,115 @@
+/**
+ * Fournisseur d'identité OpenID Connect local pour les tests (remplace Cognito)
+ * - GET  /.well-known/openid-configuration
+ * - GET  /oauth2/authorize: utilisateur considéré connecté, redirection immédiate
+ *        vers redirect_uri avec code et state (ou error=access_denied si deny)
+ * - POST /oauth2/token: vérifie client, redirect_uri et PKCE S256
+ */
+
+import http from 'node:http';
+import { createHash, randomBytes } from 'node:crypto';
+
+/**
+ * JWT non signé (la signature n'est pas vérifiée par le flux d'autorisation)
+ */
+function unsignedJwt(claims) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    return `${encode({ alg: 'none' })}.${encode(claims)}.`;
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+    });
+}
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Démarre le fournisseur d'identité sur 127.0.0.1 (port libre)
+ * @param {Object} [options]
+ * @param {string} [options.clientId='test-client']
+ * @param {string|null} [options.clientSecret=null] - Exige client_secret_basic si défini
+ * @param {string} [options.username='mecanicien']
+ * @returns {Promise<{url: string, openIdConfig: string, clientId: string,
+ *          requests: Array<{method: string, path: string}>, deny: boolean, close: Function}>}
+ */
+export async function startIdpServer({ clientId = 'test-client', clientSecret = null, username = 'mecanicien' } = {}) {
+    const codes = new Map();
+    const idp = { requests: [], deny: false, clientId };
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, idp.url);
+        idp.requests.push({ method: req.method, path: url.pathname });
+
+        if (url.pathname === '/.well-known/openid-configuration') {
+            return sendJson(res, 200, {
+                issuer: idp.url,
+                authorization_endpoint: `${idp.url}/oauth2/authorize`,
+                token_endpoint: `${idp.url}/oauth2/token`
+            });
+        }
+
+        if (url.pathname === '/oauth2/authorize') {
+            const params = url.searchParams;
+            const redirect = new URL(params.get('redirect_uri'));
+            redirect.searchParams.set('state', params.get('state'));
+
+            if (idp.deny) {
+                redirect.searchParams.set('error', 'access_denied');
+            } else if (params.get('client_id') !== clientId || params.get('code_challenge_method') !== 'S256') {
+                redirect.searchParams.set('error', 'invalid_request');
+            } else {
+                const code = randomBytes(8).toString('hex');
+                codes.set(code, {
+                    challenge: params.get('code_challenge'),
+                    redirectUri: params.get('redirect_uri')
+                });
+                redirect.searchParams.set('code', code);
+            }
+
+            res.writeHead(302, { Location: redirect.toString() });
+            return res.end();
+        }
+
+        if (url.pathname === '/oauth2/token' && req.method === 'POST') {
+            const form = new URLSearchParams(await readBody(req));
+
+            if (clientSecret) {
+                const expected = `Basic ${Buffer.from(`${clientId}:${clientSecret}`).toString('base64')}`;
+                if (req.headers.authorization !== expected) return sendJson(res, 401, { error: 'invalid_client' });
+            }
+
+            const grant = codes.get(form.get('code'));
+            codes.delete(form.get('code'));
+            const challenge = createHash('sha256').update(form.get('code_verifier') || '').digest('base64url');
+
+            if (!grant || grant.redirectUri !== form.get('redirect_uri') || grant.challenge !== challenge) {
+                return sendJson(res, 400, { error: 'invalid_grant', error_description: 'code, redirect_uri ou code_verifier invalide' });
+            }
+
+            const exp = Math.floor(Date.now() / 1000) + 3600;
+            return sendJson(res, 200, {
+                id_token: unsignedJwt({ iss: idp.url, sub: `sub-${username}`, 'cognito:username': username, exp }),
+                access_token: unsignedJwt({ sub: `sub-${username}`, exp }),
+                refresh_token: 'refresh-token',
+                expires_in: 3600,
+                token_type: 'Bearer'
+            });
+        }
+
+        res.writeHead(404).end();
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    idp.url = `http://127.0.0.1:${server.address().port}`;
+    idp.openIdConfig = `${idp.url}/.well-known/openid-configuration`;
+    idp.close = () => new Promise(resolve => server.close(resolve));
+
+    return idp;
+}
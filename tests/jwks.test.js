@@ -0,0 +1,232 @@
+/**
+ * Tests unitaires - Vérification des tokens GDSO via JWKS (RS256, iss, aud, exp, nbf, rotation)
+ * JWKS local (tests/helpers/jwks-server.js), aucun appel à Cognito
+ *
+ * @run node --test tests/jwks.test.js
+ */
+
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { JwksClient, createTokenVerifier } from '../lib/jwks.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { TokenVerificationError, AuthenticationError } from '../lib/errors.js';
+import { ENVIRONMENTS } from '../lib/config.js';
+import { createSigningKey, signJwt, startJwksServer, ISSUER, AUDIENCE } from './helpers/jwks-server.js';
+
+const KEY_A = createSigningKey('key-a');
+const KEY_B = createSigningKey('key-b');
+const FOREIGN = createSigningKey('key-a');
+
+/**
+ * Vérifie qu'une promesse est rejetée par TokenVerificationError avec la raison attendue
+ */
+async function assertRejected(promise, reason) {
+    await assert.rejects(promise, error => {
+        assert.ok(error instanceof TokenVerificationError);
+        assert.ok(error instanceof AuthenticationError);
+        assert.equal(error.code, 'TOKEN_INVALID');
+        assert.match(error.message, reason);
+        return true;
+    });
+}
+
+describe('Vérification des claims et de la signature', () => {
+    let jwks;
+    let verifier;
+
+    before(async () => {
+        jwks = await startJwksServer([KEY_A]);
+        verifier = createTokenVerifier({}, { jwksUrl: jwks.url, issuer: ISSUER, audience: [AUDIENCE] });
+    });
+    after(() => jwks.close());
+
+    it('accepte un token RS256 valide et retourne ses claims', async () => {
+        const claims = await verifier.verify(signJwt(KEY_A));
+
+        assert.equal(claims.iss, ISSUER);
+        assert.equal(claims['cognito:username'], 'mecanicien');
+    });
+
+    it('accepte un access token Cognito (client_id au lieu de aud)', async () => {
+        const claims = await verifier.verify(signJwt(KEY_A, { aud: undefined, client_id: AUDIENCE, token_use: 'access' }));
+        assert.equal(claims.client_id, AUDIENCE);
+    });
+
+    it('rejette une signature d\'une autre clé avec le même kid', async () => {
+        await assertRejected(verifier.verify(signJwt(FOREIGN)), /signature invalide/);
+    });
+
+    it('rejette un payload modifié', async () => {
+        const [header, , signature] = signJwt(KEY_A).split('.');
+        const payload = Buffer.from(JSON.stringify({ iss: ISSUER, aud: AUDIENCE, exp: 9999999999, sub: 'admin' })).toString('base64url');
+
+        await assertRejected(verifier.verify(`${header}.${payload}.${signature}`), /signature invalide/);
+    });
+
+    it('refuse les algorithmes autres que RS256', async () => {
+        await assertRejected(verifier.verify(signJwt(KEY_A, {}, { alg: 'none' })), /algorithme none/);
+        await assertRejected(verifier.verify(signJwt(KEY_A, {}, { alg: 'HS256' })), /algorithme HS256/);
+    });
+
+    it('vérifie émetteur et audience', async () => {
+        await assertRejected(verifier.verify(signJwt(KEY_A, { iss: 'https://evil.example.com' })), /émetteur/);
+        await assertRejected(verifier.verify(signJwt(KEY_A, { aud: 'autre-client' })), /audience/);
+    });
+
+    it('vérifie exp et nbf avec tolérance d\'horloge', async () => {
+        const now = Math.floor(Date.now() / 1000);
+
+        await assertRejected(verifier.verify(signJwt(KEY_A, { exp: now - 120 })), /expiré/);
+        await assertRejected(verifier.verify(signJwt(KEY_A, { nbf: now + 120 })), /pas encore valide/);
+        await assertRejected(verifier.verify(signJwt(KEY_A, { exp: undefined })), /exp absent/);
+
+        assert.ok(await verifier.verify(signJwt(KEY_A, { exp: now - 30, nbf: now + 30 })));
+    });
+
+    it('rejette un token mal formé', async () => {
+        await assertRejected(verifier.verify('pas-un-jwt'), /format JWT/);
+        await assertRejected(verifier.verify('e30.e30'), /format JWT/);
+    });
+});
+
+describe('JwksClient: cache et rotation des clés', () => {
+    let jwks;
+
+    beforeEach(async () => {
+        if (jwks) await jwks.close();
+        jwks = await startJwksServer([KEY_A]);
+    });
+    after(() => jwks.close());
+
+    function createVerifier(options = {}) {
+        return createTokenVerifier({}, {
+            jwks: new JwksClient({ jwksUrl: jwks.url, ...options }),
+            issuer: ISSUER,
+            audience: [AUDIENCE]
+        });
+    }
+
+    it('ne recharge pas le JWKS pour un kid connu', async () => {
+        const verifier = createVerifier();
+
+        await verifier.verify(signJwt(KEY_A));
+        await verifier.verify(signJwt(KEY_A));
+        await Promise.all([verifier.verify(signJwt(KEY_A)), verifier.verify(signJwt(KEY_A))]);
+
+        assert.equal(jwks.requests, 1);
+    });
+
+    it('recharge le JWKS pour un nouveau kid (rotation)', async () => {
+        const verifier = createVerifier({ minRefreshIntervalMs: 0 });
+        await verifier.verify(signJwt(KEY_A));
+
+        jwks.keys = [KEY_B];
+        const claims = await verifier.verify(signJwt(KEY_B));
+
+        assert.equal(claims.iss, ISSUER);
+        assert.equal(jwks.requests, 2);
+        await assertRejected(verifier.verify(signJwt(KEY_A)), /clé key-a inconnue/);
+    });
+
+    it('limite les rechargements pour des kid inconnus', async () => {
+        const verifier = createVerifier();
+        await verifier.verify(signJwt(KEY_A));
+
+        await assertRejected(verifier.verify(signJwt(KEY_B)), /inconnue/);
+        await assertRejected(verifier.verify(signJwt(KEY_B)), /inconnue/);
+
+        assert.equal(jwks.requests, 1);
+    });
+
+    it('conserve les clés connues si le JWKS devient indisponible', async () => {
+        const verifier = createVerifier({ cacheTtlMs: 0 });
+        await verifier.verify(signJwt(KEY_A));
+
+        jwks.fail = true;
+
+        assert.ok(await verifier.verify(signJwt(KEY_A)));
+        assert.equal(jwks.requests, 2);
+    });
+
+    it('échoue si le JWKS est inaccessible au premier appel', async () => {
+        jwks.fail = true;
+        await assertRejected(createVerifier().verify(signJwt(KEY_A)), /JWKS indisponible/);
+    });
+});
+
+describe('createTokenVerifier depuis la configuration', () => {
+
+    it('utilise émetteur, JWKS et clients Cognito de l\'environnement', () => {
+        const verifier = createTokenVerifier(ENVIRONMENTS.testing.auth);
+
+        assert.equal(verifier.jwks.jwksUrl, ENVIRONMENTS.testing.auth.jwksUrl);
+        assert.ok(ENVIRONMENTS.testing.auth.jwksUrl.startsWith(ENVIRONMENTS.testing.auth.issuer));
+    });
+});
+
+describe('GdsoService: tokens reçus vérifiés', () => {
+    let jwks;
+    let fetchMock;
+
+    before(async () => {
+        jwks = await startJwksServer([KEY_A]);
+    });
+    after(() => jwks.close());
+
+    /**
+     * Simule l'API getIdToken (le JWKS local reste joignable)
+     */
+    function mockTokenEndpoint(token) {
+        const realFetch = globalThis.fetch;
+        fetchMock = mock.method(globalThis, 'fetch', async (url, init) => {
+            if (String(url) === jwks.url) return realFetch(url, init);
+            return new Response(token);
+        });
+    }
+
+    function createService() {
+        return new GdsoService({
+            verbose: false,
+            username: 'flotte',
+            password: 'secret',
+            tokenVerifier: createTokenVerifier({}, { jwksUrl: jwks.url, issuer: ISSUER, audience: [AUDIENCE] })
+        });
+    }
+
+    it('conserve un token vérifié avec l\'expiration signée', async () => {
+        const exp = Math.floor(Date.now() / 1000) + 1800;
+        mockTokenEndpoint(signJwt(KEY_A, { exp }));
+        try {
+            const service = createService();
+            await service.authenticate();
+
+            assert.equal(service.tokenExpiry, exp * 1000);
+        } finally {
+            fetchMock.mock.restore();
+        }
+    });
+
+    it('rejette un token dont la signature est invalide', async () => {
+        mockTokenEndpoint(signJwt(FOREIGN));
+        try {
+            const service = createService();
+
+            await assert.rejects(service.authenticate(), error => {
+                assert.ok(error instanceof TokenVerificationError);
+                assert.equal(error.details.environment, 'testing');
+                return true;
+            });
+            assert.equal(service.token, null);
+        } finally {
+            fetchMock.mock.restore();
+        }
+    });
+
+    it('partage le vérificateur avec les instances utilisateur', () => {
+        const service = createService();
+        assert.equal(service.forUser({ idToken: 'x', expiry: Date.now() + 60000 }).tokenVerifier, service.tokenVerifier);
+        assert.equal(new GdsoService({ verbose: false, verifyTokens: false }).tokenVerifier, null);
+    });
+});
+
+console.log('✅ Tests JWKS prêts à être exécutés avec: node --test tests/jwks.test.js');
@@ -0,0 +1,190 @@
+/**
+ * Tests unitaires - Traitement NAPTR RFC 3403
+ *
+ * @run node --test tests/naptr.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseNaptrRegexp,
+    applyNaptrRegexp,
+    sortNaptrRecords,
+    processNaptrRecords,
+    selectNaptrService
+} from '../lib/naptr.js';
+import { parseNaptrText } from '../lib/dns-resolver.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { NaptrRecordError, NaptrNotFoundError } from '../lib/errors.js';
+import { startDohServer } from './helpers/dns-server.js';
+
+const GTIN = '00866997625752';
+
+/**
+ * Construit un enregistrement NAPTR terminal "u"
+ */
+function record(overrides = {}) {
+    return {
+        order: 100,
+        preference: 10,
+        flags: 'u',
+        service: 'GetTireBySgtin',
+        regexp: '!^.*$!https://api.example.com/tire!',
+        replacement: '.',
+        ttl: 3600,
+        ...overrides
+    };
+}
+
+describe('Regexp de substitution', () => {
+
+    it('applique la substitution à l\'AUS', () => {
+        assert.equal(applyNaptrRegexp('!^.*$!https://api.example.com/tire!', GTIN), 'https://api.example.com/tire');
+    });
+
+    it('développe les références arrière', () => {
+        assert.equal(
+            applyNaptrRegexp('!^0*([0-9]{6}).*$!https://api.example.com/\\1!', GTIN),
+            'https://api.example.com/866997'
+        );
+    });
+
+    it('accepte un autre délimiteur et ses échappements', () => {
+        assert.equal(applyNaptrRegexp('/^(.*)$/https:\\/\\/api.example.com\\/\\1/', GTIN), `https://api.example.com/${GTIN}`);
+        assert.equal(applyNaptrRegexp('#^.*$#https://api.example.com/tire#', GTIN), 'https://api.example.com/tire');
+    });
+
+    it('respecte le drapeau i', () => {
+        assert.equal(applyNaptrRegexp('!^ABC$!https://a.example.com!i', 'abc'), 'https://a.example.com');
+        assert.equal(applyNaptrRegexp('!^ABC$!https://a.example.com!', 'abc'), null);
+    });
+
+    it('rejette les délimiteurs interdits et les structures invalides', () => {
+        const codeOf = regexp => {
+            try {
+                parseNaptrRegexp(regexp);
+                return null;
+            } catch (error) {
+                assert.ok(error instanceof NaptrRecordError);
+                return error.details.diagnostic;
+            }
+        };
+
+        assert.equal(codeOf('1^.*$1https://a.example.com1'), 'INVALID_DELIMITER');
+        assert.equal(codeOf('\\^.*$\\x\\'), 'INVALID_DELIMITER');
+        assert.equal(codeOf('i^.*$ihttps://a.example.comi'), 'INVALID_DELIMITER');
+        assert.equal(codeOf('!^.*$!https://a.example.com'), 'MALFORMED_REGEXP');
+        assert.equal(codeOf('!^.*$!https://a.example.com!x'), 'MALFORMED_REGEXP');
+        assert.equal(codeOf('!(!https://a.example.com!'), 'INVALID_ERE');
+        assert.equal(codeOf('!^.*$!https://a.example.com/\\1!'), 'INVALID_BACKREFERENCE');
+        assert.equal(codeOf(''), 'INVALID_DELIMITER');
+    });
+});
+
+describe('Traitement des enregistrements', () => {
+
+    it('trie par order puis preference', () => {
+        const sorted = sortNaptrRecords([
+            record({ order: 200, preference: 1, service: 'C' }),
+            record({ order: 100, preference: 20, service: 'B' }),
+            record({ order: 100, preference: 10, service: 'A' })
+        ]);
+
+        assert.deepEqual(sorted.map(r => r.service), ['A', 'B', 'C']);
+    });
+
+    it('sélectionne le meilleur service selon order/preference', () => {
+        const { services } = processNaptrRecords([
+            record({ order: 200, regexp: '!^.*$!https://backup.example.com!' }),
+            record({ order: 100, preference: 50, regexp: '!^.*$!https://secondary.example.com!' }),
+            record({ order: 100, preference: 10, regexp: '!^.*$!https://primary.example.com!' })
+        ], { aus: GTIN });
+
+        assert.equal(selectNaptrService(services, 'GetTireBySgtin').url, 'https://primary.example.com');
+        assert.equal(services.length, 3);
+        assert.equal(selectNaptrService(services, 'Inconnu'), null);
+    });
+
+    it('produit des diagnostics au lieu d\'ignorer silencieusement', () => {
+        const { services, diagnostics } = processNaptrRecords([
+            record({ flags: '', regexp: '', replacement: 'next.example.org' }),
+            record({ flags: 's' }),
+            record({ regexp: '' }),
+            record({ replacement: 'other.example.org' }),
+            record({ regexp: '!^9.*$!https://a.example.com!' }),
+            record({ regexp: '!^.*$!pas une uri!' }),
+            record({ regexp: '1^.*$1x1' }),
+            record()
+        ], { aus: GTIN });
+
+        assert.equal(services.length, 1);
+        assert.deepEqual(diagnostics.map(d => d.code), [
+            'NON_TERMINAL',
+            'UNSUPPORTED_FLAGS',
+            'MISSING_REGEXP',
+            'REGEXP_AND_REPLACEMENT',
+            'NO_MATCH',
+            'NOT_A_URI',
+            'INVALID_DELIMITER'
+        ]);
+        assert.ok(diagnostics.every(d => d.record && d.message));
+    });
+
+    it('accepte le drapeau U en majuscule et conserve le TTL', () => {
+        const { services } = processNaptrRecords([record({ flags: 'U', ttl: 120 })], { aus: GTIN });
+        assert.equal(services[0].ttl, 120);
+    });
+
+    it('traite les enregistrements au format texte entre guillemets', () => {
+        const parsed = parseNaptrText('100 10 "u" "GetTireBySgtin" "!^.*$!https://api.example.com/tire!" .');
+        const { services } = processNaptrRecords([parsed], { aus: GTIN });
+
+        assert.equal(services[0].url, 'https://api.example.com/tire');
+    });
+});
+
+describe('resolveOns avec traitement RFC 3403', () => {
+    const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+    const INVALID_FQDN = '7.8.8.7.8.9.1.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [
+                record({ order: 200, regexp: '!^.*$!https://backup.example.com/tire!' }),
+                record({ order: 100, regexp: '!^.*$!https://primary.example.com/tire!' })
+            ],
+            [INVALID_FQDN]: [record({ regexp: 'x^.*$xhttps://a.example.com' })]
+        });
+    });
+    after(() => doh.close());
+
+    it('retient le service de plus petit order', async () => {
+        const service = new GdsoService({
+            verbose: false,
+            useCache: false,
+            resolvers: [{ type: 'doh-json', url: doh.jsonUrl }]
+        });
+
+        const ons = await service.resolveOns('urn:epc:id:sgtin:086699.0762575.63647563790');
+
+        assert.equal(ons.apiUrl, 'https://primary.example.com/tire');
+        assert.deepEqual(ons.services.map(s => s.order), [100, 200]);
+    });
+
+    it('joint les diagnostics à NaptrNotFoundError', async () => {
+        const service = new GdsoService({
+            verbose: false,
+            useCache: false,
+            resolvers: [{ type: 'doh-wire', url: doh.wireUrl }]
+        });
+
+        await assert.rejects(service.resolveOns('urn:epc:id:sgtin:0866991.098788.1'), error => {
+            assert.ok(error instanceof NaptrNotFoundError);
+            assert.equal(error.details.diagnostics[0].code, 'MALFORMED_REGEXP');
+            return true;
+        });
+    });
+});
+
+console.log('✅ Tests NAPTR prêts à être exécutés avec: node --test tests/naptr.test.js');
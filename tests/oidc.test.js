@@ -0,0 +1,287 @@
+/**
+ * Tests unitaires - OpenID Connect (authorization code + PKCE, loopback CLI, identité utilisateur)
+ * Fournisseur d'identité local (tests/helpers/oidc-server.js), aucun appel à Cognito
+ *
+ * @run node --test tests/oidc.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { OidcClient, generatePkce, decodeJwtPayload } from '../lib/oidc.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { OidcError, AuthenticationError } from '../lib/errors.js';
+import { startIdpServer } from './helpers/oidc-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const REDIRECT_URI = 'http://localhost:3000/auth/callback';
+
+/**
+ * Suit la redirection de /oauth2/authorize sans la suivre jusqu'au client
+ * @returns {Promise<URLSearchParams>} Paramètres renvoyés au redirect_uri
+ */
+async function authorize(url) {
+    const res = await fetch(url, { redirect: 'manual' });
+    return new URL(res.headers.get('location')).searchParams;
+}
+
+describe('PKCE', () => {
+
+    it('génère un code_challenge S256 du code_verifier', () => {
+        const { codeVerifier, codeChallenge, codeChallengeMethod } = generatePkce();
+
+        assert.equal(codeChallengeMethod, 'S256');
+        assert.ok(codeVerifier.length >= 43 && codeVerifier.length <= 128);
+        assert.match(codeVerifier, /^[A-Za-z0-9_-]+$/);
+        assert.equal(codeChallenge, createHash('sha256').update(codeVerifier).digest('base64url'));
+        assert.notEqual(generatePkce().codeVerifier, codeVerifier);
+    });
+
+    it('décode le payload JWT et ignore un token opaque', () => {
+        const token = `e30.${Buffer.from('{"sub":"abc"}').toString('base64url')}.`;
+
+        assert.deepEqual(decodeJwtPayload(token), { sub: 'abc' });
+        assert.equal(decodeJwtPayload('opaque'), null);
+    });
+});
+
+describe('OidcClient', () => {
+    let idp;
+
+    before(async () => {
+        idp = await startIdpServer({ clientSecret: 'secret' });
+    });
+    after(() => idp.close());
+
+    function createClient(options = {}) {
+        return new OidcClient({
+            cognito: { openIdConfig: idp.openIdConfig, authorizeUrl: undefined },
+            clientId: idp.clientId,
+            clientSecret: 'secret',
+            ...options
+        });
+    }
+
+    it('construit l\'URL d\'autorisation depuis la découverte', async () => {
+        const client = createClient();
+
+        const authorization = await client.createAuthorization({ redirectUri: REDIRECT_URI });
+        const url = new URL(authorization.url);
+
+        assert.equal(`${url.origin}${url.pathname}`, `${idp.url}/oauth2/authorize`);
+        assert.equal(url.searchParams.get('response_type'), 'code');
+        assert.equal(url.searchParams.get('client_id'), idp.clientId);
+        assert.equal(url.searchParams.get('redirect_uri'), REDIRECT_URI);
+        assert.equal(url.searchParams.get('scope'), 'openid');
+        assert.equal(url.searchParams.get('state'), authorization.state);
+        assert.equal(url.searchParams.get('code_challenge_method'), 'S256');
+        assert.equal(
+            url.searchParams.get('code_challenge'),
+            createHash('sha256').update(authorization.codeVerifier).digest('base64url')
+        );
+    });
+
+    it('ne relit pas le document de découverte', async () => {
+        const client = createClient();
+        const before = idp.requests.length;
+
+        await client.createAuthorization({ redirectUri: REDIRECT_URI });
+        await client.createAuthorization({ redirectUri: REDIRECT_URI });
+
+        assert.equal(idp.requests.length - before, 1);
+    });
+
+    it('utilise les endpoints Cognito du domaine sans openIdConfig', async () => {
+        const client = new OidcClient({ environment: 'testing' });
+        const endpoints = await client.discover();
+
+        assert.equal(endpoints.authorizationEndpoint, 'https://fuqzxw2k75c49t2fdn.auth.eu-central-1.amazoncognito.com/oauth2/authorize');
+        assert.equal(endpoints.tokenEndpoint, 'https://fuqzxw2k75c49t2fdn.auth.eu-central-1.amazoncognito.com/oauth2/token');
+        assert.equal(client.clientId, '64v14gunpd9hicf4ufk67tav8j');
+    });
+
+    it('échange le code avec le code_verifier', async () => {
+        const client = createClient();
+        const authorization = await client.createAuthorization({ redirectUri: REDIRECT_URI });
+        const params = await authorize(authorization.url);
+
+        assert.equal(params.get('state'), authorization.state);
+
+        const tokens = await client.exchangeCode({ ...authorization, code: params.get('code') });
+
+        assert.equal(tokens.username, 'mecanicien');
+        assert.equal(tokens.subject, 'sub-mecanicien');
+        assert.equal(tokens.refreshToken, 'refresh-token');
+        assert.equal(decodeJwtPayload(tokens.idToken).iss, idp.url);
+        assert.ok(tokens.expiry > Date.now() + 3500000);
+    });
+
+    it('rejette un code_verifier différent (PKCE)', async () => {
+        const client = createClient();
+        const authorization = await client.createAuthorization({ redirectUri: REDIRECT_URI });
+        const params = await authorize(authorization.url);
+
+        await assert.rejects(
+            client.exchangeCode({ ...authorization, code: params.get('code'), codeVerifier: generatePkce().codeVerifier }),
+            error => {
+                assert.ok(error instanceof OidcError);
+                assert.ok(error instanceof AuthenticationError);
+                assert.equal(error.details.error, 'invalid_grant');
+                return true;
+            }
+        );
+    });
+
+    it('rejette un secret client invalide', async () => {
+        const client = createClient({ clientSecret: 'autre' });
+        const authorization = await client.createAuthorization({ redirectUri: REDIRECT_URI });
+        const params = await authorize(authorization.url);
+
+        await assert.rejects(
+            client.exchangeCode({ ...authorization, code: params.get('code') }),
+            error => error instanceof OidcError && error.details.error === 'invalid_client'
+        );
+    });
+});
+
+describe('Connexion loopback (CLI)', () => {
+    let idp;
+
+    before(async () => {
+        idp = await startIdpServer();
+    });
+    after(() => idp.close());
+
+    function createClient() {
+        return new OidcClient({
+            cognito: { openIdConfig: idp.openIdConfig, authorizeUrl: undefined },
+            clientId: idp.clientId,
+            clientSecret: ''
+        });
+    }
+
+    it('reçoit la redirection sur localhost et retourne les tokens', async () => {
+        let page;
+        const tokens = await createClient().loginWithLoopback({
+            port: 0,
+            // Le "navigateur" suit la redirection du fournisseur vers le loopback
+            onAuthorizeUrl: url => {
+                page = fetch(url).then(res => res.text());
+            }
+        });
+
+        assert.equal(tokens.username, 'mecanicien');
+        assert.match(await page, /réussie/);
+    });
+
+    it('échoue si l\'utilisateur refuse la connexion', async () => {
+        idp.deny = true;
+        try {
+            await assert.rejects(
+                createClient().loginWithLoopback({ port: 0, onAuthorizeUrl: url => { fetch(url).catch(() => {}); } }),
+                error => error instanceof OidcError && error.details.error === 'access_denied'
+            );
+        } finally {
+            idp.deny = false;
+        }
+    });
+
+    it('rejette un retour dont le state ne correspond pas', async () => {
+        await assert.rejects(
+            createClient().loginWithLoopback({
+                port: 0,
+                onAuthorizeUrl: url => {
+                    const callback = new URL(new URL(url).searchParams.get('redirect_uri'));
+                    callback.search = 'code=forge&state=autre';
+                    fetch(callback).catch(() => {});
+                }
+            }),
+            error => error instanceof OidcError && error.details.error === 'invalid_state'
+        );
+    });
+
+    it('abandonne après le délai de connexion', async () => {
+        await assert.rejects(
+            createClient().loginWithLoopback({ port: 0, timeoutMs: 50, onAuthorizeUrl: () => {} }),
+            error => error instanceof OidcError && error.details.error === 'timeout'
+        );
+    });
+});
+
+describe('Identité utilisateur dans GdsoService', () => {
+
+    const userTokens = {
+        idToken: 'id-token-utilisateur',
+        accessToken: null,
+        refreshToken: null,
+        expiry: Date.now() + 3600000,
+        subject: 'sub-mecanicien',
+        username: 'mecanicien'
+    };
+
+    it('présente l\'ID token de l\'utilisateur sans compte de service', async () => {
+        const service = new GdsoService({ verbose: false, userTokens, username: undefined, password: undefined });
+
+        assert.equal(await service.authenticate(), 'id-token-utilisateur');
+    });
+
+    it('refuse une session expirée sans repli sur le compte de service', async () => {
+        const service = new GdsoService({
+            verbose: false,
+            username: 'flotte',
+            password: 'secret',
+            userTokens: { ...userTokens, expiry: Date.now() - 1000 }
+        });
+
+        await assert.rejects(service.authenticate(), error => {
+            assert.ok(error instanceof AuthenticationError);
+            assert.match(error.message, /mecanicien/);
+            return true;
+        });
+    });
+
+    it('forUser partage les caches de l\'instance partagée', () => {
+        const shared = createTestService({ environment: 'production' });
+        const user = shared.forUser(userTokens);
+
+        assert.equal(user.env, 'production');
+        assert.equal(user.userTokens, userTokens);
+        assert.equal(user.onsCache, shared.onsCache);
+        assert.equal(user.tireCache, shared.tireCache);
+        assert.equal(user.productCache, shared.productCache);
+        assert.equal(user.cacheScope, 'user:sub-mecanicien');
+        assert.equal(shared.userTokens, null);
+    });
+
+    it('forUser réutilise l\'instance de l\'utilisateur et son token le plus récent', () => {
+        const shared = createTestService();
+        const user = shared.forUser(userTokens);
+        const renewed = { ...userTokens, idToken: 'id-token-renouvele', expiry: userTokens.expiry + 60000 };
+
+        assert.equal(shared.forUser(renewed), user);
+        assert.equal(user.userTokens, renewed);
+        assert.equal(shared.forUser(userTokens).userTokens, renewed);
+        assert.notEqual(shared.forUser({ ...userTokens, subject: 'sub-autre' }), user);
+    });
+
+    it('ne mélange pas les données pneu de l\'utilisateur et du compte de service', async () => {
+        const urn = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+        const shared = createTestService({ offline: true });
+        const user = shared.forUser(userTokens);
+        shared._recordTire({
+            sgtin: urn,
+            manufacturer: 'Michelin',
+            gtin13: '0866997625752',
+            gtin14: '00866997625752',
+            gtinForm: 'GTIN-14',
+            apiUrl: null,
+            digitalLink: null,
+            data: { uii: urn, dotTin: { weekYear: '2524' } }
+        });
+
+        await assert.rejects(user.getTireInfo(urn), error => error.code === 'OFFLINE');
+        assert.equal((await shared.getTireInfo(urn)).source, 'cache');
+    });
+});
+
+console.log('✅ Tests OIDC prêts à être exécutés avec: node --test tests/oidc.test.js');
@@ -0,0 +1,165 @@
+/**
+ * Tests unitaires - Cache ONS (TTL NAPTR, cache négatif, statistiques)
+ *
+ * @run node --test tests/ons-cache.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { NaptrNotFoundError } from '../lib/errors.js';
+import { ONS_CACHE } from '../lib/config.js';
+import { startDnsServer, startDohServer, NEGATIVE_TTL } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+// GTIN-14 00866997625752 (Michelin), 04019238123456 (Continental, non enregistré)
+const MICHELIN_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const MICHELIN_GTIN14 = '00866997625752';
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const UNKNOWN_URN = 'urn:epc:id:sgtin:4019238.012345.987';
+const UNKNOWN_GTIN14 = '04019238123456';
+
+/**
+ * Zone avec un seul enregistrement GetTireBySgtin de TTL donné
+ */
+function zoneWithTtl(ttl) {
+    return {
+        [FQDN]: [{
+            order: 100,
+            preference: 10,
+            flags: 'u',
+            service: 'GetTireBySgtin',
+            regexp: '!^.*$!https://api.example.com/tire!',
+            replacement: '.',
+            ttl
+        }]
+    };
+}
+
+/**
+ * TTL restant (ms) d'une entrée du cache ONS
+ */
+function remainingTtl(service, gtin14) {
+    return service.onsCache.cache.get(gtin14).expiry - Date.now();
+}
+
+describe('TTL des entrées positives', () => {
+    const servers = [];
+
+    after(async () => {
+        for (const server of servers) await server.close();
+    });
+
+    async function startWithTtl(ttl) {
+        const doh = await startDohServer(zoneWithTtl(ttl));
+        servers.push(doh);
+        return doh;
+    }
+
+    it('suit le TTL de l\'enregistrement NAPTR', async () => {
+        const doh = await startWithTtl(120);
+        const service = createTestService({ resolverUrl: doh.wireUrl });
+
+        await service.resolveOns(MICHELIN_URN);
+
+        const ttl = remainingTtl(service, MICHELIN_GTIN14);
+        assert.ok(ttl > 115000 && ttl <= 120000, `TTL ${ttl}`);
+    });
+
+    it('borne le TTL par minTtlMs et maxTtlMs', async () => {
+        const short = createTestService({ resolverUrl: (await startWithTtl(1)).wireUrl });
+        const long = createTestService({
+            resolverUrl: (await startWithTtl(7 * 86400)).wireUrl,
+            cacheLimits: { maxTtlMs: 600000 }
+        });
+
+        await short.resolveOns(MICHELIN_URN);
+        await long.resolveOns(MICHELIN_URN);
+
+        assert.ok(remainingTtl(short, MICHELIN_GTIN14) > ONS_CACHE.minTtlMs - 5000);
+        assert.ok(remainingTtl(long, MICHELIN_GTIN14) <= 600000);
+    });
+
+    it('utilise cacheTtlMs quand le backend ne fournit pas de TTL', async () => {
+        const dns = await startDnsServer(zoneWithTtl(120));
+        servers.push(dns);
+        const service = createTestService({
+            cacheTtlMs: 1800000,
+            resolvers: [{ type: 'native', servers: dns.servers }]
+        });
+
+        await service.resolveOns(MICHELIN_URN);
+
+        assert.ok(remainingTtl(service, MICHELIN_GTIN14) > 1795000);
+    });
+
+    it('compte les hits et misses', async () => {
+        const doh = await startWithTtl(600);
+        const service = createTestService({ resolverUrl: doh.wireUrl });
+
+        await service.resolveOns(MICHELIN_URN);
+        await service.resolveOns('urn:epc:id:sgtin:086699.0762575.1');
+        await service.resolveOns('urn:epc:id:sgtin:086699.0762575.2');
+
+        const stats = service.getCacheStats();
+        assert.equal(stats.misses, 1);
+        assert.equal(stats.hits, 2);
+        assert.equal(stats.negativeHits, 0);
+        assert.equal(doh.requests.length, 1);
+    });
+});
+
+describe('Cache négatif', () => {
+    let doh;
+
+    before(async () => { doh = await startDohServer(zoneWithTtl(600)); });
+    after(() => doh.close());
+
+    it('met en cache NXDOMAIN sans nouvelle requête DNS', async () => {
+        const service = createTestService({ resolverUrl: doh.wireUrl });
+        const before = doh.requests.length;
+
+        await assert.rejects(service.resolveOns(UNKNOWN_URN), NaptrNotFoundError);
+        const afterFirst = doh.requests.length;
+
+        await assert.rejects(service.resolveOns(UNKNOWN_URN), error => {
+            assert.ok(error instanceof NaptrNotFoundError);
+            assert.equal(error.details.cached, true);
+            return true;
+        });
+
+        // GTIN-14 puis GTIN-13 interrogés une seule fois
+        assert.equal(afterFirst - before, 2);
+        assert.equal(doh.requests.length, afterFirst);
+
+        const stats = service.getCacheStats();
+        assert.equal(stats.negativeHits, 1);
+        assert.equal(stats.negativeEntries, 1);
+    });
+
+    it('utilise le TTL négatif du SOA, plafonné par negativeTtlMs', async () => {
+        const fromSoa = createTestService({ resolverUrl: doh.wireUrl });
+        const capped = createTestService({ resolverUrl: doh.wireUrl, cacheLimits: { negativeTtlMs: 10000 } });
+
+        await assert.rejects(fromSoa.resolveOns(UNKNOWN_URN), NaptrNotFoundError);
+        await assert.rejects(capped.resolveOns(UNKNOWN_URN), NaptrNotFoundError);
+
+        const soaTtl = remainingTtl(fromSoa, UNKNOWN_GTIN14);
+        assert.ok(soaTtl > (NEGATIVE_TTL - 5) * 1000 && soaTtl <= NEGATIVE_TTL * 1000, `TTL ${soaTtl}`);
+        assert.ok(remainingTtl(capped, UNKNOWN_GTIN14) <= 10000);
+    });
+
+    it('ne met pas en cache les erreurs de transport', async () => {
+        // 403: non retenté par withRetry
+        const blocked = await startDohServer(zoneWithTtl(600), { httpStatus: 403 });
+        const service = createTestService({ resolverUrl: blocked.wireUrl });
+
+        try {
+            await assert.rejects(service.resolveOns(UNKNOWN_URN));
+            assert.equal(service.onsCache.size, 0);
+        } finally {
+            await blocked.close();
+        }
+    });
+});
+
+console.log('✅ Tests ONS Cache prêts à être exécutés avec: node --test tests/ons-cache.test.js');
@@ -0,0 +1,175 @@
+/**
+ * Tests unitaires - Catalogue produit par GTIN (getProductByGtin, fusion dans les réponses)
+ * ONS via serveur DoH local, API fabricant simulée
+ *
+ * @run node --test tests/product-catalogue.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { SgtinParseError } from '../lib/errors.js';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const GTIN14 = '00866997625752';
+const GTIN13 = '0866997625752';
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const TIRE_A = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const TIRE_B = 'urn:epc:id:sgtin:086699.0762575.1';
+
+const PRODUCT = {
+    brandName: 'MICHELIN',
+    commercialName: 'X MULTI Z',
+    dimensions: { sectionWidth: 315, aspectRatio: 70, rimDiameter: 22.5 }
+};
+
+/**
+ * Réponse API simulée: product complet, ou seulement les champs du numéro de série
+ */
+function tireData(uii, withProduct = true) {
+    return {
+        uii,
+        dotTin: { weekYear: '2423' },
+        countryOfOrigin: 'FR',
+        ...(withProduct && { product: PRODUCT })
+    };
+}
+
+describe('Catalogue produit', () => {
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [{
+                order: 100,
+                preference: 10,
+                flags: 'u',
+                service: 'GetTireBySgtin',
+                regexp: '!^.*$!https://api.example.com/tire!',
+                replacement: '.',
+                ttl: 600
+            }]
+        });
+    });
+    after(() => doh.close());
+
+    function createService() {
+        return createTestService({ resolverUrl: doh.wireUrl });
+    }
+
+    it('alimente le catalogue et ne garde que les champs du numéro de série par pneu', async () => {
+        const service = createService();
+        mock.method(service, 'callManufacturerApi', async (url, sgtin) => tireData(sgtin));
+
+        const result = await service.getTireInfo(TIRE_A);
+
+        assert.deepEqual(result.data.product, PRODUCT);
+        assert.deepEqual(service.productCache.get(GTIN14).product, PRODUCT);
+        assert.equal(service.tireCache.get(TIRE_A).data.product, undefined);
+        assert.equal(service.tireCache.get(TIRE_A).data.countryOfOrigin, 'FR');
+    });
+
+    it('reconstitue le pneu en cache avec le produit du catalogue', async () => {
+        const service = createService();
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => tireData(sgtin));
+
+        await service.getTireInfo(TIRE_A);
+        const cached = await service.getTireInfo(TIRE_A);
+
+        assert.equal(api.mock.callCount(), 1);
+        assert.deepEqual(cached.data.product, PRODUCT);
+        assert.equal(cached.data.uii, TIRE_A);
+        assert.equal(cached.withProduct, undefined);
+    });
+
+    it('complète une réponse sans product depuis le catalogue', async () => {
+        const service = createService();
+        mock.method(service, 'callManufacturerApi', async (url, sgtin) => tireData(sgtin, sgtin === TIRE_A));
+
+        await service.getTireInfo(TIRE_A);
+        const result = await service.getTireInfo(TIRE_B);
+
+        assert.equal(result.data.uii, TIRE_B);
+        assert.deepEqual(result.data.product, PRODUCT);
+    });
+
+    it('rappelle l\'API si le produit a quitté le catalogue', async () => {
+        const service = createService();
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => tireData(sgtin));
+
+        await service.getTireInfo(TIRE_A);
+        service.productCache.delete(GTIN14);
+        const result = await service.getTireInfo(TIRE_A);
+
+        assert.equal(api.mock.callCount(), 2);
+        assert.deepEqual(result.data.product, PRODUCT);
+    });
+
+    it('complète les résultats batch depuis le catalogue', async () => {
+        const service = createService();
+        mock.method(service, 'callManufacturerApi', async (url, sgtin) => tireData(sgtin));
+        mock.method(service, 'callBatchApi', async (url, sgtins) => sgtins.map(uii => tireData(uii, false)));
+
+        await service.getTireInfo(TIRE_A);
+        const results = await service.getTireInfoBatch([
+            TIRE_B,
+            'urn:epc:id:sgtin:086699.0762575.2'
+        ]);
+
+        assert.equal(results.length, 2);
+        assert.ok(results.every(r => r.data.product.brandName === 'MICHELIN'));
+    });
+});
+
+describe('getProductByGtin', () => {
+
+    it('répond depuis le catalogue par GTIN-13 ou GTIN-14', async () => {
+        const service = createTestService();
+        service.productCache.set(GTIN14, { product: PRODUCT, manufacturer: 'Michelin', fetchedAt: '2026-01-01T00:00:00.000Z' });
+
+        const by13 = await service.getProductByGtin(GTIN13);
+        const by14 = await service.getProductByGtin(GTIN14);
+
+        assert.deepEqual(by13, by14);
+        assert.equal(by13.gtin14, GTIN14);
+        assert.equal(by13.gtin13, GTIN13);
+        assert.equal(by13.manufacturer, 'Michelin');
+        assert.deepEqual(by13.product, PRODUCT);
+    });
+
+    it('retourne null pour un GTIN inconnu sans SGTIN', async () => {
+        assert.equal(await createTestService().getProductByGtin(GTIN13), null);
+    });
+
+    it('interroge l\'API via le SGTIN fourni', async () => {
+        const service = createTestService();
+        const tire = mock.method(service, 'getTireInfo', async sgtin => ({
+            sgtin,
+            manufacturer: 'Michelin',
+            gtin14: GTIN14,
+            data: tireData(sgtin),
+            stale: false,
+            fetchedAt: new Date().toISOString()
+        }));
+
+        const result = await service.getProductByGtin(GTIN13, { sgtin: TIRE_A });
+
+        assert.equal(tire.mock.callCount(), 1);
+        assert.deepEqual(result.product, PRODUCT);
+        assert.ok(result.fetchedAt);
+        assert.equal(result.stale, false);
+    });
+
+    it('rejette un GTIN invalide ou un SGTIN d\'un autre GTIN', async () => {
+        const service = createTestService();
+
+        await assert.rejects(service.getProductByGtin('0866997625753'), SgtinParseError);
+        await assert.rejects(service.getProductByGtin('12345'), SgtinParseError);
+        await assert.rejects(
+            service.getProductByGtin(GTIN13, { sgtin: 'urn:epc:id:sgtin:086699.0988229.1' }),
+            SgtinParseError
+        );
+    });
+});
+
+console.log('✅ Tests Product Catalogue prêts à être exécutés avec: node --test tests/product-catalogue.test.js');
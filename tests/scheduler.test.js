@@ -0,0 +1,194 @@
+/**
+ * Tests unitaires - Ordonnanceur des batchs (concurrence globale et par fabricant)
+ * ONS et API fabricant simulés, aucun appel réseau
+ *
+ * @run node --test tests/scheduler.test.js
+ */
+
+import { describe, it, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { TaskScheduler } from '../lib/scheduler.js';
+import { getManufacturerConfig } from '../lib/manufacturers.js';
+import { parseSgtin, sgtinToGtin14 } from '../lib/sgtin.js';
+import { BATCH } from '../lib/config.js';
+import { AuthenticationError, DnsResolutionError } from '../lib/errors.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+/**
+ * Tâche qui se termine quand le test la libère
+ */
+function deferred() {
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    return { promise, resolve };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('TaskScheduler', () => {
+
+    it('borne les tâches simultanées au total et par clé', async () => {
+        const scheduler = new TaskScheduler({ concurrency: 3, perKeyConcurrency: 2 });
+        const gates = Array.from({ length: 5 }, deferred);
+        const started = [];
+        const run = (key, i) => scheduler.run(key, () => {
+            started.push(i);
+            return gates[i].promise.then(() => i);
+        });
+
+        const results = Promise.all([run('a', 0), run('a', 1), run('a', 2), run('b', 3), run(null, 4)]);
+        await tick();
+
+        // Clé a saturée: la tâche 3 (clé b) passe devant la 2
+        assert.deepEqual(started, [0, 1, 3]);
+        assert.equal(scheduler.active, 3);
+        assert.equal(scheduler.pending, 2);
+
+        gates[0].resolve();
+        await tick();
+        assert.deepEqual(started, [0, 1, 3, 2]);
+
+        gates.forEach(gate => gate.resolve());
+        assert.deepEqual(await results, [0, 1, 2, 3, 4]);
+        assert.equal(scheduler.active, 0);
+    });
+
+    it('propage l\'erreur d\'une tâche et libère sa place', async () => {
+        const scheduler = new TaskScheduler({ concurrency: 1 });
+
+        await assert.rejects(scheduler.run('a', async () => { throw new Error('échec'); }), /échec/);
+        assert.equal(await scheduler.run('a', async () => 'ok'), 'ok');
+        assert.equal(scheduler.active, 0);
+    });
+
+    it('lit ses limites dans l\'environnement', () => {
+        const saved = [process.env.GDSO_BATCH_CONCURRENCY, process.env.GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER];
+        process.env.GDSO_BATCH_CONCURRENCY = '4';
+        process.env.GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER = 'x';
+        try {
+            const scheduler = new TaskScheduler();
+            assert.equal(scheduler.concurrency, 4);
+            assert.equal(scheduler.perKeyConcurrency, BATCH.perManufacturer);
+            assert.equal(new TaskScheduler({ concurrency: 1, perKeyConcurrency: 5 }).perKeyConcurrency, 1);
+        } finally {
+            ['GDSO_BATCH_CONCURRENCY', 'GDSO_BATCH_CONCURRENCY_PER_MANUFACTURER'].forEach((name, i) => {
+                if (saved[i] === undefined) delete process.env[name];
+                else process.env[name] = saved[i];
+            });
+        }
+    });
+});
+
+describe('GdsoService: batch ordonnancé', () => {
+    const MICHELIN = ['urn:epc:id:sgtin:086699.0762575.1', 'urn:epc:id:sgtin:086699.0762575.2'];
+    const CONTINENTAL = 'urn:epc:id:sgtin:4019238.012345.42';
+    const OTHER = ['urn:epc:id:sgtin:1234567.012345.1', 'urn:epc:id:sgtin:1234567.012345.2'];
+
+    /**
+     * Service dont l'ONS et les API répondent après un délai propre à chaque fabricant
+     * @param {Object} [options] - Options du service
+     */
+    function createService(options = {}) {
+        const service = createTestService({ useCache: false, ...options });
+        const delays = { '086699': 30, 4019238: 5, 1234567: 15 };
+        const inflight = { total: 0, max: 0, byManufacturer: {} };
+
+        mock.method(service, 'resolveOns', async urn => {
+            const parsed = parseSgtin(urn);
+            return {
+                apiUrl: `https://api.example.com/${parsed.companyPrefix}`,
+                manufacturer: getManufacturerConfig(parsed.companyPrefix),
+                gtin13: null,
+                gtin14: sgtinToGtin14(parsed),
+                gtinForm: 'gtin14'
+            };
+        });
+
+        const track = async (manufacturer, prefix, fn) => {
+            const counts = inflight.byManufacturer[manufacturer.name] ??= { current: 0, max: 0 };
+            inflight.total++;
+            counts.current++;
+            inflight.max = Math.max(inflight.max, inflight.total);
+            counts.max = Math.max(counts.max, counts.current);
+            await new Promise(resolve => setTimeout(resolve, delays[prefix]));
+            inflight.total--;
+            counts.current--;
+            return fn();
+        };
+        const api = mock.method(service, 'callManufacturerApi', (url, sgtin, manufacturer) =>
+            track(manufacturer, parseSgtin(sgtin).companyPrefix, () => ({ uii: sgtin })));
+        // Réponse batch vide: chaque UII repasse en appel unitaire
+        mock.method(service, 'callBatchApi', (url, sgtins, manufacturer) =>
+            track(manufacturer, parseSgtin(sgtins[0]).companyPrefix, () => []));
+
+        return { service, api, inflight };
+    }
+
+    it('interroge les fabricants en parallèle et conserve l\'ordre d\'entrée', async () => {
+        const { service, inflight } = createService();
+        const input = [MICHELIN[0], 'invalide', CONTINENTAL, MICHELIN[1], OTHER[0], OTHER[1], MICHELIN[0]];
+
+        const results = await service.getTireInfoBatch(input);
+
+        assert.deepEqual(results.map(r => r.sgtin), [MICHELIN[0], 'invalide', CONTINENTAL, MICHELIN[1], OTHER[0], OTHER[1], MICHELIN[0]]);
+        assert.equal(results[1].error, 'INVALID_SGTIN');
+        assert.ok(results.filter(r => !r.error).every(r => r.data.uii === r.sgtin && r.source === 'network'));
+        assert.ok(inflight.max > 2, `appels simultanés: ${inflight.max}`);
+    });
+
+    it('respecte les limites globale et par fabricant', async () => {
+        const { service, api, inflight } = createService({ batchConcurrency: 3, manufacturerConcurrency: 1 });
+        const michelin = Array.from({ length: 6 }, (_, i) => `urn:epc:id:sgtin:086699.0762575.${i + 10}`);
+
+        await service.getTireInfoBatch([...michelin, CONTINENTAL, ...OTHER]);
+
+        assert.equal(api.mock.callCount(), 9);
+        assert.ok(inflight.max <= 3);
+        assert.ok(Object.values(inflight.byManufacturer).every(counts => counts.max === 1));
+    });
+
+    it('signale la progression de chaque élément', async () => {
+        const { service } = createService();
+        const progress = [];
+
+        const results = await service.getTireInfoBatch([MICHELIN[0], 'invalide', CONTINENTAL, MICHELIN[0]], {
+            onProgress: event => progress.push(event)
+        });
+
+        assert.deepEqual(progress.map(p => p.completed), [1, 2, 3, 4]);
+        assert.ok(progress.every(p => p.total === 4 && results[p.index] === p.result));
+        assert.equal(progress[0].index, 1, 'erreur de parsing signalée immédiatement');
+        assert.deepEqual(progress.map(p => p.index).sort(), [0, 1, 2, 3]);
+    });
+
+    it('rapporte l\'échec d\'un fabricant par élément, sans faire échouer le batch', async () => {
+        const { service, api } = createService();
+        const resolveOns = service.resolveOns;
+        mock.method(service, 'resolveOns', async urn => {
+            if (parseSgtin(urn).companyPrefix === '1234567') throw new DnsResolutionError('fqdn', 'SERVFAIL');
+            return resolveOns(urn);
+        });
+        api.mock.mockImplementation(async (url, sgtin) => {
+            if (sgtin === CONTINENTAL) throw new AuthenticationError('session expirée', 401, 'testing');
+            return { uii: sgtin };
+        });
+        const progress = [];
+
+        const results = await service.getTireInfoBatch([...MICHELIN, CONTINENTAL, OTHER[0]], {
+            onProgress: event => progress.push(event)
+        });
+
+        assert.deepEqual(results.map(r => r.error), [undefined, undefined, 'AUTH_ERROR', 'DNS_RESOLUTION_ERROR']);
+        assert.equal(results[2].manufacturer, 'Continental');
+        assert.match(results[3].errorMessage, /SERVFAIL/);
+        assert.equal(progress.length, 4);
+    });
+
+    it('partage l\'ordonnanceur avec les instances utilisateur', () => {
+        const service = createTestService();
+
+        assert.equal(service.forUser({ idToken: 'x', expiry: Date.now() + 60000 }).scheduler, service.scheduler);
+    });
+});
+
+console.log('✅ Tests Scheduler prêts à être exécutés avec: node --test tests/scheduler.test.js');
@@ -0,0 +1,112 @@
+/**
+ * Tests unitaires - Tables indice de charge / symbole de vitesse
+ *
+ * @run node --test tests/service-description.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    LOAD_INDEX_KG,
+    SPEED_SYMBOL_KMH,
+    loadIndexToKg,
+    speedSymbolToKmh,
+    describeServiceDescription,
+    formatServiceDescription
+} from '../lib/service-description.js';
+import { parseTireSize } from '../lib/tire-size.js';
+
+describe('Indice de charge → kg', () => {
+
+    it('couvre les indices 0 à 279', () => {
+        assert.equal(LOAD_INDEX_KG.length, 280);
+        assert.equal(loadIndexToKg(0), 45);
+        assert.equal(loadIndexToKg(279), 136000);
+    });
+
+    it('retourne les valeurs ETRTO de référence', () => {
+        assert.equal(loadIndexToKg(1), 46.2);
+        assert.equal(loadIndexToKg(91), 615);
+        assert.equal(loadIndexToKg(100), 800);
+        assert.equal(loadIndexToKg(115), 1215);
+        assert.equal(loadIndexToKg(154), 3750);
+        assert.equal(loadIndexToKg(160), 4500);
+        assert.equal(loadIndexToKg('156'), 4000);
+    });
+
+    it('est strictement croissante', () => {
+        for (let i = 1; i < LOAD_INDEX_KG.length; i++) {
+            assert.ok(LOAD_INDEX_KG[i] > LOAD_INDEX_KG[i - 1], `indice ${i}`);
+        }
+    });
+
+    it('retourne null hors table', () => {
+        assert.equal(loadIndexToKg(280), null);
+        assert.equal(loadIndexToKg(-1), null);
+        assert.equal(loadIndexToKg(91.5), null);
+        assert.equal(loadIndexToKg('abc'), null);
+    });
+});
+
+describe('Symbole de vitesse → km/h', () => {
+
+    it('retourne les vitesses de référence', () => {
+        assert.equal(speedSymbolToKmh('A8'), 40);
+        assert.equal(speedSymbolToKmh('J'), 100);
+        assert.equal(speedSymbolToKmh('L'), 120);
+        assert.equal(speedSymbolToKmh('H'), 210);
+        assert.equal(speedSymbolToKmh('v'), 240);
+        assert.equal(speedSymbolToKmh('(Y)'), 300);
+    });
+
+    it('retourne null pour un symbole inconnu', () => {
+        assert.equal(speedSymbolToKmh('I'), null);
+        assert.equal(speedSymbolToKmh('Z'), null);
+        assert.equal(speedSymbolToKmh(null), null);
+        assert.equal(Object.isFrozen(SPEED_SYMBOL_KMH), true);
+    });
+});
+
+describe('Description de service', () => {
+
+    it('enrichit monte simple, jumelée et vitesse', () => {
+        assert.deepEqual(describeServiceDescription({ loadIndex: 156, loadIndexDual: 150, speedSymbol: 'K' }), {
+            loadIndex: 156,
+            loadKg: 4000,
+            loadIndexDual: 150,
+            loadKgDual: 3350,
+            speedSymbol: 'K',
+            speedKmh: 110,
+            speedAbove: false
+        });
+    });
+
+    it('signale (Y) comme vitesse minimale', () => {
+        const result = describeServiceDescription({ loadIndex: 93, speedSymbol: '(Y)' });
+        assert.equal(result.speedKmh, 300);
+        assert.equal(result.speedAbove, true);
+        assert.equal(result.loadKgDual, null);
+    });
+
+    it('enrichit la description de service supplémentaire parsée', () => {
+        const size = parseTireSize('315/70R22.5 154L152M');
+        const supplementary = describeServiceDescription(size.supplementary);
+
+        assert.equal(describeServiceDescription(size).loadKg, 3750);
+        assert.equal(supplementary.loadKg, 3550);
+        assert.equal(supplementary.speedKmh, 130);
+    });
+
+    it('retourne null sans charge ni vitesse', () => {
+        assert.equal(describeServiceDescription(null), null);
+        assert.equal(describeServiceDescription({}), null);
+    });
+
+    it('formate la description de service', () => {
+        assert.equal(formatServiceDescription({ loadIndex: 154, loadIndexDual: 150, speedSymbol: 'K' }), '154/150K');
+        assert.equal(formatServiceDescription({ loadIndex: 152, speedSymbol: 'M' }), '152M');
+        assert.equal(formatServiceDescription(null), null);
+    });
+});
+
+console.log('✅ Tests Service Description prêts à être exécutés avec: node --test tests/service-description.test.js');
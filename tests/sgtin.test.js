@@ -5,14 +5,18 @@
  * @run node --test tests/sgtin.test.js
  */
 
-import { describe, it } from 'node:test';
+import { describe, it, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { GdsoService } from '../lib/gdso-service.js';
-import { SgtinParseError } from '../lib/errors.js';
+import { SgtinParseError, NaptrNotFoundError } from '../lib/errors.js';
+import { decodeSgtin96, encodeSgtin96, isSgtin96Hex, normalizeGtin } from '../lib/sgtin.js';
 
 // Instance sans logs pour les tests
 const service = new GdsoService({ verbose: false });
 
+// Backend DoH JSON seul: les tests ONS de ce fichier simulent fetch
+const DOH_JSON = [{ type: 'doh-json', url: 'https://dns.google/resolve' }];
+
 describe('SGTIN Parsing', () => {
 
     it('parse un SGTIN Michelin valide', () => {
@@ -54,6 +58,134 @@ describe('SGTIN Parsing', () => {
     });
 });
 
+describe('Tag URI et serials alphanumériques', () => {
+
+    it('normalise un tag URI SGTIN-96 vers l\'URN pure identity', () => {
+        const result = service.parseSgtin('urn:epc:tag:sgtin-96:1.086699.0762575.63647563790');
+
+        assert.equal(result.urn, 'urn:epc:id:sgtin:086699.0762575.63647563790');
+        assert.equal(result.filter, 1);
+        assert.equal(result.scheme, 'sgtin-96');
+        assert.equal(result.format, 'tag-uri');
+    });
+
+    it('accepte un tag URI SGTIN-198 avec serial alphanumérique', () => {
+        const result = service.parseSgtin('urn:epc:tag:sgtin-198:3.086699.0762575.AB-12.c');
+
+        assert.equal(result.urn, 'urn:epc:id:sgtin:086699.0762575.AB-12.c');
+        assert.equal(result.serialNumber, 'AB-12.c');
+        assert.equal(result.filter, 3);
+    });
+
+    it('accepte un serial avec échappements et les normalise en majuscules', () => {
+        const result = service.parseSgtin('urn:epc:id:sgtin:086699.0762575.A%2fB');
+        assert.equal(result.urn, 'urn:epc:id:sgtin:086699.0762575.A%2FB');
+    });
+
+    it('rejette un tag URI SGTIN-96 avec serial non numérique', () => {
+        assert.throws(
+            () => service.parseSgtin('urn:epc:tag:sgtin-96:1.086699.0762575.ABC'),
+            SgtinParseError
+        );
+    });
+
+    it('rejette les caractères hors GS3A3 et les serials trop longs', () => {
+        assert.throws(() => service.parseSgtin('urn:epc:id:sgtin:086699.0762575.A B'), SgtinParseError);
+        assert.throws(() => service.parseSgtin('urn:epc:id:sgtin:086699.0762575.A%20'), SgtinParseError);
+        assert.throws(() => service.parseSgtin(`urn:epc:id:sgtin:086699.0762575.${'9'.repeat(21)}`), SgtinParseError);
+    });
+
+    it('retourne une erreur par élément dans un batch', async () => {
+        const results = await service.getTireInfoBatch(['invalid', 'urn:epc:id:sgtin:abc']);
+
+        assert.equal(results.length, 2);
+        assert.equal(results[0].sgtin, 'invalid');
+        assert.equal(results[0].error, 'INVALID_SGTIN');
+        assert.equal(results[0].data, null);
+    });
+});
+
+describe('SGTIN-96 Binary Decoding', () => {
+
+    it('décode un EPC SGTIN-96 hexadécimal (exemple GS1 TDS)', () => {
+        const result = decodeSgtin96('3034257BF7194E4000001A85');
+
+        assert.equal(result.filter, 1);
+        assert.equal(result.companyPrefix, '0614141');
+        assert.equal(result.indicatorItemRef, '812345');
+        assert.equal(result.serialNumber, '6789');
+        assert.equal(result.urn, 'urn:epc:id:sgtin:0614141.812345.6789');
+        assert.equal(result.format, 'epc-hex');
+    });
+
+    it('accepte les minuscules et normalise epcHex', () => {
+        const result = decodeSgtin96('3034257bf7194e4000001a85');
+        assert.equal(result.epcHex, '3034257BF7194E4000001A85');
+    });
+
+    it('parseSgtin accepte un EPC hexadécimal', () => {
+        const result = service.parseSgtin('3034257BF7194E4000001A85');
+        assert.equal(result.urn, 'urn:epc:id:sgtin:0614141.812345.6789');
+    });
+
+    it('détecte les EPC hexadécimaux', () => {
+        assert.equal(isSgtin96Hex('3034257BF7194E4000001A85'), true);
+        assert.equal(isSgtin96Hex('3034257BF7194E4000001A8'), false);
+        assert.equal(isSgtin96Hex('urn:epc:id:sgtin:086699.0988229.1'), false);
+    });
+
+    it('rejette un header autre que SGTIN-96', () => {
+        // Header 0x35 = GID-96
+        assert.throws(() => decodeSgtin96('3534257BF7194E4000001A85'), SgtinParseError);
+    });
+
+    it('rejette une valeur de partition invalide', () => {
+        // Partition 7 (bits 11-13 à 111)
+        assert.throws(() => decodeSgtin96('303C257BF7194E4000001A85'), SgtinParseError);
+    });
+});
+
+describe('SGTIN-96 Binary Encoding', () => {
+
+    it('encode une URN en EPC hex et tag URI (exemple GS1 TDS)', () => {
+        const result = encodeSgtin96('urn:epc:id:sgtin:0614141.812345.6789', 1);
+
+        assert.equal(result.hex, '3034257BF7194E4000001A85');
+        assert.equal(result.tagUri, 'urn:epc:tag:sgtin-96:1.0614141.812345.6789');
+        assert.equal(result.partition, 5);
+    });
+
+    it('fait un aller-retour encodage/décodage', () => {
+        const urn = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+        const encoded = encodeSgtin96(urn, 3);
+        const decoded = decodeSgtin96(encoded.hex);
+
+        assert.equal(decoded.urn, urn);
+        assert.equal(decoded.filter, 3);
+    });
+
+    it('rejette un serial au-delà de 38 bits', () => {
+        assert.throws(
+            () => encodeSgtin96('urn:epc:id:sgtin:086699.0762575.274877906944'),
+            /38 bits/
+        );
+        // 2^38 - 1 est la valeur max acceptée
+        assert.doesNotThrow(() => encodeSgtin96('urn:epc:id:sgtin:086699.0762575.274877906943'));
+    });
+
+    it('rejette les longueurs incompatibles avec la table de partition', () => {
+        // Company prefix de 5 chiffres: aucune partition
+        assert.throws(() => encodeSgtin96('urn:epc:id:sgtin:08669.07625750.1'), SgtinParseError);
+        // Company prefix 6 chiffres + item ref 6 chiffres (7 attendus)
+        assert.throws(() => encodeSgtin96('urn:epc:id:sgtin:086699.076257.1'), /partition 6/);
+    });
+
+    it('rejette un serial avec zéros non significatifs ou un filtre invalide', () => {
+        assert.throws(() => encodeSgtin96('urn:epc:id:sgtin:086699.0762575.0123'), SgtinParseError);
+        assert.throws(() => encodeSgtin96('urn:epc:id:sgtin:086699.0762575.123', 8), SgtinParseError);
+    });
+});
+
 describe('Check Digit Calculation', () => {
 
     it('calcule le check digit pour un GTIN-13 Michelin', () => {
@@ -103,6 +235,73 @@ describe('SGTIN to GTIN-13 Conversion', () => {
     });
 });
 
+describe('GTIN-14 et indicator digit', () => {
+
+    it('calcule le GTIN-14 avec indicator 0 et le GTIN-13 correspondant', () => {
+        const parsed = service.parseSgtin('urn:epc:id:sgtin:086699.0988229.72916502389');
+
+        assert.equal(service.sgtinToGtin14(parsed), '00866999882290');
+        assert.equal(service.sgtinToGtin13(parsed), '0866999882290');
+    });
+
+    it('ne produit pas de GTIN-13 quand l\'indicator digit est 1-9', () => {
+        const parsed = service.parseSgtin('urn:epc:id:sgtin:086699.1988229.72916502389');
+        const gtin14 = service.sgtinToGtin14(parsed);
+
+        assert.equal(gtin14.length, 14);
+        assert.equal(gtin14.substring(0, 13), '1086699988229');
+        assert.equal(service.sgtinToGtin13(parsed), null);
+    });
+
+    it('normalise un GTIN-8/12/13 en GTIN-14 après contrôle du check digit', () => {
+        assert.equal(normalizeGtin('0866999882290'), '00866999882290');
+        assert.equal(normalizeGtin('00866999882290'), '00866999882290');
+        assert.throws(() => normalizeGtin('0866999882291'), SgtinParseError);
+        assert.throws(() => normalizeGtin('86699988229'), SgtinParseError);
+    });
+
+    it('résout l\'ONS via GTIN-14 puis replie sur GTIN-13', async () => {
+        const queried = [];
+        const fetchMock = mock.method(globalThis, 'fetch', async (url) => {
+            const name = new URL(url).searchParams.get('name');
+            queried.push(name);
+            // Seul le FQDN GTIN-13 (13 chiffres) a un enregistrement
+            const answer = name.split('.').length === 13 + 6
+                ? [{ data: '0 0 u GetTireBySgtin !^.*$!https://api.example.com/tire! .' }]
+                : [];
+            return new Response(JSON.stringify({ Status: 0, Answer: answer }));
+        });
+
+        try {
+            const ons = await new GdsoService({ verbose: false, useCache: false, resolvers: DOH_JSON })
+                .resolveOns('urn:epc:id:sgtin:086699.0988229.72916502389');
+
+            assert.equal(queried.length, 2);
+            assert.ok(queried[0].startsWith('0.9.2.2.8.8.9.9.9.6.6.8.0.0.'));
+            assert.equal(ons.gtinForm, 'GTIN-13');
+            assert.equal(ons.apiUrl, 'https://api.example.com/tire');
+        } finally {
+            fetchMock.mock.restore();
+        }
+    });
+
+    it('ne replie pas sur GTIN-13 quand l\'indicator digit est 1-9', async () => {
+        const fetchMock = mock.method(globalThis, 'fetch', async () =>
+            new Response(JSON.stringify({ Status: 3 })));
+
+        try {
+            await assert.rejects(
+                new GdsoService({ verbose: false, useCache: false, resolvers: DOH_JSON })
+                    .resolveOns('urn:epc:id:sgtin:086699.1988229.72916502389'),
+                NaptrNotFoundError
+            );
+            assert.equal(fetchMock.mock.callCount(), 1);
+        } finally {
+            fetchMock.mock.restore();
+        }
+    });
+});
+
 describe('GTIN to FQDN Conversion', () => {
 
     it('convertit un GTIN-13 en FQDN testing', () => {
@@ -0,0 +1,213 @@
+/**
+ * Tests unitaires - Stale-while-revalidate et mode hors ligne
+ * ONS via serveur DoH local, API fabricant simulée
+ *
+ * @run node --test tests/stale-cache.test.js
+ */
+
+import { describe, it, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { GdsoService } from '../lib/gdso-service.js';
+import { OfflineError, AuthenticationError } from '../lib/errors.js';
+import { TIRE_CACHE } from '../lib/config.js';
+import { startDohServer } from './helpers/dns-server.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const FQDN = '2.5.7.5.2.6.7.9.9.6.6.8.0.0.gtin.gs1.id.testing.gdso.org';
+const GTIN14 = '00866997625752';
+const TIRE_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const OTHER_URN = 'urn:epc:id:sgtin:086699.0762575.1';
+
+/**
+ * Vieillit l'entrée en cache d'un pneu au-delà de sa fraîcheur
+ */
+function ageTire(service, urn) {
+    const old = new Date(Date.now() - TIRE_CACHE.ttlMs - 60000).toISOString();
+    service.tireCache.get(urn).fetchedAt = old;
+    return old;
+}
+
+describe('Stale-while-revalidate', () => {
+    let doh;
+
+    before(async () => {
+        doh = await startDohServer({
+            [FQDN]: [{
+                order: 100,
+                preference: 10,
+                flags: 'u',
+                service: 'GetTireBySgtin',
+                regexp: '!^.*$!https://api.example.com/tire!',
+                replacement: '.',
+                ttl: 600
+            }]
+        });
+    });
+    after(() => doh.close());
+
+    function createService(options = {}) {
+        return createTestService({ resolverUrl: doh.wireUrl, ...options });
+    }
+
+    it('date les réponses réseau', async () => {
+        const service = createService();
+        mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin, version: 1 }));
+
+        const result = await service.getTireInfo(TIRE_URN);
+
+        assert.equal(result.stale, false);
+        assert.ok(Date.now() - Date.parse(result.fetchedAt) < 5000);
+        assert.equal((await service.getTireInfo(TIRE_URN)).fetchedAt, result.fetchedAt);
+    });
+
+    it('sert la donnée périmée puis la rafraîchit en arrière-plan', async () => {
+        const service = createService();
+        let version = 0;
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin, version: ++version }));
+
+        await service.getTireInfo(TIRE_URN);
+        const old = ageTire(service, TIRE_URN);
+
+        const stale = await service.getTireInfo(TIRE_URN);
+
+        assert.equal(stale.stale, true);
+        assert.equal(stale.fetchedAt, old);
+        assert.equal(stale.data.version, 1);
+
+        await service._inflight.tires.get(TIRE_URN);
+        const refreshed = await service.getTireInfo(TIRE_URN);
+
+        assert.equal(api.mock.callCount(), 2);
+        assert.equal(refreshed.stale, false);
+        assert.equal(refreshed.data.version, 2);
+    });
+
+    it('conserve la dernière donnée connue si l\'authentification est en panne', async () => {
+        const service = createService();
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin }));
+
+        await service.getTireInfo(TIRE_URN);
+        const old = ageTire(service, TIRE_URN);
+        api.mock.mockImplementation(async () => {
+            throw new AuthenticationError('service indisponible', 503, 'testing');
+        });
+
+        await service.getTireInfo(TIRE_URN);
+        await assert.rejects(service._inflight.tires.get(TIRE_URN), AuthenticationError);
+
+        const result = await service.getTireInfo(TIRE_URN);
+        assert.equal(result.stale, true);
+        assert.equal(result.fetchedAt, old);
+        assert.equal(result.data.uii, TIRE_URN);
+    });
+
+    it('ne remplace pas la donnée connue par une réponse sans données', async () => {
+        const service = createService();
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin }));
+
+        await service.getTireInfo(TIRE_URN);
+        ageTire(service, TIRE_URN);
+        api.mock.mockImplementation(async () => null);
+
+        await service.getTireInfo(TIRE_URN);
+        await service._inflight.tires.get(TIRE_URN);
+
+        assert.deepEqual((await service.getTireInfo(TIRE_URN)).data, { uii: TIRE_URN });
+    });
+
+    it('rafraîchit un produit périmé via le SGTIN qui l\'a fourni', async () => {
+        const service = createService();
+        const api = mock.method(service, 'callManufacturerApi', async (url, sgtin) => ({ uii: sgtin, product: { brandName: 'MICHELIN' } }));
+
+        await service.getTireInfo(TIRE_URN);
+        service.productCache.get(GTIN14).fetchedAt = '2020-01-01T00:00:00.000Z';
+
+        const product = await service.getProductByGtin(GTIN14);
+        assert.equal(product.stale, true);
+
+        await service._inflight.tires.get(TIRE_URN);
+        assert.equal(api.mock.callCount(), 2);
+        assert.equal((await service.getProductByGtin(GTIN14)).stale, false);
+    });
+});
+
+describe('Mode hors ligne', () => {
+
+    function createService(options = {}) {
+        return createTestService({ offline: true, ...options });
+    }
+
+    /**
+     * Pré-remplit le cache comme après un appel réseau
+     */
+    function seed(service, urn, fetchedAt) {
+        service.tireCache.set(urn, {
+            sgtin: urn,
+            manufacturer: 'Michelin',
+            gtin13: '0866997625752',
+            gtin14: GTIN14,
+            gtinForm: 'GTIN-14',
+            apiUrl: 'https://api.example.com/tire',
+            digitalLink: null,
+            data: { uii: urn },
+            fetchedAt,
+            withProduct: false
+        });
+    }
+
+    it('sert le cache, même périmé, sans aucun appel réseau', async () => {
+        const service = createService();
+        const fetchMock = mock.method(globalThis, 'fetch', async () => {
+            throw new Error('réseau interdit');
+        });
+
+        try {
+            seed(service, TIRE_URN, '2020-01-01T00:00:00.000Z');
+            const result = await service.getTireInfo(TIRE_URN);
+
+            assert.equal(result.stale, true);
+            assert.equal(result.source, 'cache');
+            assert.equal(service._inflight.tires.size, 0);
+            assert.equal(fetchMock.mock.callCount(), 0);
+        } finally {
+            fetchMock.mock.restore();
+        }
+    });
+
+    it('lève OfflineError hors cache', async () => {
+        const service = createService();
+
+        await assert.rejects(service.getTireInfo(TIRE_URN), error => {
+            assert.ok(error instanceof OfflineError);
+            assert.equal(error.code, 'OFFLINE');
+            assert.equal(error.details.key, TIRE_URN);
+            return true;
+        });
+        await assert.rejects(service.resolveOns(TIRE_URN), OfflineError);
+    });
+
+    it('marque OFFLINE les éléments de batch hors cache', async () => {
+        const service = createService();
+        seed(service, TIRE_URN, new Date().toISOString());
+
+        const results = await service.getTireInfoBatch([TIRE_URN, OTHER_URN]);
+
+        assert.equal(results[0].data.uii, TIRE_URN);
+        assert.equal(results[0].stale, false);
+        assert.equal(results[1].error, 'OFFLINE');
+    });
+
+    it('s\'active via GDSO_OFFLINE', () => {
+        const previous = process.env.GDSO_OFFLINE;
+        process.env.GDSO_OFFLINE = 'true';
+        try {
+            assert.equal(new GdsoService({ verbose: false }).offline, true);
+            assert.equal(new GdsoService({ verbose: false, offline: false }).offline, false);
+        } finally {
+            if (previous === undefined) delete process.env.GDSO_OFFLINE;
+            else process.env.GDSO_OFFLINE = previous;
+        }
+    });
+});
+
+console.log('✅ Tests Stale Cache prêts à être exécutés avec: node --test tests/stale-cache.test.js');
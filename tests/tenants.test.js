@@ -0,0 +1,211 @@
+/**
+ * Tests unitaires - Registre des tenants (clés API, credentials, préfixes autorisés)
+ *
+ * @run node --test tests/tenants.test.js
+ */
+
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { TenantRegistry, hashApiKey, createTenantCredentialProvider } from '../lib/tenants.js';
+import { GdsoService } from '../lib/gdso-service.js';
+import { parseSgtin, sgtinToGtin14 } from '../lib/sgtin.js';
+import { TenantConfigError, PrefixNotAllowedError, CredentialsFileError, OfflineError } from '../lib/errors.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const MICHELIN_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const OTHER_URN = 'urn:epc:id:sgtin:4019238.012345.42';
+
+/**
+ * Registre dont l'environnement par défaut est testing
+ */
+function registry(...tenants) {
+    return new TenantRegistry({ tenants }, { defaultEnvironment: 'testing' });
+}
+
+describe('TenantRegistry', () => {
+
+    it('retrouve un tenant par clé API en clair ou hachée', () => {
+        const tenants = registry(
+            { id: 'poids-lourds', apiKeys: ['cle-pl'] },
+            { id: 'agricole', apiKeys: [hashApiKey('cle-agri')], environment: 'production' }
+        );
+
+        assert.equal(tenants.size, 2);
+        assert.equal(tenants.findByApiKey('cle-pl').id, 'poids-lourds');
+        assert.equal(tenants.findByApiKey('cle-agri').environment, 'production');
+        assert.equal(tenants.findByApiKey('cle-pl').environment, 'testing');
+        assert.equal(tenants.findByApiKey(hashApiKey('cle-agri')), null);
+        assert.equal(tenants.findByApiKey('inconnue'), null);
+        assert.equal(tenants.findByApiKey(null), null);
+    });
+
+    it('rejette un registre invalide', () => {
+        const invalid = [
+            [{}, /"tenants"/],
+            [{ tenants: [{ apiKeys: ['a'] }] }, /"id"/],
+            [{ tenants: [{ id: 'a', apiKeys: [] }] }, /"apiKeys"/],
+            [{ tenants: [{ id: 'a', apiKeys: ['k'] }, { id: 'a', apiKeys: ['l'] }] }, /déclaré deux fois/],
+            [{ tenants: [{ id: 'a', apiKeys: ['k'] }, { id: 'b', apiKeys: [hashApiKey('k')] }] }, /déjà attribuée/],
+            [{ tenants: [{ id: 'a', apiKeys: ['k'], environment: 'staging' }] }, /environnement inconnu/],
+            [{ tenants: [{ id: 'a', apiKeys: ['k'], allowedPrefixes: ['08669X'] }] }, /"allowedPrefixes"/],
+            [{ tenants: [{ id: 'a', apiKeys: ['k'], credentials: { password: 'x', passwordFile: '/x' } }] }, /exclusifs/]
+        ];
+
+        for (const [config, reason] of invalid) {
+            assert.throws(() => new TenantRegistry(config), error => {
+                assert.ok(error instanceof TenantConfigError);
+                assert.equal(error.code, 'TENANT_CONFIG_ERROR');
+                assert.match(error.message, reason);
+                return true;
+            });
+        }
+    });
+
+    it('charge le registre depuis un fichier JSON', () => {
+        const dir = mkdtempSync(join(tmpdir(), 'gdso-tenants-'));
+        try {
+            const path = join(dir, 'tenants.json');
+            writeFileSync(path, JSON.stringify({ tenants: [{ id: 'pl', apiKeys: ['k'], allowedPrefixes: ['086699'] }] }));
+
+            assert.deepEqual(TenantRegistry.fromFile(path).findByApiKey('k').allowedPrefixes, ['086699']);
+            assert.throws(() => TenantRegistry.fromFile(join(dir, 'absent.json')), /absent\.json: illisible/);
+        } finally {
+            rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('Credentials d\'un tenant', () => {
+    let dir;
+
+    before(() => { dir = mkdtempSync(join(tmpdir(), 'gdso-tenants-')); });
+    after(() => rmSync(dir, { recursive: true, force: true }));
+
+    it('lit les secrets du tenant et ne retombe pas sur les variables globales', () => {
+        const passwordFile = join(dir, 'password');
+        writeFileSync(passwordFile, 'secret-pl\n');
+        const [tenant] = registry({ id: 'pl', apiKeys: ['k'], credentials: { username: 'flotte-pl', passwordFile } }).tenants.values();
+
+        const saved = process.env.GDSO_USERNAME;
+        process.env.GDSO_USERNAME = 'global';
+        try {
+            const service = new GdsoService({ verbose: false, credentialProviders: [createTenantCredentialProvider(tenant)] });
+
+            assert.deepEqual(service.credentials, { username: 'flotte-pl', password: 'secret-pl' });
+            assert.equal(service.describeCredentialSources(), 'tenant:pl');
+        } finally {
+            if (saved === undefined) delete process.env.GDSO_USERNAME;
+            else process.env.GDSO_USERNAME = saved;
+        }
+    });
+
+    it('signale un secret de tenant illisible', () => {
+        const [tenant] = registry({ id: 'pl', apiKeys: ['k'], credentials: { passwordFile: join(dir, 'absent') } }).tenants.values();
+
+        assert.throws(() => createTenantCredentialProvider(tenant).resolve('testing'), CredentialsFileError);
+    });
+});
+
+describe('GdsoService: préfixes autorisés', () => {
+    /**
+     * Deux services d'un même environnement partageant les caches, comme les tenants du serveur
+     * (données pneu rangées par tenant)
+     */
+    function createServices() {
+        const shared = createTestService({ offline: true });
+        const stores = { ons: shared.onsCache, tires: shared.tireCache, products: shared.productCache };
+        const tenant = createTestService({
+            offline: true,
+            allowedPrefixes: ['086699'],
+            cacheScope: 'tenant:a',
+            cacheStores: stores
+        });
+
+        for (const service of [shared, tenant]) {
+            for (const urn of [MICHELIN_URN, OTHER_URN]) {
+                service._recordTire(tireResult(urn, { uii: urn, dotTin: { weekYear: '2524' }, product: { brandName: 'TEST' } }));
+            }
+        }
+
+        return { shared, tenant };
+    }
+
+    /**
+     * Résultat API d'un pneu, tel que reçu par _recordTire
+     */
+    function tireResult(urn, data) {
+        return {
+            sgtin: urn,
+            manufacturer: 'Test',
+            gtin13: null,
+            gtin14: sgtinToGtin14(parseSgtin(urn)),
+            gtinForm: 'gtin14',
+            apiUrl: null,
+            digitalLink: null,
+            data
+        };
+    }
+
+    it('sert les pneus du périmètre', async () => {
+        const { tenant } = createServices();
+
+        const result = await tenant.getTireInfo(MICHELIN_URN);
+        assert.equal(result.source, 'cache');
+    });
+
+    it('refuse un pneu hors périmètre, même présent dans le cache partagé', async () => {
+        const { shared, tenant } = createServices();
+
+        await assert.rejects(tenant.getTireInfo(OTHER_URN), error => {
+            assert.ok(error instanceof PrefixNotAllowedError);
+            assert.equal(error.code, 'PREFIX_NOT_ALLOWED');
+            assert.equal(error.details.key, OTHER_URN);
+            return true;
+        });
+        await assert.rejects(tenant.resolveOns(OTHER_URN), PrefixNotAllowedError);
+        assert.equal((await shared.getTireInfo(OTHER_URN)).source, 'cache');
+    });
+
+    it('retourne une erreur par élément dans un batch', async () => {
+        const { tenant } = createServices();
+
+        const results = await tenant.getTireInfoBatch([OTHER_URN, MICHELIN_URN]);
+
+        assert.equal(results.length, 2);
+        assert.equal(results.find(result => result.sgtin === OTHER_URN).error, 'PREFIX_NOT_ALLOWED');
+        assert.equal(results.find(result => result.sgtin === MICHELIN_URN).source, 'cache');
+    });
+
+    it('ne sert pas à un tenant les données pneu obtenues par un autre compte', async () => {
+        const shared = createTestService({ offline: true });
+        const tenant = createTestService({
+            offline: true,
+            cacheScope: 'tenant:a',
+            cacheStores: { tires: shared.tireCache, products: shared.productCache }
+        });
+        shared._recordTire(tireResult(MICHELIN_URN, { uii: MICHELIN_URN, dotTin: { weekYear: '2524' }, product: { brandName: 'TEST' } }));
+
+        await assert.rejects(tenant.getTireInfo(MICHELIN_URN), OfflineError);
+        assert.equal((await tenant.getProductByGtin(sgtinToGtin14(parseSgtin(MICHELIN_URN)))).product.brandName, 'TEST');
+
+        tenant._recordTire(tireResult(MICHELIN_URN, { uii: MICHELIN_URN, dotTin: { weekYear: '0125' } }));
+        assert.equal((await tenant.getTireInfo(MICHELIN_URN)).data.dotTin.weekYear, '0125');
+        assert.equal((await shared.getTireInfo(MICHELIN_URN)).data.dotTin.weekYear, '2524');
+    });
+
+    it('applique le périmètre au catalogue produit et aux instances utilisateur', async () => {
+        const { tenant } = createServices();
+        const otherGtin = sgtinToGtin14(parseSgtin(OTHER_URN));
+
+        assert.ok(await tenant.getProductByGtin(sgtinToGtin14(parseSgtin(MICHELIN_URN))));
+        await assert.rejects(tenant.getProductByGtin(otherGtin), PrefixNotAllowedError);
+
+        const user = tenant.forUser({ idToken: 'x', expiry: Date.now() + 60000 });
+        await assert.rejects(user.getProductByGtin(otherGtin), PrefixNotAllowedError);
+    });
+});
+
+console.log('✅ Tests Tenants prêts à être exécutés avec: node --test tests/tenants.test.js');
@@ -0,0 +1,174 @@
+/**
+ * Tests unitaires - Parser des dimensions pneu (ETRTO / TRA)
+ *
+ * @run node --test tests/tire-size.test.js
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTireSize, formatTireSize } from '../lib/tire-size.js';
+
+/**
+ * Vérifie un sous-ensemble de champs du résultat
+ */
+function assertFields(input, expected) {
+    const result = parseTireSize(input);
+    assert.ok(result, `Devrait parser: ${input}`);
+    for (const [key, value] of Object.entries(expected)) {
+        assert.deepEqual(result[key], value, `${input} → ${key}`);
+    }
+}
+
+describe('Dimensions métriques (ETRTO)', () => {
+
+    it('parse une dimension tourisme avec description de service', () => {
+        assertFields('205/55 R16 91V', {
+            format: 'metric',
+            size: '205/55R16',
+            sectionWidth: 205,
+            widthUnit: 'mm',
+            aspectRatio: 55,
+            construction: 'R',
+            rimDiameter: 16,
+            loadIndex: 91,
+            speedSymbol: 'V'
+        });
+    });
+
+    it('parse le format geometricalTyreSize GDSO', () => {
+        assertFields('195/65 R 17 87H TL Dakota Spring', {
+            size: '195/65R17',
+            loadIndex: 87,
+            speedSymbol: 'H',
+            tubeType: 'TL'
+        });
+    });
+
+    it('parse les dimensions poids lourd avec jante demi-pouce', () => {
+        assertFields('385/55R22.5 160K', { rimDiameter: 22.5, loadIndex: 160, speedSymbol: 'K' });
+    });
+
+    it('parse ZR avec description de service entre parenthèses', () => {
+        assertFields('225/45ZR17 (94Y)', { construction: 'ZR', loadIndex: 94, speedSymbol: 'Y' });
+        assertFields('245/35 ZR 19 93(Y)', { construction: 'ZR', loadIndex: 93, speedSymbol: '(Y)' });
+    });
+
+    it('parse les dimensions diagonales moto', () => {
+        assertFields('90/90-21 54H', { construction: '-', rimDiameter: 21, loadIndex: 54 });
+    });
+
+    it('détecte XL / Reinforced', () => {
+        assertFields('205/55R16 94V XL', { extraLoad: true });
+        assertFields('205/55R16 91V', { extraLoad: false });
+    });
+});
+
+describe('P-metric et LT', () => {
+
+    it('parse une dimension P-metric', () => {
+        assertFields('P215/65R15 95H', { format: 'p-metric', prefix: 'P', sectionWidth: 215, loadIndex: 95 });
+    });
+
+    it('parse une dimension LT-metric avec indices simple/jumelé et PR', () => {
+        assertFields('LT265/75R16 123/120S 10PR', {
+            format: 'lt-metric',
+            lightTruck: true,
+            loadIndex: 123,
+            loadIndexDual: 120,
+            speedSymbol: 'S',
+            plyRating: 10
+        });
+    });
+
+    it('parse le suffixe LT', () => {
+        assertFields('265/75R16LT 123/120S', { lightTruck: true, size: '265/75R16LT' });
+    });
+});
+
+describe('Flottaison', () => {
+
+    it('parse une dimension flottaison', () => {
+        assertFields('35x12.50R15 113Q', {
+            format: 'flotation',
+            overallDiameter: 35,
+            sectionWidth: 12.5,
+            widthUnit: 'inch',
+            aspectRatio: null,
+            rimDiameter: 15,
+            loadIndex: 113,
+            speedSymbol: 'Q'
+        });
+    });
+
+    it('parse une dimension flottaison LT', () => {
+        assertFields('LT35x12.50R15LT 113Q', { lightTruck: true, size: 'LT35x12.50R15LT' });
+    });
+});
+
+describe('Utilitaire (C) et poids lourd', () => {
+
+    it('parse le suffixe C collé ou séparé', () => {
+        assertFields('195/70R15C 104/102R', { commercial: true, loadIndex: 104, loadIndexDual: 102, speedSymbol: 'R' });
+        assertFields('215/65 R16 C 109/107T', { commercial: true, size: '215/65R16C', speedSymbol: 'T' });
+    });
+
+    it('parse les indices simple/jumelé avec slash', () => {
+        assertFields('315/80 R22.5 156/150K', { loadIndex: 156, loadIndexDual: 150, speedSymbol: 'K' });
+    });
+
+    it('parse une description de service supplémentaire', () => {
+        assertFields('315/70R22.5 KMAX D G2 154L152M 3PSF', {
+            loadIndex: 154,
+            speedSymbol: 'L',
+            supplementary: { loadIndex: 152, loadIndexDual: null, speedSymbol: 'M' }
+        });
+    });
+
+    it('trouve la description de service après le nom commercial', () => {
+        assertFields('385/55R22.5 X MULTI T2 TL 160K VG MI', { loadIndex: 160, speedSymbol: 'K' });
+    });
+});
+
+describe('Dimensions numériques', () => {
+
+    it('parse une largeur en pouces', () => {
+        assertFields('11R22.5 148/145L 16PR', {
+            format: 'numeric',
+            sectionWidth: 11,
+            widthUnit: 'inch',
+            aspectRatio: null,
+            loadIndex: 148,
+            loadIndexDual: 145,
+            plyRating: 16
+        });
+        assertFields('12.00R20 154/150K 18PR', { sectionWidth: 12, size: '12.00R20', plyRating: 18 });
+    });
+
+    it('parse une dimension diagonale sans description de service', () => {
+        assertFields('7.50-16 8PR', { construction: '-', loadIndex: null, speedSymbol: null, plyRating: 8 });
+    });
+
+    it('parse une série implicite en mm', () => {
+        assertFields('175R14 88T', { sectionWidth: 175, widthUnit: 'mm', aspectRatio: null });
+    });
+});
+
+describe('Cas limites', () => {
+
+    it('retourne null sans dimension reconnue', () => {
+        assert.equal(parseTireSize('Dakota Spring'), null);
+        assert.equal(parseTireSize(''), null);
+        assert.equal(parseTireSize(null), null);
+    });
+
+    it('ne prend pas un ply rating pour une description de service', () => {
+        assertFields('LT265/75R16 10PR 123/120S', { loadIndex: 123, plyRating: 10 });
+    });
+
+    it('formatTireSize produit la forme compacte', () => {
+        assert.equal(formatTireSize({ sectionWidth: 195, aspectRatio: 65, rimDiameter: 17 }), '195/65R17');
+        assert.equal(formatTireSize({ sectionWidth: 11, construction: 'R', rimDiameter: 22.5 }), '11R22.5');
+    });
+});
+
+console.log('✅ Tests Tire Size prêts à être exécutés avec: node --test tests/tire-size.test.js');
@@ -0,0 +1,135 @@
+/**
+ * Tests unitaires - Variantes d'URL des API fabricant (pattern, encodage) apprises et persistées
+ * API fabricant simulée (fetch), aucun appel réseau
+ *
+ * @run node --test tests/url-patterns.test.js
+ */
+
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { buildUrlCandidates, buildApiUrl, buildAllPossibleUrls, getManufacturerConfig } from '../lib/manufacturers.js';
+import { createTestService } from './helpers/gdso-service.js';
+
+const TIRE_URN = 'urn:epc:id:sgtin:086699.0762575.63647563790';
+const API_URL = 'https://api.example.com/v1/';
+const BASE_URL = 'https://api.example.com/v1';
+const UNKNOWN = getManufacturerConfig('1234567');
+
+describe('buildUrlCandidates', () => {
+
+    it('essaie l\'encodage configuré puis l\'inverse pour un fabricant connu', () => {
+        const candidates = buildUrlCandidates(API_URL, TIRE_URN, getManufacturerConfig('54520007'));
+
+        assert.deepEqual(candidates, [
+            { url: `${BASE_URL}/${TIRE_URN}`, pattern: '{baseUrl}/{sgtin}', encoded: false },
+            { url: `${BASE_URL}/${encodeURIComponent(TIRE_URN)}`, pattern: '{baseUrl}/{sgtin}', encoded: true }
+        ]);
+    });
+
+    it('décline chaque pattern d\'un fabricant inconnu, encodé puis non encodé', () => {
+        const candidates = buildUrlCandidates(API_URL, TIRE_URN, UNKNOWN);
+
+        assert.equal(candidates.length, 6);
+        assert.deepEqual(candidates.slice(0, 2).map(c => c.encoded), [true, false]);
+        assert.equal(candidates[5].url, `${BASE_URL}/tyre/${TIRE_URN}`);
+    });
+
+    it('place la variante apprise en tête, ignore une variante inconnue', () => {
+        const learned = buildUrlCandidates(API_URL, TIRE_URN, UNKNOWN, { pattern: '{baseUrl}/tyre/{sgtin}', encoded: false });
+        assert.equal(learned[0].url, `${BASE_URL}/tyre/${TIRE_URN}`);
+        assert.equal(learned.length, 6);
+
+        const stale = buildUrlCandidates(API_URL, TIRE_URN, UNKNOWN, { pattern: '{baseUrl}/v2/{sgtin}', encoded: true });
+        assert.deepEqual(stale, buildUrlCandidates(API_URL, TIRE_URN, UNKNOWN));
+    });
+
+    it('conserve les constructeurs d\'URL dépréciés', () => {
+        assert.equal(buildApiUrl(API_URL, TIRE_URN, getManufacturerConfig('54520007')), `${BASE_URL}/${TIRE_URN}`);
+        assert.deepEqual(buildAllPossibleUrls(API_URL, TIRE_URN, UNKNOWN), buildUrlCandidates(API_URL, TIRE_URN, UNKNOWN).map(c => c.url));
+    });
+});
+
+describe('GdsoService: apprentissage des variantes d\'URL', () => {
+    let fetchMock;
+    let acceptedPrefix;
+    let dir;
+
+    beforeEach(() => {
+        // Seule la variante /tyre/ non encodée répond
+        acceptedPrefix = `${BASE_URL}/tyre/urn:`;
+        fetchMock = mock.method(globalThis, 'fetch', async url => (acceptedPrefix && url.startsWith(acceptedPrefix)
+            ? new Response(JSON.stringify({ uii: TIRE_URN }), { headers: { 'Content-Type': 'application/json' } })
+            : new Response('', { status: 404 })));
+        dir = mkdtempSync(join(tmpdir(), 'gdso-url-patterns-'));
+    });
+    afterEach(() => {
+        fetchMock.mock.restore();
+        rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('retient la variante qui a répondu et l\'essaie en premier ensuite', async () => {
+        const service = createTestService();
+
+        assert.deepEqual(await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN), { uii: TIRE_URN });
+        assert.equal(fetchMock.mock.callCount(), 6);
+
+        await service.callManufacturerApi(API_URL, 'urn:epc:id:sgtin:1234567.012345.1', UNKNOWN);
+        assert.equal(fetchMock.mock.callCount(), 7);
+
+        const [learned] = service.getLearnedUrlPatterns();
+        assert.equal(learned.baseUrl, BASE_URL);
+        assert.equal(learned.pattern, '{baseUrl}/tyre/{sgtin}');
+        assert.equal(learned.encoded, false);
+        assert.equal(learned.manufacturer, UNKNOWN.name);
+        assert.ok(Date.parse(learned.learnedAt));
+    });
+
+    it('réapprend quand l\'API change de variante', async () => {
+        const service = createTestService();
+        await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+
+        acceptedPrefix = `${BASE_URL}/tire/urn%3A`;
+        assert.ok(await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN));
+
+        const [learned] = service.getLearnedUrlPatterns();
+        assert.deepEqual([learned.pattern, learned.encoded], ['{baseUrl}/tire/{sgtin}', true]);
+    });
+
+    it('conserve la variante apprise si aucune URL ne répond (pneu inconnu)', async () => {
+        const service = createTestService();
+        await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+        const before = service.getLearnedUrlPatterns();
+
+        acceptedPrefix = null;
+        assert.equal(await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN), null);
+
+        assert.deepEqual(service.getLearnedUrlPatterns(), before);
+    });
+
+    it('persiste les variantes dans le cache et les partage avec les instances utilisateur', async () => {
+        const first = createTestService({ cacheDir: dir });
+        await first.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+
+        const second = createTestService({ cacheDir: dir });
+        const calls = fetchMock.mock.callCount();
+        await second.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+
+        assert.equal(fetchMock.mock.callCount(), calls + 1);
+        assert.equal(second.forUser({ idToken: 'x', expiry: Date.now() + 60000 }).urlPatternCache, second.urlPatternCache);
+        assert.equal(second.getCacheStats().urlPatterns.size, 1);
+    });
+
+    it('n\'apprend rien sans cache', async () => {
+        const service = createTestService({ useCache: false });
+        await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+        await service.callManufacturerApi(API_URL, TIRE_URN, UNKNOWN);
+
+        assert.equal(fetchMock.mock.callCount(), 12);
+        assert.deepEqual(service.getLearnedUrlPatterns(), []);
+    });
+});
+
+console.log('✅ Tests URL patterns prêts à être exécutés avec: node --test tests/url-patterns.test.js');